@@ -0,0 +1,201 @@
+// Cookie jar for the main process - stores Set-Cookie responses and picks the cookies
+// for the next request following RFC 6265 (domain, path, expiry and Secure rules).
+// The jar itself is a plain array owned by the renderer, so it can be kept per environment.
+
+const net = require('net');
+
+// Cookies stored from the response headers of a request to url; returns the new jar
+function storeCookies(jar, rawHeaders, url, now = Date.now()) {
+  const setCookies = (rawHeaders || [])
+    .filter(([name]) => String(name).toLowerCase() === 'set-cookie')
+    .map(([, value]) => value);
+
+  let cookies = removeExpired(jar || [], now);
+  setCookies.forEach(header => {
+    const cookie = parseSetCookie(header, url, now);
+    if (!cookie) return;
+
+    const existing = cookies.find(other => sameCookie(other, cookie));
+    if (existing) {
+      // Replacing a cookie keeps its original creation time (RFC 6265 5.3 step 11)
+      cookie.creation = existing.creation;
+      cookies = cookies.filter(other => other !== existing);
+    }
+
+    // A cookie that is already expired only deletes the old one
+    if (cookie.expires === null || cookie.expires > now) {
+      cookies.push(cookie);
+    }
+  });
+
+  return cookies;
+}
+
+// Cookie header value for a request to url, or '' when nothing matches
+function getCookieHeader(jar, url, now = Date.now()) {
+  return matchCookies(jar, url, now)
+    .map(cookie => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+}
+
+function matchCookies(jar, url, now = Date.now()) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return [];
+  }
+
+  const host = target.hostname.toLowerCase();
+  const secure = isSecureOrigin(target);
+
+  return (jar || [])
+    .filter(cookie => {
+      if (cookie.expires !== null && cookie.expires <= now) return false;
+      if (cookie.hostOnly ? host !== cookie.domain : !domainMatch(host, cookie.domain)) return false;
+      if (!pathMatch(target.pathname || '/', cookie.path)) return false;
+      return !cookie.secure || secure;
+    })
+    // Longer paths first, then the oldest cookie (RFC 6265 5.4 step 2)
+    .sort((a, b) => b.path.length - a.path.length || a.creation - b.creation);
+}
+
+// RFC 6265 5.2 and 5.3 - returns null for cookies the user agent must ignore
+function parseSetCookie(header, url, now = Date.now()) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+  if (separator === -1) return null;
+
+  const name = pair.slice(0, separator).trim();
+  const value = pair.slice(separator + 1).trim();
+  if (!name) return null;
+
+  const host = target.hostname.toLowerCase();
+  const cookie = {
+    name,
+    value,
+    domain: host,
+    path: defaultPath(target.pathname),
+    hostOnly: true,
+    secure: false,
+    httpOnly: false,
+    sameSite: null,
+    expires: null,
+    creation: now
+  };
+
+  let maxAge = null;
+  let expires = null;
+  let domain = '';
+
+  attributes.forEach(attribute => {
+    const index = attribute.indexOf('=');
+    const key = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+    const attrValue = index === -1 ? '' : attribute.slice(index + 1).trim();
+
+    switch (key) {
+      case 'expires': {
+        const time = Date.parse(attrValue);
+        if (!isNaN(time)) expires = time;
+        break;
+      }
+      case 'max-age':
+        if (/^-?\d+$/.test(attrValue)) {
+          const seconds = parseInt(attrValue, 10);
+          maxAge = seconds <= 0 ? 0 : now + seconds * 1000;
+        }
+        break;
+      case 'domain':
+        // The last Domain attribute wins; a leading dot is ignored
+        domain = attrValue.replace(/^\./, '').toLowerCase();
+        break;
+      case 'path':
+        cookie.path = attrValue.startsWith('/') ? attrValue : defaultPath(target.pathname);
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'httponly':
+        cookie.httpOnly = true;
+        break;
+      case 'samesite':
+        cookie.sameSite = attrValue || null;
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Max-Age takes precedence over Expires
+  if (maxAge !== null) {
+    cookie.expires = maxAge;
+  } else if (expires !== null) {
+    cookie.expires = expires;
+  }
+
+  if (domain && domain !== host) {
+    // Only the host itself or a parent domain may be set - and never a bare top-level domain
+    // (there is no public suffix list here) or another IP address
+    if (!domainMatch(host, domain) || !domain.includes('.')) return null;
+    cookie.domain = domain;
+    cookie.hostOnly = false;
+  } else if (domain) {
+    cookie.hostOnly = false;
+  }
+
+  // Secure cookies can only be set from a secure origin (RFC 6265bis)
+  if (cookie.secure && !isSecureOrigin(target)) return null;
+
+  return cookie;
+}
+
+function removeExpired(jar, now = Date.now()) {
+  return (jar || []).filter(cookie => cookie.expires === null || cookie.expires > now);
+}
+
+function sameCookie(a, b) {
+  return a.name === b.name && a.domain === b.domain && a.path === b.path;
+}
+
+// RFC 6265 5.1.3
+function domainMatch(host, domain) {
+  if (host === domain) return true;
+  return host.endsWith(`.${domain}`) && !net.isIP(host);
+}
+
+// RFC 6265 5.1.4
+function pathMatch(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/';
+}
+
+function defaultPath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) return '/';
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+}
+
+// Local development servers count as secure, as they do in browsers
+function isSecureOrigin(target) {
+  if (target.protocol === 'https:' || target.protocol === 'wss:') return true;
+  const host = target.hostname.toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || host === '127.0.0.1' || host === '[::1]';
+}
+
+module.exports = {
+  storeCookies,
+  getCookieHeader,
+  matchCookies,
+  parseSetCookie,
+  removeExpired,
+  domainMatch,
+  pathMatch
+};
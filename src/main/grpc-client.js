@@ -0,0 +1,453 @@
+// gRPC client for the main process - unary and server-streaming calls over Node's http2,
+// with messages encoded from JSON through a protobuf schema (from .proto files or reflection).
+
+const http2 = require('http2');
+const zlib = require('zlib');
+const { performance } = require('perf_hooks');
+const protobuf = require('./protobuf');
+const tlsCertificates = require('./tls-certificates');
+const proxySupport = require('./proxy');
+
+const DEFAULT_TIMEOUT = 30000;
+
+const STATUS_NAMES = [
+  'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND',
+  'ALREADY_EXISTS', 'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION',
+  'ABORTED', 'OUT_OF_RANGE', 'UNIMPLEMENTED', 'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS',
+  'UNAUTHENTICATED'
+];
+
+// Reflection messages are the same in both versions of the service
+const REFLECTION_PROTO = (pkg) => `
+  syntax = "proto3";
+  package ${pkg};
+  message ServerReflectionRequest {
+    string host = 1;
+    oneof message_request {
+      string file_by_filename = 3;
+      string file_containing_symbol = 4;
+      string list_services = 7;
+    }
+  }
+  message ServerReflectionResponse {
+    string valid_host = 1;
+    oneof message_response {
+      FileDescriptorResponse file_descriptor_response = 4;
+      ListServiceResponse list_services_response = 6;
+      ErrorResponse error_response = 7;
+    }
+  }
+  message FileDescriptorResponse { repeated bytes file_descriptor_proto = 1; }
+  message ListServiceResponse { repeated ServiceResponse service = 1; }
+  message ServiceResponse { string name = 1; }
+  message ErrorResponse { int32 error_code = 1; string error_message = 2; }
+`;
+
+const REFLECTION_VERSIONS = ['grpc.reflection.v1', 'grpc.reflection.v1alpha'];
+
+// In-flight calls by renderer-supplied id, so they can be cancelled
+const activeCalls = new Map();
+
+// onMessage(message) receives each decoded response message as it arrives
+async function invoke(options = {}, { onMessage = null } = {}) {
+  const {
+    id = null,
+    url,
+    service,
+    method,
+    message = {},
+    metadata = [],
+    schema,
+    timeout = DEFAULT_TIMEOUT,
+    rejectUnauthorized = true,
+    certificates = null,
+    proxy = null
+  } = options;
+
+  if (!url) throw new Error('Server address is required');
+  if (!schema) throw new Error('Load a .proto file or use server reflection first');
+
+  const serviceDef = schema.services.find(item => item.name === service);
+  const methodDef = serviceDef && serviceDef.methods.find(item => item.name === method);
+  if (!methodDef) throw new Error(`Unknown method ${service}/${method}`);
+  if (methodDef.clientStreaming) {
+    throw new Error('Client-streaming and bidirectional calls are not supported');
+  }
+
+  const payload = typeof message === 'string' ? parseMessage(message) : message;
+  const requestBytes = protobuf.encode(schema, methodDef.inputType, payload);
+
+  const messages = [];
+  const result = await call(url, `/${service}/${method}`, requestBytes, {
+    id,
+    metadata,
+    timeout,
+    rejectUnauthorized,
+    certificates,
+    proxy,
+    onFrame: (frame) => {
+      const decoded = protobuf.decode(schema, methodDef.outputType, frame);
+      messages.push(decoded);
+      if (onMessage) onMessage(decoded);
+    }
+  });
+
+  return {
+    ...result,
+    messages,
+    serverStreaming: methodDef.serverStreaming
+  };
+}
+
+function cancelCall(id) {
+  const stream = activeCalls.get(id);
+  if (!stream) return false;
+
+  stream.cancelledByUser = true;
+  stream.close(http2.constants.NGHTTP2_CANCEL);
+  activeCalls.delete(id);
+  return true;
+}
+
+// List services and fetch their descriptors through the server reflection service
+async function reflect(options = {}) {
+  const { url, metadata = [], timeout = DEFAULT_TIMEOUT, rejectUnauthorized = true, certificates = null, proxy = null } = options;
+  const callOptions = { metadata, timeout, rejectUnauthorized, certificates, proxy };
+
+  for (const version of REFLECTION_VERSIONS) {
+    const reflectionSchema = protobuf.link([protobuf.parse(REFLECTION_PROTO(version), 'reflection.proto')]);
+    const query = async (request) => {
+      const result = await call(
+        url,
+        `/${version}.ServerReflection/ServerReflectionInfo`,
+        protobuf.encode(reflectionSchema, `${version}.ServerReflectionRequest`, request),
+        callOptions
+      );
+      if (result.status !== 0) {
+        const error = new Error(`Reflection failed: ${result.statusName}${result.statusMessage ? ` - ${result.statusMessage}` : ''}`);
+        error.grpcStatus = result.status;
+        throw error;
+      }
+      if (result.frames.length === 0) throw new Error('Reflection returned no response');
+      const response = protobuf.decode(reflectionSchema, `${version}.ServerReflectionResponse`, result.frames[0]);
+      if (response.error_response) {
+        throw new Error(`Reflection failed: ${response.error_response.error_message || response.error_response.error_code}`);
+      }
+      return response;
+    };
+
+    let listing;
+    try {
+      listing = await query({ list_services: '' });
+    } catch (error) {
+      // Older servers only implement v1alpha
+      if (error.grpcStatus === 12) continue;
+      throw error;
+    }
+
+    const serviceNames = ((listing.list_services_response || {}).service || [])
+      .map(item => item.name)
+      .filter(name => !name.startsWith('grpc.reflection.'));
+
+    // Descriptors by file name; servers usually include the dependencies too
+    const descriptors = new Map();
+    const addFiles = (response) => {
+      ((response.file_descriptor_response || {}).file_descriptor_proto || []).forEach(encoded => {
+        const buffer = Buffer.from(encoded, 'base64');
+        const [file] = protobuf.fromDescriptors([buffer]);
+        if (!descriptors.has(file.name)) descriptors.set(file.name, { file, buffer });
+      });
+    };
+
+    for (const name of serviceNames) {
+      addFiles(await query({ file_containing_symbol: name }));
+    }
+
+    // Fetch any dependencies the server left out
+    const missing = () => {
+      const names = [];
+      descriptors.forEach(({ file }) => {
+        file.imports.forEach(dependency => {
+          if (!descriptors.has(dependency) && !names.includes(dependency)) names.push(dependency);
+        });
+      });
+      return names;
+    };
+    const unavailable = new Set();
+    for (let pending = missing(); pending.some(name => !unavailable.has(name)); pending = missing()) {
+      for (const dependency of pending.filter(name => !unavailable.has(name))) {
+        try {
+          addFiles(await query({ file_by_filename: dependency }));
+        } catch (error) {
+          unavailable.add(dependency);
+        }
+      }
+    }
+
+    // Well-known types the server did not return are always available locally
+    const files = protobuf.fromDescriptors(Array.from(descriptors.values()).map(item => item.buffer));
+    unavailable.forEach(name => {
+      const builtin = protobuf.parseBuiltin(name);
+      if (builtin) files.push(builtin);
+    });
+
+    const schema = protobuf.link(files);
+    schema.services = schema.services.filter(item => serviceNames.includes(item.name));
+    return schema;
+  }
+
+  throw new Error('The server does not support gRPC reflection');
+}
+
+// Send one length-prefixed message and collect every response frame until the trailers
+function call(url, path, requestBytes, options) {
+  const { id = null, metadata = [], timeout = DEFAULT_TIMEOUT, rejectUnauthorized = true, certificates = null, proxy = null, tunnel = null, onFrame = null } = options;
+
+  // Through a proxy the tunnel is opened first and the session runs over it
+  if (proxy && !tunnel) {
+    let target;
+    let viaProxy;
+    try {
+      target = new URL(toOrigin(url));
+      viaProxy = proxySupport.proxyFor(target.href, proxy);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    if (viaProxy) {
+      const port = parseInt(target.port || (target.protocol === 'https:' ? 443 : 80), 10);
+      return proxySupport.openTunnel(viaProxy, target.hostname, port, { timeout, rejectUnauthorized })
+        .then(socket => call(url, path, requestBytes, { ...options, tunnel: { socket, proxy: viaProxy } }));
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    let origin;
+    let tlsOptions;
+    try {
+      origin = toOrigin(url);
+      tlsOptions = origin.startsWith('https:') ? tlsCertificates.tlsOptionsFor(origin, certificates) : {};
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const marks = { start: performance.now() };
+    const frames = [];
+    let responseHeaders = {};
+    let trailers = {};
+    let buffer = Buffer.alloc(0);
+    let settled = false;
+    let stream = null;
+
+    const sessionOptions = { ...tlsOptions, rejectUnauthorized: rejectUnauthorized !== false };
+    if (tunnel) {
+      sessionOptions.createConnection = () => origin.startsWith('https:')
+        ? proxySupport.secureSocket(tunnel.socket, new URL(origin).hostname, { ...sessionOptions, ALPNProtocols: ['h2'] })
+        : tunnel.socket;
+    }
+    const session = http2.connect(origin, sessionOptions);
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (id) activeCalls.delete(id);
+      session.close();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const complete = (status, statusMessage) => {
+      marks.end = performance.now();
+      finish(null, {
+        status,
+        statusName: STATUS_NAMES[status] || 'UNKNOWN',
+        statusMessage,
+        headers: stripPseudoHeaders(responseHeaders),
+        trailers: stripPseudoHeaders(trailers),
+        frames,
+        size: frames.reduce((total, frame) => total + frame.length, 0),
+        proxy: tunnel ? proxySupport.describeProxy(tunnel.proxy) : null,
+        timings: {
+          firstByte: marks.response ? round(marks.response - marks.start) : 0,
+          total: round(marks.end - marks.start)
+        }
+      });
+    };
+
+    const timer = setTimeout(() => {
+      if (stream) stream.close(http2.constants.NGHTTP2_CANCEL);
+      complete(4, 'Deadline exceeded');
+    }, timeout);
+
+    session.on('error', (error) => finish(error));
+
+    const headers = {
+      ':method': 'POST',
+      ':path': path,
+      'content-type': 'application/grpc+proto',
+      te: 'trailers',
+      'grpc-accept-encoding': 'identity,gzip,deflate',
+      'grpc-timeout': `${Math.max(1, Math.round(timeout))}m`
+    };
+    metadata.forEach(({ key, value }) => {
+      const name = String(key || '').trim().toLowerCase();
+      if (!name || name.startsWith(':') || name === 'content-type' || name === 'te') return;
+      headers[name] = headers[name] !== undefined ? [].concat(headers[name], String(value)) : String(value);
+    });
+
+    try {
+      stream = session.request(headers);
+    } catch (error) {
+      finish(error);
+      return;
+    }
+    if (id) activeCalls.set(id, stream);
+
+    stream.on('response', (received) => {
+      marks.response = performance.now();
+      responseHeaders = received;
+    });
+
+    stream.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 5) {
+        const length = buffer.readUInt32BE(1);
+        if (buffer.length < 5 + length) break;
+
+        let frame = buffer.subarray(5, 5 + length);
+        if (buffer[0] === 1) {
+          frame = decompress(frame, responseHeaders['grpc-encoding']);
+        }
+        buffer = buffer.subarray(5 + length);
+
+        frames.push(frame);
+        if (onFrame) {
+          try {
+            onFrame(frame);
+          } catch (error) {
+            stream.close(http2.constants.NGHTTP2_CANCEL);
+            finish(error);
+            return;
+          }
+        }
+      }
+    });
+
+    stream.on('trailers', (received) => {
+      trailers = received;
+    });
+
+    // Connection failures surface as a cancelled stream; report the underlying cause
+    stream.on('error', (error) => finish(error.cause || error));
+
+    stream.on('close', () => {
+      if (stream.cancelledByUser) {
+        complete(1, 'Cancelled by user');
+        return;
+      }
+
+      // Trailers-only responses carry the status in the headers
+      const status = trailers['grpc-status'] !== undefined ? trailers['grpc-status'] : responseHeaders['grpc-status'];
+      const statusMessage = trailers['grpc-message'] !== undefined ? trailers['grpc-message'] : responseHeaders['grpc-message'];
+
+      if (status === undefined) {
+        const httpStatus = responseHeaders[':status'];
+        complete(httpStatus && httpStatus !== 200 ? httpStatusToGrpc(httpStatus) : 2,
+          httpStatus && httpStatus !== 200 ? `HTTP ${httpStatus}` : 'No grpc-status in response');
+        return;
+      }
+
+      complete(parseInt(status, 10), decodeStatusMessage(statusMessage));
+    });
+
+    stream.end(frameMessage(requestBytes));
+  });
+}
+
+function frameMessage(bytes) {
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(bytes.length, 1);
+  return Buffer.concat([header, bytes]);
+}
+
+function decompress(frame, encoding) {
+  switch (String(encoding || '').toLowerCase()) {
+    case 'gzip':
+      return zlib.gunzipSync(frame);
+    case 'deflate':
+      return zlib.inflateSync(frame);
+    default:
+      throw new Error(`Unsupported message encoding: ${encoding || 'none'}`);
+  }
+}
+
+// grpc://host:port is plaintext, grpcs:// uses TLS; a bare host:port is plaintext
+function toOrigin(url) {
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `grpc://${url}`;
+  let target;
+  try {
+    target = new URL(withScheme);
+  } catch (error) {
+    throw new Error(`Invalid server address: ${url}`);
+  }
+
+  const schemes = { 'grpc:': 'http:', 'http:': 'http:', 'grpcs:': 'https:', 'https:': 'https:' };
+  if (!schemes[target.protocol]) {
+    throw new Error(`Unsupported protocol: ${target.protocol} (use grpc:// or grpcs://)`);
+  }
+  return `${schemes[target.protocol]}//${target.host}`;
+}
+
+function parseMessage(text) {
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Request message is not valid JSON: ${error.message}`);
+  }
+}
+
+function stripPseudoHeaders(headers) {
+  const result = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (!name.startsWith(':')) result[name] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+  return result;
+}
+
+function decodeStatusMessage(message) {
+  if (!message) return '';
+  try {
+    return decodeURIComponent(message);
+  } catch (error) {
+    return message;
+  }
+}
+
+// https://github.com/grpc/grpc/blob/master/doc/http-grpc-status-mapping.md
+function httpStatusToGrpc(status) {
+  switch (status) {
+    case 400: return 13;
+    case 401: return 16;
+    case 403: return 7;
+    case 404: return 12;
+    case 429:
+    case 502:
+    case 503:
+    case 504: return 14;
+    default: return 2;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  invoke,
+  cancelCall,
+  reflect,
+  STATUS_NAMES,
+  DEFAULT_TIMEOUT
+};
@@ -0,0 +1,472 @@
+// HTTP client for the main process - sends requests with Node's http/https stack
+// so the renderer is not subject to CORS or forbidden-header restrictions.
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { performance } = require('perf_hooks');
+const signing = require('./request-signing');
+const cookieJar = require('./cookie-jar');
+const tlsCertificates = require('./tls-certificates');
+const proxySupport = require('./proxy');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_MAX_REDIRECTS = 10;
+
+// In-flight requests by renderer-supplied id, so they can be cancelled
+const activeRequests = new Map();
+
+// onStream(update) receives { type: 'start' | 'chunk', ... } for streaming responses
+async function sendRequest(options = {}, { onStream = null } = {}) {
+  const {
+    id = null,
+    method = 'GET',
+    url,
+    headers = [],
+    body = null,
+    timeout = DEFAULT_TIMEOUT,
+    followRedirects = true,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    rejectUnauthorized = true,
+    auth = null,
+    cookies = null,
+    certificates = null,
+    proxy = null
+  } = options;
+
+  if (!url) {
+    throw new Error('Request URL is required');
+  }
+
+  const started = performance.now();
+  const redirects = [];
+  let current = { method: method.toUpperCase(), url, headers, body };
+
+  const origin = originOf(url);
+
+  // When a jar is passed, every hop sends its matching cookies and stores its Set-Cookie headers
+  let jar = Array.isArray(cookies) ? cookies : null;
+
+  for (;;) {
+    const withCookies = jar ? addJarCookies(current, jar) : current;
+
+    // Signed auth is recomputed for every hop but never sent to another origin
+    const outgoing = auth && originOf(current.url) === origin
+      ? signing.signRequest(withCookies, auth, toBuffer(withCookies.body))
+      : withCookies;
+    const response = await performRequest(id, outgoing, { timeout, rejectUnauthorized, certificates, proxy, onStream });
+
+    if (jar) {
+      jar = cookieJar.storeCookies(jar, response.rawHeaders, current.url);
+    }
+
+    // Digest: answer the server's challenge once, then report whatever comes back.
+    // Like signed auth, credentials only go to the origin the request was sent to.
+    if (auth && auth.type === 'digest' && response.status === 401 && !current.digestAnswered &&
+        originOf(current.url) === origin) {
+      const challenge = signing.findDigestChallenge(response.rawHeaders);
+      if (challenge) {
+        const authorization = signing.digestAuthorization(current, auth, challenge, toBuffer(current.body));
+        current = {
+          ...signing.withHeaders(current, [{ key: 'Authorization', value: authorization }]),
+          digestAnswered: true
+        };
+        continue;
+      }
+    }
+
+    const location = response.headers.location;
+    if (followRedirects && isRedirect(response.status) && location) {
+      if (redirects.length >= maxRedirects) {
+        throw new Error(`Maximum redirects (${maxRedirects}) exceeded`);
+      }
+
+      redirects.push({
+        url: current.url,
+        status: response.status,
+        statusText: response.statusText,
+        location
+      });
+
+      current = buildRedirectRequest(current, response.status, location);
+      continue;
+    }
+
+    response.redirects = redirects;
+    if (jar) response.cookies = jar;
+    response.timings.total = round(performance.now() - started);
+    return response;
+  }
+}
+
+function cancelRequest(id) {
+  const req = activeRequests.get(id);
+  if (!req) return false;
+
+  // A streaming response that is cancelled still resolves with what arrived so far
+  req.cancelled = true;
+  req.destroy(new Error('Request cancelled'));
+  activeRequests.delete(id);
+  return true;
+}
+
+function performRequest(id, request, { timeout, rejectUnauthorized, certificates, proxy, onStream }) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(request.url);
+    } catch (error) {
+      reject(new Error(`Invalid URL: ${request.url}`));
+      return;
+    }
+
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      reject(new Error(`Unsupported protocol: ${target.protocol}`));
+      return;
+    }
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const bodyBuffer = toBuffer(request.body);
+    const headers = buildHeaders(request.headers, bodyBuffer);
+
+    const marks = { start: performance.now() };
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (id) activeRequests.delete(id);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    // A fresh connection per request keeps the timing phases meaningful
+    const requestOptions = {
+      method: request.method,
+      headers,
+      agent: false
+    };
+    if (target.protocol === 'https:') {
+      // Turned off per request for self-signed development servers
+      requestOptions.rejectUnauthorized = rejectUnauthorized !== false;
+
+      // Each redirect hop picks the client certificate for its own host
+      try {
+        Object.assign(requestOptions, tlsCertificates.tlsOptionsFor(request.url, certificates));
+      } catch (error) {
+        reject(error);
+        return;
+      }
+    }
+
+    // The bypass list is checked for every hop
+    const viaProxy = proxySupport.proxyFor(request.url, proxy);
+    const route = viaProxy
+      ? proxySupport.routeRequest(target, requestOptions, viaProxy, { timeout })
+      : { transport, url: target };
+
+    const req = route.transport.request(route.url, requestOptions);
+
+    if (id) activeRequests.set(id, req);
+
+    const timer = setTimeout(() => {
+      req.destroy(new Error('Request timeout'));
+    }, timeout);
+
+    req.on('socket', (socket) => {
+      marks.socket = performance.now();
+      socket.once('lookup', () => { marks.lookup = performance.now(); });
+      socket.once('connect', () => { marks.connect = performance.now(); });
+      socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+    });
+
+    req.on('response', (res) => {
+      marks.response = performance.now();
+
+      if (onStream && isStreamingResponse(res)) {
+        streamResponse(res);
+        return;
+      }
+
+      const chunks = [];
+
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('error', (error) => finish(error));
+      res.on('end', () => {
+        marks.end = performance.now();
+
+        const encoded = Buffer.concat(chunks);
+        const rawHeaders = pairRawHeaders(res.rawHeaders);
+
+        finish(null, {
+          status: res.statusCode,
+          statusText: res.statusMessage || '',
+          httpVersion: res.httpVersion,
+          headers: collapseHeaders(rawHeaders),
+          rawHeaders,
+          body: decodeBody(encoded, res.headers['content-encoding']),
+          encodedSize: encoded.length,
+          headerSizes: measureHeaders(req, res),
+          proxy: proxySupport.describeProxy(viaProxy),
+          url: request.url,
+          timings: computeTimings(marks)
+        });
+      });
+    });
+
+    // Streams may stay open indefinitely, so the timeout only covers the headers
+    let streamResult = null;
+    const streamResponse = (res) => {
+      clearTimeout(timer);
+
+      const rawHeaders = pairRawHeaders(res.rawHeaders);
+      const chunks = [];
+      let encodedSize = 0;
+
+      streamResult = (cancelled) => {
+        marks.end = performance.now();
+        finish(null, {
+          status: res.statusCode,
+          statusText: res.statusMessage || '',
+          httpVersion: res.httpVersion,
+          headers: collapseHeaders(rawHeaders),
+          rawHeaders,
+          body: Buffer.concat(chunks),
+          encodedSize,
+          headerSizes: measureHeaders(req, res),
+          proxy: proxySupport.describeProxy(viaProxy),
+          url: request.url,
+          timings: computeTimings(marks),
+          streamed: true,
+          cancelled
+        });
+      };
+
+      onStream({
+        type: 'start',
+        status: res.statusCode,
+        statusText: res.statusMessage || '',
+        headers: collapseHeaders(rawHeaders)
+      });
+
+      res.on('data', (chunk) => { encodedSize += chunk.length; });
+
+      const decoded = createDecoder(res, res.headers['content-encoding']);
+      decoded.on('data', (chunk) => {
+        chunks.push(chunk);
+        onStream({ type: 'chunk', data: chunk });
+      });
+      decoded.on('end', () => streamResult(false));
+      decoded.on('error', (error) => (req.cancelled ? streamResult(true) : finish(error)));
+      res.on('error', (error) => (req.cancelled ? streamResult(true) : finish(error)));
+      res.on('aborted', () => {
+        if (req.cancelled) streamResult(true);
+      });
+    };
+
+    req.on('error', (error) => (req.cancelled && streamResult ? streamResult(true) : finish(error)));
+
+    if (bodyBuffer) {
+      req.write(bodyBuffer);
+    }
+    req.end();
+  });
+}
+
+function buildHeaders(headerList, bodyBuffer) {
+  const headers = {};
+
+  (headerList || []).forEach(({ key, value }) => {
+    if (!key) return;
+    // Repeated headers are sent as multiple lines
+    if (headers[key] !== undefined) {
+      headers[key] = [].concat(headers[key], String(value));
+    } else {
+      headers[key] = String(value);
+    }
+  });
+
+  const hasLength = Object.keys(headers).some(key => key.toLowerCase() === 'content-length');
+  if (bodyBuffer && !hasLength) {
+    headers['Content-Length'] = bodyBuffer.length;
+  }
+
+  return headers;
+}
+
+function toBuffer(body) {
+  if (body === null || body === undefined || body === '') return null;
+  if (Buffer.isBuffer(body)) return body;
+  if (body instanceof Uint8Array) return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  if (body instanceof ArrayBuffer) return Buffer.from(body);
+  return Buffer.from(String(body), 'utf8');
+}
+
+// Node gives a flat [name, value, name, value...] list
+function pairRawHeaders(raw) {
+  const pairs = [];
+  for (let i = 0; i < raw.length; i += 2) {
+    pairs.push([raw[i], raw[i + 1]]);
+  }
+  return pairs;
+}
+
+function collapseHeaders(rawHeaders) {
+  const headers = {};
+  rawHeaders.forEach(([name, value]) => {
+    const key = name.toLowerCase();
+    headers[key] = headers[key] !== undefined ? `${headers[key]}, ${value}` : value;
+  });
+  return headers;
+}
+
+function decodeBody(buffer, encoding) {
+  if (!encoding || buffer.length === 0) return buffer;
+
+  try {
+    switch (encoding.trim().toLowerCase()) {
+      case 'gzip':
+      case 'x-gzip':
+        return zlib.gunzipSync(buffer);
+      case 'deflate':
+        try {
+          return zlib.inflateSync(buffer);
+        } catch (error) {
+          return zlib.inflateRawSync(buffer);
+        }
+      case 'br':
+        return zlib.brotliDecompressSync(buffer);
+      default:
+        return buffer;
+    }
+  } catch (error) {
+    console.warn('Failed to decode response body:', error.message);
+    return buffer;
+  }
+}
+
+// Event streams, NDJSON and chunked bodies of unknown length are passed on as they arrive
+function isStreamingResponse(res) {
+  if (isRedirect(res.statusCode)) return false;
+
+  const contentType = String(res.headers['content-type'] || '').toLowerCase();
+  if (/text\/event-stream|application\/(x-)?ndjson|application\/jsonl|application\/stream\+json/.test(contentType)) {
+    return true;
+  }
+
+  const chunked = /chunked/i.test(res.headers['transfer-encoding'] || '');
+  return chunked && res.headers['content-length'] === undefined;
+}
+
+function createDecoder(res, encoding) {
+  switch (String(encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return res.pipe(zlib.createGunzip());
+    case 'deflate':
+      return res.pipe(zlib.createInflate());
+    case 'br':
+      return res.pipe(zlib.createBrotliDecompress());
+    default:
+      return res;
+  }
+}
+
+// Bytes on the wire for the request and response heads (HTTP/1.1 framing included)
+function measureHeaders(req, res) {
+  // _header is the serialized request head Node wrote to the socket
+  const request = typeof req._header === 'string' ? Buffer.byteLength(req._header) : 0;
+
+  let response = Buffer.byteLength(`HTTP/${res.httpVersion} ${res.statusCode} ${res.statusMessage || ''}\r\n\r\n`);
+  for (let i = 0; i < res.rawHeaders.length; i += 2) {
+    response += Buffer.byteLength(`${res.rawHeaders[i]}: ${res.rawHeaders[i + 1]}\r\n`);
+  }
+
+  return { request, response };
+}
+
+function computeTimings(marks) {
+  const connectStart = marks.lookup || marks.socket || marks.start;
+  const requestSent = marks.secureConnect || marks.connect || marks.socket || marks.start;
+
+  return {
+    // Time before a socket was assigned (request setup)
+    blocked: round((marks.socket || marks.start) - marks.start),
+    dns: marks.lookup ? round(marks.lookup - (marks.socket || marks.start)) : 0,
+    tcp: marks.connect ? round(marks.connect - connectStart) : 0,
+    // Through a proxy tunnel the socket arrives connected, so TLS starts when it is assigned
+    tls: marks.secureConnect ? round(marks.secureConnect - (marks.connect || marks.socket || marks.start)) : 0,
+    firstByte: round(marks.response - requestSent),
+    download: round(marks.end - marks.response),
+    total: round(marks.end - marks.start)
+  };
+}
+
+function isRedirect(status) {
+  return [301, 302, 303, 307, 308].includes(status);
+}
+
+function buildRedirectRequest(previous, status, location) {
+  const nextUrl = new URL(location, previous.url).toString();
+  const sameOrigin = new URL(nextUrl).origin === new URL(previous.url).origin;
+
+  // 303, and 301/302 after a POST, switch to GET without a body (as browsers do)
+  const dropBody = status === 303 || ((status === 301 || status === 302) && previous.method === 'POST');
+  const method = dropBody && previous.method !== 'HEAD' ? 'GET' : previous.method;
+
+  const headers = (previous.headers || []).filter(({ key }) => {
+    const name = String(key).toLowerCase();
+    if (name === 'host') return false;
+    if (dropBody && (name === 'content-type' || name === 'content-length')) return false;
+    // Do not leak credentials to another origin
+    if (!sameOrigin && (name === 'authorization' || name === 'cookie')) return false;
+    return true;
+  });
+
+  return {
+    method,
+    url: nextUrl,
+    headers,
+    body: dropBody ? null : previous.body
+  };
+}
+
+// Cookies set on the request itself win over jar cookies with the same name
+function addJarCookies(request, jar) {
+  const fromJar = cookieJar.getCookieHeader(jar, request.url);
+  if (!fromJar) return request;
+
+  const explicit = (request.headers || []).find(({ key }) => String(key).toLowerCase() === 'cookie');
+  if (!explicit) {
+    return { ...request, headers: (request.headers || []).concat({ key: 'Cookie', value: fromJar }) };
+  }
+
+  const names = String(explicit.value).split(';').map(pair => pair.split('=')[0].trim());
+  const extra = fromJar.split('; ').filter(pair => !names.includes(pair.split('=')[0]));
+  if (extra.length === 0) return request;
+
+  return signing.withHeaders(request, [{ key: 'Cookie', value: [explicit.value].concat(extra).join('; ') }]);
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  sendRequest,
+  cancelRequest,
+  DEFAULT_TIMEOUT,
+  DEFAULT_MAX_REDIRECTS
+};
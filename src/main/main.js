@@ -1,7 +1,16 @@
 const { app, BrowserWindow, Menu, dialog, shell, ipcMain } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const os = require('os');
+const httpClient = require('./http-client');
+const scriptRunner = require('./script-runner');
+const oauth2 = require('./oauth2');
+const websocketClient = require('./websocket-client');
+const grpcClient = require('./grpc-client');
+const protobuf = require('./protobuf');
+const mockServer = require('./mock-server');
+const secretStore = require('./secret-store');
 // Keep a global reference of the window object
 let mainWindow;
 let isDev = process.argv.includes('--dev');
@@ -466,15 +475,52 @@ ipcMain.handle('save-file', async (event, filePath, content) => {
   }
 });
 
-ipcMain.handle('read-file', async (event, filePath) => {
+// Binary request bodies ask for 'base64' so the bytes survive the IPC hop
+ipcMain.handle('read-file', async (event, filePath, encoding = 'utf8') => {
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
+    const content = fs.readFileSync(filePath, encoding === 'base64' ? 'base64' : 'utf8');
     return { success: true, content };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+// PDF responses open in their own sandboxed window - the only one with Chromium's PDF viewer
+// (plugins) enabled, so the main window never gets plugin access
+ipcMain.handle('pdf-preview', (event, base64, title = 'PDF Preview') => {
+  try {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'posterboy-pdf-'));
+    const filePath = path.join(directory, 'response.pdf');
+    fs.writeFileSync(filePath, Buffer.from(String(base64), 'base64'));
+
+    const previewWindow = new BrowserWindow({
+      width: 900,
+      height: 1000,
+      parent: BrowserWindow.fromWebContents(event.sender) || undefined,
+      title: String(title),
+      autoHideMenuBar: true,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        plugins: true,
+        partition: 'pdf-preview' // In memory, shares no cookies or storage with the app
+      }
+    });
+
+    previewWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+    previewWindow.webContents.on('will-navigate', (navigationEvent) => navigationEvent.preventDefault());
+    previewWindow.on('closed', () => {
+      fs.rm(directory, { recursive: true, force: true }, () => {});
+    });
+    previewWindow.loadFile(filePath);
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('app-version', () => {
   return app.getVersion();
 });
@@ -482,6 +528,201 @@ ipcMain.handle('app-version', () => {
 ipcMain.handle('platform', () => {
   return process.platform;
 });
+
+// HTTP transport - requests are sent from the main process to bypass CORS
+ipcMain.handle('http-request', async (event, options) => {
+  // Streaming responses are pushed to the renderer chunk by chunk as well
+  const sender = event.sender;
+  const onStream = options.stream && options.id
+    ? (update) => {
+        if (!sender.isDestroyed()) sender.send('http-stream', { id: options.id, ...update });
+      }
+    : null;
+
+  try {
+    const response = await httpClient.sendRequest(options, { onStream });
+    return { success: true, response };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+ipcMain.handle('http-request-cancel', (event, requestId) => {
+  return httpClient.cancelRequest(requestId);
+});
+
+// OAuth 2.0 - the authorization code step opens a login window owned by the caller's window
+ipcMain.handle('oauth2-token', async (event, config) => {
+  try {
+    const token = config.grantType === 'authorization_code'
+      ? await oauth2.authorizationCode(config, BrowserWindow.fromWebContents(event.sender))
+      : await oauth2.tokenGrant(config);
+    return { success: true, token };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('oauth2-refresh', async (event, config, refreshToken) => {
+  try {
+    const token = await oauth2.refreshToken(config, refreshToken);
+    return { success: true, token };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Pre-request and test scripts run in a vm sandbox, away from the renderer
+ipcMain.handle('run-script', async (event, options) => {
+  try {
+    const result = await scriptRunner.runScript(options);
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// WebSocket connections - frames and state changes are pushed back as 'websocket-event'
+ipcMain.handle('websocket-connect', (event, options) => {
+  const sender = event.sender;
+  try {
+    websocketClient.connect(options.id, options, (update) => {
+      if (!sender.isDestroyed()) {
+        sender.send('websocket-event', { id: options.id, ...update });
+      }
+    });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('websocket-send', (event, connectionId, message) => {
+  try {
+    const size = websocketClient.send(connectionId, message);
+    return { success: true, size };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('websocket-close', (event, connectionId, code, reason) => {
+  try {
+    return { success: true, closed: websocketClient.close(connectionId, code, reason) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// gRPC - .proto sources are read by the renderer; their imports are resolved from disk here
+ipcMain.handle('grpc-load-proto', (event, sources) => {
+  try {
+    const { schema, warnings } = protobuf.loadSources(sources);
+    return { success: true, schema, warnings };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('grpc-reflect', async (event, options) => {
+  try {
+    const schema = await grpcClient.reflect(options);
+    return { success: true, schema };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('grpc-invoke', async (event, options) => {
+  // Server-streaming messages are pushed to the renderer as they arrive
+  const sender = event.sender;
+  const onMessage = options.id
+    ? (message) => {
+        if (!sender.isDestroyed()) sender.send('grpc-message', { id: options.id, message });
+      }
+    : null;
+
+  try {
+    const response = await grpcClient.invoke(options, { onMessage });
+    delete response.frames;
+    return { success: true, response };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+ipcMain.handle('grpc-cancel', (event, callId) => {
+  return grpcClient.cancelCall(callId);
+});
+
+// Mock server - every incoming call is pushed to the renderer's log as 'mock-request'
+ipcMain.handle('mock-start', async (event, options) => {
+  const sender = event.sender;
+  try {
+    const { port, host } = await mockServer.start(options, (entry) => {
+      if (!sender.isDestroyed()) sender.send('mock-request', entry);
+    });
+    return { success: true, port, host };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mock-update', (event, routes, latency) => {
+  try {
+    mockServer.update(routes, latency);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mock-stop', async () => {
+  await mockServer.stop();
+  return { success: true };
+});
+
+ipcMain.handle('mock-status', () => {
+  return { success: true, ...mockServer.status() };
+});
+
+// Secret variables - encrypted with the OS keychain, never written to localStorage
+ipcMain.handle('secrets-load', (event, store) => {
+  try {
+    return { success: true, secrets: secretStore.load(store) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('secrets-save', (event, secrets, store) => {
+  try {
+    secretStore.save(secrets, store);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Hash and HMAC template functions - synchronous because variable replacement in the renderer is
+// synchronous and cannot await an invoke round trip
+const DIGEST_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha384', 'sha512'];
+ipcMain.on('digest-sync', (event, options = {}) => {
+  try {
+    const algorithm = String(options.algorithm || 'sha256').toLowerCase().replace('-', '');
+    const encoding = options.encoding === 'base64' ? 'base64' : 'hex';
+    if (!DIGEST_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unsupported algorithm "${options.algorithm}" - use ${DIGEST_ALGORITHMS.join(', ')}`);
+    }
+
+    const digest = options.key === undefined
+      ? crypto.createHash(algorithm)
+      : crypto.createHmac(algorithm, String(options.key));
+    event.returnValue = { success: true, digest: digest.update(String(options.data || '')).digest(encoding) };
+  } catch (error) {
+    event.returnValue = { success: false, error: error.message };
+  }
+});
 // Add these IPC handlers to your existing main.js file
 // Place them after your existing IPC handlers
 
@@ -848,7 +1089,8 @@ ipcMain.handle('get-network-status', () => {
 // Cleanup function to be called when app is closing
 function cleanup() {
   console.log('Cleaning up main process...');
-  // Add any cleanup logic here
+  websocketClient.closeAll();
+  mockServer.stop();
 }
 
 // Add cleanup to app events
@@ -0,0 +1,359 @@
+// Mock server for the main process - serves the saved examples of a collection on a local port.
+// Routes are built by the renderer; matching, templating and latency happen here for every call.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_BODY_SIZE = 1024 * 1024; // Request bodies beyond this are not available to templates
+const DEFAULT_PORT = 3001;
+
+// Hop-by-hop and encoding headers of the recorded response do not describe the body we send
+const SKIPPED_HEADERS = ['content-length', 'transfer-encoding', 'content-encoding', 'connection', 'keep-alive'];
+
+let server = null;
+let state = null; // { port, host, routes, latency, emit }
+
+// routes: [{ id, name, method, path, query: [{ key, value }], headers: [{ key, value }], delay,
+//            response: { status, statusText, headers, body } }]
+// emit(entry) receives a log entry for every call
+function start(options = {}, emit = () => {}) {
+  if (server) {
+    return Promise.reject(new Error(`The mock server is already running on port ${state.port}`));
+  }
+
+  const port = options.port === undefined ? DEFAULT_PORT : Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    return Promise.reject(new Error(`Invalid port: ${options.port}`));
+  }
+  const host = options.host || '127.0.0.1';
+
+  const instance = http.createServer((req, res) => handle(req, res));
+  return new Promise((resolve, reject) => {
+    instance.once('error', (error) => {
+      reject(error.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : error);
+    });
+    instance.listen(port, host, () => {
+      server = instance;
+      state = { port: instance.address().port, host, emit, routes: [], latency: { min: 0, max: 0 } };
+      update(options.routes, options.latency);
+      resolve({ port: state.port, host });
+    });
+  });
+}
+
+// Swaps the routes and latency of the running server
+function update(routes, latency) {
+  if (!state) throw new Error('The mock server is not running');
+  if (routes) state.routes = routes.map((route, index) => ({ ...route, index, segments: compilePath(route.path) }));
+  if (latency) state.latency = normalizeLatency(latency);
+}
+
+function stop() {
+  if (!server) return Promise.resolve();
+
+  const instance = server;
+  server = null;
+  state = null;
+  return new Promise(resolve => {
+    instance.close(() => resolve());
+    // Keep-alive connections would hold close() open
+    if (instance.closeAllConnections) instance.closeAllConnections();
+  });
+}
+
+function status() {
+  return state
+    ? { running: true, port: state.port, host: state.host, routes: state.routes.length }
+    : { running: false };
+}
+
+function handle(req, res) {
+  const started = Date.now();
+  const current = state;
+  const chunks = [];
+  let size = 0;
+
+  // Accepted just as stop() ran
+  if (!current) {
+    sendError(res, 503, 'The mock server is stopping');
+    return;
+  }
+
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+  });
+  req.on('end', () => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://mock.local');
+    } catch (error) {
+      sendError(res, 400, `Invalid request URL: ${req.url}`);
+      return;
+    }
+
+    const body = size <= MAX_BODY_SIZE ? Buffer.concat(chunks).toString('utf8') : '';
+    const match = findRoute(current.routes, req.method, url, req.headers);
+    const delay = match && typeof match.route.delay === 'number' && match.route.delay >= 0
+      ? match.route.delay
+      : randomBetween(current.latency.min, current.latency.max);
+
+    setTimeout(() => {
+      let reply;
+      try {
+        reply = match
+          ? buildReply(match, { method: req.method, url, headers: req.headers, body })
+          : notFound(req.method, url);
+
+        if (!res.destroyed) {
+          res.writeHead(reply.status, reply.statusText || undefined, reply.headers);
+          res.end(req.method === 'HEAD' ? undefined : reply.body);
+        }
+      } catch (error) {
+        // A recorded status or header Node refuses to send
+        reply = { status: 500 };
+        sendError(res, 500, `Mock response could not be sent: ${error.message}`);
+      }
+
+      // The server may have been stopped during the delay
+      if (state !== current) return;
+
+      current.emit({
+        id: crypto.randomUUID(),
+        time: new Date(started).toISOString(),
+        method: req.method,
+        path: `${url.pathname}${url.search}`,
+        status: reply.status,
+        route: match ? match.route.name : null,
+        params: match ? match.params : {},
+        duration: Date.now() - started
+      });
+    }, delay);
+  });
+}
+
+// Plain JSON error reply; drops the connection when the headers already went out
+function sendError(res, status, message) {
+  if (res.destroyed) return;
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+
+  const body = Buffer.from(JSON.stringify({ error: message }));
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': body.length });
+  res.end(body);
+}
+
+// Matching routes ranked by literal path segments, then by the number of query/header rules.
+// The x-mock-response-name and x-mock-response-code headers pick an example explicitly.
+function findRoute(routes, method, url, headers) {
+  const wantedName = headers['x-mock-response-name'];
+  const wantedCode = headers['x-mock-response-code'];
+
+  const matches = routes
+    .filter(route => String(route.method || 'GET').toUpperCase() === method ||
+      (method === 'HEAD' && String(route.method || 'GET').toUpperCase() === 'GET'))
+    .map(route => ({ route, params: matchPath(route.segments, url.pathname) }))
+    .filter(({ route, params }) => params &&
+      matchesRules(route.query, (key) => url.searchParams.getAll(key)) &&
+      matchesRules(route.headers, (key) => {
+        const value = headers[String(key).toLowerCase()];
+        return value === undefined ? [] : [].concat(value);
+      }) &&
+      (!wantedName || route.name === wantedName || route.exampleName === wantedName) &&
+      (!wantedCode || String(route.response.status) === String(wantedCode)));
+
+  matches.sort((a, b) =>
+    literalCount(b.route.segments) - literalCount(a.route.segments) ||
+    ruleCount(b.route) - ruleCount(a.route) ||
+    a.route.index - b.route.index);
+
+  return matches[0] || null;
+}
+
+// "/users/:id", "/users/{id}" and "/users/{{id}}" all capture id; a trailing "*" matches the rest
+function compilePath(path) {
+  return String(path || '/')
+    .split('?')[0]
+    .split('/')
+    .filter(Boolean)
+    .map(segment => {
+      const param = segment.match(/^:(.+)$/) || segment.match(/^{{\s*(.+?)\s*}}$/) || segment.match(/^{(.+)}$/);
+      if (param) return { param: param[1] };
+      if (segment === '*') return { wildcard: true };
+      return { literal: safeDecode(segment) };
+    });
+}
+
+function matchPath(segments, pathname) {
+  const parts = pathname.split('/').filter(Boolean).map(safeDecode);
+  const params = {};
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (segment.wildcard && i === segments.length - 1) {
+      params['*'] = parts.slice(i).join('/');
+      return params;
+    }
+    if (i >= parts.length) return null;
+    if (segment.param) {
+      params[segment.param] = parts[i];
+    } else if (!segment.wildcard && segment.literal !== parts[i]) {
+      return null;
+    }
+  }
+
+  return parts.length === segments.length ? params : null;
+}
+
+// A rule without a value only requires the key to be present
+function matchesRules(rules, lookup) {
+  return (rules || []).every(rule => {
+    if (!rule || !rule.key) return true;
+    const values = lookup(rule.key);
+    return rule.value === undefined || rule.value === '' ? values.length > 0 : values.includes(String(rule.value));
+  });
+}
+
+function literalCount(segments) {
+  return segments.filter(segment => segment.literal !== undefined).length;
+}
+
+function ruleCount(route) {
+  return (route.query || []).length + (route.headers || []).length;
+}
+
+function buildReply({ route, params }, request) {
+  const context = { ...request, params };
+  const headers = {};
+
+  Object.entries(route.response.headers || {}).forEach(([name, value]) => {
+    if (!SKIPPED_HEADERS.includes(name.toLowerCase())) {
+      // Templated values come from the client - a CR or LF would split the header
+      headers[name] = renderTemplate(String(value), context).replace(/[\r\n]+/g, ' ');
+    }
+  });
+  if (!Object.keys(headers).some(name => name.toLowerCase() === 'access-control-allow-origin')) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  }
+
+  const body = Buffer.from(renderTemplate(route.response.body || '', context), 'utf8');
+  headers['Content-Length'] = body.length;
+
+  return {
+    status: Number(route.response.status) || 200,
+    statusText: route.response.statusText,
+    headers,
+    body
+  };
+}
+
+function notFound(method, url) {
+  // Browsers preflight cross-origin calls - let them through to the real route
+  if (method === 'OPTIONS') {
+    return {
+      status: 204,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+        'Access-Control-Allow-Headers': '*',
+        'Content-Length': 0
+      },
+      body: Buffer.alloc(0)
+    };
+  }
+
+  const body = Buffer.from(JSON.stringify({ error: `No example matches ${method} ${url.pathname}${url.search}` }));
+  return {
+    status: 404,
+    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', 'Content-Length': body.length },
+    body
+  };
+}
+
+// {{request.params.id}}, {{request.query.page}}, {{request.headers.x-tenant}}, {{request.body.user.name}},
+// {{request.method}}, {{request.path}} and {{$guid}}, {{$randomUUID}}, {{$timestamp}}, {{$isoTimestamp}},
+// {{$randomInt}}; anything else is left as written
+function renderTemplate(text, context) {
+  return text.replace(/{{\s*([^{}]+?)\s*}}/g, (match, expression) => {
+    const value = resolveTemplateValue(expression, context);
+    if (value === undefined) return match;
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+  });
+}
+
+function resolveTemplateValue(expression, context) {
+  switch (expression) {
+    case '$guid':
+    case '$randomUUID':
+      return crypto.randomUUID();
+    case '$timestamp':
+      return Math.floor(Date.now() / 1000);
+    case '$isoTimestamp':
+      return new Date().toISOString();
+    case '$randomInt':
+      return Math.floor(Math.random() * 1001);
+    case 'request.method':
+      return context.method;
+    case 'request.path':
+      return context.url.pathname;
+    default:
+      break;
+  }
+
+  const [source, ...path] = expression.split('.');
+  if (source !== 'request' || path.length < 2) return undefined;
+
+  const [kind, ...rest] = path;
+  const key = rest.join('.');
+  switch (kind) {
+    case 'params':
+      return context.params[key];
+    case 'query':
+      return context.url.searchParams.has(key) ? context.url.searchParams.get(key) : undefined;
+    case 'headers': {
+      const value = context.headers[key.toLowerCase()];
+      return Array.isArray(value) ? value.join(', ') : value;
+    }
+    case 'body': {
+      let json;
+      try {
+        json = JSON.parse(context.body);
+      } catch (error) {
+        return undefined;
+      }
+      return rest.reduce((value, part) => (value !== null && value !== undefined ? value[part] : undefined), json);
+    }
+    default:
+      return undefined;
+  }
+}
+
+function normalizeLatency(latency) {
+  const min = Math.max(0, Number(latency.min) || 0);
+  const max = Math.max(min, Number(latency.max) || 0);
+  return { min, max };
+}
+
+function randomBetween(min, max) {
+  return max > min ? min + Math.floor(Math.random() * (max - min + 1)) : min;
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+module.exports = {
+  start,
+  update,
+  stop,
+  status,
+  compilePath,
+  matchPath,
+  renderTemplate
+};
@@ -0,0 +1,242 @@
+// OAuth 2.0 support for the main process - runs the authorization code flow in a
+// BrowserWindow and exchanges grants for tokens without renderer CORS limits.
+
+const { BrowserWindow } = require('electron');
+const crypto = require('crypto');
+const httpClient = require('./http-client');
+
+const AUTH_WINDOW_PARTITION = 'persist:oauth2';
+
+// Authorization code grant (optionally with PKCE): open the provider's login page,
+// capture the redirect, then exchange the code for tokens
+async function authorizationCode(config, parent = null) {
+  if (!config.authUrl) throw new Error('Authorization URL is required');
+  if (!config.tokenUrl) throw new Error('Access token URL is required');
+  if (!config.redirectUri) throw new Error('Callback URL is required');
+
+  const state = base64Url(crypto.randomBytes(16));
+  const pkce = config.usePkce ? createPkcePair() : null;
+
+  const authUrl = new URL(config.authUrl);
+  authUrl.searchParams.set('response_type', 'code');
+  authUrl.searchParams.set('client_id', config.clientId || '');
+  authUrl.searchParams.set('redirect_uri', config.redirectUri);
+  authUrl.searchParams.set('state', state);
+  if (config.scope) authUrl.searchParams.set('scope', config.scope);
+  if (config.audience) authUrl.searchParams.set('audience', config.audience);
+  if (pkce) {
+    authUrl.searchParams.set('code_challenge', pkce.challenge);
+    authUrl.searchParams.set('code_challenge_method', 'S256');
+  }
+
+  const callback = await openAuthorizationWindow(authUrl.toString(), config.redirectUri, parent);
+
+  if (callback.error) {
+    throw new Error(`Authorization failed: ${callback.errorDescription || callback.error}`);
+  }
+  if (callback.state !== state) {
+    throw new Error('Authorization failed: state mismatch');
+  }
+  if (!callback.code) {
+    throw new Error('Authorization failed: no code returned');
+  }
+
+  const params = {
+    grant_type: 'authorization_code',
+    code: callback.code,
+    redirect_uri: config.redirectUri
+  };
+  if (pkce) params.code_verifier = pkce.verifier;
+
+  return requestToken(config, params);
+}
+
+// Client credentials, password and refresh token grants go straight to the token endpoint
+function tokenGrant(config) {
+  switch (config.grantType) {
+    case 'client_credentials':
+      return requestToken(config, withOptional({ grant_type: 'client_credentials' }, config));
+    case 'password':
+      return requestToken(config, withOptional({
+        grant_type: 'password',
+        username: config.username || '',
+        password: config.password || ''
+      }, config));
+    case 'refresh_token':
+      return refreshToken(config, config.refreshToken);
+    default:
+      return Promise.reject(new Error(`Unsupported grant type: ${config.grantType}`));
+  }
+}
+
+function refreshToken(config, token) {
+  if (!token) return Promise.reject(new Error('Refresh token is required'));
+  return requestToken(config, withOptional({ grant_type: 'refresh_token', refresh_token: token }, config));
+}
+
+async function requestToken(config, params) {
+  if (!config.tokenUrl) throw new Error('Access token URL is required');
+
+  const headers = [
+    { key: 'Content-Type', value: 'application/x-www-form-urlencoded' },
+    { key: 'Accept', value: 'application/json' }
+  ];
+  const body = new URLSearchParams(params);
+
+  // Client credentials go in a Basic header unless the provider wants them in the body
+  if (config.clientAuthentication === 'body') {
+    body.set('client_id', config.clientId || '');
+    if (config.clientSecret) body.set('client_secret', config.clientSecret);
+  } else if (config.clientSecret) {
+    const credentials = Buffer.from(
+      `${encodeURIComponent(config.clientId || '')}:${encodeURIComponent(config.clientSecret)}`
+    ).toString('base64');
+    headers.push({ key: 'Authorization', value: `Basic ${credentials}` });
+  } else {
+    // Public clients (e.g. PKCE) identify themselves in the body
+    body.set('client_id', config.clientId || '');
+  }
+
+  const response = await httpClient.sendRequest({
+    method: 'POST',
+    url: config.tokenUrl,
+    headers,
+    body: body.toString(),
+    rejectUnauthorized: config.rejectUnauthorized,
+    certificates: config.certificates,
+    proxy: config.proxy
+  });
+
+  const data = parseTokenResponse(response.body.toString('utf8'));
+
+  if (response.status >= 400 || data.error) {
+    const detail = data.error_description || data.error || `${response.status} ${response.statusText}`;
+    throw new Error(`Token request failed: ${detail}`);
+  }
+  if (!data.access_token) {
+    throw new Error('Token request failed: no access_token in response');
+  }
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    tokenType: data.token_type || 'Bearer',
+    expiresIn: data.expires_in ? Number(data.expires_in) : null,
+    scope: data.scope || config.scope || '',
+    idToken: data.id_token || null
+  };
+}
+
+// Scheme, host, port and path must all match - a prefix check would also accept
+// https://app.example.com.evil.test or /callback-other. Protocol and host are compared rather
+// than origin because custom-scheme redirect URIs (myapp://callback) all have a "null" origin.
+function matchesRedirect(targetUrl, redirect) {
+  try {
+    const target = new URL(targetUrl);
+    return target.protocol === redirect.protocol &&
+      target.host === redirect.host &&
+      target.pathname === redirect.pathname;
+  } catch (error) {
+    return false;
+  }
+}
+
+function openAuthorizationWindow(url, redirectUri, parent) {
+  return new Promise((resolve, reject) => {
+    let redirect;
+    try {
+      redirect = new URL(redirectUri);
+    } catch (error) {
+      reject(new Error(`Invalid redirect URI: ${redirectUri}`));
+      return;
+    }
+
+    const authWindow = new BrowserWindow({
+      width: 600,
+      height: 750,
+      parent: parent || undefined,
+      modal: !!parent,
+      title: 'Authorize',
+      autoHideMenuBar: true,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        partition: AUTH_WINDOW_PARTITION
+      }
+    });
+
+    let finished = false;
+
+    const finish = (error, result) => {
+      if (finished) return;
+      finished = true;
+      if (!authWindow.isDestroyed()) authWindow.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    // The provider redirects to the callback URL; intercept it instead of loading it
+    const handleNavigation = (event, targetUrl) => {
+      if (!matchesRedirect(targetUrl, redirect)) return;
+      event.preventDefault();
+
+      const callbackUrl = new URL(targetUrl);
+      // Some providers return parameters in the fragment
+      const params = callbackUrl.hash.length > 1
+        ? new URLSearchParams(callbackUrl.hash.slice(1))
+        : callbackUrl.searchParams;
+
+      finish(null, {
+        code: params.get('code') || callbackUrl.searchParams.get('code'),
+        state: params.get('state') || callbackUrl.searchParams.get('state'),
+        error: params.get('error') || callbackUrl.searchParams.get('error'),
+        errorDescription: params.get('error_description') || callbackUrl.searchParams.get('error_description')
+      });
+    };
+
+    authWindow.webContents.on('will-redirect', handleNavigation);
+    authWindow.webContents.on('will-navigate', handleNavigation);
+    authWindow.on('closed', () => finish(new Error('Authorization window was closed')));
+
+    authWindow.loadURL(url).catch(error => {
+      // A redirect we cancelled also rejects loadURL; only report real failures
+      if (!finished) finish(error);
+    });
+  });
+}
+
+function createPkcePair() {
+  const verifier = base64Url(crypto.randomBytes(32));
+  const challenge = base64Url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+}
+
+function withOptional(params, config) {
+  if (config.scope) params.scope = config.scope;
+  if (config.audience) params.audience = config.audience;
+  return params;
+}
+
+// Most providers answer with JSON, a few still use form encoding
+function parseTokenResponse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const data = {};
+    new URLSearchParams(text).forEach((value, key) => { data[key] = value; });
+    return data;
+  }
+}
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+module.exports = {
+  authorizationCode,
+  tokenGrant,
+  refreshToken
+};
@@ -16,7 +16,56 @@ contextBridge.exposeInMainWorld('electronAPI', {
   showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
   showOpenDialog: (options) => ipcRenderer.invoke('show-open-dialog', options),
   saveFile: (filePath, content) => ipcRenderer.invoke('save-file', filePath, content),
-  readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
+  readFile: (filePath, encoding) => ipcRenderer.invoke('read-file', filePath, encoding),
+  openPdfPreview: (base64, title) => ipcRenderer.invoke('pdf-preview', base64, title),
+
+  // HTTP transport (main process, not subject to CORS)
+  sendHttpRequest: (options) => ipcRenderer.invoke('http-request', options),
+  cancelHttpRequest: (requestId) => ipcRenderer.invoke('http-request-cancel', requestId),
+  onHttpStream: (callback) => {
+    ipcRenderer.on('http-stream', (event, data) => callback(data));
+  },
+
+  // OAuth 2.0 token requests (authorization code flow opens a login window)
+  requestOAuth2Token: (config) => ipcRenderer.invoke('oauth2-token', config),
+  refreshOAuth2Token: (config, refreshToken) => ipcRenderer.invoke('oauth2-refresh', config, refreshToken),
+
+  // Pre-request/test scripts (sandboxed in the main process)
+  runScript: (options) => ipcRenderer.invoke('run-script', options),
+
+  // WebSocket connections (opened in the main process so handshakes can carry headers)
+  connectWebSocket: (options) => ipcRenderer.invoke('websocket-connect', options),
+  sendWebSocketMessage: (connectionId, message) => ipcRenderer.invoke('websocket-send', connectionId, message),
+  closeWebSocket: (connectionId, code, reason) => ipcRenderer.invoke('websocket-close', connectionId, code, reason),
+  onWebSocketEvent: (callback) => {
+    ipcRenderer.on('websocket-event', (event, data) => callback(data));
+  },
+
+  // gRPC calls (schemas come from .proto files or server reflection)
+  loadProtoFiles: (sources) => ipcRenderer.invoke('grpc-load-proto', sources),
+  reflectGrpc: (options) => ipcRenderer.invoke('grpc-reflect', options),
+  invokeGrpc: (options) => ipcRenderer.invoke('grpc-invoke', options),
+  cancelGrpc: (callId) => ipcRenderer.invoke('grpc-cancel', callId),
+  onGrpcMessage: (callback) => {
+    ipcRenderer.on('grpc-message', (event, data) => callback(data));
+  },
+
+  // Secret variable values and settings passwords, encrypted with the OS keychain.
+  // store is 'variables' (the default) or 'settings'
+  loadSecrets: (store) => ipcRenderer.invoke('secrets-load', store),
+  saveSecrets: (secrets, store) => ipcRenderer.invoke('secrets-save', secrets, store),
+
+  // Hash/HMAC for the {{$hash()}} and {{$hmac()}} template functions
+  digestSync: (options) => ipcRenderer.sendSync('digest-sync', options),
+
+  // Mock server serving collection examples on a local port
+  startMockServer: (options) => ipcRenderer.invoke('mock-start', options),
+  updateMockServer: (routes, latency) => ipcRenderer.invoke('mock-update', routes, latency),
+  stopMockServer: () => ipcRenderer.invoke('mock-stop'),
+  getMockServerStatus: () => ipcRenderer.invoke('mock-status'),
+  onMockRequest: (callback) => {
+    ipcRenderer.on('mock-request', (event, data) => callback(data));
+  },
 
   // Import/Export file handling
   onImportFile: (callback) => {
@@ -0,0 +1,1042 @@
+// Protocol Buffers for the main process - a .proto parser, a schema linker shared with
+// server reflection descriptors, and a JSON <-> binary codec used by the gRPC client.
+//
+// Schemas are plain JSON so they can be handed to the renderer and stored:
+//   { messages: { 'pkg.Msg': { name, fields: [...] } }, enums: { 'pkg.Enum': { name, values } },
+//     services: [{ name: 'pkg.Service', methods: [...] }] }
+
+const fs = require('fs');
+const path = require('path');
+
+const SCALAR_TYPES = [
+  'double', 'float', 'int32', 'int64', 'uint32', 'uint64', 'sint32', 'sint64',
+  'fixed32', 'fixed64', 'sfixed32', 'sfixed64', 'bool', 'string', 'bytes'
+];
+
+const WIRE = { varint: 0, fixed64: 1, bytes: 2, fixed32: 5 };
+
+const WIRE_TYPES = {
+  double: WIRE.fixed64, fixed64: WIRE.fixed64, sfixed64: WIRE.fixed64,
+  float: WIRE.fixed32, fixed32: WIRE.fixed32, sfixed32: WIRE.fixed32,
+  string: WIRE.bytes, bytes: WIRE.bytes
+};
+
+// Files every protoc installation ships with, so imports of them always resolve
+const BUILTIN_FILES = {
+  'google/protobuf/empty.proto': `
+    syntax = "proto3";
+    package google.protobuf;
+    message Empty {}
+  `,
+  'google/protobuf/timestamp.proto': `
+    syntax = "proto3";
+    package google.protobuf;
+    message Timestamp { int64 seconds = 1; int32 nanos = 2; }
+  `,
+  'google/protobuf/duration.proto': `
+    syntax = "proto3";
+    package google.protobuf;
+    message Duration { int64 seconds = 1; int32 nanos = 2; }
+  `,
+  'google/protobuf/any.proto': `
+    syntax = "proto3";
+    package google.protobuf;
+    message Any { string type_url = 1; bytes value = 2; }
+  `,
+  'google/protobuf/field_mask.proto': `
+    syntax = "proto3";
+    package google.protobuf;
+    message FieldMask { repeated string paths = 1; }
+  `,
+  'google/protobuf/wrappers.proto': `
+    syntax = "proto3";
+    package google.protobuf;
+    message DoubleValue { double value = 1; }
+    message FloatValue { float value = 1; }
+    message Int64Value { int64 value = 1; }
+    message UInt64Value { uint64 value = 1; }
+    message Int32Value { int32 value = 1; }
+    message UInt32Value { uint32 value = 1; }
+    message BoolValue { bool value = 1; }
+    message StringValue { string value = 1; }
+    message BytesValue { bytes value = 1; }
+  `,
+  'google/protobuf/struct.proto': `
+    syntax = "proto3";
+    package google.protobuf;
+    message Struct { map<string, Value> fields = 1; }
+    message Value {
+      oneof kind {
+        NullValue null_value = 1;
+        double number_value = 2;
+        string string_value = 3;
+        bool bool_value = 4;
+        Struct struct_value = 5;
+        ListValue list_value = 6;
+      }
+    }
+    enum NullValue { NULL_VALUE = 0; }
+    message ListValue { repeated Value values = 1; }
+  `,
+  // Only the parts needed to read descriptors returned by server reflection
+  'google/protobuf/descriptor.proto': `
+    syntax = "proto2";
+    package google.protobuf;
+    message FileDescriptorSet { repeated FileDescriptorProto file = 1; }
+    message FileDescriptorProto {
+      optional string name = 1;
+      optional string package = 2;
+      repeated string dependency = 3;
+      repeated DescriptorProto message_type = 4;
+      repeated EnumDescriptorProto enum_type = 5;
+      repeated ServiceDescriptorProto service = 6;
+      optional string syntax = 12;
+    }
+    message DescriptorProto {
+      optional string name = 1;
+      repeated FieldDescriptorProto field = 2;
+      repeated DescriptorProto nested_type = 3;
+      repeated EnumDescriptorProto enum_type = 4;
+      optional MessageOptions options = 7;
+      repeated OneofDescriptorProto oneof_decl = 8;
+    }
+    message FieldDescriptorProto {
+      enum Type {
+        TYPE_DOUBLE = 1; TYPE_FLOAT = 2; TYPE_INT64 = 3; TYPE_UINT64 = 4; TYPE_INT32 = 5;
+        TYPE_FIXED64 = 6; TYPE_FIXED32 = 7; TYPE_BOOL = 8; TYPE_STRING = 9; TYPE_GROUP = 10;
+        TYPE_MESSAGE = 11; TYPE_BYTES = 12; TYPE_UINT32 = 13; TYPE_ENUM = 14; TYPE_SFIXED32 = 15;
+        TYPE_SFIXED64 = 16; TYPE_SINT32 = 17; TYPE_SINT64 = 18;
+      }
+      enum Label { LABEL_OPTIONAL = 1; LABEL_REQUIRED = 2; LABEL_REPEATED = 3; }
+      optional string name = 1;
+      optional int32 number = 3;
+      optional Label label = 4;
+      optional Type type = 5;
+      optional string type_name = 6;
+      optional FieldOptions options = 8;
+      optional int32 oneof_index = 9;
+      optional string json_name = 10;
+    }
+    message OneofDescriptorProto { optional string name = 1; }
+    message EnumDescriptorProto {
+      optional string name = 1;
+      repeated EnumValueDescriptorProto value = 2;
+    }
+    message EnumValueDescriptorProto { optional string name = 1; optional int32 number = 2; }
+    message ServiceDescriptorProto {
+      optional string name = 1;
+      repeated MethodDescriptorProto method = 2;
+    }
+    message MethodDescriptorProto {
+      optional string name = 1;
+      optional string input_type = 2;
+      optional string output_type = 3;
+      optional bool client_streaming = 5;
+      optional bool server_streaming = 6;
+    }
+    message MessageOptions { optional bool map_entry = 7; }
+    message FieldOptions { optional bool packed = 2; }
+  `
+};
+
+// ---- .proto parsing ----
+
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\.?[A-Za-z_][\w.]*|-?(?:0[xX][0-9a-fA-F]+|\d+(?:\.\d*)?(?:[eE][+-]?\d+)?)|\S/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const token = match[0];
+    if (/^\s/.test(token) || token.startsWith('//') || token.startsWith('/*')) continue;
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+class ProtoParser {
+  constructor(source, fileName) {
+    this.tokens = tokenize(source);
+    this.pos = 0;
+    this.fileName = fileName;
+    this.file = { name: fileName, syntax: 'proto2', package: '', imports: [], messages: [], enums: [], services: [] };
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    if (this.pos >= this.tokens.length) this.fail('Unexpected end of file');
+    return this.tokens[this.pos++];
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual !== token) this.fail(`Expected "${token}" but found "${actual}"`);
+  }
+
+  accept(token) {
+    if (this.peek() !== token) return false;
+    this.pos++;
+    return true;
+  }
+
+  fail(message) {
+    throw new Error(`${this.fileName}: ${message}`);
+  }
+
+  parse() {
+    while (this.pos < this.tokens.length) {
+      const token = this.next();
+      switch (token) {
+        case 'syntax':
+        case 'edition':
+          this.expect('=');
+          this.file.syntax = unquote(this.next());
+          this.expect(';');
+          break;
+        case 'package':
+          this.file.package = this.next();
+          this.expect(';');
+          break;
+        case 'import':
+          if (this.peek() === 'public' || this.peek() === 'weak') this.next();
+          this.file.imports.push(unquote(this.next()));
+          this.expect(';');
+          break;
+        case 'option':
+          this.skipStatement();
+          break;
+        case 'message':
+          this.parseMessage(this.file.package);
+          break;
+        case 'enum':
+          this.parseEnum(this.file.package);
+          break;
+        case 'service':
+          this.parseService();
+          break;
+        case 'extend':
+          this.next();
+          this.skipBlock();
+          break;
+        case ';':
+          break;
+        default:
+          this.fail(`Unexpected "${token}"`);
+      }
+    }
+    return this.file;
+  }
+
+  parseMessage(scope) {
+    const fullName = qualify(scope, this.next());
+    const message = { fullName, fields: [] };
+    this.file.messages.push(message);
+    this.expect('{');
+    this.parseMessageBody(message, null);
+    return message;
+  }
+
+  parseMessageBody(message, oneof) {
+    while (!this.accept('}')) {
+      const token = this.peek();
+      switch (token) {
+        case 'message':
+          this.next();
+          this.parseMessage(message.fullName);
+          break;
+        case 'enum':
+          this.next();
+          this.parseEnum(message.fullName);
+          break;
+        case 'oneof':
+          this.next();
+          this.parseOneof(message);
+          break;
+        case 'option':
+        case 'reserved':
+        case 'extensions':
+          this.skipStatement();
+          break;
+        case 'extend':
+          this.next();
+          this.next();
+          this.skipBlock();
+          break;
+        case ';':
+          this.next();
+          break;
+        default:
+          this.parseField(message, oneof);
+      }
+    }
+  }
+
+  parseOneof(message) {
+    const name = this.next();
+    this.expect('{');
+    this.parseMessageBody(message, name);
+  }
+
+  parseField(message, oneof) {
+    let label = 'optional';
+    if (['optional', 'required', 'repeated'].includes(this.peek())) {
+      label = this.next();
+    }
+
+    let typeName = this.next();
+    let map = null;
+    if (typeName === 'map') {
+      this.expect('<');
+      const keyType = this.next();
+      this.expect(',');
+      const valueType = this.next();
+      this.expect('>');
+      map = { keyType, valueType };
+      typeName = null;
+    } else if (typeName === 'group') {
+      this.fail('Groups are not supported');
+    }
+
+    const name = this.next();
+    this.expect('=');
+    const number = parseInt(this.next(), 10);
+    const options = this.accept('[') ? this.parseFieldOptions() : {};
+    this.expect(';');
+
+    message.fields.push({
+      name,
+      number,
+      repeated: label === 'repeated',
+      typeName,
+      map,
+      oneof,
+      jsonName: options.json_name,
+      packed: options.packed,
+      syntax: this.file.syntax,
+      scope: message.fullName
+    });
+  }
+
+  // Only "packed" and "json_name" matter to the codec
+  parseFieldOptions() {
+    const options = {};
+    let depth = 1;
+    while (depth > 0) {
+      const token = this.next();
+      if (token === '[' || token === '{') depth++;
+      else if (token === ']' || token === '}') depth--;
+      else if (depth === 1 && (token === 'packed' || token === 'json_name') && this.peek() === '=') {
+        this.next();
+        const value = this.next();
+        options[token] = token === 'packed' ? value === 'true' : unquote(value);
+      }
+    }
+    return options;
+  }
+
+  parseEnum(scope) {
+    const fullName = qualify(scope, this.next());
+    const values = {};
+    this.expect('{');
+    while (!this.accept('}')) {
+      const token = this.next();
+      if (token === 'option' || token === 'reserved') {
+        this.pos--;
+        this.skipStatement();
+      } else if (token !== ';') {
+        this.expect('=');
+        values[token] = parseInt(this.next(), 10);
+        if (this.accept('[')) this.parseFieldOptions();
+        this.expect(';');
+      }
+    }
+    this.file.enums.push({ fullName, values });
+  }
+
+  parseService() {
+    const fullName = qualify(this.file.package, this.next());
+    const service = { fullName, scope: this.file.package, methods: [] };
+    this.expect('{');
+    while (!this.accept('}')) {
+      const token = this.next();
+      if (token === 'option') {
+        this.pos--;
+        this.skipStatement();
+      } else if (token === 'rpc') {
+        service.methods.push(this.parseMethod());
+      } else if (token !== ';') {
+        this.fail(`Unexpected "${token}" in service ${fullName}`);
+      }
+    }
+    this.file.services.push(service);
+  }
+
+  parseMethod() {
+    const name = this.next();
+    this.expect('(');
+    const clientStreaming = this.accept('stream');
+    const inputType = this.next();
+    this.expect(')');
+    this.expect('returns');
+    this.expect('(');
+    const serverStreaming = this.accept('stream');
+    const outputType = this.next();
+    this.expect(')');
+    if (this.peek() === '{') {
+      this.next();
+      this.skipBlock();
+    } else {
+      this.expect(';');
+    }
+    return { name, inputType, outputType, clientStreaming, serverStreaming };
+  }
+
+  // Skip to the end of a statement, including aggregate option values
+  skipStatement() {
+    let depth = 0;
+    for (;;) {
+      const token = this.next();
+      if (token === '{') depth++;
+      else if (token === '}') depth--;
+      else if (token === ';' && depth === 0) return;
+    }
+  }
+
+  // Skip the rest of a block whose opening brace is next (or was just read)
+  skipBlock() {
+    if (this.peek() === '{') this.next();
+    let depth = 1;
+    while (depth > 0) {
+      const token = this.next();
+      if (token === '{') depth++;
+      else if (token === '}') depth--;
+    }
+  }
+}
+
+function parse(source, fileName = 'input.proto') {
+  return new ProtoParser(source, fileName).parse();
+}
+
+function parseBuiltin(fileName) {
+  return BUILTIN_FILES[fileName] ? parse(BUILTIN_FILES[fileName], fileName) : null;
+}
+
+// Parse the selected files plus everything they import. Imports are looked up among the
+// selected files, the built-in google/protobuf files, then next to the importing file
+// and its parent directories (the usual proto root layouts).
+function loadSources(sources) {
+  const files = new Map();
+  const warnings = [];
+  const pending = sources.map(source => ({ name: source.path, content: source.content, filePath: source.path }));
+
+  while (pending.length > 0) {
+    const { name, content, filePath } = pending.shift();
+    if (files.has(name)) continue;
+
+    const file = parse(content, name);
+    file.filePath = filePath;
+    files.set(name, file);
+
+    file.imports.forEach(importName => {
+      const provided = sources.find(source => normalizePath(source.path).endsWith(`/${importName}`));
+      if (provided) return;
+      if (BUILTIN_FILES[importName]) {
+        pending.push({ name: importName, content: BUILTIN_FILES[importName], filePath: null });
+        return;
+      }
+
+      const found = filePath ? findImport(path.dirname(filePath), importName) : null;
+      if (found) {
+        pending.push({ name: found, content: fs.readFileSync(found, 'utf8'), filePath: found });
+      } else {
+        // Often only needed for options (e.g. google/api/annotations.proto)
+        warnings.push(`Import "${importName}" not found (imported by ${path.basename(name)})`);
+      }
+    });
+  }
+
+  return { schema: link(Array.from(files.values())), warnings };
+}
+
+function findImport(directory, importName) {
+  let current = directory;
+  for (;;) {
+    const candidate = path.join(current, importName);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+// ---- Linking ----
+
+// Resolve type references across files into the JSON schema shape
+function link(files) {
+  const messages = new Map();
+  const enums = new Map();
+  files.forEach(file => {
+    file.messages.forEach(message => messages.set(message.fullName, message));
+    file.enums.forEach(enumType => enums.set(enumType.fullName, enumType));
+  });
+
+  const resolve = (typeName, scope) => {
+    if (SCALAR_TYPES.includes(typeName)) return { type: typeName, kind: 'scalar' };
+
+    const candidates = [];
+    if (typeName.startsWith('.')) {
+      candidates.push(typeName.slice(1));
+    } else {
+      const parts = scope ? scope.split('.') : [];
+      for (let i = parts.length; i >= 0; i--) {
+        candidates.push(parts.slice(0, i).concat(typeName).join('.'));
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (messages.has(candidate)) return { type: candidate, kind: 'message' };
+      if (enums.has(candidate)) return { type: candidate, kind: 'enum' };
+    }
+    throw new Error(`Unknown type "${typeName}" referenced from ${scope || 'the root package'}`);
+  };
+
+  const schema = { messages: {}, enums: {}, services: [] };
+
+  enums.forEach((enumType, fullName) => {
+    schema.enums[fullName] = { name: fullName, values: { ...enumType.values } };
+  });
+
+  messages.forEach((message, fullName) => {
+    schema.messages[fullName] = {
+      name: fullName,
+      fields: message.fields.map(field => {
+        const linked = {
+          name: field.name,
+          jsonName: field.jsonName || camelCase(field.name),
+          number: field.number,
+          repeated: field.repeated,
+          oneof: field.oneof || null
+        };
+
+        if (field.map) {
+          const value = resolve(field.map.valueType, field.scope);
+          return { ...linked, type: null, kind: 'map', map: { keyType: field.map.keyType, valueType: value.type, valueKind: value.kind } };
+        }
+
+        const { type, kind } = resolve(field.typeName, field.scope);
+        const packable = kind === 'enum' || (kind === 'scalar' && type !== 'string' && type !== 'bytes');
+        const packed = field.repeated && packable && (field.packed !== undefined ? field.packed : field.syntax !== 'proto2');
+        return { ...linked, type, kind, packed };
+      })
+    };
+  });
+
+  files.forEach(file => {
+    file.services.forEach(service => {
+      schema.services.push({
+        name: service.fullName,
+        methods: service.methods.map(method => ({
+          name: method.name,
+          inputType: resolve(method.inputType, service.scope).type,
+          outputType: resolve(method.outputType, service.scope).type,
+          clientStreaming: !!method.clientStreaming,
+          serverStreaming: !!method.serverStreaming
+        }))
+      });
+    });
+  });
+
+  return schema;
+}
+
+// ---- Descriptors (server reflection) ----
+
+let descriptorSchema = null;
+
+function getDescriptorSchema() {
+  if (!descriptorSchema) {
+    descriptorSchema = link([parse(BUILTIN_FILES['google/protobuf/descriptor.proto'], 'google/protobuf/descriptor.proto')]);
+  }
+  return descriptorSchema;
+}
+
+// Turn serialized FileDescriptorProtos into the same file shape the parser produces
+function fromDescriptors(buffers) {
+  const files = buffers.map(buffer => {
+    const descriptor = decode(getDescriptorSchema(), 'google.protobuf.FileDescriptorProto', buffer);
+    const file = {
+      name: descriptor.name,
+      syntax: descriptor.syntax || 'proto2',
+      package: descriptor.package || '',
+      imports: descriptor.dependency || [],
+      messages: [],
+      enums: [],
+      services: []
+    };
+
+    const addEnum = (enumType, scope) => {
+      const values = {};
+      (enumType.value || []).forEach(value => { values[value.name] = value.number || 0; });
+      file.enums.push({ fullName: qualify(scope, enumType.name), values });
+    };
+
+    const addMessage = (messageType, scope) => {
+      const fullName = qualify(scope, messageType.name);
+      const nested = messageType.nested_type || [];
+      const mapEntries = new Map();
+      nested.forEach(type => {
+        if (type.options && type.options.map_entry) mapEntries.set(`.${fullName}.${type.name}`, type);
+        else addMessage(type, fullName);
+      });
+      (messageType.enum_type || []).forEach(type => addEnum(type, fullName));
+
+      const oneofs = (messageType.oneof_decl || []).map(oneof => oneof.name);
+      file.messages.push({
+        fullName,
+        fields: (messageType.field || []).map(field => {
+          const type = String(field.type).replace(/^TYPE_/, '').toLowerCase();
+          const entry = mapEntries.get(field.type_name);
+          const linked = {
+            name: field.name,
+            number: field.number,
+            repeated: field.label === 'LABEL_REPEATED' && !entry,
+            typeName: type === 'message' || type === 'enum' ? field.type_name : type,
+            map: null,
+            oneof: field.oneof_index !== undefined ? oneofs[field.oneof_index] : null,
+            jsonName: field.json_name,
+            packed: field.options ? field.options.packed : undefined,
+            syntax: file.syntax,
+            scope: fullName
+          };
+          if (entry) {
+            const [key, value] = ['key', 'value'].map(name => entry.field.find(f => f.name === name));
+            const valueType = String(value.type).replace(/^TYPE_/, '').toLowerCase();
+            linked.typeName = null;
+            linked.map = {
+              keyType: String(key.type).replace(/^TYPE_/, '').toLowerCase(),
+              valueType: valueType === 'message' || valueType === 'enum' ? value.type_name : valueType
+            };
+          }
+          return linked;
+        })
+      });
+    };
+
+    (descriptor.message_type || []).forEach(type => addMessage(type, file.package));
+    (descriptor.enum_type || []).forEach(type => addEnum(type, file.package));
+    (descriptor.service || []).forEach(service => {
+      file.services.push({
+        fullName: qualify(file.package, service.name),
+        scope: file.package,
+        methods: (service.method || []).map(method => ({
+          name: method.name,
+          inputType: method.input_type,
+          outputType: method.output_type,
+          clientStreaming: !!method.client_streaming,
+          serverStreaming: !!method.server_streaming
+        }))
+      });
+    });
+
+    return file;
+  });
+
+  return files;
+}
+
+// ---- Binary encoding ----
+
+// Field names may be given as declared or in lowerCamelCase (the proto3 JSON name)
+function encode(schema, typeName, value) {
+  const type = schema.messages[typeName];
+  if (!type) throw new Error(`Unknown message type "${typeName}"`);
+  if (value === null || value === undefined) return Buffer.alloc(0);
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Expected an object for ${typeName}`);
+  }
+
+  Object.keys(value).forEach(key => {
+    if (!type.fields.some(field => field.name === key || field.jsonName === key)) {
+      throw new Error(`Unknown field "${key}" in ${typeName}`);
+    }
+  });
+
+  const parts = [];
+  type.fields.forEach(field => {
+    const fieldValue = value[field.name] !== undefined ? value[field.name] : value[field.jsonName];
+    if (fieldValue === undefined || fieldValue === null) return;
+    const label = `${typeName}.${field.name}`;
+
+    if (field.kind === 'map') {
+      if (typeof fieldValue !== 'object' || Array.isArray(fieldValue)) {
+        throw new Error(`Field "${label}" expects an object`);
+      }
+      const keyField = { number: 1, type: field.map.keyType, kind: 'scalar' };
+      const valueField = { number: 2, type: field.map.valueType, kind: field.map.valueKind };
+      Object.entries(fieldValue).forEach(([key, entryValue]) => {
+        const entry = Buffer.concat([
+          encodeField(schema, keyField, mapKeyFromString(key, field.map.keyType), label),
+          encodeField(schema, valueField, entryValue, label)
+        ]);
+        parts.push(tag(field.number, WIRE.bytes), varint(BigInt(entry.length)), entry);
+      });
+    } else if (field.repeated) {
+      if (!Array.isArray(fieldValue)) throw new Error(`Field "${label}" expects an array`);
+      if (field.packed && fieldValue.length > 0) {
+        const packed = Buffer.concat(fieldValue.map(item => encodeScalar(schema, field, item, label)));
+        parts.push(tag(field.number, WIRE.bytes), varint(BigInt(packed.length)), packed);
+      } else {
+        fieldValue.forEach(item => parts.push(encodeField(schema, field, item, label)));
+      }
+    } else {
+      parts.push(encodeField(schema, field, fieldValue, label));
+    }
+  });
+
+  return Buffer.concat(parts);
+}
+
+function encodeField(schema, field, value, label) {
+  if (field.kind === 'message') {
+    const nested = encode(schema, field.type, value);
+    return Buffer.concat([tag(field.number, WIRE.bytes), varint(BigInt(nested.length)), nested]);
+  }
+
+  const encoded = encodeScalar(schema, field, value, label);
+  const wireType = field.kind === 'enum' ? WIRE.varint : (WIRE_TYPES[field.type] !== undefined ? WIRE_TYPES[field.type] : WIRE.varint);
+  if (wireType === WIRE.bytes) {
+    return Buffer.concat([tag(field.number, wireType), varint(BigInt(encoded.length)), encoded]);
+  }
+  return Buffer.concat([tag(field.number, wireType), encoded]);
+}
+
+function encodeScalar(schema, field, value, label) {
+  if (field.kind === 'enum') {
+    const values = schema.enums[field.type].values;
+    if (typeof value === 'string') {
+      if (values[value] === undefined) throw new Error(`Field "${label}" has no enum value "${value}"`);
+      return varint(BigInt.asUintN(64, BigInt(values[value])));
+    }
+    return varint(BigInt.asUintN(64, toInteger(value, label)));
+  }
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') throw new Error(`Field "${label}" expects a string`);
+      return Buffer.from(value, 'utf8');
+    case 'bytes':
+      // Bytes are written as Base64 in JSON
+      if (typeof value !== 'string') throw new Error(`Field "${label}" expects a Base64 string`);
+      return Buffer.from(value, 'base64');
+    case 'bool':
+      if (typeof value !== 'boolean') throw new Error(`Field "${label}" expects true or false`);
+      return varint(value ? 1n : 0n);
+    case 'int32':
+    case 'int64':
+    case 'uint32':
+    case 'uint64':
+      return varint(BigInt.asUintN(64, toInteger(value, label)));
+    case 'sint32':
+    case 'sint64': {
+      const number = toInteger(value, label);
+      return varint(BigInt.asUintN(64, (number << 1n) ^ (number < 0n ? -1n : 0n)));
+    }
+    case 'fixed32':
+    case 'sfixed32': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeUInt32LE(Number(BigInt.asUintN(32, toInteger(value, label))));
+      return buffer;
+    }
+    case 'fixed64':
+    case 'sfixed64': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigUInt64LE(BigInt.asUintN(64, toInteger(value, label)));
+      return buffer;
+    }
+    case 'float':
+    case 'double': {
+      const number = toFloat(value, label);
+      const buffer = Buffer.alloc(field.type === 'float' ? 4 : 8);
+      if (field.type === 'float') buffer.writeFloatLE(number);
+      else buffer.writeDoubleLE(number);
+      return buffer;
+    }
+    default:
+      throw new Error(`Unsupported type "${field.type}" for field "${label}"`);
+  }
+}
+
+// 64-bit integers may be given as strings so they keep their precision
+function toInteger(value, label) {
+  if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return BigInt(value.trim());
+  throw new Error(`Field "${label}" expects an integer`);
+}
+
+function toFloat(value, label) {
+  if (typeof value === 'number') return value;
+  if (value === 'NaN') return NaN;
+  if (value === 'Infinity') return Infinity;
+  if (value === '-Infinity') return -Infinity;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  throw new Error(`Field "${label}" expects a number`);
+}
+
+// JSON object keys are always strings
+function mapKeyFromString(key, keyType) {
+  if (keyType === 'string') return key;
+  if (keyType === 'bool') return key === 'true';
+  return key;
+}
+
+function tag(number, wireType) {
+  return varint((BigInt(number) << 3n) | BigInt(wireType));
+}
+
+function varint(value) {
+  const bytes = [];
+  let remaining = value;
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0n);
+  return Buffer.from(bytes);
+}
+
+// ---- Binary decoding ----
+
+// 64-bit integers are returned as strings, enums by name and bytes as Base64
+function decode(schema, typeName, buffer) {
+  const type = schema.messages[typeName];
+  if (!type) throw new Error(`Unknown message type "${typeName}"`);
+
+  const byNumber = new Map(type.fields.map(field => [field.number, field]));
+  const reader = new Reader(buffer);
+  const result = {};
+
+  while (!reader.done()) {
+    const key = reader.varint();
+    const number = Number(key >> 3n);
+    const wireType = Number(key & 7n);
+    const field = byNumber.get(number);
+
+    if (!field) {
+      reader.skip(wireType);
+      continue;
+    }
+
+    if (field.kind === 'map') {
+      const entry = decodeMapEntry(schema, field, reader.bytes());
+      result[field.name] = result[field.name] || {};
+      result[field.name][entry.key] = entry.value;
+    } else if (field.repeated) {
+      result[field.name] = result[field.name] || [];
+      if (wireType === WIRE.bytes && field.kind !== 'message' && field.type !== 'string' && field.type !== 'bytes') {
+        // Packed values, accepted whether or not the schema says so
+        const packed = new Reader(reader.bytes());
+        while (!packed.done()) {
+          result[field.name].push(readScalar(schema, field, packed, scalarWireType(field)));
+        }
+      } else {
+        result[field.name].push(readValue(schema, field, reader, wireType));
+      }
+    } else {
+      result[field.name] = readValue(schema, field, reader, wireType);
+    }
+  }
+
+  return result;
+}
+
+function decodeMapEntry(schema, field, buffer) {
+  const keyField = { name: 'key', number: 1, type: field.map.keyType, kind: 'scalar' };
+  const valueField = { name: 'value', number: 2, type: field.map.valueType, kind: field.map.valueKind };
+  const reader = new Reader(buffer);
+  const entry = {
+    key: defaultValue(schema, keyField),
+    value: defaultValue(schema, valueField)
+  };
+
+  while (!reader.done()) {
+    const key = reader.varint();
+    const number = Number(key >> 3n);
+    const wireType = Number(key & 7n);
+    if (number === 1) entry.key = readValue(schema, keyField, reader, wireType);
+    else if (number === 2) entry.value = readValue(schema, valueField, reader, wireType);
+    else reader.skip(wireType);
+  }
+
+  entry.key = String(entry.key);
+  return entry;
+}
+
+function readValue(schema, field, reader, wireType) {
+  if (field.kind === 'message') {
+    return decode(schema, field.type, reader.bytes());
+  }
+  return readScalar(schema, field, reader, wireType);
+}
+
+function readScalar(schema, field, reader, wireType) {
+  if (field.kind === 'enum') {
+    const number = Number(BigInt.asIntN(32, reader.varint()));
+    const name = Object.keys(schema.enums[field.type].values).find(key => schema.enums[field.type].values[key] === number);
+    return name !== undefined ? name : number;
+  }
+
+  if (wireType === WIRE.bytes && field.type !== 'string' && field.type !== 'bytes') {
+    throw new Error(`Unexpected length-delimited value for field "${field.name}"`);
+  }
+
+  switch (field.type) {
+    case 'string':
+      return reader.bytes().toString('utf8');
+    case 'bytes':
+      return reader.bytes().toString('base64');
+    case 'bool':
+      return reader.varint() !== 0n;
+    case 'int32':
+      return Number(BigInt.asIntN(32, reader.varint()));
+    case 'uint32':
+      return Number(BigInt.asUintN(32, reader.varint()));
+    case 'int64':
+      return BigInt.asIntN(64, reader.varint()).toString();
+    case 'uint64':
+      return BigInt.asUintN(64, reader.varint()).toString();
+    case 'sint32':
+    case 'sint64': {
+      const value = reader.varint();
+      const decoded = (value >> 1n) ^ -(value & 1n);
+      return field.type === 'sint32' ? Number(decoded) : decoded.toString();
+    }
+    case 'fixed32':
+      return reader.fixed(4).readUInt32LE(0);
+    case 'sfixed32':
+      return reader.fixed(4).readInt32LE(0);
+    case 'fixed64':
+      return reader.fixed(8).readBigUInt64LE(0).toString();
+    case 'sfixed64':
+      return reader.fixed(8).readBigInt64LE(0).toString();
+    case 'float':
+      return reader.fixed(4).readFloatLE(0);
+    case 'double':
+      return reader.fixed(8).readDoubleLE(0);
+    default:
+      throw new Error(`Unsupported type "${field.type}"`);
+  }
+}
+
+function scalarWireType(field) {
+  if (field.kind === 'enum') return WIRE.varint;
+  return WIRE_TYPES[field.type] !== undefined ? WIRE_TYPES[field.type] : WIRE.varint;
+}
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.pos = 0;
+  }
+
+  done() {
+    return this.pos >= this.buffer.length;
+  }
+
+  varint() {
+    let result = 0n;
+    let shift = 0n;
+    for (;;) {
+      if (this.pos >= this.buffer.length) throw new Error('Truncated message');
+      const byte = this.buffer[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) return result;
+      shift += 7n;
+    }
+  }
+
+  bytes() {
+    const length = Number(this.varint());
+    return this.fixed(length);
+  }
+
+  fixed(length) {
+    if (this.pos + length > this.buffer.length) throw new Error('Truncated message');
+    const slice = this.buffer.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return slice;
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case WIRE.varint:
+        this.varint();
+        break;
+      case WIRE.fixed64:
+        this.fixed(8);
+        break;
+      case WIRE.bytes:
+        this.bytes();
+        break;
+      case WIRE.fixed32:
+        this.fixed(4);
+        break;
+      default:
+        throw new Error(`Unsupported wire type ${wireType}`);
+    }
+  }
+}
+
+// ---- Helpers ----
+
+function defaultValue(schema, field) {
+  if (field.kind === 'message') return {};
+  if (field.kind === 'enum') {
+    const values = schema.enums[field.type].values;
+    return Object.keys(values).find(key => values[key] === 0) || 0;
+  }
+  switch (field.type) {
+    case 'string':
+    case 'bytes':
+      return '';
+    case 'bool':
+      return false;
+    case 'int64':
+    case 'uint64':
+    case 'sint64':
+    case 'fixed64':
+    case 'sfixed64':
+      return '0';
+    default:
+      return 0;
+  }
+}
+
+function qualify(scope, name) {
+  return scope ? `${scope}.${name}` : name;
+}
+
+function camelCase(name) {
+  return name.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+function unquote(token) {
+  return /^["']/.test(token) ? token.slice(1, -1) : token;
+}
+
+function normalizePath(filePath) {
+  return `/${String(filePath).replace(/\\/g, '/').replace(/^\/+/, '')}`;
+}
+
+module.exports = {
+  parse,
+  parseBuiltin,
+  loadSources,
+  link,
+  fromDescriptors,
+  encode,
+  decode
+};
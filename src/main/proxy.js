@@ -0,0 +1,341 @@
+// Proxy support for the main process - HTTP and HTTPS proxies (absolute-form requests and
+// CONNECT tunnels) and SOCKS5 (RFC 1928, with RFC 1929 username/password auth), plus the bypass list.
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+
+const PROTOCOLS = ['http', 'https', 'socks5'];
+const DEFAULT_PORTS = { http: 80, https: 443, socks5: 1080 };
+
+const SOCKS_ERRORS = {
+  1: 'general SOCKS server failure',
+  2: 'connection not allowed by ruleset',
+  3: 'network unreachable',
+  4: 'host unreachable',
+  5: 'connection refused',
+  6: 'TTL expired',
+  7: 'command not supported',
+  8: 'address type not supported'
+};
+
+// The proxy a request to url goes through, or null when there is none or the host is bypassed.
+// settings: { enabled, protocol, host, port, username, password, bypass }
+function proxyFor(url, settings) {
+  if (!settings || settings.enabled === false || !settings.host) return null;
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const protocol = PROTOCOLS.includes(settings.protocol) ? settings.protocol : 'http';
+  const port = target.port || defaultPort(target.protocol);
+  if (isBypassed(target.hostname, port, settings.bypass)) return null;
+
+  return {
+    protocol,
+    host: String(settings.host).trim(),
+    port: parseInt(settings.port, 10) || DEFAULT_PORTS[protocol],
+    username: settings.username || '',
+    password: settings.password || ''
+  };
+}
+
+// Bypass entries are separated by commas or new lines: "localhost", "*.corp.example.com",
+// ".example.com" (the domain and its subdomains), "10.0.0.0/8", "host:8080" or "<local>" (dotless hosts)
+function isBypassed(hostname, port, bypass) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const entries = String(bypass || '').split(/[,\n]/).map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+  return entries.some(entry => {
+    if (entry === '*') return true;
+    if (entry === '<local>') return !host.includes('.') && !net.isIP(host);
+
+    const cidr = entry.match(/^([\d.]+)\/(\d+)$/);
+    if (cidr) return net.isIPv4(host) && inSubnet(host, cidr[1], parseInt(cidr[2], 10));
+
+    const portMatch = entry.match(/^(.*):(\d+)$/);
+    if (portMatch && !net.isIPv6(entry)) {
+      if (portMatch[2] !== String(port)) return false;
+      entry = portMatch[1];
+    }
+
+    if (entry.startsWith('.')) return host === entry.slice(1) || host.endsWith(entry);
+    if (entry.includes('*')) {
+      return new RegExp(`^${entry.split('*').map(escapeRegExp).join('.*')}$`).test(host);
+    }
+    return host === entry.replace(/^\[|\]$/g, '');
+  });
+}
+
+// Routes an http(s).request through the proxy - plain HTTP targets are sent to an HTTP proxy in
+// absolute form, everything else through a tunnel. Changes requestOptions and returns the
+// transport and URL to call.
+function routeRequest(target, requestOptions, proxy, { timeout, forceTunnel = false } = {}) {
+  if (target.protocol === 'http:' && proxy.protocol !== 'socks5' && !forceTunnel) {
+    requestOptions.path = target.href;
+    requestOptions.headers = { ...requestOptions.headers, Host: target.host };
+    if (proxy.username) {
+      requestOptions.headers['Proxy-Authorization'] = basicCredentials(proxy);
+    }
+    return {
+      transport: proxy.protocol === 'https' ? https : http,
+      url: new URL(`${proxy.protocol}://${formatHost(proxy.host)}:${proxy.port}`)
+    };
+  }
+
+  const secure = target.protocol === 'https:' || target.protocol === 'wss:';
+  const port = parseInt(target.port || defaultPort(target.protocol), 10);
+
+  delete requestOptions.agent;
+  requestOptions.createConnection = (options, callback) => {
+    openTunnel(proxy, target.hostname, port, { timeout, rejectUnauthorized: options.rejectUnauthorized })
+      .then(socket => {
+        if (secure) {
+          callback(null, secureSocket(socket, target.hostname, options));
+        } else {
+          // The request attaches its reader first - both run on the next tick, in this order
+          callback(null, socket);
+          socket.resume();
+        }
+      })
+      .catch(callback);
+  };
+
+  return { transport: secure ? https : http, url: target };
+}
+
+// TLS to the target over an established tunnel, with the request's TLS options
+function secureSocket(socket, hostname, options = {}) {
+  return tls.connect({
+    socket,
+    servername: net.isIP(hostname) ? undefined : hostname,
+    rejectUnauthorized: options.rejectUnauthorized !== false,
+    ca: options.ca,
+    cert: options.cert,
+    key: options.key,
+    pfx: options.pfx,
+    passphrase: options.passphrase,
+    ALPNProtocols: options.ALPNProtocols
+  });
+}
+
+// A socket connected to host:port through the proxy
+function openTunnel(proxy, host, port, { timeout = 30000, rejectUnauthorized = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = proxy.protocol === 'https'
+      ? tls.connect({
+        host: proxy.host,
+        port: proxy.port,
+        servername: net.isIP(proxy.host) ? undefined : proxy.host,
+        rejectUnauthorized: rejectUnauthorized !== false
+      })
+      : net.connect({ host: proxy.host, port: proxy.port });
+
+    let settled = false;
+    const done = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.setTimeout(0);
+      // Nothing may be read between the handshake and the request taking over the socket
+      socket.removeAllListeners('data');
+      socket.pause();
+      if (error) {
+        socket.destroy();
+        reject(error);
+      } else {
+        resolve(socket);
+      }
+    };
+
+    socket.setTimeout(timeout, () => done(new Error(`Proxy ${proxy.host}:${proxy.port} timed out`)));
+    socket.on('error', (error) => {
+      const wrapped = new Error(`Proxy ${proxy.host}:${proxy.port}: ${error.message}`);
+      wrapped.code = error.code;
+      done(wrapped);
+    });
+    socket.once('close', () => done(new Error(`Proxy ${proxy.host}:${proxy.port} closed the connection`)));
+
+    const handshake = proxy.protocol === 'socks5' ? socksHandshake : connectHandshake;
+    socket.once(proxy.protocol === 'https' ? 'secureConnect' : 'connect', () => {
+      handshake(socket, proxy, host, port, done);
+    });
+  });
+}
+
+// HTTP CONNECT - the tunnel is ready once the proxy answers 2xx
+function connectHandshake(socket, proxy, host, port, done) {
+  const authority = `${formatHost(host)}:${port}`;
+  let head = `CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n`;
+  if (proxy.username) {
+    head += `Proxy-Authorization: ${basicCredentials(proxy)}\r\n`;
+  }
+  socket.write(`${head}\r\n`);
+
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    const end = buffer.indexOf('\r\n\r\n');
+    if (end === -1) return;
+
+    const statusLine = buffer.subarray(0, buffer.indexOf('\r\n')).toString('latin1');
+    const match = statusLine.match(/^HTTP\/\d(?:\.\d)?\s+(\d{3})\s*(.*)$/);
+    if (!match) {
+      done(new Error(`Invalid response from proxy: ${statusLine}`));
+      return;
+    }
+
+    const status = parseInt(match[1], 10);
+    if (status === 407) {
+      done(new Error('Proxy authentication required (407)'));
+    } else if (status < 200 || status >= 300) {
+      done(new Error(`Proxy refused the tunnel: ${status} ${match[2]}`.trim()));
+    } else {
+      const rest = buffer.subarray(end + 4);
+      done(null);
+      if (rest.length > 0) socket.unshift(rest);
+    }
+  });
+}
+
+// SOCKS5 - greeting, optional username/password, then CONNECT with the host name resolved by the proxy
+function socksHandshake(socket, proxy, host, port, done) {
+  const methods = proxy.username ? [0x00, 0x02] : [0x00];
+  socket.write(Buffer.from([0x05, methods.length, ...methods]));
+
+  let stage = 'greeting';
+  let buffer = Buffer.alloc(0);
+
+  const sendConnect = () => {
+    stage = 'connect';
+    const portBytes = Buffer.alloc(2);
+    portBytes.writeUInt16BE(port);
+    try {
+      socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), encodeSocksAddress(host), portBytes]));
+    } catch (error) {
+      done(error);
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    if (stage === 'greeting') {
+      if (buffer.length < 2) return;
+      const method = buffer[1];
+      buffer = buffer.subarray(2);
+
+      if (method === 0x02) {
+        stage = 'auth';
+        const username = Buffer.from(proxy.username);
+        const password = Buffer.from(proxy.password);
+        socket.write(Buffer.concat([
+          Buffer.from([0x01, username.length]), username,
+          Buffer.from([password.length]), password
+        ]));
+      } else if (method === 0x00) {
+        sendConnect();
+      } else {
+        done(new Error(proxy.username
+          ? 'SOCKS proxy does not accept the offered authentication methods'
+          : 'SOCKS proxy requires authentication'));
+        return;
+      }
+    }
+
+    if (stage === 'auth') {
+      if (buffer.length < 2) return;
+      if (buffer[1] !== 0x00) {
+        done(new Error('SOCKS proxy authentication failed'));
+        return;
+      }
+      buffer = buffer.subarray(2);
+      sendConnect();
+    }
+
+    if (stage === 'connect') {
+      // VER REP RSV ATYP BND.ADDR BND.PORT
+      if (buffer.length < 5) return;
+      if (buffer[1] !== 0x00) {
+        done(new Error(`SOCKS proxy could not connect to ${host}:${port}: ${SOCKS_ERRORS[buffer[1]] || `error ${buffer[1]}`}`));
+        return;
+      }
+      const addressLength = { 1: 4, 3: 1 + buffer[4], 4: 16 }[buffer[3]];
+      if (addressLength === undefined) {
+        done(new Error('Invalid SOCKS proxy reply'));
+        return;
+      }
+      const length = 4 + addressLength + 2;
+      if (buffer.length < length) return;
+
+      const rest = buffer.subarray(length);
+      done(null);
+      if (rest.length > 0) socket.unshift(rest);
+    }
+  });
+}
+
+function encodeSocksAddress(host) {
+  const address = host.replace(/^\[|\]$/g, '');
+  if (net.isIPv4(address)) {
+    return Buffer.from([0x01, ...address.split('.').map(Number)]);
+  }
+  if (net.isIPv6(address)) {
+    return Buffer.concat([Buffer.from([0x04]), ipv6Bytes(address)]);
+  }
+  const name = Buffer.from(address);
+  if (name.length > 255) throw new Error(`Host name too long for SOCKS: ${address}`);
+  return Buffer.concat([Buffer.from([0x03, name.length]), name]);
+}
+
+function ipv6Bytes(address) {
+  const [head, tail = ''] = address.split('::');
+  const groups = (part) => (part ? part.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const all = groups(head).concat(Array(address.includes('::') ? missing : 0).fill('0'), groups(tail));
+
+  const bytes = Buffer.alloc(16);
+  all.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+  return bytes;
+}
+
+// Proxy URL without credentials, for history and the response view
+function describeProxy(proxy) {
+  return proxy ? `${proxy.protocol}://${formatHost(proxy.host)}:${proxy.port}` : null;
+}
+
+function basicCredentials(proxy) {
+  return `Basic ${Buffer.from(`${proxy.username}:${proxy.password}`).toString('base64')}`;
+}
+
+function inSubnet(ip, network, bits) {
+  const toNumber = (address) => address.split('.').reduce((total, part) => total * 256 + (parseInt(part, 10) || 0), 0);
+  if (bits <= 0) return true;
+  const mask = bits >= 32 ? 0xffffffff : (0xffffffff << (32 - bits)) >>> 0;
+  return ((toNumber(ip) & mask) >>> 0) === ((toNumber(network) & mask) >>> 0);
+}
+
+function defaultPort(protocol) {
+  return protocol === 'https:' || protocol === 'wss:' || protocol === 'grpcs:' ? '443' : '80';
+}
+
+function formatHost(host) {
+  return net.isIPv6(host) ? `[${host}]` : host;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  proxyFor,
+  isBypassed,
+  routeRequest,
+  openTunnel,
+  secureSocket,
+  describeProxy
+};
@@ -0,0 +1,233 @@
+// Signature-based auth for the main process - AWS Signature V4 and Hawk sign the final
+// request, HTTP Digest answers the server's 401 challenge.
+
+const crypto = require('crypto');
+
+// Auth types that have to be applied by the main process
+const SIGNING_TYPES = ['digest', 'awsv4', 'hawk'];
+
+// Headers added before each request is sent (Digest only adds one after a challenge)
+function signRequest(request, auth, bodyBuffer) {
+  switch (auth && auth.type) {
+    case 'awsv4':
+      return withHeaders(request, awsV4Headers(request, auth, bodyBuffer));
+    case 'hawk':
+      return withHeaders(request, [{ key: 'Authorization', value: hawkHeader(request, auth, bodyBuffer) }]);
+    default:
+      return request;
+  }
+}
+
+// ---- AWS Signature Version 4 ----
+
+function awsV4Headers(request, auth, bodyBuffer) {
+  if (!auth.accessKey || !auth.secretKey) {
+    throw new Error('AWS Signature requires an access key and a secret key');
+  }
+
+  const target = new URL(request.url);
+  const region = auth.region || 'us-east-1';
+  const service = auth.service || 'execute-api';
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = hash('sha256', bodyBuffer || '', 'hex');
+
+  const extra = [
+    { key: 'X-Amz-Date', value: amzDate },
+    { key: 'X-Amz-Content-Sha256', value: payloadHash }
+  ];
+  if (auth.sessionToken) {
+    extra.push({ key: 'X-Amz-Security-Token', value: auth.sessionToken });
+  }
+
+  // Sign the host, content type and every x-amz-* header that will be sent
+  const signed = new Map();
+  signed.set('host', target.host);
+  withHeaders(request, extra).headers.forEach(({ key, value }) => {
+    const name = String(key).toLowerCase();
+    if (name === 'content-type' || name.startsWith('x-amz-')) {
+      signed.set(name, String(value).trim().replace(/\s+/g, ' '));
+    }
+  });
+
+  const signedNames = Array.from(signed.keys()).sort();
+  const canonicalRequest = [
+    request.method.toUpperCase(),
+    canonicalPath(target.pathname, service),
+    canonicalQuery(target.searchParams),
+    signedNames.map(name => `${name}:${signed.get(name)}\n`).join(''),
+    signedNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    hash('sha256', canonicalRequest, 'hex')
+  ].join('\n');
+
+  let key = hmac('sha256', `AWS4${auth.secretKey}`, dateStamp);
+  key = hmac('sha256', key, region);
+  key = hmac('sha256', key, service);
+  key = hmac('sha256', key, 'aws4_request');
+  const signature = hmac('sha256', key, stringToSign, 'hex');
+
+  return extra.concat({
+    key: 'Authorization',
+    value: `AWS4-HMAC-SHA256 Credential=${auth.accessKey}/${scope}, SignedHeaders=${signedNames.join(';')}, Signature=${signature}`
+  });
+}
+
+// S3 signs the path as sent, every other service encodes it a second time
+function canonicalPath(pathname, service) {
+  if (service === 's3') return pathname || '/';
+  return (pathname || '/').split('/').map(segment => encodeRfc3986(segment)).join('/');
+}
+
+function canonicalQuery(searchParams) {
+  return Array.from(searchParams.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// ---- Hawk ----
+
+function hawkHeader(request, auth, bodyBuffer) {
+  if (!auth.authId || !auth.authKey) {
+    throw new Error('Hawk requires an ID and a key');
+  }
+
+  const algorithm = auth.algorithm === 'sha1' ? 'sha1' : 'sha256';
+  const target = new URL(request.url);
+  const ts = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomBytes(6).toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, 6) || 'nonce0';
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+
+  let payloadHash = '';
+  if (bodyBuffer) {
+    const contentType = (findHeader(request.headers, 'content-type') || '').split(';')[0].trim().toLowerCase();
+    payloadHash = hash(algorithm, Buffer.concat([
+      Buffer.from(`hawk.1.payload\n${contentType}\n`),
+      bodyBuffer,
+      Buffer.from('\n')
+    ]), 'base64');
+  }
+
+  const ext = auth.ext || '';
+  const normalized = [
+    'hawk.1.header',
+    ts,
+    nonce,
+    request.method.toUpperCase(),
+    target.pathname + target.search,
+    target.hostname.toLowerCase(),
+    port,
+    payloadHash,
+    ext.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+  ].join('\n') + '\n';
+
+  const mac = hmac(algorithm, auth.authKey, normalized, 'base64');
+
+  const attributes = [`id="${auth.authId}"`, `ts="${ts}"`, `nonce="${nonce}"`];
+  if (payloadHash) attributes.push(`hash="${payloadHash}"`);
+  if (ext) attributes.push(`ext="${ext.replace(/"/g, '\\"')}"`);
+  attributes.push(`mac="${mac}"`);
+
+  return `Hawk ${attributes.join(', ')}`;
+}
+
+// ---- HTTP Digest ----
+
+// Find a Digest challenge among the WWW-Authenticate headers of a 401
+function findDigestChallenge(rawHeaders) {
+  const header = (rawHeaders || []).find(([name, value]) =>
+    String(name).toLowerCase() === 'www-authenticate' && /^\s*digest\s/i.test(value)
+  );
+  if (!header) return null;
+
+  const challenge = {};
+  const pattern = /([a-z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/gi;
+  let match;
+  while ((match = pattern.exec(header[1].replace(/^\s*digest\s+/i, ''))) !== null) {
+    challenge[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+
+  return challenge.nonce ? challenge : null;
+}
+
+function digestAuthorization(request, auth, challenge, bodyBuffer) {
+  const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+  const hashName = algorithm.startsWith('SHA-256') ? 'sha256' : 'md5';
+  const H = (value) => hash(hashName, value, 'hex');
+
+  const target = new URL(request.url);
+  const uri = target.pathname + target.search;
+  const offered = (challenge.qop || '').split(',').map(value => value.trim());
+  const qop = offered.includes('auth') ? 'auth' : (offered.includes('auth-int') ? 'auth-int' : null);
+  const nc = '00000001';
+  const cnonce = crypto.randomBytes(8).toString('hex');
+
+  let ha1 = H(`${auth.username || ''}:${challenge.realm || ''}:${auth.password || ''}`);
+  if (algorithm.endsWith('-SESS')) {
+    ha1 = H(`${ha1}:${challenge.nonce}:${cnonce}`);
+  }
+
+  const ha2 = qop === 'auth-int'
+    ? H(`${request.method.toUpperCase()}:${uri}:${H(bodyBuffer || '')}`)
+    : H(`${request.method.toUpperCase()}:${uri}`);
+
+  const response = qop
+    ? H(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : H(`${ha1}:${challenge.nonce}:${ha2}`);
+
+  const parts = [
+    `username="${auth.username || ''}"`,
+    `realm="${challenge.realm || ''}"`,
+    `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`,
+    `algorithm=${challenge.algorithm || 'MD5'}`,
+    `response="${response}"`
+  ];
+  if (qop) parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+  if (challenge.opaque) parts.push(`opaque="${challenge.opaque}"`);
+
+  return `Digest ${parts.join(', ')}`;
+}
+
+// ---- Helpers ----
+
+// Replace any existing headers with the same names
+function withHeaders(request, additions) {
+  const names = additions.map(({ key }) => key.toLowerCase());
+  const headers = (request.headers || []).filter(({ key }) => !names.includes(String(key).toLowerCase()));
+  return { ...request, headers: headers.concat(additions) };
+}
+
+function findHeader(headers, name) {
+  const header = (headers || []).find(({ key }) => String(key).toLowerCase() === name);
+  return header ? String(header.value) : null;
+}
+
+function hash(algorithm, value, encoding) {
+  return crypto.createHash(algorithm).update(value).digest(encoding);
+}
+
+function hmac(algorithm, key, value, encoding) {
+  return crypto.createHmac(algorithm, key).update(value).digest(encoding);
+}
+
+module.exports = {
+  SIGNING_TYPES,
+  signRequest,
+  findDigestChallenge,
+  digestAuthorization,
+  withHeaders
+};
@@ -0,0 +1,518 @@
+// Script runner for the main process - executes pre-request and test scripts
+// in an isolated vm context with a Postman-compatible `pm` API.
+
+const vm = require('vm');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const DEFAULT_SCRIPT_TIMEOUT = 5000;
+// Allowance for starting the worker thread on top of the script's own timeout
+const WORKER_STARTUP_GRACE = 2000;
+
+// Scripts run on a worker thread so that anything the vm timeout cannot interrupt -
+// a runaway promise job, a getter on a thrown object - ends when the worker is terminated.
+// Only the JSON result and the error message come back to the main process.
+function runScript(options = {}) {
+  const timeout = options.timeout || DEFAULT_SCRIPT_TIMEOUT;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: JSON.stringify(options) });
+    let settled = false;
+
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      callback();
+    };
+
+    const timer = setTimeout(() => {
+      finish(() => reject(new Error(`Script execution timed out after ${timeout}ms`)));
+    }, timeout + WORKER_STARTUP_GRACE);
+
+    worker.on('message', (message) => {
+      finish(() => {
+        if (message.error) {
+          reject(new Error(message.error));
+        } else {
+          resolve(JSON.parse(message.result));
+        }
+      });
+    });
+    worker.on('error', (error) => finish(() => reject(error)));
+    worker.on('exit', () => finish(() => reject(new Error('Script worker exited unexpectedly'))));
+  });
+}
+
+// Runs on the worker thread
+function executeScript(options = {}) {
+  const {
+    script = '',
+    timeout = DEFAULT_SCRIPT_TIMEOUT,
+    ...input
+  } = options;
+
+  // A null-prototype sandbox has no main-realm constructor chain to climb back to `process`,
+  // and without string code generation scripts cannot build new functions from text.
+  // With `afterEvaluate` promise jobs queued by the script run inside the timeout too.
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+
+  // Everything the script can reach is built inside the context from plain JSON,
+  // so no host objects or functions leak into the sandbox.
+  vm.runInContext(
+    `(${sandboxPrelude.toString()})(this, ${JSON.stringify(JSON.stringify(input))});`,
+    context,
+    { timeout }
+  );
+
+  let error = null;
+  if (script && script.trim()) {
+    try {
+      vm.runInContext(script, context, {
+        filename: `${input.eventName || 'script'}.js`,
+        timeout
+      });
+    } catch (scriptError) {
+      error = describeError(scriptError);
+    }
+  }
+
+  const collected = vm.runInContext('__collect()', context, { timeout });
+  if (typeof collected !== 'string') {
+    throw new Error('Script results could not be read');
+  }
+
+  const result = JSON.parse(collected);
+  result.error = error;
+  return JSON.stringify(result);
+}
+
+function describeError(error) {
+  try {
+    const message = error && error.message ? error.message : error;
+    return typeof message === 'string' ? message : String(message);
+  } catch (describeFailure) {
+    return 'Script error';
+  }
+}
+
+// Evaluated inside the sandbox context, never called in the main process
+function sandboxPrelude(global, serializedInput) {
+  const input = JSON.parse(serializedInput);
+
+  const environment = Object.assign({}, input.environment);
+  const collectionVariables = Object.assign({}, input.collectionVariables);
+  const globals = Object.assign({}, input.globals);
+  const variables = Object.assign({}, input.variables);
+  const results = [];
+  const logs = [];
+  const legacyTests = {};
+
+  const request = Object.assign({ method: 'GET', url: '', headers: [], body: null }, input.request);
+  request.headers = (request.headers || []).map(header => ({ key: header.key, value: header.value }));
+
+  const stringify = (value) => {
+    if (typeof value === 'string') return value;
+    try {
+      return JSON.stringify(value);
+    } catch (error) {
+      return String(value);
+    }
+  };
+
+  const createScope = (store) => ({
+    get: (key) => store[key],
+    set: (key, value) => { store[key] = value === undefined || value === null ? '' : String(value); },
+    unset: (key) => { delete store[key]; },
+    has: (key) => Object.prototype.hasOwnProperty.call(store, key),
+    clear: () => { Object.keys(store).forEach(key => delete store[key]); },
+    toObject: () => Object.assign({}, store)
+  });
+
+  const headerList = (list) => ({
+    get: (name) => {
+      const match = list.find(header => header.key.toLowerCase() === String(name).toLowerCase());
+      return match ? match.value : undefined;
+    },
+    has: (name) => list.some(header => header.key.toLowerCase() === String(name).toLowerCase()),
+    all: () => list.map(header => ({ key: header.key, value: header.value })),
+    toObject: () => list.reduce((acc, header) => {
+      acc[header.key] = header.value;
+      return acc;
+    }, {}),
+    add: (header) => { list.push({ key: String(header.key), value: String(header.value) }); },
+    upsert: (header) => {
+      const match = list.find(item => item.key.toLowerCase() === String(header.key).toLowerCase());
+      if (match) {
+        match.value = String(header.value);
+      } else {
+        list.push({ key: String(header.key), value: String(header.value) });
+      }
+    },
+    remove: (name) => {
+      for (let i = list.length - 1; i >= 0; i--) {
+        if (list[i].key.toLowerCase() === String(name).toLowerCase()) list.splice(i, 1);
+      }
+    }
+  });
+
+  const deepEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+      return Number.isNaN(a) && Number.isNaN(b);
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => deepEqual(a[key], b[key]));
+  };
+
+  const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  };
+
+  // Minimal chai-style expect covering the assertions Postman scripts use most
+  function Assertion(actual) {
+    this.actual = actual;
+    this.negate = false;
+    this.deepFlag = false;
+  }
+
+  Assertion.prototype.assert = function (condition, message, negatedMessage) {
+    if (this.negate ? condition : !condition) {
+      throw new AssertionError(this.negate ? negatedMessage : message);
+    }
+    return this;
+  };
+
+  ['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'does'].forEach(word => {
+    Object.defineProperty(Assertion.prototype, word, { get() { return this; } });
+  });
+
+  Object.defineProperty(Assertion.prototype, 'not', {
+    get() { this.negate = !this.negate; return this; }
+  });
+
+  Object.defineProperty(Assertion.prototype, 'deep', {
+    get() { this.deepFlag = true; return this; }
+  });
+
+  const flagAssertions = {
+    ok: (a) => [!!a, `expected ${stringify(a)} to be truthy`, `expected ${stringify(a)} to be falsy`],
+    true: (a) => [a === true, `expected ${stringify(a)} to be true`, `expected ${stringify(a)} not to be true`],
+    false: (a) => [a === false, `expected ${stringify(a)} to be false`, `expected ${stringify(a)} not to be false`],
+    null: (a) => [a === null, `expected ${stringify(a)} to be null`, 'expected value not to be null'],
+    undefined: (a) => [a === undefined, `expected ${stringify(a)} to be undefined`, 'expected value not to be undefined'],
+    exist: (a) => [a !== null && a !== undefined, 'expected value to exist', `expected ${stringify(a)} not to exist`],
+    empty: (a) => {
+      const size = typeof a === 'string' || Array.isArray(a) ? a.length : (a && typeof a === 'object' ? Object.keys(a).length : 0);
+      return [size === 0, `expected ${stringify(a)} to be empty`, 'expected value not to be empty'];
+    }
+  };
+
+  Object.keys(flagAssertions).forEach(name => {
+    Object.defineProperty(Assertion.prototype, name, {
+      get() {
+        const [condition, message, negatedMessage] = flagAssertions[name](this.actual);
+        return this.assert(condition, message, negatedMessage);
+      }
+    });
+  });
+
+  const methods = {
+    equal(expected) {
+      const condition = this.deepFlag ? deepEqual(this.actual, expected) : this.actual === expected;
+      return this.assert(condition,
+        `expected ${stringify(this.actual)} to equal ${stringify(expected)}`,
+        `expected ${stringify(this.actual)} not to equal ${stringify(expected)}`);
+    },
+    eql(expected) {
+      return this.assert(deepEqual(this.actual, expected),
+        `expected ${stringify(this.actual)} to deeply equal ${stringify(expected)}`,
+        `expected ${stringify(this.actual)} not to deeply equal ${stringify(expected)}`);
+    },
+    a(type) {
+      const actualType = typeOf(this.actual);
+      return this.assert(actualType === String(type).toLowerCase(),
+        `expected ${stringify(this.actual)} to be a ${type}, got ${actualType}`,
+        `expected ${stringify(this.actual)} not to be a ${type}`);
+    },
+    include(value) {
+      const actual = this.actual;
+      let condition = false;
+      if (typeof actual === 'string') {
+        condition = actual.includes(value);
+      } else if (Array.isArray(actual)) {
+        condition = actual.some(item => this.deepFlag || typeof value === 'object' ? deepEqual(item, value) : item === value);
+      } else if (actual && typeof actual === 'object' && value && typeof value === 'object') {
+        condition = Object.keys(value).every(key => deepEqual(actual[key], value[key]));
+      }
+      return this.assert(condition,
+        `expected ${stringify(actual)} to include ${stringify(value)}`,
+        `expected ${stringify(actual)} not to include ${stringify(value)}`);
+    },
+    above(limit) {
+      return this.assert(this.actual > limit,
+        `expected ${stringify(this.actual)} to be above ${limit}`,
+        `expected ${stringify(this.actual)} to be at most ${limit}`);
+    },
+    below(limit) {
+      return this.assert(this.actual < limit,
+        `expected ${stringify(this.actual)} to be below ${limit}`,
+        `expected ${stringify(this.actual)} to be at least ${limit}`);
+    },
+    least(limit) {
+      return this.assert(this.actual >= limit,
+        `expected ${stringify(this.actual)} to be at least ${limit}`,
+        `expected ${stringify(this.actual)} to be below ${limit}`);
+    },
+    most(limit) {
+      return this.assert(this.actual <= limit,
+        `expected ${stringify(this.actual)} to be at most ${limit}`,
+        `expected ${stringify(this.actual)} to be above ${limit}`);
+    },
+    within(low, high) {
+      return this.assert(this.actual >= low && this.actual <= high,
+        `expected ${stringify(this.actual)} to be within ${low}..${high}`,
+        `expected ${stringify(this.actual)} not to be within ${low}..${high}`);
+    },
+    lengthOf(length) {
+      const actualLength = this.actual === null || this.actual === undefined ? undefined : this.actual.length;
+      return this.assert(actualLength === length,
+        `expected ${stringify(this.actual)} to have length ${length}, got ${actualLength}`,
+        `expected ${stringify(this.actual)} not to have length ${length}`);
+    },
+    property(name, value) {
+      const actual = this.actual;
+      const has = actual !== null && actual !== undefined && Object.prototype.hasOwnProperty.call(Object(actual), name);
+      if (arguments.length < 2) {
+        return this.assert(has,
+          `expected ${stringify(actual)} to have property ${name}`,
+          `expected ${stringify(actual)} not to have property ${name}`);
+      }
+      const matches = has && (this.deepFlag ? deepEqual(actual[name], value) : actual[name] === value);
+      return this.assert(matches,
+        `expected ${stringify(actual)} to have property ${name} of ${stringify(value)}`,
+        `expected ${stringify(actual)} not to have property ${name} of ${stringify(value)}`);
+    },
+    keys(...keys) {
+      const expected = Array.isArray(keys[0]) ? keys[0] : keys;
+      const actualKeys = this.actual && typeof this.actual === 'object' ? Object.keys(this.actual) : [];
+      return this.assert(expected.every(key => actualKeys.includes(key)),
+        `expected ${stringify(this.actual)} to have keys ${expected.join(', ')}`,
+        `expected ${stringify(this.actual)} not to have keys ${expected.join(', ')}`);
+    },
+    match(pattern) {
+      return this.assert(pattern.test(String(this.actual)),
+        `expected ${stringify(this.actual)} to match ${pattern}`,
+        `expected ${stringify(this.actual)} not to match ${pattern}`);
+    },
+    oneOf(list) {
+      return this.assert(list.some(item => deepEqual(item, this.actual)),
+        `expected ${stringify(this.actual)} to be one of ${stringify(list)}`,
+        `expected ${stringify(this.actual)} not to be one of ${stringify(list)}`);
+    }
+  };
+
+  const aliases = {
+    equal: ['equals', 'eq'],
+    eql: ['eqls'],
+    a: ['an'],
+    include: ['includes', 'contain', 'contains'],
+    above: ['gt', 'greaterThan'],
+    below: ['lt', 'lessThan'],
+    least: ['gte'],
+    most: ['lte'],
+    keys: ['key']
+  };
+
+  Object.keys(methods).forEach(name => {
+    Assertion.prototype[name] = methods[name];
+    (aliases[name] || []).forEach(alias => { Assertion.prototype[alias] = methods[name]; });
+  });
+
+  function AssertionError(message) {
+    this.name = 'AssertionError';
+    this.message = message;
+  }
+  AssertionError.prototype = Object.create(Error.prototype);
+  AssertionError.prototype.constructor = AssertionError;
+
+  const expect = (actual) => new Assertion(actual);
+  expect.fail = (message) => { throw new AssertionError(message || 'expect.fail()'); };
+
+  const test = (name, fn) => {
+    try {
+      fn();
+      results.push({ name: String(name), passed: true, error: null });
+    } catch (error) {
+      results.push({ name: String(name), passed: false, error: error && error.message ? error.message : String(error) });
+    }
+  };
+  test.skip = (name) => {
+    results.push({ name: String(name), passed: null, error: null, skipped: true });
+  };
+
+  let response;
+  if (input.response) {
+    const source = input.response;
+    const responseHeaders = (source.headers || []).map(([key, value]) => ({ key, value }));
+    let parsed;
+
+    response = {
+      code: source.code,
+      status: source.status,
+      responseTime: source.responseTime,
+      responseSize: source.size,
+      headers: headerList(responseHeaders),
+      text: () => source.body || '',
+      json: () => {
+        if (parsed === undefined) parsed = JSON.parse(source.body || '');
+        return parsed;
+      }
+    };
+
+    const assertResponse = (condition, message) => {
+      if (!condition) throw new AssertionError(message);
+    };
+
+    const status = (expected) => {
+      const matches = typeof expected === 'number' ? source.code === expected : source.status === expected;
+      assertResponse(matches, `expected response to have status ${expected} but got ${source.code} ${source.status}`);
+    };
+    const header = (name, value) => {
+      assertResponse(response.headers.has(name), `expected response to have header ${name}`);
+      if (value !== undefined) {
+        assertResponse(response.headers.get(name) === value,
+          `expected response header ${name} to be ${value} but got ${response.headers.get(name)}`);
+      }
+    };
+    const body = (expected) => {
+      if (expected === undefined) {
+        assertResponse((source.body || '').length > 0, 'expected response to have a body');
+      } else {
+        assertResponse(source.body === expected, 'expected response body to match');
+      }
+    };
+    const jsonBody = (path) => {
+      let json;
+      try {
+        json = response.json();
+      } catch (error) {
+        assertResponse(false, 'expected response body to be valid JSON');
+      }
+      if (path !== undefined) {
+        assertResponse(json !== null && typeof json === 'object' && path in json, `expected response JSON to have ${path}`);
+      }
+    };
+
+    const be = {};
+    Object.defineProperty(be, 'ok', { get: () => status(200) });
+    Object.defineProperty(be, 'success', { get: () => assertResponse(source.code >= 200 && source.code < 300, `expected a 2xx status but got ${source.code}`) });
+    Object.defineProperty(be, 'clientError', { get: () => assertResponse(source.code >= 400 && source.code < 500, `expected a 4xx status but got ${source.code}`) });
+    Object.defineProperty(be, 'serverError', { get: () => assertResponse(source.code >= 500, `expected a 5xx status but got ${source.code}`) });
+    Object.defineProperty(be, 'error', { get: () => assertResponse(source.code >= 400, `expected an error status but got ${source.code}`) });
+
+    response.to = {
+      have: { status, header, body, jsonBody },
+      be
+    };
+  }
+
+  const environmentScope = createScope(environment);
+  environmentScope.name = input.environmentName || '';
+
+  const variableScope = createScope(variables);
+  // pm.variables resolves local, then environment, then collection, then global values
+  variableScope.get = (key) => {
+    const scope = [variables, environment, collectionVariables, globals]
+      .find(values => Object.prototype.hasOwnProperty.call(values, key));
+    return scope ? scope[key] : undefined;
+  };
+  variableScope.replaceIn = (text) => String(text).replace(/{{\s*([^{}\s]+)\s*}}/g, (match, key) => {
+    const value = variableScope.get(key);
+    return value === undefined ? match : value;
+  });
+
+  global.pm = {
+    info: Object.assign({ eventName: input.eventName }, input.info),
+    environment: environmentScope,
+    collectionVariables: createScope(collectionVariables),
+    globals: createScope(globals),
+    variables: variableScope,
+    request: {
+      get method() { return request.method; },
+      set method(value) { request.method = String(value).toUpperCase(); },
+      get url() { return request.url; },
+      set url(value) { request.url = String(value); },
+      headers: headerList(request.headers),
+      get body() { return request.body; },
+      set body(value) { request.body = value === null || value === undefined ? null : stringify(value); }
+    },
+    response,
+    test,
+    expect
+  };
+
+  // Legacy Postman globals still found in older collections
+  global.tests = legacyTests;
+  global.postman = {
+    setEnvironmentVariable: environmentScope.set,
+    getEnvironmentVariable: environmentScope.get,
+    clearEnvironmentVariable: environmentScope.unset,
+    setGlobalVariable: global.pm.globals.set,
+    getGlobalVariable: global.pm.globals.get,
+    clearGlobalVariable: global.pm.globals.unset
+  };
+  if (input.response) {
+    global.responseBody = input.response.body || '';
+    global.responseCode = { code: input.response.code, name: input.response.status };
+    global.responseTime = input.response.responseTime;
+  }
+
+  const log = (level) => (...args) => {
+    logs.push({ level, message: args.map(stringify).join(' ') });
+  };
+  global.console = {
+    log: log('log'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    debug: log('debug')
+  };
+
+  global.__collect = () => {
+    Object.keys(legacyTests).forEach(name => {
+      results.push({ name, passed: !!legacyTests[name], error: legacyTests[name] ? null : 'Test returned false' });
+    });
+
+    return JSON.stringify({
+      environment,
+      collectionVariables,
+      globals,
+      variables,
+      request,
+      tests: results,
+      logs
+    });
+  };
+}
+
+if (!isMainThread && parentPort) {
+  try {
+    parentPort.postMessage({ result: executeScript(JSON.parse(workerData)) });
+  } catch (error) {
+    parentPort.postMessage({ error: describeError(error) });
+  }
+}
+
+module.exports = {
+  runScript,
+  DEFAULT_SCRIPT_TIMEOUT
+};
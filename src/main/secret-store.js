@@ -0,0 +1,69 @@
+// Secret store for the main process - values of variables marked secret, encrypted with the
+// OS keychain through Electron's safeStorage and kept in a file under userData.
+// Stored as { scope: { name: base64 ciphertext } }; scopes are environment names or "@globals".
+// The "settings" store holds the proxy password and certificate passphrases in a file of its own,
+// the "oauth2" store the cached OAuth 2.0 access and refresh tokens.
+
+const { app, safeStorage } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+const STORES = ['variables', 'settings', 'oauth2'];
+
+function getFilePath(store = 'variables') {
+  if (!STORES.includes(store)) throw new Error(`Unknown secret store: ${store}`);
+  return path.join(app.getPath('userData'), store === 'variables' ? 'secrets.json' : `secrets-${store}.json`);
+}
+
+function isAvailable() {
+  return safeStorage.isEncryptionAvailable();
+}
+
+// { scope: { name: value } } in plain text
+function load(store = 'variables') {
+  if (!isAvailable()) throw new Error('OS encryption is not available');
+
+  const file = getFilePath(store);
+  if (!fs.existsSync(file)) return {};
+
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const secrets = {};
+  Object.entries(stored).forEach(([scope, values]) => {
+    secrets[scope] = {};
+    Object.entries(values || {}).forEach(([name, encrypted]) => {
+      try {
+        secrets[scope][name] = safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+      } catch (error) {
+        // Encrypted under another OS user or keychain - the value has to be entered again
+        console.warn(`Could not decrypt secret ${scope}/${name}:`, error.message);
+      }
+    });
+  });
+  return secrets;
+}
+
+// Replaces the whole store
+function save(secrets = {}, store = 'variables') {
+  if (!isAvailable()) throw new Error('OS encryption is not available');
+
+  const stored = {};
+  Object.entries(secrets).forEach(([scope, values]) => {
+    const entries = Object.entries(values || {});
+    if (entries.length === 0) return;
+
+    stored[scope] = {};
+    entries.forEach(([name, value]) => {
+      stored[scope][name] = safeStorage.encryptString(String(value)).toString('base64');
+    });
+  });
+
+  const file = getFilePath(store);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(stored, null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+  isAvailable,
+  load,
+  save
+};
@@ -0,0 +1,93 @@
+// Client certificates (mTLS) and extra trusted CAs for the main process - the certificate
+// settings map host patterns to PEM or PFX files, which are read when a connection is made.
+
+const fs = require('fs');
+const tls = require('tls');
+
+// TLS options for a connection to url, to be merged into the request or session options.
+// certificates: { clients: [{ host, cert, key, pfx, passphrase, enabled }], ca: [path] }
+function tlsOptionsFor(url, certificates) {
+  if (!certificates) return {};
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return {};
+  }
+
+  const options = {};
+
+  const caPaths = (certificates.ca || []).filter(Boolean);
+  if (caPaths.length > 0) {
+    // Passing ca replaces Node's trust store, so the bundled roots are kept
+    options.ca = tls.rootCertificates.concat(caPaths.map(path => readFile(path, 'CA certificate')));
+  }
+
+  const client = findClientCertificate(target, certificates.clients);
+  if (client) {
+    if (client.pfx) {
+      options.pfx = readFile(client.pfx, 'client certificate', null);
+    } else {
+      options.cert = readFile(client.cert, 'client certificate');
+      options.key = readFile(client.key, 'client key');
+    }
+    if (client.passphrase) {
+      options.passphrase = client.passphrase;
+    }
+
+    // Report a wrong passphrase or a key that does not fit the certificate against the entry
+    try {
+      tls.createSecureContext({ pfx: options.pfx, cert: options.cert, key: options.key, passphrase: options.passphrase });
+    } catch (error) {
+      throw new Error(`Invalid client certificate for ${client.host}: ${error.message}`);
+    }
+  }
+
+  return options;
+}
+
+// The first enabled entry whose host pattern matches wins
+function findClientCertificate(target, clients) {
+  const host = target.hostname.toLowerCase();
+  const port = target.port || defaultPort(target.protocol);
+
+  return (clients || []).find(client =>
+    client.enabled !== false && client.host && (client.pfx || (client.cert && client.key)) &&
+    matchesHost(client.host, host, port)
+  ) || null;
+}
+
+// "api.example.com", "*.example.com" or "example.com:8443" - without a port any port matches
+function matchesHost(pattern, host, port) {
+  const cleaned = String(pattern).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, '');
+  const portMatch = cleaned.match(/^(.*):(\d+|\*)$/);
+  const hostPattern = portMatch ? portMatch[1] : cleaned;
+
+  if (portMatch && portMatch[2] !== '*' && portMatch[2] !== String(port)) return false;
+
+  const expression = new RegExp(`^${hostPattern.split('*').map(escapeRegExp).join('.*')}$`);
+  return expression.test(host);
+}
+
+function defaultPort(protocol) {
+  return protocol === 'http:' || protocol === 'ws:' || protocol === 'grpc:' ? '80' : '443';
+}
+
+function readFile(path, label, encoding = 'utf8') {
+  try {
+    return fs.readFileSync(path, encoding);
+  } catch (error) {
+    throw new Error(`Cannot read ${label} ${path}: ${error.message}`);
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  tlsOptionsFor,
+  findClientCertificate,
+  matchesHost
+};
@@ -0,0 +1,331 @@
+// WebSocket client for the main process - a small RFC 6455 implementation on top of
+// Node's http/https so handshakes can carry custom headers and subprotocols.
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const tlsCertificates = require('./tls-certificates');
+const proxySupport = require('./proxy');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_HANDSHAKE_TIMEOUT = 30000;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+};
+
+// Open connections by renderer-supplied id
+const connections = new Map();
+
+// emit(event) receives { type: 'open' | 'message' | 'error' | 'close', ... }
+function connect(id, options, emit) {
+  if (connections.has(id)) {
+    throw new Error('Connection is already open');
+  }
+
+  const {
+    url,
+    headers = [],
+    protocols = [],
+    timeout = DEFAULT_HANDSHAKE_TIMEOUT,
+    rejectUnauthorized = true,
+    certificates = null,
+    proxy = null
+  } = options;
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  if (target.protocol !== 'ws:' && target.protocol !== 'wss:') {
+    throw new Error(`Unsupported protocol: ${target.protocol} (use ws:// or wss://)`);
+  }
+
+  const secure = target.protocol === 'wss:';
+  const key = crypto.randomBytes(16).toString('base64');
+
+  const requestHeaders = {};
+  headers.forEach(({ key: name, value }) => {
+    if (name) requestHeaders[name] = String(value);
+  });
+  Object.assign(requestHeaders, {
+    Connection: 'Upgrade',
+    Upgrade: 'websocket',
+    'Sec-WebSocket-Key': key,
+    'Sec-WebSocket-Version': '13'
+  });
+  if (protocols.length > 0) {
+    requestHeaders['Sec-WebSocket-Protocol'] = protocols.join(', ');
+  }
+
+  target.protocol = secure ? 'https:' : 'http:';
+  const requestOptions = { method: 'GET', headers: requestHeaders, agent: false };
+  if (secure) {
+    requestOptions.rejectUnauthorized = rejectUnauthorized !== false;
+    Object.assign(requestOptions, tlsCertificates.tlsOptionsFor(target.toString(), certificates));
+  }
+
+  const connection = {
+    id,
+    socket: null,
+    buffer: Buffer.alloc(0),
+    fragments: null,
+    closing: false,
+    closed: false,
+    emit
+  };
+
+  // Handshakes always tunnel through the proxy, as browsers do
+  const viaProxy = proxySupport.proxyFor(url, proxy);
+  const route = viaProxy
+    ? proxySupport.routeRequest(target, requestOptions, viaProxy, { timeout, forceTunnel: true })
+    : { transport: secure ? https : http, url: target };
+
+  const req = route.transport.request(route.url, requestOptions);
+  connection.request = req;
+  // Registered only once there is a request to cancel; a throw above leaves nothing behind
+  connections.set(id, connection);
+
+  const timer = setTimeout(() => {
+    req.destroy(new Error('Handshake timeout'));
+  }, timeout);
+
+  req.on('upgrade', (res, socket, head) => {
+    clearTimeout(timer);
+
+    const expected = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    if (res.headers['sec-websocket-accept'] !== expected) {
+      socket.destroy();
+      fail(connection, new Error('Invalid Sec-WebSocket-Accept in handshake response'));
+      return;
+    }
+
+    connection.socket = socket;
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => receive(connection, chunk));
+    socket.on('error', (error) => fail(connection, error));
+    socket.on('close', () => finish(connection, 1006, ''));
+
+    emit({
+      type: 'open',
+      protocol: res.headers['sec-websocket-protocol'] || '',
+      headers: res.headers
+    });
+
+    if (head && head.length > 0) {
+      receive(connection, head);
+    }
+  });
+
+  // Anything but a 101 means the server refused the upgrade
+  req.on('response', (res) => {
+    clearTimeout(timer);
+    res.resume();
+    fail(connection, new Error(`Unexpected response: ${res.statusCode} ${res.statusMessage || ''}`.trim()));
+  });
+
+  req.on('error', (error) => {
+    clearTimeout(timer);
+    fail(connection, error);
+  });
+
+  req.end();
+}
+
+function send(id, { type = 'text', data = '' } = {}) {
+  const connection = connections.get(id);
+  if (!connection || !connection.socket || connection.closing) {
+    throw new Error('Connection is not open');
+  }
+
+  const payload = type === 'binary' ? Buffer.from(data, 'base64') : Buffer.from(String(data), 'utf8');
+  writeFrame(connection, type === 'binary' ? OPCODES.binary : OPCODES.text, payload);
+  return payload.length;
+}
+
+// The renderer may close normally (1000) or with an application code (3000-4999); the other
+// ranges carry protocol meanings (RFC 6455 section 7.4)
+function isSendableCloseCode(code) {
+  return Number.isInteger(code) && (code === 1000 || (code >= 3000 && code <= 4999));
+}
+
+// Close requested by the renderer
+function close(id, code = 1000, reason = '') {
+  if (!isSendableCloseCode(code)) {
+    throw new Error(`Invalid close code: ${code}`);
+  }
+  return closeConnection(id, code, reason);
+}
+
+function closeConnection(id, code, reason) {
+  const connection = connections.get(id);
+  if (!connection) return false;
+
+  if (!connection.socket) {
+    // Still handshaking
+    connection.request.destroy(new Error('Connection cancelled'));
+    return true;
+  }
+
+  if (!connection.closing) {
+    connection.closing = true;
+    const reasonBuffer = Buffer.from(String(reason), 'utf8').subarray(0, 123);
+    const payload = Buffer.alloc(2 + reasonBuffer.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBuffer.copy(payload, 2);
+    writeFrame(connection, OPCODES.close, payload);
+
+    // Do not wait forever for the server's close frame
+    setTimeout(() => {
+      if (!connection.closed) connection.socket.destroy();
+    }, 5000);
+  }
+  return true;
+}
+
+function closeAll() {
+  Array.from(connections.keys()).forEach(id => closeConnection(id, 1001, 'Going away'));
+}
+
+// Client frames are always masked
+function writeFrame(connection, opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = 0x80 | length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    masked[i] = payload[i] ^ mask[i & 3];
+  }
+
+  connection.socket.write(Buffer.concat([header, mask, masked]));
+}
+
+function receive(connection, chunk) {
+  connection.buffer = Buffer.concat([connection.buffer, chunk]);
+
+  for (;;) {
+    const frame = readFrame(connection.buffer);
+    if (!frame) return;
+    connection.buffer = connection.buffer.subarray(frame.frameLength);
+    handleFrame(connection, frame);
+  }
+}
+
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) return null;
+
+  let payload = buffer.subarray(offset + maskLength, offset + maskLength + length);
+  if (masked) {
+    const mask = buffer.subarray(offset, offset + 4);
+    payload = Buffer.from(payload.map((byte, i) => byte ^ mask[i & 3]));
+  }
+
+  return { fin, opcode, payload, frameLength: offset + maskLength + length };
+}
+
+function handleFrame(connection, frame) {
+  switch (frame.opcode) {
+    case OPCODES.text:
+    case OPCODES.binary:
+      connection.fragments = { opcode: frame.opcode, parts: [frame.payload] };
+      break;
+    case OPCODES.continuation:
+      if (!connection.fragments) return;
+      connection.fragments.parts.push(frame.payload);
+      break;
+    case OPCODES.ping:
+      if (!connection.closing) writeFrame(connection, OPCODES.pong, frame.payload);
+      return;
+    case OPCODES.pong:
+      return;
+    case OPCODES.close: {
+      const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+      const reason = frame.payload.length > 2 ? frame.payload.subarray(2).toString('utf8') : '';
+      if (!connection.closing) {
+        // Echo the close frame, then let the server end the TCP connection
+        connection.closing = true;
+        writeFrame(connection, OPCODES.close, frame.payload.subarray(0, 2));
+      }
+      finish(connection, code, reason);
+      connection.socket.end();
+      return;
+    }
+    default:
+      return;
+  }
+
+  if (!frame.fin) return;
+
+  const { opcode, parts } = connection.fragments;
+  connection.fragments = null;
+  const data = Buffer.concat(parts);
+
+  connection.emit({
+    type: 'message',
+    format: opcode === OPCODES.text ? 'text' : 'binary',
+    data: opcode === OPCODES.text ? data.toString('utf8') : data.toString('base64'),
+    size: data.length
+  });
+}
+
+function fail(connection, error) {
+  if (connection.closed) return;
+  connection.emit({ type: 'error', message: error.message });
+  finish(connection, 1006, error.message);
+  if (connection.socket) connection.socket.destroy();
+}
+
+function finish(connection, code, reason) {
+  if (connection.closed) return;
+  connection.closed = true;
+  connections.delete(connection.id);
+  connection.emit({ type: 'close', code, reason, wasClean: code !== 1006 });
+}
+
+module.exports = {
+  connect,
+  send,
+  close,
+  closeAll
+};
@@ -542,6 +542,16 @@ showCollectionMenu(collectionId, event) {
             label: 'Import Requests',
             action: `importToCollection('${collectionId}')`
         },
+        {
+            icon: '🔤',
+            label: 'Variables',
+            action: `window.EnvironmentManager.editCollectionVariables('${collectionId}')`
+        },
+        {
+            icon: '🧪',
+            label: 'Mock Server',
+            action: `window.MockManager.showMockServer('${collectionId}')`
+        },
         { separator: true },
         {
             icon: '🗑️',
@@ -781,6 +791,10 @@ handleAddCurrentRequestToCollection(event, collectionId) {
         cookies: requestData.cookies,
         auth: requestData.auth,
         body: requestData.body,
+        scripts: requestData.scripts,
+        settings: requestData.settings,
+        websocket: requestData.websocket,
+        grpc: requestData.grpc,
         createdAt: new Date().toISOString()
     };
     
@@ -788,6 +802,7 @@ handleAddCurrentRequestToCollection(event, collectionId) {
     collection.updatedAt = new Date().toISOString();
     
     this.saveCollections();
+    this.setWorkspaceSource(collectionId, request);
     this.openCollection(collectionId); // Refresh the modal
     this.updateDisplay();
     
@@ -969,6 +984,10 @@ saveToSelectedCollection(collectionId, requestData) {
         cookies: requestData.cookies || [],
         auth: requestData.auth || { type: 'none' },
         body: requestData.body || { type: 'none' },
+        scripts: requestData.scripts || { preRequest: '', test: '' },
+        settings: requestData.settings || {},
+        websocket: requestData.websocket,
+        grpc: requestData.grpc,
         folderId: selectedFolder, // Add folder support
         createdAt: new Date().toISOString()
     };
@@ -980,6 +999,7 @@ saveToSelectedCollection(collectionId, requestData) {
         if (folder) {
             folder.requests.push(newRequest);
         } else {
+            newRequest.folderId = null;
             collection.requests.push(newRequest); // Fallback to collection root
         }
     } else {
@@ -989,6 +1009,7 @@ saveToSelectedCollection(collectionId, requestData) {
     collection.updatedAt = new Date().toISOString();
     
     this.saveCollections();
+    this.setWorkspaceSource(collectionId, newRequest);
     this.updateDisplay();
     
     // Update sidebar
@@ -1006,6 +1027,13 @@ saveToSelectedCollection(collectionId, requestData) {
     this.showNotification('Request Saved', `"${requestName}" saved to ${collection.name}`);
 }
 
+// The workspace now edits the saved request, so its examples and collection scripts apply to it
+setWorkspaceSource(collectionId, request) {
+    if (window.RequestManager) {
+        window.RequestManager.currentSource = { collectionId, folderId: request.folderId || null, requestId: request.id };
+    }
+}
+
 getSelectedCollectionId() {
     const collectionSelect = document.getElementById('requestsCollectionSelect');
     return collectionSelect ? collectionSelect.value : null;
@@ -1032,7 +1060,7 @@ loadRequestFromCollection(collectionId, requestIndex) {
     const request = collection.requests[requestIndex];
     
     if (window.RequestManager && window.RequestManager.loadRequest) {
-        window.RequestManager.loadRequest(request);
+        window.RequestManager.loadRequest(request, { collectionId, folderId: request.folderId || null, requestId: request.id });
     }
     
     // Switch to workspace
@@ -1068,6 +1096,10 @@ handleSaveCurrentRequest(collectionId, requestName, description) {
         cookies: requestData.cookies,
         auth: requestData.auth,
         body: requestData.body,
+        scripts: requestData.scripts,
+        settings: requestData.settings,
+        websocket: requestData.websocket,
+        grpc: requestData.grpc,
         createdAt: new Date().toISOString()
     };
     
@@ -1075,6 +1107,7 @@ handleSaveCurrentRequest(collectionId, requestName, description) {
     collection.updatedAt = new Date().toISOString();
     
     this.saveCollections();
+    this.setWorkspaceSource(collectionId, request);
     this.updateDisplay();
     
     // Update the workspace request name if it was auto-generated
@@ -1130,6 +1163,10 @@ saveToCollection() {
         cookies: requestData.cookies || [],
         auth: requestData.auth || { type: 'none' },
         body: requestData.body || { type: 'none' },
+        scripts: requestData.scripts || { preRequest: '', test: '' },
+        settings: requestData.settings || {},
+        websocket: requestData.websocket,
+        grpc: requestData.grpc,
         folderId: null, // Can be enhanced later for folder selection
         createdAt: new Date().toISOString()
     };
@@ -1138,6 +1175,7 @@ saveToCollection() {
     collection.updatedAt = new Date().toISOString();
     
     this.saveCollections();
+    this.setWorkspaceSource(collectionId, request);
     this.updateDisplay();
     
     // Close modal
@@ -1575,7 +1613,7 @@ loadFolderRequestToWorkspace(collectionId, folderId, requestIndex) {
     const request = folder.requests[requestIndex];
     
     if (window.RequestManager && window.RequestManager.loadRequest) {
-        window.RequestManager.loadRequest(request);
+        window.RequestManager.loadRequest(request, { collectionId, folderId, requestId: request.id });
     }
     
     // Switch to workspace
@@ -1967,6 +2005,9 @@ renderCollectionDetails(collection) {
                 <button class="action-btn" onclick="runCollection('${collection.id}')">
                     ▶️ Run Collection
                 </button>
+                <button class="action-btn" onclick="window.ScriptManager.openScriptsEditor('${collection.id}')">
+                    📜 Scripts
+                </button>
             </div>
             
             <div class="collection-content">
@@ -2011,6 +2052,9 @@ renderFolderItem(collectionId, folder) {
                     <button class="btn-sm btn-edit" onclick="window.CollectionManager.editFolder('${collectionId}', '${folder.id}')" title="Edit Folder">
                         ✏️
                     </button>
+                    <button class="btn-sm btn-edit" onclick="window.ScriptManager.openScriptsEditor('${collectionId}', '${folder.id}')" title="Folder Scripts">
+                        📜
+                    </button>
                     <button class="btn-sm btn-delete" onclick="window.CollectionManager.deleteFolder('${collectionId}', '${folder.id}')" title="Delete Folder">
                         🗑️
                     </button>
@@ -2207,6 +2251,7 @@ exportCollection(collectionId) {
             schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
         },
         item: this.buildPostmanItems(collection),
+        event: this.buildPostmanEvents(collection.scripts),
         variable: Object.entries(collection.variables || {}).map(([key, value]) => ({
             key: key,
             value: value,
@@ -2228,7 +2273,8 @@ buildPostmanItems(collection) {
         const folderItem = {
             name: folder.name,
             description: folder.description || '',
-            item: (folder.requests || []).map(request => this.buildPostmanRequest(request))
+            item: (folder.requests || []).map(request => this.buildPostmanRequest(request)),
+            event: this.buildPostmanEvents(folder.scripts)
         };
         items.push(folderItem);
     });
@@ -2262,10 +2308,75 @@ buildPostmanRequest(request) {
             body: this.buildPostmanBody(request.body),
             auth: this.buildPostmanAuth(request.auth)
         },
-        response: []
+        event: this.buildPostmanEvents(request.scripts),
+        protocolProfileBehavior: this.buildPostmanProtocolBehavior(request.settings),
+        response: this.buildPostmanResponses(request.examples)
     };
 }
 
+// Build Postman saved responses from request examples
+buildPostmanResponses(examples) {
+    return (examples || []).map(example => {
+        const headers = example.headers || {};
+        const contentTypeKey = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+        const contentType = contentTypeKey ? String(headers[contentTypeKey]) : '';
+        const original = example.originalRequest;
+        
+        return {
+            name: example.name,
+            originalRequest: original ? {
+                method: original.method,
+                header: (original.headers || []).map(header => ({
+                    key: header.key,
+                    value: header.value,
+                    type: 'text'
+                })),
+                url: { raw: original.url },
+                body: this.buildPostmanBody(original.body)
+            } : undefined,
+            status: example.statusText,
+            code: example.status,
+            _postman_previewlanguage: /json/.test(contentType) ? 'json' : /xml/.test(contentType) ? 'xml' : /html/.test(contentType) ? 'html' : 'text',
+            header: Object.entries(headers).map(([key, value]) => ({ key, value })),
+            cookie: [],
+            body: example.body
+        };
+    });
+}
+
+// Map per-request settings onto Postman's protocolProfileBehavior
+buildPostmanProtocolBehavior(settings) {
+    if (!settings) return undefined;
+    
+    const behavior = {};
+    if (settings.followRedirects !== undefined) behavior.followRedirects = settings.followRedirects;
+    if (settings.maxRedirects !== undefined) behavior.maxRedirects = settings.maxRedirects;
+    if (settings.verifyTls !== undefined) behavior.strictSSL = settings.verifyTls;
+    
+    return Object.keys(behavior).length > 0 ? behavior : undefined;
+}
+
+// Build Postman event scripts from pre-request/test scripts
+buildPostmanEvents(scripts) {
+    if (!scripts) return undefined;
+    
+    const events = [];
+    if (scripts.preRequest && scripts.preRequest.trim()) {
+        events.push({
+            listen: 'prerequest',
+            script: { type: 'text/javascript', exec: scripts.preRequest.split('\n') }
+        });
+    }
+    if (scripts.test && scripts.test.trim()) {
+        events.push({
+            listen: 'test',
+            script: { type: 'text/javascript', exec: scripts.test.split('\n') }
+        });
+    }
+    
+    return events.length > 0 ? events : undefined;
+}
+
 // Build Postman-compatible body
 buildPostmanBody(body) {
     if (!body || body.type === 'none') return undefined;
@@ -2293,6 +2404,26 @@ buildPostmanBody(body) {
                 mode: 'raw',
                 raw: body.data
             };
+        case 'multipart':
+            return {
+                mode: 'formdata',
+                formdata: (body.data || []).map(part => part.type === 'file'
+                    ? { key: part.key, type: 'file', src: part.filePath, contentType: part.contentType || undefined }
+                    : { key: part.key, type: 'text', value: part.value, contentType: part.contentType || undefined })
+            };
+        case 'binary':
+            return {
+                mode: 'file',
+                file: { src: body.filePath }
+            };
+        case 'graphql':
+            return {
+                mode: 'graphql',
+                graphql: {
+                    query: body.query || '',
+                    variables: body.variables || ''
+                }
+            };
         default:
             return undefined;
     }
@@ -2325,6 +2456,63 @@ buildPostmanAuth(auth) {
                     { key: 'in', value: auth.location || 'header', type: 'string' }
                 ]
             };
+        case 'oauth2':
+            return {
+                type: 'oauth2',
+                oauth2: [
+                    {
+                        key: 'grant_type',
+                        value: auth.grantType === 'password'
+                            ? 'password_credentials'
+                            : (auth.grantType === 'authorization_code' && auth.usePkce !== false
+                                ? 'authorization_code_with_pkce'
+                                : auth.grantType),
+                        type: 'string'
+                    },
+                    { key: 'authUrl', value: auth.authUrl || '', type: 'string' },
+                    { key: 'accessTokenUrl', value: auth.tokenUrl || '', type: 'string' },
+                    { key: 'clientId', value: auth.clientId || '', type: 'string' },
+                    { key: 'clientSecret', value: auth.clientSecret || '', type: 'string' },
+                    { key: 'scope', value: auth.scope || '', type: 'string' },
+                    { key: 'audience', value: auth.audience || '', type: 'string' },
+                    { key: 'redirect_uri', value: auth.redirectUri || '', type: 'string' },
+                    { key: 'username', value: auth.username || '', type: 'string' },
+                    { key: 'password', value: auth.password || '', type: 'string' },
+                    { key: 'refreshToken', value: auth.refreshToken || '', type: 'string' },
+                    { key: 'client_authentication', value: auth.clientAuthentication || 'header', type: 'string' },
+                    { key: 'headerPrefix', value: auth.headerPrefix || 'Bearer', type: 'string' },
+                    { key: 'addTokenTo', value: 'header', type: 'string' }
+                ]
+            };
+        case 'digest':
+            return {
+                type: 'digest',
+                digest: [
+                    { key: 'username', value: auth.username || '', type: 'string' },
+                    { key: 'password', value: auth.password || '', type: 'string' }
+                ]
+            };
+        case 'awsv4':
+            return {
+                type: 'awsv4',
+                awsv4: [
+                    { key: 'accessKey', value: auth.accessKey || '', type: 'string' },
+                    { key: 'secretKey', value: auth.secretKey || '', type: 'string' },
+                    { key: 'sessionToken', value: auth.sessionToken || '', type: 'string' },
+                    { key: 'region', value: auth.region || 'us-east-1', type: 'string' },
+                    { key: 'service', value: auth.service || 'execute-api', type: 'string' }
+                ]
+            };
+        case 'hawk':
+            return {
+                type: 'hawk',
+                hawk: [
+                    { key: 'authId', value: auth.authId || '', type: 'string' },
+                    { key: 'authKey', value: auth.authKey || '', type: 'string' },
+                    { key: 'algorithm', value: auth.algorithm || 'sha256', type: 'string' },
+                    { key: 'extraData', value: auth.ext || '', type: 'string' }
+                ]
+            };
         default:
             return undefined;
     }
@@ -2363,15 +2551,17 @@ buildPostmanAuth(auth) {
         const collection = this.getCollection(collectionId);
         if (!collection) return;
         
-        if (collection.requests.length === 0) {
+        if (this.getTotalRequestCount(collection) === 0) {
             alert('No requests in this collection to run');
             return;
         }
         
-        // For now, just load the first request
-        // In a full implementation, this would run all requests sequentially
-        this.loadRequestFromCollection(collectionId, 0);
-        this.showNotification('Collection Runner', 'Collection runner feature coming soon!');
+        if (!window.CollectionRunner) {
+            this.showNotification('Collection Runner', 'Collection runner not available', { type: 'error' });
+            return;
+        }
+        
+        window.CollectionRunner.open(collectionId);
     }
 
     // ================== COLLECTION SWITCHING WITH AUTO-SAVE ==================
@@ -2468,6 +2658,10 @@ async autoSaveCurrentRequest() {
             cookies: requestData.cookies || [],
             auth: requestData.auth || { type: 'none' },
             body: requestData.body || { type: 'none' },
+            scripts: requestData.scripts || { preRequest: '', test: '' },
+            settings: requestData.settings || {},
+            websocket: requestData.websocket,
+            grpc: requestData.grpc,
             folderId: null, // Auto-save to collection root
             createdAt: new Date().toISOString()
         };
@@ -2475,6 +2669,7 @@ async autoSaveCurrentRequest() {
         collection.requests.push(newRequest);
         collection.updatedAt = new Date().toISOString();
         this.saveCollections();
+        this.setWorkspaceSource(collection.id, newRequest);
         
         this.showNotification('Auto-saved', `Request "${requestName}" auto-saved to ${collection.name}`);
         return true;
@@ -0,0 +1,527 @@
+// Collection Runner - Executes every request in a collection and reports the results
+
+class CollectionRunner {
+    constructor() {
+        this.isRunning = false;
+        this.stopRequested = false;
+        this.collectionId = null;
+        this.results = [];
+        this.initialized = false;
+
+        console.log('▶️ CollectionRunner initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ CollectionRunner initialized');
+    }
+
+    // Open the runner configuration modal for a collection
+    open(collectionId) {
+        const collection = window.CollectionManager ? window.CollectionManager.getCollection(collectionId) : null;
+        if (!collection) return;
+
+        const queue = this.getRunQueue(collection);
+        if (queue.length === 0) {
+            alert('No requests in this collection to run');
+            return;
+        }
+
+        // Only one runner modal at a time
+        this.close();
+
+        this.collectionId = collectionId;
+        this.results = [];
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'collectionRunnerModal';
+        modal.style.display = 'block';
+
+        modal.innerHTML = `
+            <div class="modal-content large">
+                <div class="modal-header">
+                    <h3>▶️ Run "${this.escapeHtml(collection.name)}"</h3>
+                    <button class="close" onclick="window.CollectionRunner.close()">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="runner-config">
+                        <div class="form-group">
+                            <label for="runnerEnvironment">Environment</label>
+                            <select id="runnerEnvironment">
+                                ${this.getEnvironmentOptions()}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="runnerIterations">Iterations</label>
+                            <input type="number" id="runnerIterations" value="1" min="1" max="1000">
+                        </div>
+                        <div class="form-group">
+                            <label for="runnerDelay">Delay between requests (ms)</label>
+                            <input type="number" id="runnerDelay" value="0" min="0" max="60000">
+                        </div>
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="runnerStopOnFailure">
+                            <span class="checkbox-text">Stop on first failure</span>
+                        </label>
+                    </div>
+
+                    <div class="runner-queue-info">
+                        ${queue.length} request${queue.length !== 1 ? 's' : ''} queued
+                    </div>
+
+                    <div id="runnerProgress" class="runner-progress"></div>
+
+                    <table class="runner-results-table" id="runnerResultsTable" style="display: none;">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Request</th>
+                                <th>Status</th>
+                                <th>Time</th>
+                                <th>Result</th>
+                            </tr>
+                        </thead>
+                        <tbody id="runnerResultsBody"></tbody>
+                    </table>
+
+                    <div id="runnerSummary" class="runner-summary"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-primary" id="runnerStartBtn" onclick="window.CollectionRunner.start()">Start Run</button>
+                    <button class="btn btn-danger" id="runnerStopBtn" onclick="window.CollectionRunner.stop()" disabled>Stop</button>
+                    <button class="btn btn-secondary" onclick="window.CollectionRunner.close()">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    }
+
+    close() {
+        if (this.isRunning) {
+            this.stopRequested = true;
+        }
+
+        const modal = document.getElementById('collectionRunnerModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    getEnvironmentOptions() {
+        const envManager = window.EnvironmentManager;
+        if (!envManager) return '<option value="">No Environment</option>';
+
+        const current = envManager.getCurrentEnvironment();
+
+        return Object.keys(envManager.environments || {}).map(envName => `
+            <option value="${this.escapeHtml(envName)}" ${envName === current ? 'selected' : ''}>
+                ${this.escapeHtml(envName.charAt(0).toUpperCase() + envName.slice(1))}
+            </option>
+        `).join('');
+    }
+
+    // Root requests first, then each folder in collection order
+    getRunQueue(collection) {
+        const queue = [];
+
+        (collection.requests || [])
+            .filter(request => !request.folderId && this.isRunnable(request))
+            .forEach(request => queue.push({ request, folderId: null, folderName: null }));
+
+        (collection.folders || []).forEach(folder => {
+            (folder.requests || []).filter(request => this.isRunnable(request)).forEach(request => {
+                queue.push({ request, folderId: folder.id, folderName: folder.name });
+            });
+        });
+
+        return queue;
+    }
+
+    // WebSocket requests are interactive sessions, not request/response pairs
+    isRunnable(request) {
+        return request.method !== 'WS';
+    }
+
+    getRunOptions() {
+        const iterations = parseInt(document.getElementById('runnerIterations')?.value, 10);
+        const delay = parseInt(document.getElementById('runnerDelay')?.value, 10);
+
+        return {
+            environment: document.getElementById('runnerEnvironment')?.value || null,
+            iterations: Number.isFinite(iterations) && iterations > 0 ? iterations : 1,
+            delay: Number.isFinite(delay) && delay > 0 ? delay : 0,
+            stopOnFailure: !!document.getElementById('runnerStopOnFailure')?.checked
+        };
+    }
+
+    async start() {
+        if (this.isRunning) return;
+
+        const collection = window.CollectionManager ? window.CollectionManager.getCollection(this.collectionId) : null;
+        if (!collection) return;
+
+        if (!window.RequestManager || typeof window.RequestManager.executeRequest !== 'function') {
+            this.showNotification('Collection Runner', 'Request Manager not available', { type: 'error' });
+            return;
+        }
+
+        const options = this.getRunOptions();
+        const queue = this.getRunQueue(collection);
+        const total = queue.length * options.iterations;
+
+        this.isRunning = true;
+        this.stopRequested = false;
+        this.results = [];
+        this.setControlsRunning(true);
+        this.resetResults();
+
+        const runStart = Date.now();
+        let completed = 0;
+        let aborted = false;
+
+        for (let iteration = 1; iteration <= options.iterations && !aborted; iteration++) {
+            for (let i = 0; i < queue.length; i++) {
+                if (this.stopRequested) {
+                    aborted = true;
+                    break;
+                }
+
+                const result = await this.runRequest(queue[i], iteration, options.environment);
+                this.results.push(result);
+                this.renderResultRow(result, this.results.length);
+
+                completed++;
+                this.updateProgress(completed, total, iteration, options.iterations);
+
+                if (!result.passed && options.stopOnFailure) {
+                    aborted = true;
+                    break;
+                }
+
+                const isLast = iteration === options.iterations && i === queue.length - 1;
+                if (options.delay > 0 && !isLast) {
+                    await this.delay(options.delay);
+                }
+            }
+        }
+
+        const stoppedEarly = aborted || this.stopRequested;
+
+        this.isRunning = false;
+        this.stopRequested = false;
+        this.setControlsRunning(false);
+        this.renderSummary(Date.now() - runStart, total, stoppedEarly);
+
+        this.emitCoreEvent('collection-run-completed', {
+            collectionId: this.collectionId,
+            results: this.results
+        });
+    }
+
+    stop() {
+        if (this.isRunning) {
+            this.stopRequested = true;
+        }
+    }
+
+    async runRequest(queueItem, iteration, envName) {
+        const request = this.normalizeRequest(queueItem.request);
+        const requestManager = window.RequestManager;
+        const started = Date.now();
+
+        const result = {
+            iteration,
+            name: request.name || `${request.method} ${request.url}`,
+            folder: queueItem.folderName,
+            method: request.method,
+            url: request.url,
+            status: 0,
+            statusText: '',
+            duration: 0,
+            passed: false,
+            tests: [],
+            error: null
+        };
+
+        try {
+            const scriptContext = {
+                source: { collectionId: this.collectionId, folderId: queueItem.folderId },
+                envName,
+                iteration
+            };
+            let prepared = request;
+
+            if (window.ScriptManager) {
+                const preRequest = await window.ScriptManager.runPreRequestScripts(request, scriptContext);
+                prepared = preRequest.request;
+                scriptContext.variables = preRequest.variables;
+            }
+
+            const processed = requestManager.processRequestData(prepared, envName, {
+                collectionId: this.collectionId,
+                variables: scriptContext.variables
+            });
+            result.url = processed.url;
+
+            const response = await requestManager.executeRequest(processed, envName);
+
+            result.status = response.status;
+            result.statusText = response.statusText;
+            result.duration = response.duration;
+
+            let testsPassed = true;
+            if (window.ScriptManager) {
+                const testResults = await window.ScriptManager.runTestScripts(prepared, response, scriptContext);
+                result.tests = testResults.tests;
+                testsPassed = testResults.errors.length === 0 && testResults.tests.every(test => test.passed !== false);
+                if (testResults.errors.length > 0) {
+                    result.error = testResults.errors.join('; ');
+                }
+            }
+
+            const statusOk = response.protocol === 'grpc'
+                ? response.status === 0
+                : response.status > 0 && response.status < 400;
+            result.passed = statusOk && testsPassed;
+        } catch (error) {
+            result.duration = Date.now() - started;
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    // Fill in the fields executeRequest expects, saved requests may omit them
+    normalizeRequest(request) {
+        const normalized = this.deepClone({
+            method: 'GET',
+            url: '',
+            headers: [],
+            params: [],
+            cookies: [],
+            auth: { type: 'none' },
+            body: { type: 'none' },
+            ...request
+        });
+
+        normalized.headers = Array.isArray(normalized.headers) ? normalized.headers : [];
+        normalized.params = Array.isArray(normalized.params) ? normalized.params : [];
+        normalized.cookies = Array.isArray(normalized.cookies) ? normalized.cookies : [];
+        normalized.body = normalized.body || { type: 'none' };
+
+        // Saved JSON bodies are stored parsed; send them as text
+        if (normalized.body.type === 'json' && normalized.body.data && typeof normalized.body.data === 'object') {
+            normalized.body.data = JSON.stringify(normalized.body.data);
+        }
+
+        return normalized;
+    }
+
+    setControlsRunning(running) {
+        const startBtn = document.getElementById('runnerStartBtn');
+        const stopBtn = document.getElementById('runnerStopBtn');
+
+        if (startBtn) {
+            startBtn.disabled = running;
+            startBtn.textContent = running ? 'Running...' : 'Run Again';
+        }
+        if (stopBtn) stopBtn.disabled = !running;
+
+        ['runnerEnvironment', 'runnerIterations', 'runnerDelay', 'runnerStopOnFailure'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = running;
+        });
+    }
+
+    resetResults() {
+        const table = document.getElementById('runnerResultsTable');
+        const body = document.getElementById('runnerResultsBody');
+        const summary = document.getElementById('runnerSummary');
+
+        if (table) table.style.display = 'table';
+        if (body) body.innerHTML = '';
+        if (summary) summary.innerHTML = '';
+    }
+
+    updateProgress(completed, total, iteration, iterations) {
+        const progress = document.getElementById('runnerProgress');
+        if (!progress) return;
+
+        const percent = Math.round((completed / total) * 100);
+        progress.innerHTML = `
+            <div class="runner-progress-text">
+                Iteration ${iteration}/${iterations} • ${completed}/${total} requests (${percent}%)
+            </div>
+            <div class="runner-progress-bar">
+                <div class="runner-progress-fill" style="width: ${percent}%;"></div>
+            </div>
+        `;
+    }
+
+    renderResultRow(result, index) {
+        const body = document.getElementById('runnerResultsBody');
+        if (!body) return;
+
+        const statusCell = result.error
+            ? `<span class="status-badge status-unknown">Error</span>`
+            : `<span class="status-badge ${this.getStatusClass(result.status)}">${result.status} ${this.escapeHtml(result.statusText)}</span>`;
+
+        // Imported collections may carry any method text, or none
+        const method = String(result.method || 'GET').toUpperCase();
+        const methodClass = method.toLowerCase().replace(/[^a-z0-9-]/g, '');
+
+        const row = document.createElement('tr');
+        row.className = result.passed ? 'runner-row-pass' : 'runner-row-fail';
+        row.innerHTML = `
+            <td>${index}</td>
+            <td>
+                <div class="runner-request-name">
+                    <span class="method-badge method-${methodClass}">${this.escapeHtml(method)}</span>
+                    ${result.folder ? `<span class="runner-folder">${this.escapeHtml(result.folder)} /</span>` : ''}
+                    ${this.escapeHtml(result.name)}
+                </div>
+                <div class="runner-request-url" title="${this.escapeHtml(result.url)}">${this.escapeHtml(result.url)}</div>
+                ${result.error ? `<div class="runner-request-error">${this.escapeHtml(result.error)}</div>` : ''}
+                ${this.renderTestList(result.tests)}
+            </td>
+            <td>${statusCell}</td>
+            <td>${result.duration}ms</td>
+            <td class="runner-result">${result.passed ? '✅ Pass' : '❌ Fail'}</td>
+        `;
+        body.appendChild(row);
+    }
+
+    renderTestList(tests) {
+        if (!tests || tests.length === 0) return '';
+
+        return `
+            <ul class="runner-tests">
+                ${tests.map(test => `
+                    <li class="${test.passed === false ? 'runner-failed' : 'runner-passed'}">
+                        ${test.skipped ? '⏭️' : (test.passed ? '✔' : '✘')} ${this.escapeHtml(test.name)}
+                        ${test.error ? `<span class="runner-test-error">— ${this.escapeHtml(test.error)}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    renderSummary(elapsed, total, stoppedEarly) {
+        const summary = document.getElementById('runnerSummary');
+        if (!summary) return;
+
+        const passed = this.results.filter(r => r.passed).length;
+        const failed = this.results.length - passed;
+        const totalDuration = this.results.reduce((sum, r) => sum + (r.duration || 0), 0);
+        const avgDuration = this.results.length > 0 ? Math.round(totalDuration / this.results.length) : 0;
+        const tests = this.results.reduce((all, r) => all.concat(r.tests || []), []).filter(test => !test.skipped);
+        const testsPassed = tests.filter(test => test.passed).length;
+
+        summary.innerHTML = `
+            <h4>Run Summary${stoppedEarly ? ' (stopped early)' : ''}</h4>
+            <div class="status-grid">
+                <div class="status-item">
+                    <span class="status-label">Executed</span>
+                    <span class="status-value">${this.results.length}/${total}</span>
+                </div>
+                <div class="status-item">
+                    <span class="status-label">Passed</span>
+                    <span class="status-value runner-passed">${passed}</span>
+                </div>
+                <div class="status-item">
+                    <span class="status-label">Failed</span>
+                    <span class="status-value runner-failed">${failed}</span>
+                </div>
+                ${tests.length > 0 ? `
+                    <div class="status-item">
+                        <span class="status-label">Tests Passed</span>
+                        <span class="status-value">${testsPassed}/${tests.length}</span>
+                    </div>
+                ` : ''}
+                <div class="status-item">
+                    <span class="status-label">Avg Response</span>
+                    <span class="status-value">${avgDuration}ms</span>
+                </div>
+                <div class="status-item">
+                    <span class="status-label">Total Time</span>
+                    <span class="status-value">${elapsed}ms</span>
+                </div>
+            </div>
+        `;
+
+        this.showNotification(
+            'Collection Run Complete',
+            `${passed} passed, ${failed} failed`,
+            { type: failed > 0 ? 'warning' : 'success' }
+        );
+    }
+
+    getStatusClass(status) {
+        if (status >= 200 && status < 300) return 'status-200';
+        if (status >= 300 && status < 400) return 'status-300';
+        if (status >= 400 && status < 500) return 'status-400';
+        if (status >= 500) return 'status-500';
+        return 'status-unknown';
+    }
+
+    // Utility methods
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    deepClone(obj) {
+        try {
+            return JSON.parse(JSON.stringify(obj));
+        } catch (error) {
+            console.error('Error cloning object:', error);
+            return obj;
+        }
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    emitCoreEvent(eventName, data) {
+        try {
+            if (window.Core && typeof window.Core.emit === 'function') {
+                window.Core.emit(eventName, data);
+            }
+        } catch (error) {
+            // Silently fail if Core is not available
+        }
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            isRunning: this.isRunning,
+            lastRunResults: this.results.length
+        };
+    }
+}
+
+// Global instance
+window.CollectionRunner = new CollectionRunner();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollectionRunner;
+}
@@ -0,0 +1,365 @@
+// Cookie Manager - Per-environment cookie jars filled from Set-Cookie responses, and the cookie manager dialog
+// Matching and storage rules (RFC 6265) are applied by the main process while the request is sent.
+
+class CookieManager {
+    constructor() {
+        this.storageKey = 'posterboy_cookie_jars';
+        this.jars = this.loadJars(); // Cookie lists by environment name
+        this.modal = null;
+        this.scope = null; // Environment shown in the dialog
+        this.editing = null; // Cookie being edited in the dialog
+        this.initialized = false;
+
+        console.log('🍪 CookieManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ CookieManager initialized');
+    }
+
+    loadJars() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading cookies:', error);
+            return {};
+        }
+    }
+
+    saveJars() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.jars));
+        } catch (error) {
+            console.error('Error saving cookies:', error);
+        }
+    }
+
+    getScope(envName = null) {
+        if (envName) return envName;
+        const current = window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null;
+        return current || 'default';
+    }
+
+    // Unexpired cookies of an environment's jar
+    getJar(envName = null) {
+        const now = Date.now();
+        return (this.jars[this.getScope(envName)] || []).filter(cookie => cookie.expires === null || cookie.expires > now);
+    }
+
+    saveJar(envName, cookies) {
+        this.jars[this.getScope(envName)] = cookies || [];
+        this.saveJars();
+        if (this.isOpen()) this.render();
+    }
+
+    // Cookies grouped by domain, sorted by domain and name
+    getDomains(envName = null) {
+        const domains = {};
+        this.getJar(envName)
+            .slice()
+            .sort((a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name))
+            .forEach(cookie => {
+                if (!domains[cookie.domain]) domains[cookie.domain] = [];
+                domains[cookie.domain].push(cookie);
+            });
+        return domains;
+    }
+
+    // Adds a cookie, or replaces the one with the same name, domain and path
+    setCookie(envName, cookie, original = null) {
+        const jar = this.getJar(envName).filter(other =>
+            !this.isSameCookie(other, cookie) && !(original && this.isSameCookie(other, original))
+        );
+        jar.push({
+            ...cookie,
+            creation: original ? original.creation : Date.now()
+        });
+        this.saveJar(envName, jar);
+    }
+
+    deleteCookie(envName, cookie) {
+        this.saveJar(envName, this.getJar(envName).filter(other => !this.isSameCookie(other, cookie)));
+    }
+
+    clearDomain(envName, domain) {
+        this.saveJar(envName, this.getJar(envName).filter(cookie => cookie.domain !== domain));
+    }
+
+    clearJar(envName) {
+        this.saveJar(envName, []);
+    }
+
+    isSameCookie(a, b) {
+        return a.name === b.name && a.domain === b.domain && a.path === b.path;
+    }
+
+    // ---- Cookie manager dialog ----
+
+    showManager(envName = null) {
+        if (!this.modal) this.createModal();
+        this.scope = this.getScope(envName);
+        this.editing = null;
+        this.render();
+        this.modal.style.display = 'block';
+    }
+
+    hideManager() {
+        if (this.modal) this.modal.style.display = 'none';
+        this.editing = null;
+    }
+
+    isOpen() {
+        return !!(this.modal && this.modal.style.display === 'block');
+    }
+
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'cookieManagerModal';
+        this.modal.style.display = 'none';
+        this.modal.innerHTML = `
+            <div class="modal-content large">
+                <div class="modal-header">
+                    <h3>🍪 Cookies</h3>
+                    <button class="close" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="cookie-manager-toolbar">
+                        <label for="cookieScope">Environment</label>
+                        <select id="cookieScope"></select>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="add">+ Add Cookie</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="clear-all">Clear All</button>
+                    </div>
+                    <div class="cookie-manager-form"></div>
+                    <div class="cookie-manager-list"></div>
+                </div>
+            </div>
+        `;
+
+        this.modal.addEventListener('click', (event) => this.handleClick(event));
+        this.modal.querySelector('#cookieScope').addEventListener('change', (event) => {
+            this.scope = event.target.value;
+            this.editing = null;
+            this.render();
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    handleClick(event) {
+        if (event.target === this.modal) {
+            this.hideManager();
+            return;
+        }
+
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const domains = this.getDomains(this.scope);
+        const findCookie = () => {
+            const cookies = domains[button.dataset.domain] || [];
+            return cookies[parseInt(button.dataset.index, 10)] || null;
+        };
+
+        switch (button.dataset.action) {
+            case 'close':
+                this.hideManager();
+                break;
+            case 'add':
+                this.editing = { name: '', value: '', domain: '', path: '/', secure: false, httpOnly: false, expires: null, isNew: true };
+                this.render();
+                break;
+            case 'edit':
+                this.editing = findCookie();
+                this.render();
+                break;
+            case 'delete': {
+                const cookie = findCookie();
+                if (cookie) this.deleteCookie(this.scope, cookie);
+                break;
+            }
+            case 'clear-domain':
+                this.clearDomain(this.scope, button.dataset.domain);
+                break;
+            case 'clear-all':
+                if (confirm(`Delete all cookies of "${this.scope}"?`)) this.clearJar(this.scope);
+                break;
+            case 'save':
+                this.saveForm();
+                break;
+            case 'cancel':
+                this.editing = null;
+                this.render();
+                break;
+            default:
+                break;
+        }
+    }
+
+    render() {
+        if (!this.modal) return;
+
+        const scopeSelect = this.modal.querySelector('#cookieScope');
+        const environments = window.EnvironmentManager ? Object.keys(window.EnvironmentManager.environments || {}) : [];
+        const scopes = Array.from(new Set(environments.concat(Object.keys(this.jars), [this.scope])));
+        scopeSelect.innerHTML = scopes
+            .map(scope => `<option value="${this.escapeHtml(scope)}" ${scope === this.scope ? 'selected' : ''}>${this.escapeHtml(scope)}</option>`)
+            .join('');
+
+        this.modal.querySelector('.cookie-manager-form').innerHTML = this.editing ? this.renderForm(this.editing) : '';
+
+        const domains = this.getDomains(this.scope);
+        const list = this.modal.querySelector('.cookie-manager-list');
+        if (Object.keys(domains).length === 0) {
+            list.innerHTML = '<p class="cookie-manager-empty">No cookies yet. Cookies set by responses are stored here automatically.</p>';
+            return;
+        }
+
+        list.innerHTML = Object.entries(domains).map(([domain, cookies]) => `
+            <div class="cookie-domain">
+                <div class="cookie-domain-header">
+                    <h4>${this.escapeHtml(domain)}</h4>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="clear-domain" data-domain="${this.escapeHtml(domain)}">Clear</button>
+                </div>
+                <table class="cookie-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Value</th>
+                            <th>Path</th>
+                            <th>Expires</th>
+                            <th>Flags</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${cookies.map((cookie, index) => `
+                            <tr>
+                                <td>${this.escapeHtml(cookie.name)}</td>
+                                <td class="cookie-value-cell" title="${this.escapeHtml(cookie.value)}">${this.escapeHtml(cookie.value)}</td>
+                                <td>${this.escapeHtml(cookie.path)}</td>
+                                <td>${cookie.expires === null ? 'Session' : new Date(cookie.expires).toLocaleString()}</td>
+                                <td>${this.formatFlags(cookie)}</td>
+                                <td class="cookie-actions">
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="edit" data-domain="${this.escapeHtml(domain)}" data-index="${index}">Edit</button>
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="delete" data-domain="${this.escapeHtml(domain)}" data-index="${index}">Delete</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('');
+    }
+
+    renderForm(cookie) {
+        return `
+            <div class="cookie-form">
+                <div class="cookie-form-grid">
+                    <label>Name <input type="text" name="name" value="${this.escapeHtml(cookie.name)}"></label>
+                    <label>Value <input type="text" name="value" value="${this.escapeHtml(cookie.value)}"></label>
+                    <label>Domain <input type="text" name="domain" placeholder="api.example.com" value="${this.escapeHtml(cookie.domain)}"></label>
+                    <label>Path <input type="text" name="path" value="${this.escapeHtml(cookie.path)}"></label>
+                    <label>Expires <input type="datetime-local" name="expires" value="${cookie.expires === null ? '' : this.toDateTimeLocal(cookie.expires)}"></label>
+                </div>
+                <div class="cookie-form-flags">
+                    <label><input type="checkbox" name="includeSubdomains" ${cookie.isNew || !cookie.hostOnly ? 'checked' : ''}> Include subdomains</label>
+                    <label><input type="checkbox" name="secure" ${cookie.secure ? 'checked' : ''}> Secure</label>
+                    <label><input type="checkbox" name="httpOnly" ${cookie.httpOnly ? 'checked' : ''}> HttpOnly</label>
+                </div>
+                <div class="cookie-form-actions">
+                    <button type="button" class="btn btn-primary btn-sm" data-action="save">${cookie.isNew ? 'Add' : 'Save'}</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    saveForm() {
+        const form = this.modal.querySelector('.cookie-form');
+        const field = (name) => form.querySelector(`[name="${name}"]`);
+
+        const name = field('name').value.trim();
+        const domain = field('domain').value.trim().replace(/^\./, '').toLowerCase();
+        if (!name || !domain) {
+            this.showNotification('Cookies', 'A cookie needs a name and a domain', { type: 'error' });
+            return;
+        }
+        if (/[;,\s]/.test(name) || /;/.test(field('value').value)) {
+            this.showNotification('Cookies', 'Cookie names cannot contain spaces, commas or semicolons, and values cannot contain semicolons', { type: 'error' });
+            return;
+        }
+
+        const path = field('path').value.trim();
+        const expires = field('expires').value ? new Date(field('expires').value).getTime() : null;
+        const original = this.editing && !this.editing.isNew ? this.editing : null;
+
+        this.setCookie(this.scope, {
+            name,
+            value: field('value').value,
+            domain,
+            path: path.startsWith('/') ? path : '/',
+            hostOnly: !field('includeSubdomains').checked,
+            secure: field('secure').checked,
+            httpOnly: field('httpOnly').checked,
+            sameSite: original ? original.sameSite : null,
+            expires
+        }, original);
+
+        this.editing = null;
+        this.render();
+    }
+
+    formatFlags(cookie) {
+        const flags = [];
+        if (cookie.hostOnly) flags.push('Host only');
+        if (cookie.secure) flags.push('Secure');
+        if (cookie.httpOnly) flags.push('HttpOnly');
+        if (cookie.sameSite) flags.push(`SameSite=${this.escapeHtml(cookie.sameSite)}`);
+        return flags.join(', ');
+    }
+
+    toDateTimeLocal(time) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        const jars = Object.keys(this.jars);
+        return {
+            initialized: this.initialized,
+            environments: jars.length,
+            cookies: jars.reduce((total, env) => total + this.jars[env].length, 0)
+        };
+    }
+}
+
+// Global instance
+window.CookieManager = new CookieManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CookieManager;
+}
@@ -0,0 +1,361 @@
+// Dynamic Variable Manager - Built-in {{$name}} variables and {{$function(args)}} template functions,
+// resolved by EnvironmentManager.replaceVariables after the user-defined scopes
+
+class DynamicVariableManager {
+    constructor() {
+        this.samples = this.createSamples();
+        this.variables = this.createVariables();
+        this.functions = this.createFunctions();
+        this.initialized = false;
+
+        console.log('🎲 DynamicVariableManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ DynamicVariableManager initialized');
+    }
+
+    // Word lists for the random generators
+    createSamples() {
+        return {
+            firstNames: ['Ada', 'Alan', 'Amara', 'Ben', 'Carla', 'Chen', 'Diego', 'Elena', 'Farah', 'Grace', 'Hiro', 'Ines',
+                'Jonas', 'Kemi', 'Lena', 'Marco', 'Nadia', 'Omar', 'Priya', 'Quinn', 'Rosa', 'Sven', 'Tariq', 'Uma', 'Victor', 'Wen', 'Yara', 'Zoe'],
+            lastNames: ['Adeyemi', 'Berg', 'Costa', 'Dubois', 'Evans', 'Fischer', 'Garcia', 'Haddad', 'Ito', 'Jensen', 'Kowalski',
+                'Lopez', 'Moreau', 'Nakamura', 'Okafor', 'Patel', 'Rossi', 'Schmidt', 'Tanaka', 'Novak', 'Walker', 'Yilmaz', 'Zhang'],
+            cities: ['Amsterdam', 'Austin', 'Berlin', 'Bogota', 'Cairo', 'Dublin', 'Lagos', 'Lisbon', 'Melbourne', 'Montreal',
+                'Nairobi', 'Osaka', 'Oslo', 'Seoul', 'Toronto', 'Valencia', 'Warsaw', 'Zurich'],
+            countries: ['Argentina', 'Australia', 'Brazil', 'Canada', 'Egypt', 'France', 'Germany', 'India', 'Ireland', 'Japan',
+                'Kenya', 'Mexico', 'Netherlands', 'Nigeria', 'Norway', 'Poland', 'Portugal', 'South Korea', 'Spain', 'Sweden'],
+            colors: ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'indigo', 'violet', 'pink', 'brown', 'black', 'white', 'gray'],
+            domains: ['example.com', 'example.org', 'example.net', 'test.dev', 'mail.test'],
+            words: ['api', 'cloud', 'data', 'river', 'signal', 'orbit', 'pixel', 'garden', 'harbor', 'lantern', 'meadow', 'anchor',
+                'copper', 'falcon', 'glacier', 'maple', 'nebula', 'quartz', 'summit', 'willow'],
+            lorem: ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor',
+                'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis', 'nostrud',
+                'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea', 'commodo', 'consequat']
+        };
+    }
+
+    // {{$name}} - a fresh value for every occurrence
+    createVariables() {
+        return {
+            $guid: { description: 'A v4 UUID', generate: () => this.uuid() },
+            $randomUUID: { description: 'A v4 UUID', generate: () => this.uuid() },
+            $timestamp: { description: 'Current Unix time in seconds', generate: () => String(Math.floor(Date.now() / 1000)) },
+            $timestampMs: { description: 'Current Unix time in milliseconds', generate: () => String(Date.now()) },
+            $isoTimestamp: { description: 'Current time as an ISO 8601 string', generate: () => new Date().toISOString() },
+            $randomInt: { description: 'A random integer between 0 and 1000', generate: () => String(this.randomInt(0, 1000)) },
+            $randomBoolean: { description: 'true or false', generate: () => String(Math.random() < 0.5) },
+            $randomAlphaNumeric: { description: 'A random letter or digit', generate: () => this.randomString(1) },
+            $randomString: { description: 'A random 10 character alphanumeric string', generate: () => this.randomString(10) },
+            $randomHexadecimal: { description: 'A random 8 digit hexadecimal string', generate: () => this.randomString(8, '0123456789abcdef') },
+            $randomFirstName: { description: 'A random first name', generate: () => this.pick(this.samples.firstNames) },
+            $randomLastName: { description: 'A random last name', generate: () => this.pick(this.samples.lastNames) },
+            $randomFullName: { description: 'A random full name', generate: () => `${this.pick(this.samples.firstNames)} ${this.pick(this.samples.lastNames)}` },
+            $randomUserName: {
+                description: 'A random user name',
+                generate: () => `${this.pick(this.samples.firstNames)}.${this.pick(this.samples.lastNames)}${this.randomInt(1, 99)}`.toLowerCase()
+            },
+            $randomEmail: {
+                description: 'A random email address',
+                generate: () => `${this.pick(this.samples.firstNames)}.${this.pick(this.samples.lastNames)}${this.randomInt(1, 99)}@${this.pick(this.samples.domains)}`.toLowerCase()
+            },
+            $randomPhoneNumber: {
+                description: 'A random phone number',
+                generate: () => `${this.randomInt(200, 999)}-${this.randomInt(200, 999)}-${String(this.randomInt(0, 9999)).padStart(4, '0')}`
+            },
+            $randomCity: { description: 'A random city', generate: () => this.pick(this.samples.cities) },
+            $randomCountry: { description: 'A random country', generate: () => this.pick(this.samples.countries) },
+            $randomColor: { description: 'A random color name', generate: () => this.pick(this.samples.colors) },
+            $randomHexColor: { description: 'A random hex color', generate: () => `#${this.randomString(6, '0123456789abcdef')}` },
+            $randomIP: { description: 'A random IPv4 address', generate: () => [0, 0, 0, 0].map(() => this.randomInt(1, 254)).join('.') },
+            $randomUrl: { description: 'A random URL', generate: () => `https://${this.pick(this.samples.words)}.${this.pick(this.samples.domains)}/${this.pick(this.samples.words)}` },
+            $randomPrice: { description: 'A random price between 1.00 and 1000.00', generate: () => (this.randomInt(100, 100000) / 100).toFixed(2) },
+            $randomDatePast: { description: 'A random date in the last year', generate: () => new Date(Date.now() - this.randomInt(1, 365) * 86400000).toISOString() },
+            $randomDateFuture: { description: 'A random date in the next year', generate: () => new Date(Date.now() + this.randomInt(1, 365) * 86400000).toISOString() },
+            $randomWord: { description: 'A random word', generate: () => this.pick(this.samples.words) },
+            $randomWords: { description: 'A few random words', generate: () => this.words(this.samples.words, this.randomInt(2, 5)) },
+            $randomLoremWord: { description: 'A lorem ipsum word', generate: () => this.pick(this.samples.lorem) },
+            $randomLoremWords: { description: 'A few lorem ipsum words', generate: () => this.words(this.samples.lorem, 3) },
+            $randomLoremSentence: { description: 'A lorem ipsum sentence', generate: () => this.sentence() },
+            $randomLoremParagraph: {
+                description: 'A lorem ipsum paragraph',
+                generate: () => Array.from({ length: this.randomInt(3, 5) }, () => this.sentence()).join(' ')
+            }
+        };
+    }
+
+    // {{$name(arg, ...)}} - arguments may be quoted and may contain other {{variables}}
+    createFunctions() {
+        return {
+            $base64: { signature: '$base64(text)', description: 'Base64 encodes the text', call: (text = '') => this.base64(text) },
+            $base64Decode: { signature: '$base64Decode(text)', description: 'Decodes Base64 text', call: (text = '') => this.base64Decode(text) },
+            $urlEncode: { signature: '$urlEncode(text)', description: 'Percent-encodes the text', call: (text = '') => encodeURIComponent(text) },
+            $hmac: {
+                signature: '$hmac(algorithm, key, message, encoding)',
+                description: 'HMAC of the message - sha1, sha256, sha512 or md5, as hex or base64',
+                call: (algorithm, key = '', message = '', encoding = 'hex') => this.digest({ algorithm, key, data: message, encoding })
+            },
+            $hash: {
+                signature: '$hash(algorithm, text, encoding)',
+                description: 'Digest of the text - sha1, sha256, sha512 or md5, as hex or base64',
+                call: (algorithm, text = '', encoding = 'hex') => this.digest({ algorithm, data: text, encoding })
+            },
+            $randomInt: {
+                signature: '$randomInt(min, max)',
+                description: 'A random integer between min and max',
+                call: (min = '0', max = '1000') => String(this.randomInt(parseInt(min, 10) || 0, parseInt(max, 10) || 0))
+            },
+            $randomString: {
+                signature: '$randomString(length)',
+                description: 'A random alphanumeric string',
+                call: (length = '10') => this.randomString(Math.min(Math.max(parseInt(length, 10) || 0, 0), 4096))
+            },
+            $timestamp: {
+                signature: '$timestamp(offsetSeconds)',
+                description: 'Unix time in seconds, shifted by an offset',
+                call: (offset = '0') => String(Math.floor(Date.now() / 1000) + (parseInt(offset, 10) || 0))
+            }
+        };
+    }
+
+    // "$guid" or "$hmac(...)" - whether the expression inside {{ }} is built in
+    isDynamic(expression) {
+        const call = this.parseCall(expression);
+        if (call) return Object.prototype.hasOwnProperty.call(this.functions, call.name);
+        return Object.prototype.hasOwnProperty.call(this.variables, String(expression).trim());
+    }
+
+    describe(expression) {
+        const call = this.parseCall(expression);
+        if (call) return this.functions[call.name] ? this.functions[call.name].description : '';
+        const variable = this.variables[String(expression).trim()];
+        return variable ? variable.description : '';
+    }
+
+    // Value for the expression, or undefined when it is not built in or a function fails.
+    // resolveArgument substitutes {{variables}} inside function arguments.
+    resolve(expression, resolveArgument = (value) => value) {
+        const call = this.parseCall(expression);
+        if (call) {
+            const fn = this.functions[call.name];
+            if (!fn) return undefined;
+            // Outside the try - errors resolving arguments (variable cycles) belong to the caller
+            const args = call.args.map(arg => resolveArgument(arg));
+            try {
+                const result = fn.call(...args);
+                return result === undefined || result === null ? undefined : String(result);
+            } catch (error) {
+                console.warn(`Dynamic variable {{${expression}}} failed:`, error.message);
+                return undefined;
+            }
+        }
+
+        const variable = this.variables[String(expression).trim()];
+        return variable ? variable.generate() : undefined;
+    }
+
+    // Replaces every {{$function(...)}} in the text, innermost arguments first; calls that are not
+    // built in or fail stay as written
+    replaceFunctions(text, resolveArgument = (value) => value) {
+        const pattern = /{{\s*\$\w+\(/g;
+        let result = '';
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const end = this.findCallEnd(text, match.index + match[0].length);
+            if (!end) continue;
+
+            const expression = text.slice(match.index + 2, end.close + 1).trim();
+            const value = this.resolve(expression, resolveArgument);
+            result += text.slice(last, match.index) + (value === undefined ? text.slice(match.index, end.next) : value);
+            last = end.next;
+            pattern.lastIndex = end.next;
+        }
+
+        return result + text.slice(last);
+    }
+
+    // Position of the ")" closing the call and of the character after its "}}", or null
+    findCallEnd(text, start) {
+        let parens = 1;
+        let braces = 0;
+        let quote = null;
+        let previous = '(';
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+                continue;
+            }
+
+            if (text.startsWith('{{', i)) {
+                braces++;
+                i++;
+            } else if (text.startsWith('}}', i) && braces > 0) {
+                braces--;
+                i++;
+            } else if ((char === '"' || char === "'") && (previous === '(' || previous === ',')) {
+                quote = char;
+            } else if (char === '(' && braces === 0) {
+                parens++;
+            } else if (char === ')' && braces === 0 && --parens === 0) {
+                const rest = text.slice(i + 1).match(/^\s*}}/);
+                return rest ? { close: i, next: i + 1 + rest[0].length } : null;
+            }
+
+            if (!/\s/.test(char)) previous = char;
+        }
+
+        return null;
+    }
+
+    parseCall(expression) {
+        const match = String(expression).trim().match(/^(\$\w+)\(([\s\S]*)\)$/);
+        return match ? { name: match[1], args: this.splitArguments(match[2]) } : null;
+    }
+
+    // Commas inside quotes or {{ }} do not separate arguments; quotes around an argument are dropped
+    splitArguments(text) {
+        if (!text.trim()) return [];
+
+        const args = [];
+        let current = '';
+        let quote = null;
+        let depth = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === '\\' && i + 1 < text.length) {
+                    current += text[++i];
+                } else if (char === quote) {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if ((char === '"' || char === "'") && !current.trim() && depth === 0) {
+                quote = char;
+                current = '';
+            } else if (text.startsWith('{{', i)) {
+                depth++;
+                current += '{{';
+                i++;
+            } else if (text.startsWith('}}', i) && depth > 0) {
+                depth--;
+                current += '}}';
+                i++;
+            } else if (char === ',' && depth === 0) {
+                args.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        args.push(quote ? current : current.trim());
+
+        return args;
+    }
+
+    // Names for the variables reference and autocomplete
+    list() {
+        return [
+            ...Object.entries(this.variables).map(([name, variable]) => ({ name, usage: `{{${name}}}`, description: variable.description })),
+            ...Object.entries(this.functions).map(([name, fn]) => ({ name, usage: `{{${fn.signature}}}`, description: fn.description }))
+        ];
+    }
+
+    // ---- Generators ----
+
+    uuid() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const value = this.randomInt(0, 15);
+            return (char === 'x' ? value : (value & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    randomInt(min, max) {
+        const low = Math.min(min, max);
+        const high = Math.max(min, max);
+        return low + Math.floor(Math.random() * (high - low + 1));
+    }
+
+    randomString(length, alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789') {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            result += alphabet[Math.floor(Math.random() * alphabet.length)];
+        }
+        return result;
+    }
+
+    pick(list) {
+        return list[Math.floor(Math.random() * list.length)];
+    }
+
+    words(list, count) {
+        return Array.from({ length: count }, () => this.pick(list)).join(' ');
+    }
+
+    sentence() {
+        const text = this.words(this.samples.lorem, this.randomInt(6, 12));
+        return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+    }
+
+    // UTF-8 safe, unlike a bare btoa
+    base64(text) {
+        const bytes = new TextEncoder().encode(String(text));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    base64Decode(text) {
+        const binary = atob(String(text).trim());
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+
+    // Hashing runs on Node's crypto in the main process; replaceVariables is synchronous, so this
+    // goes over a synchronous IPC call
+    digest(options) {
+        if (!window.electronAPI || typeof window.electronAPI.digestSync !== 'function') {
+            throw new Error('Hash functions require the desktop app');
+        }
+
+        const result = window.electronAPI.digestSync({
+            algorithm: String(options.algorithm || 'sha256').toLowerCase(),
+            key: options.key,
+            data: options.data,
+            encoding: String(options.encoding || 'hex').toLowerCase()
+        });
+        if (!result.success) throw new Error(result.error);
+        return result.digest;
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            variables: Object.keys(this.variables).length,
+            functions: Object.keys(this.functions).length,
+            digestAvailable: !!(window.electronAPI && typeof window.electronAPI.digestSync === 'function')
+        };
+    }
+}
+
+// Global instance
+window.DynamicVariableManager = new DynamicVariableManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DynamicVariableManager;
+}
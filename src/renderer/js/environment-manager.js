@@ -3,6 +3,13 @@
 class EnvironmentManager {
     constructor() {
         this.environments = this.loadEnvironments();
+        this.globals = this.loadGlobals();
+        this.secretKeys = this.loadSecretKeys();
+        this.initialValues = this.loadInitialValues();
+        this.secureStorage = false; // Secret values go to the OS keychain once it answers
+        this.secretsLoaded = false;
+        this.insecureSecretsWarned = false;
+        this.maxResolutionDepth = 10; // Variables referencing variables, e.g. {{baseUrl}} -> {{host}}
         this.currentEnvironment = 'development';
         this.initialized = false;
         
@@ -23,6 +30,7 @@ class EnvironmentManager {
         // Wait a bit for other modules to load
         await new Promise(resolve => setTimeout(resolve, 200));
         
+        await this.loadSecrets();
         this.initializeEnvironments();
     }
 
@@ -50,6 +58,7 @@ class EnvironmentManager {
                         timeout: '15000'
                     }
                 };
+                Object.entries(this.environments).forEach(([envName, values]) => this.setInitialValues(envName, values));
                 this.saveEnvironments();
             }
 
@@ -80,7 +89,12 @@ class EnvironmentManager {
 
     saveEnvironments() {
         try {
-            localStorage.setItem('posterboy_environments', JSON.stringify(this.environments));
+            const stored = {};
+            Object.entries(this.environments).forEach(([envName, values]) => {
+                stored[envName] = this.secureStorage ? this.withoutSecrets(envName, values) : values;
+            });
+            localStorage.setItem('posterboy_environments', JSON.stringify(stored));
+            this.saveSecrets();
             if (window.Core && typeof window.Core.emit === 'function') {
                 window.Core.emit('environmentsUpdated', this.environments);
             }
@@ -89,6 +103,260 @@ class EnvironmentManager {
         }
     }
 
+    loadGlobals() {
+        try {
+            const stored = localStorage.getItem('posterboy_globals');
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading global variables:', error);
+            return {};
+        }
+    }
+
+    saveGlobals() {
+        try {
+            const stored = this.secureStorage ? this.withoutSecrets('@globals', this.globals) : this.globals;
+            localStorage.setItem('posterboy_globals', JSON.stringify(stored));
+            this.saveSecrets();
+            this.emitVariablesUpdated();
+        } catch (error) {
+            console.error('Error saving global variables:', error);
+        }
+    }
+
+    // Names of the variables marked secret, per environment name or "@globals"
+    loadSecretKeys() {
+        try {
+            const stored = localStorage.getItem('posterboy_secret_variables');
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading secret variable names:', error);
+            return {};
+        }
+    }
+
+    saveSecretKeys() {
+        try {
+            localStorage.setItem('posterboy_secret_variables', JSON.stringify(this.secretKeys));
+        } catch (error) {
+            console.error('Error saving secret variable names:', error);
+        }
+    }
+
+    // Initial values per environment name or "@globals". They are what teams share and exports carry;
+    // this.environments and this.globals hold the current values, which stay local and are what
+    // requests resolve with. Stores from before the split start with initial = current.
+    loadInitialValues() {
+        try {
+            const stored = localStorage.getItem('posterboy_initial_values');
+            if (stored) return JSON.parse(stored);
+
+            const initialValues = {};
+            Object.entries({ ...this.environments, '@globals': this.globals }).forEach(([scopeKey, values]) => {
+                const initial = { ...values };
+                (this.secretKeys[scopeKey] || []).forEach(name => delete initial[name]);
+                if (Object.keys(initial).length > 0) initialValues[scopeKey] = initial;
+            });
+            localStorage.setItem('posterboy_initial_values', JSON.stringify(initialValues));
+            return initialValues;
+        } catch (error) {
+            console.error('Error loading initial variable values:', error);
+            return {};
+        }
+    }
+
+    saveInitialValues() {
+        try {
+            localStorage.setItem('posterboy_initial_values', JSON.stringify(this.initialValues));
+        } catch (error) {
+            console.error('Error saving initial variable values:', error);
+        }
+    }
+
+    // Collection variables travel with the collection and have a single value
+    hasInitialValues(scopeKey) {
+        return !!scopeKey && !scopeKey.startsWith('@collection:');
+    }
+
+    getInitialValues(scopeKey) {
+        return this.initialValues[scopeKey] || {};
+    }
+
+    // Replaces the scope's initial values. Secrets have none - they are never shared.
+    setInitialValues(scopeKey, values) {
+        const initial = { ...values };
+        (this.secretKeys[scopeKey] || []).forEach(name => delete initial[name]);
+
+        if (Object.keys(initial).length > 0) {
+            this.initialValues[scopeKey] = initial;
+        } else {
+            delete this.initialValues[scopeKey];
+        }
+        this.saveInitialValues();
+    }
+
+    // Sets the variable's current value back to its initial value; false when it has none
+    resetVariable(scopeKey, name) {
+        const initial = this.getInitialValues(scopeKey)[name];
+        const values = scopeKey === '@globals' ? this.globals : this.environments[scopeKey];
+        if (initial === undefined || !values) return false;
+
+        values[name] = initial;
+        if (scopeKey === '@globals') {
+            this.saveGlobals();
+        } else {
+            this.saveEnvironments();
+        }
+        return true;
+    }
+
+    isSecret(scopeKey, name) {
+        return (this.secretKeys[scopeKey] || []).includes(name);
+    }
+
+    // Without the OS keychain secret values would sit in localStorage in plain text. The user is
+    // asked once before that happens; false when they decline.
+    confirmInsecureSecrets() {
+        if (this.secureStorage || localStorage.getItem('posterboy_insecure_secrets_ok') === 'true') return true;
+
+        const accepted = confirm('The OS keychain is not available, so secret values cannot be encrypted.\n\n' +
+            'They will be stored unencrypted on this machine, like other variables. Continue?');
+        if (accepted) localStorage.setItem('posterboy_insecure_secrets_ok', 'true');
+        return accepted;
+    }
+
+    // For secrets marked outside the variables modal (imports, shared environments)
+    warnInsecureSecrets() {
+        if (this.secureStorage || !this.secretsLoaded || this.insecureSecretsWarned) return;
+        this.insecureSecretsWarned = true;
+        this.showNotification('Secrets Not Encrypted',
+            'The OS keychain is not available - secret values are stored unencrypted on this machine',
+            { type: 'warning' });
+    }
+
+    setSecret(scopeKey, name, secret) {
+        if (secret) this.warnInsecureSecrets();
+        const names = (this.secretKeys[scopeKey] || []).filter(item => item !== name);
+        if (secret) names.push(name);
+
+        if (names.length > 0) {
+            this.secretKeys[scopeKey] = names;
+        } else {
+            delete this.secretKeys[scopeKey];
+        }
+        this.saveSecretKeys();
+
+        if (secret && this.initialValues[scopeKey] && name in this.initialValues[scopeKey]) {
+            this.setInitialValues(scopeKey, this.initialValues[scopeKey]);
+        }
+    }
+
+    // Secret values live in the OS keychain through the main process. Without it (browser, or no
+    // keychain on Linux) they stay in localStorage like any other value.
+    async loadSecrets() {
+        if (!window.electronAPI || typeof window.electronAPI.loadSecrets !== 'function') {
+            this.secretsLoaded = true;
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.loadSecrets();
+            if (!result.success) throw new Error(result.error);
+
+            Object.entries(result.secrets).forEach(([scopeKey, values]) => {
+                const target = scopeKey === '@globals' ? this.globals : this.environments[scopeKey];
+                if (!target) return;
+                Object.entries(values).forEach(([name, value]) => {
+                    if (this.isSecret(scopeKey, name)) target[name] = value;
+                });
+            });
+            this.secureStorage = true;
+        } catch (error) {
+            console.warn('Secret variables are stored unencrypted:', error.message);
+            this.secureStorage = false;
+        }
+        this.secretsLoaded = true;
+        if (this.hasSecrets()) this.warnInsecureSecrets();
+    }
+
+    saveSecrets() {
+        if (!this.secureStorage || !this.secretsLoaded) return;
+
+        const secrets = {};
+        Object.entries(this.secretKeys).forEach(([scopeKey, names]) => {
+            const values = scopeKey === '@globals' ? this.globals : this.environments[scopeKey];
+            if (!values) return;
+
+            names.forEach(name => {
+                if (values[name] === undefined || values[name] === '') return;
+                secrets[scopeKey] = secrets[scopeKey] || {};
+                secrets[scopeKey][name] = String(values[name]);
+            });
+        });
+
+        window.electronAPI.saveSecrets(secrets).then(result => {
+            if (!result.success) console.error('Error saving secret variables:', result.error);
+        }).catch(error => {
+            console.error('Error saving secret variables:', error);
+        });
+    }
+
+    // Copy of the values with secrets blanked - for localStorage, exports and team sharing
+    withoutSecrets(scopeKey, values) {
+        const copy = { ...values };
+        (this.secretKeys[scopeKey] || []).forEach(name => {
+            if (Object.prototype.hasOwnProperty.call(copy, name)) copy[name] = '';
+        });
+        return copy;
+    }
+
+    // Replaces secret values in strings, objects and arrays with their {{name}} reference, so
+    // history entries keep no tokens. Values under 4 characters are left alone - replacing them
+    // would mangle unrelated text.
+    redactSecrets(value) {
+        const replacements = [];
+        Object.entries(this.secretKeys).forEach(([scopeKey, names]) => {
+            const values = scopeKey === '@globals' ? this.globals : this.environments[scopeKey];
+            if (!values) return;
+
+            names.forEach(name => {
+                const secret = values[name] === undefined || values[name] === null ? '' : String(values[name]);
+                if (secret.length < 4) return;
+
+                replacements.push({ secret, name });
+                const encoded = encodeURIComponent(secret);
+                if (encoded !== secret) replacements.push({ secret: encoded, name });
+            });
+        });
+        if (replacements.length === 0) return value;
+
+        // Longest first, so a secret containing another is replaced whole
+        replacements.sort((a, b) => b.secret.length - a.secret.length);
+
+        const redact = (item) => {
+            if (typeof item === 'string') {
+                return replacements.reduce((text, { secret, name }) => text.split(secret).join(`{{${name}}}`), item);
+            }
+            if (Array.isArray(item)) return item.map(redact);
+            if (item && typeof item === 'object' && !(item instanceof ArrayBuffer) && !ArrayBuffer.isView(item)) {
+                const result = {};
+                Object.entries(item).forEach(([key, entry]) => {
+                    result[key] = redact(entry);
+                });
+                return result;
+            }
+            return item;
+        };
+
+        return redact(value);
+    }
+
+    emitVariablesUpdated() {
+        if (window.Core && typeof window.Core.emit === 'function') {
+            window.Core.emit('variablesUpdated');
+        }
+    }
+
     getCurrentEnvironment() {
         const envSelect = document.getElementById('currentEnvironment');
         return envSelect ? envSelect.value : this.currentEnvironment;
@@ -110,25 +378,159 @@ class EnvironmentManager {
         return this.environments[env] || {};
     }
 
-replaceVariables(text, envName = null) {
-    // Handle non-string values
-    if (!text || typeof text !== 'string') {
-        return text;
+    // Variable scopes from highest to lowest precedence: request-local values (pm.variables),
+    // the environment, the collection the request belongs to, then globals.
+    // context: { collectionId, variables } - collectionId defaults to the request in the workspace
+    getVariableScopes(envName = null, context = {}) {
+        const env = envName || this.getCurrentEnvironment();
+        const collection = this.getScopeCollection(context);
+
+        return [
+            { scope: 'request', label: 'Request', values: context.variables || {} },
+            { scope: 'environment', label: env, values: this.environments[env] || {}, secrets: this.secretKeys[env] || [] },
+            { scope: 'collection', label: collection ? collection.name : '', values: collection ? (collection.variables || {}) : {} },
+            { scope: 'global', label: 'Globals', values: this.globals, secrets: this.secretKeys['@globals'] || [] }
+        ];
+    }
+
+    getScopeCollection(context = {}) {
+        let collectionId = context.collectionId;
+        if (collectionId === undefined) {
+            const source = window.RequestManager ? window.RequestManager.currentSource : null;
+            collectionId = source ? source.collectionId : null;
+        }
+        if (!collectionId || !window.CollectionManager) return null;
+        return window.CollectionManager.getCollection(collectionId) || null;
+    }
+
+    // { value, scope, label, secret } for the scope the variable resolves from, or null.
+    // value has nested {{references}} resolved; a cycle leaves the raw value and sets error.
+    resolveVariable(name, envName = null, context = {}) {
+        const scopes = this.getVariableScopes(envName, context);
+        const variable = this.findVariable(scopes, name);
+        if (!variable) return null;
+
+        try {
+            variable.value = this.resolveValue(name, variable.value, scopes, []);
+        } catch (error) {
+            variable.error = error.message;
+        }
+        return variable;
+    }
+
+    findVariable(scopes, name) {
+        const match = scopes.find(scope => Object.prototype.hasOwnProperty.call(scope.values, name));
+        if (!match) return null;
+
+        const value = match.values[name];
+        return {
+            value: value === null || value === undefined ? '' : String(value),
+            scope: match.scope,
+            label: match.label,
+            secret: (match.secrets || []).includes(name)
+        };
+    }
+
+    // Throws when variables reference each other in a cycle or nest deeper than maxResolutionDepth
+    replaceVariables(text, envName = null, context = {}) {
+        // Handle non-string values
+        if (!text || typeof text !== 'string') {
+            return text;
+        }
+
+        return this.resolveText(text, this.getVariableScopes(envName, context), []);
+    }
+
+    // path holds the variables whose values are being resolved, outermost first
+    resolveText(text, scopes, path) {
+        const dynamic = window.DynamicVariableManager;
+
+        // Template functions first - their arguments may hold other {{variables}}
+        const result = dynamic
+            ? dynamic.replaceFunctions(text, (argument) => this.resolveText(argument, scopes, path))
+            : text;
+
+        // Replace {{variableName}} with the value from the highest scope defining it, then built-in {{$name}}
+        return result.replace(/{{\s*([^{}]+?)\s*}}/g, (match, name) => {
+            const variable = this.findVariable(scopes, name);
+            if (variable) return this.resolveValue(name, variable.value, scopes, path);
+
+            const generated = dynamic && name.startsWith('$') ? dynamic.resolve(name) : undefined;
+            return generated === undefined ? match : generated;
+        });
+    }
+
+    // Values are resolved when used, so a variable may reference one defined after it or in a lower scope
+    resolveValue(name, value, scopes, path) {
+        if (path.includes(name)) {
+            throw new Error(`Variable cycle: ${this.formatReferencePath([...path.slice(path.indexOf(name)), name])}`);
+        }
+        if (path.length >= this.maxResolutionDepth) {
+            throw new Error(`Variables nested deeper than ${this.maxResolutionDepth} levels: ${this.formatReferencePath([...path, name])}`);
+        }
+        return value.includes('{{') ? this.resolveText(value, scopes, [...path, name]) : value;
+    }
+
+    formatReferencePath(names) {
+        return names.map(name => `{{${name}}}`).join(' → ');
+    }
+
+    // Names referenced by {{...}} in text, including those inside template function arguments.
+    // Function calls themselves are returned whole, e.g. "$base64(abc)".
+    findReferences(text) {
+        if (!text || typeof text !== 'string') return [];
+
+        const names = new Set();
+        const pattern = /{{\s*([^{}]+?)\s*}}/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            names.add(match[1]);
+        }
+
+        // Calls with nested {{arguments}} only match once the arguments are gone
+        const calls = text.replace(pattern, '');
+        if (calls !== text) this.findReferences(calls).forEach(name => names.add(name));
+        return [...names];
+    }
+
+    // Follows references from the given names through the scopes.
+    // { cycles, unresolved, tooDeep } - messages for cycles and over-deep chains, names nothing defines
+    inspectReferences(names, scopes) {
+        const dynamic = window.DynamicVariableManager;
+        const cycles = new Map();
+        const tooDeep = new Map();
+        const unresolved = new Set();
+        const done = new Set();
+
+        const visit = (name, path) => {
+            if (done.has(name)) return;
+
+            const index = path.indexOf(name);
+            if (index !== -1) {
+                const cycle = path.slice(index);
+                // The same cycle is met from each of its members - key it by its smallest name
+                const start = cycle.indexOf([...cycle].sort()[0]);
+                const ordered = [...cycle.slice(start), ...cycle.slice(0, start)];
+                cycles.set(ordered.join('\u0000'), `Variable cycle: ${this.formatReferencePath([...ordered, ordered[0]])}`);
+                return;
+            }
+            if (path.length >= this.maxResolutionDepth) {
+                tooDeep.set(path[0], `Variables nested deeper than ${this.maxResolutionDepth} levels: ${this.formatReferencePath([...path, name])}`);
+                return;
+            }
+
+            const variable = this.findVariable(scopes, name);
+            if (variable) {
+                this.findReferences(variable.value).forEach(reference => visit(reference, [...path, name]));
+            } else if (!(dynamic && name.startsWith('$') && dynamic.isDynamic(name))) {
+                unresolved.add(name);
+            }
+            done.add(name);
+        };
+
+        names.forEach(name => visit(name, []));
+        return { cycles: [...cycles.values()], tooDeep: [...tooDeep.values()], unresolved: [...unresolved] };
     }
-    
-    const envVars = this.getEnvironmentVariables(envName);
-    let result = text;
-    
-    // Replace {{variableName}} with actual values
-    Object.entries(envVars).forEach(([key, value]) => {
-        // Ensure value is a string
-        const stringValue = String(value || '');
-        const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-        result = result.replace(regex, stringValue);
-    });
-    
-    return result;
-}
 
     openModal() {
         const modal = document.getElementById('envModal');
@@ -156,20 +558,27 @@ replaceVariables(text, envName = null) {
         const container = document.getElementById('envVariablesContainer');
         if (!envSelect || !container) return;
         
-        const envName = envSelect.value;
-        const envVars = this.environments[envName] || {};
+        const scopeKey = envSelect.value;
+        const envVars = this.getScopeValues(scopeKey);
+        const initialValues = this.hasInitialValues(scopeKey) ? this.getInitialValues(scopeKey) : {};
         
-        container.innerHTML = '';
+        container.innerHTML = this.canHoldSecrets(scopeKey) && !this.secureStorage
+            ? '<div class="env-secrets-warning">⚠️ The OS keychain is not available - secret values are stored unencrypted.</div>'
+            : '';
+        container.classList.toggle('no-secrets', !this.canHoldSecrets(scopeKey));
+        container.classList.toggle('no-initial-values', !this.hasInitialValues(scopeKey));
         
-        Object.entries(envVars).forEach(([key, value]) => {
-            this.addVariableRow(key, value);
+        // A variable may have only an initial value (current one unset by a script) or only a current one
+        new Set([...Object.keys(envVars), ...Object.keys(initialValues)]).forEach(key => {
+            this.addVariableRow(key, envVars[key] === undefined ? '' : envVars[key], this.isSecret(scopeKey, key), initialValues[key] || '');
         });
         
         // Add empty row for new variables
         this.addVariableRow();
     }
 
-    addVariableRow(key = '', value = '') {
+    // value is the current value; initial is the value shared with the team
+    addVariableRow(key = '', value = '', secret = false, initial = '') {
         const container = document.getElementById('envVariablesContainer');
         if (!container) return;
         
@@ -177,12 +586,39 @@ replaceVariables(text, envName = null) {
         varDiv.className = 'env-variable';
         varDiv.innerHTML = `
             <input type="text" placeholder="Variable Name" class="env-key" value="${this.escapeHtml(key)}">
-            <input type="text" placeholder="Variable Value" class="env-value" value="${this.escapeHtml(value)}">
+            <input type="text" placeholder="${secret ? 'Secrets are not shared' : 'Initial Value (shared)'}" class="env-initial" value="${secret ? '' : this.escapeHtml(initial)}" autocomplete="off" ${secret ? 'disabled' : ''}>
+            <input type="${secret ? 'password' : 'text'}" placeholder="Current Value" class="env-value" value="${this.escapeHtml(value)}" autocomplete="off">
+            <button type="button" class="env-reset" title="Reset the current value to the initial value" onclick="window.EnvironmentManager.resetVariableRow(this)">↺</button>
+            <button type="button" class="env-secret-toggle ${secret ? 'active' : ''}" title="Secret - masked and stored encrypted" onclick="window.EnvironmentManager.toggleSecretRow(this)">🔒</button>
             <button class="remove-btn" onclick="this.parentNode.remove()">×</button>
         `;
         container.appendChild(varDiv);
     }
 
+    toggleSecretRow(button) {
+        const secret = button.classList.toggle('active');
+        const input = button.parentNode.querySelector('.env-value');
+        if (input) input.type = secret ? 'password' : 'text';
+
+        const initial = button.parentNode.querySelector('.env-initial');
+        if (initial) {
+            initial.disabled = secret;
+            initial.placeholder = secret ? 'Secrets are not shared' : 'Initial Value (shared)';
+        }
+    }
+
+    // Applies on Save, like the other edits in the modal
+    resetVariableRow(button) {
+        const initial = button.parentNode.querySelector('.env-initial');
+        const input = button.parentNode.querySelector('.env-value');
+        if (initial && input && !initial.disabled) input.value = initial.value;
+    }
+
+    // Collection variables travel with the collection, so they cannot be kept secret
+    canHoldSecrets(scopeKey) {
+        return !!scopeKey && !scopeKey.startsWith('@collection:');
+    }
+
     addVariable() {
         this.addVariableRow();
     }
@@ -192,23 +628,98 @@ replaceVariables(text, envName = null) {
         const container = document.getElementById('envVariablesContainer');
         if (!envSelect || !container) return;
         
-        const envName = envSelect.value;
+        const scopeKey = envSelect.value;
         const envVars = {};
+        const initialValues = {};
+        const secretNames = [];
         
         container.querySelectorAll('.env-variable').forEach(pair => {
             const key = pair.querySelector('.env-key')?.value?.trim();
             const value = pair.querySelector('.env-value')?.value?.trim();
-            if (key && value) {
-                envVars[key] = value;
+            const initial = this.hasInitialValues(scopeKey) ? (pair.querySelector('.env-initial')?.value?.trim() || '') : '';
+            if (key && (value || initial)) {
+                // A blank current value starts out as the initial value
+                envVars[key] = value || initial;
+                initialValues[key] = initial;
+                if (pair.querySelector('.env-secret-toggle.active')) secretNames.push(key);
             }
         });
         
-        this.environments[envName] = envVars;
-        this.saveEnvironments();
+        if (this.canHoldSecrets(scopeKey) && secretNames.length > 0 && !this.confirmInsecureSecrets()) {
+            return;
+        }
+        
+        if (this.canHoldSecrets(scopeKey)) {
+            if (secretNames.length > 0) {
+                this.secretKeys[scopeKey] = secretNames;
+            } else {
+                delete this.secretKeys[scopeKey];
+            }
+            this.saveSecretKeys();
+        }
+        
+        if (this.hasInitialValues(scopeKey)) {
+            this.setInitialValues(scopeKey, initialValues);
+        }
+        this.setScopeValues(scopeKey, envVars);
         this.closeModal();
         this.updateDisplay();
         
-        this.showNotification('Environment Saved', `${envName} environment saved successfully!`);
+        this.showNotification('Variables Saved', `${this.getScopeName(scopeKey)} saved successfully!`);
+    }
+
+    // Besides environments, the variables modal edits globals ("@globals") and the variables
+    // of a collection ("@collection:<id>")
+    getScopeValues(scopeKey) {
+        if (scopeKey === '@globals') return this.globals;
+        if (scopeKey && scopeKey.startsWith('@collection:')) {
+            const collection = this.getScopeCollection({ collectionId: scopeKey.slice('@collection:'.length) });
+            return collection ? (collection.variables || {}) : {};
+        }
+        return this.environments[scopeKey] || {};
+    }
+
+    setScopeValues(scopeKey, values) {
+        if (scopeKey === '@globals') {
+            this.globals = values;
+            this.saveGlobals();
+        } else if (scopeKey && scopeKey.startsWith('@collection:')) {
+            const collection = this.getScopeCollection({ collectionId: scopeKey.slice('@collection:'.length) });
+            if (!collection) return;
+            collection.variables = values;
+            collection.updatedAt = new Date().toISOString();
+            window.CollectionManager.saveCollections();
+            this.emitVariablesUpdated();
+        } else {
+            this.environments[scopeKey] = values;
+            this.saveEnvironments();
+        }
+    }
+
+    getScopeName(scopeKey) {
+        if (scopeKey === '@globals') return 'Global variables';
+        if (scopeKey && scopeKey.startsWith('@collection:')) {
+            const collection = this.getScopeCollection({ collectionId: scopeKey.slice('@collection:'.length) });
+            return `${collection ? collection.name : 'Collection'} variables`;
+        }
+        return `${scopeKey} environment`;
+    }
+
+    editGlobals() {
+        this.editScope('@globals');
+    }
+
+    editCollectionVariables(collectionId) {
+        this.editScope(`@collection:${collectionId}`);
+    }
+
+    editScope(scopeKey) {
+        this.updateEnvironmentSelect();
+        const envSelect = document.getElementById('envSelect');
+        if (envSelect) {
+            envSelect.value = scopeKey;
+            this.openModal();
+        }
     }
 duplicateEnvironment(envName) {
     const originalEnv = this.environments[envName];
@@ -276,6 +787,11 @@ handleDuplicateEnvironment(event, originalEnvName) {
     if (!originalEnv) return;
     
     this.environments[newEnvName] = { ...originalEnv };
+    if (this.secretKeys[originalEnvName]) {
+        this.secretKeys[newEnvName] = [...this.secretKeys[originalEnvName]];
+        this.saveSecretKeys();
+    }
+    this.setInitialValues(newEnvName, this.getInitialValues(originalEnvName));
     this.saveEnvironments();
     this.updateDisplay();
     this.updateEnvironmentSelect();
@@ -362,6 +878,7 @@ handleCreateEnvironment(event) {
         baseUrl: baseUrl,
         apiToken: apiToken
     };
+    this.setInitialValues(envName, this.environments[envName]);
     
     this.saveEnvironments();
     this.updateDisplay();
@@ -384,6 +901,10 @@ handleCreateEnvironment(event) {
         }
         
         delete this.environments[envName];
+        delete this.secretKeys[envName];
+        delete this.initialValues[envName];
+        this.saveSecretKeys();
+        this.saveInitialValues();
         this.saveEnvironments();
         this.updateDisplay();
         this.updateEnvironmentSelect();
@@ -414,8 +935,13 @@ handleCreateEnvironment(event) {
                 select.appendChild(option);
             });
             
+            // The variables modal also edits globals and collection variables
+            if (select.id === 'envSelect') {
+                this.appendScopeOptions(select);
+            }
+            
             // Restore previous selection if it still exists
-            if (this.environments[currentValue]) {
+            if (Array.from(select.options).some(option => option.value === currentValue)) {
                 select.value = currentValue;
             } else if (Object.keys(this.environments).length > 0) {
                 // Set to first environment if current doesn't exist
@@ -424,6 +950,26 @@ handleCreateEnvironment(event) {
         });
     }
 
+    appendScopeOptions(select) {
+        const group = document.createElement('optgroup');
+        group.label = 'Other scopes';
+
+        const globals = document.createElement('option');
+        globals.value = '@globals';
+        globals.textContent = 'Globals';
+        group.appendChild(globals);
+
+        const collections = window.CollectionManager ? (window.CollectionManager.collections || []) : [];
+        collections.forEach(collection => {
+            const option = document.createElement('option');
+            option.value = `@collection:${collection.id}`;
+            option.textContent = `Collection: ${collection.name}`;
+            group.appendChild(option);
+        });
+
+        select.appendChild(group);
+    }
+
  // Fix for EnvironmentManager updateDisplay method
 // Replace the updateDisplay method in your environment-manager.js file
 
@@ -461,7 +1007,7 @@ updateDisplay() {
                 ${Object.entries(envVars).slice(0, 3).map(([key, value]) => 
                     `<div class="env-preview-item">
                         <span class="env-preview-key">${key}:</span>
-                        <span class="env-preview-value">${value.length > 20 ? value.substring(0, 20) + '...' : value}</span>
+                        <span class="env-preview-value">${this.isSecret(envName, key) ? '••••••••' : (value.length > 20 ? value.substring(0, 20) + '...' : value)}</span>
                     </div>`
                 ).join('')}
                 ${Object.keys(envVars).length > 3 ? `<div class="env-preview-more">+${Object.keys(envVars).length - 3} more</div>` : ''}
@@ -510,23 +1056,32 @@ updateDisplay() {
             
             // Handle different import formats
             if (importData.environments) {
-                // PosterBoy format
-                Object.assign(this.environments, importData.environments);
+                // PosterBoy format - exports from before initial values start from the values themselves
+                Object.entries(importData.environments).forEach(([envName, values]) => {
+                    this.mergeImportedValues(envName, values);
+                });
+                Object.entries(importData.secretVariables || {}).forEach(([scopeKey, names]) => {
+                    names.forEach(name => this.setSecret(scopeKey, name, true));
+                });
+                if (importData.globals) {
+                    this.mergeImportedValues('@globals', importData.globals);
+                    this.saveGlobals();
+                }
+                const initialValues = importData.initialValues || { ...importData.environments, '@globals': importData.globals || {} };
+                Object.entries(initialValues).forEach(([scopeKey, values]) => {
+                    this.setInitialValues(scopeKey, { ...this.getInitialValues(scopeKey), ...values });
+                });
+            } else if (importData._postman_variable_scope === 'globals' && Array.isArray(importData.values)) {
+                // Postman globals
+                this.importPostmanValues('@globals', importData.values);
             } else if (importData.name && importData.values) {
                 // Postman environment format
                 const envName = importData.name.toLowerCase().replace(/[^a-z0-9]/g, '');
-                const variables = {};
-                
-                importData.values.forEach(variable => {
-                    if (variable.key && variable.enabled !== false) {
-                        variables[variable.key] = variable.value || '';
-                    }
-                });
-                
-                this.environments[envName] = variables;
+                this.importPostmanValues(envName, importData.values);
             } else {
                 // Direct environment object
                 Object.assign(this.environments, importData);
+                Object.entries(importData).forEach(([envName, values]) => this.setInitialValues(envName, values));
             }
             
             this.saveEnvironments();
@@ -540,16 +1095,84 @@ updateDisplay() {
         }
     }
 
+    // Imported values only fill in variables that have no value here yet. Exports blank secret
+    // values, and current values are local - neither is overwritten by an import.
+    mergeImportedValues(scopeKey, values) {
+        const target = scopeKey === '@globals'
+            ? this.globals
+            : (this.environments[scopeKey] = this.environments[scopeKey] || {});
+
+        Object.entries(values || {}).forEach(([name, value]) => {
+            if (target[name] === undefined || target[name] === '') target[name] = value;
+        });
+    }
+
+    // Merges Postman variables ([{ key, value, currentValue, type, enabled }]) into an environment or
+    // "@globals". Postman's value is the initial value; currentValue, when exported, the current one.
+    // Returns the number of variables imported.
+    importPostmanValues(scopeKey, values) {
+        const current = scopeKey === '@globals' ? this.globals : (this.environments[scopeKey] = this.environments[scopeKey] || {});
+        const initialValues = { ...this.getInitialValues(scopeKey) };
+        const text = (value) => value === undefined || value === null ? '' : String(value);
+        let count = 0;
+
+        (values || []).forEach(variable => {
+            if (!variable.key || variable.enabled === false || variable.disabled === true) return;
+
+            if (variable.type === 'secret') this.setSecret(scopeKey, variable.key, true);
+            initialValues[variable.key] = text(variable.value);
+            current[variable.key] = text(variable.currentValue !== undefined ? variable.currentValue : variable.value);
+            count++;
+        });
+
+        this.setInitialValues(scopeKey, initialValues);
+        if (scopeKey === '@globals') {
+            this.saveGlobals();
+        } else {
+            this.saveEnvironments();
+        }
+        return count;
+    }
+
+    // Postman variable list for an environment or "@globals": value is the initial value, currentValue
+    // the local one. Secret values are left out.
+    toPostmanValues(scopeKey) {
+        const current = (scopeKey === '@globals' ? this.globals : this.environments[scopeKey]) || {};
+        const initialValues = this.getInitialValues(scopeKey);
+
+        return [...new Set([...Object.keys(current), ...Object.keys(initialValues)])].map(key => {
+            const secret = this.isSecret(scopeKey, key);
+            return {
+                key,
+                value: secret || initialValues[key] === undefined ? '' : initialValues[key],
+                currentValue: secret || current[key] === undefined ? '' : current[key],
+                enabled: true,
+                type: secret ? 'secret' : 'text'
+            };
+        });
+    }
+
+    // Secret values are left out of exports; only their names travel, marked in secretVariables
     exportEnvironments() {
+        const environments = {};
+        Object.entries(this.environments).forEach(([envName, values]) => {
+            environments[envName] = this.withoutSecrets(envName, values);
+        });
+
         const exportData = {
             posterboy_environments: true,
             version: '1.0.0',
-            environments: this.environments,
+            environments,
+            globals: this.withoutSecrets('@globals', this.globals),
+            initialValues: this.initialValues,
+            secretVariables: this.secretKeys,
             exported_at: new Date().toISOString()
         };
         
         this.downloadFile(exportData, `posterboy_environments_${new Date().toISOString().split('T')[0]}.json`);
-        this.showNotification('Environments Exported', 'All environments exported successfully');
+        this.showNotification('Environments Exported', this.hasSecrets()
+            ? 'All environments exported - secret values were left out'
+            : 'All environments exported successfully');
     }
 
     exportEnvironment(envName) {
@@ -558,18 +1181,54 @@ updateDisplay() {
         
         const exportData = {
             name: envName,
-            values: Object.entries(environment).map(([key, value]) => ({
-                key: key,
-                value: value,
-                enabled: true,
-                type: 'text'
-            }))
+            values: this.toPostmanValues(envName)
         };
         
         this.downloadFile(exportData, `${envName}_environment.json`);
         this.showNotification('Environment Exported', `${envName} environment exported`);
     }
 
+    // Variables as shared with a team, with their initial values - current values stay local.
+    // Secrets keep their name but not their value.
+    getShareableVariables(envName) {
+        const initialValues = this.getInitialValues(envName);
+        const names = new Set([...Object.keys(this.environments[envName] || {}), ...Object.keys(initialValues)]);
+
+        return [...names].map(key => ({
+            key,
+            value: this.isSecret(envName, key) || initialValues[key] === undefined ? '' : initialValues[key],
+            secret: this.isSecret(envName, key)
+        }));
+    }
+
+    // Takes a team's shared variables (as from getShareableVariables) as the initial values. Current
+    // values are kept; variables new to the environment start from the shared value.
+    applySharedVariables(envName, variables) {
+        const current = this.environments[envName] || {};
+        const initialValues = { ...this.getInitialValues(envName) };
+
+        variables.forEach(variable => {
+            if (variable.secret) {
+                this.setSecret(envName, variable.key, true);
+            } else {
+                initialValues[variable.key] = variable.value;
+            }
+            if (current[variable.key] === undefined) {
+                current[variable.key] = variable.secret ? '' : variable.value;
+            }
+        });
+
+        this.environments[envName] = current;
+        this.setInitialValues(envName, initialValues);
+        this.saveEnvironments();
+        this.updateDisplay();
+        this.updateEnvironmentSelect();
+    }
+
+    hasSecrets() {
+        return Object.values(this.secretKeys).some(names => names.length > 0);
+    }
+
     searchEnvironments(query) {
         const container = document.getElementById('environmentsContainer');
         if (!container) return;
@@ -583,12 +1242,16 @@ updateDisplay() {
         });
     }
 
-    validateEnvironment(envName) {
-        const env = this.environments[envName];
-        if (!env) return { valid: false, errors: ['Environment not found'] };
+    // context as for getVariableScopes. With context.request (request data) the references the
+    // request makes are checked too and returned as request: { errors, unresolved }.
+    validateEnvironment(envName = null, context = {}) {
+        const name = envName || this.getCurrentEnvironment();
+        const env = this.environments[name];
+        if (!env) return { valid: false, errors: ['Environment not found'], warnings: [] };
         
         const errors = [];
         const warnings = [];
+        const scopes = this.getVariableScopes(name, context);
         
         // Check for required variables
         const requiredVars = ['baseUrl'];
@@ -598,22 +1261,52 @@ updateDisplay() {
             }
         });
         
+        // Cycles and references nothing defines, across every scope the environment resolves with
+        const variableNames = [...new Set(scopes.flatMap(scope => Object.keys(scope.values)))];
+        const references = this.inspectReferences(variableNames, scopes);
+        errors.push(...references.cycles, ...references.tooDeep);
+        references.unresolved.forEach(reference => {
+            warnings.push(`Unresolved variable: {{${reference}}}`);
+        });
+        
         // Validate URLs
         Object.entries(env).forEach(([key, value]) => {
             if (key.toLowerCase().includes('url') && value) {
                 try {
-                    new URL(value);
+                    new URL(this.resolveValue(key, String(value), scopes, []));
                 } catch (e) {
                     warnings.push(`Invalid URL in ${key}: ${value}`);
                 }
             }
         });
         
-        return {
+        const result = {
             valid: errors.length === 0,
             errors,
             warnings
         };
+
+        if (context.request) {
+            const used = this.inspectReferences(this.collectReferences(context.request), scopes);
+            result.request = {
+                errors: [...used.cycles, ...used.tooDeep],
+                unresolved: used.unresolved
+            };
+        }
+        
+        return result;
+    }
+
+    // Every {{reference}} in the strings of a request, however deeply nested
+    collectReferences(value, names = new Set()) {
+        if (typeof value === 'string') {
+            this.findReferences(value).forEach(name => names.add(name));
+        } else if (Array.isArray(value)) {
+            value.forEach(item => this.collectReferences(item, names));
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => this.collectReferences(item, names));
+        }
+        return [...names];
     }
 
     getVariableUsage(varName) {
@@ -677,7 +1370,10 @@ updateDisplay() {
             initialized: this.initialized,
             environmentCount: Object.keys(this.environments).length,
             currentEnvironment: this.getCurrentEnvironment(),
-            variableCount: Object.values(this.environments).reduce((sum, env) => sum + Object.keys(env).length, 0)
+            variableCount: Object.values(this.environments).reduce((sum, env) => sum + Object.keys(env).length, 0),
+            globalCount: Object.keys(this.globals).length,
+            secretCount: Object.values(this.secretKeys).reduce((sum, names) => sum + names.length, 0),
+            secureStorage: this.secureStorage
         };
     }
 }
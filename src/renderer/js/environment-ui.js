@@ -41,9 +41,9 @@ class EnvironmentVariableUI {
                             <input type="text" id="newEnvVarValue" required placeholder="Enter variable value">
                         </div>
                         <div class="form-group">
-                            <label for="targetEnvironment">Add to Environment *</label>
+                            <label for="targetEnvironment">Add to Scope *</label>
                             <select id="targetEnvironment" required>
-                                <option value="">Select Environment</option>
+                                <option value="">Select Scope</option>
                             </select>
                         </div>
                     </div>
@@ -140,42 +140,90 @@ class EnvironmentVariableUI {
     }
 
     extractVariables(text) {
-        const regex = /\{\{([^}]+)\}\}/g;
+        const dynamic = window.DynamicVariableManager;
         const variables = [];
+        const functionStarts = new Set();
+
+        // Built-in {{$function(...)}} calls, whose arguments may hold other variables
+        if (dynamic) {
+            const callRegex = /\{\{\s*\$\w+\(/g;
+            let call;
+            while ((call = callRegex.exec(text)) !== null) {
+                const end = dynamic.findCallEnd(text, call.index + call[0].length);
+                if (!end) continue;
+
+                const expression = text.slice(call.index + 2, end.close + 1).trim();
+                functionStarts.add(call.index);
+                variables.push(this.createDynamicEntry(text.slice(call.index, end.next), expression, call.index, end.next));
+            }
+        }
+
+        const regex = /\{\{([^{}]+)\}\}/g;
         let match;
         
         while ((match = regex.exec(text)) !== null) {
+            if (functionStarts.has(match.index)) continue;
+
             const varName = match[1].trim();
-            const varValue = this.getVariableValue(varName);
-            const isDefined = this.isVariableDefined(varName);
+            const resolved = this.resolveVariable(varName);
+
+            // {{$guid}} and friends are generated at send time unless a scope overrides them
+            if (!resolved && dynamic && dynamic.isDynamic(varName)) {
+                variables.push(this.createDynamicEntry(match[0], varName, match.index, match.index + match[0].length));
+                continue;
+            }
+
+            const isDefined = !!resolved && resolved.value !== '';
             
             variables.push({
                 full: match[0],
                 name: varName,
-                value: varValue,
+                value: resolved ? resolved.value : '(undefined)',
                 isDefined: isDefined,
+                scope: resolved ? resolved.scope : null,
+                scopeLabel: resolved ? resolved.label : '',
+                secret: !!resolved && resolved.secret,
+                error: resolved ? resolved.error || null : null,
                 start: match.index,
                 end: match.index + match[0].length
             });
         }
         
-        return variables;
+        return variables.sort((a, b) => a.start - b.start);
     }
 
-    getVariableValue(varName) {
-        if (window.EnvironmentManager) {
-            const envVars = window.EnvironmentManager.getEnvironmentVariables();
-            return envVars[varName] || '(undefined)';
+    createDynamicEntry(full, expression, start, end) {
+        const dynamic = window.DynamicVariableManager;
+        const isDefined = dynamic.isDynamic(expression);
+
+        return {
+            full,
+            name: expression,
+            value: isDefined ? dynamic.describe(expression) : '(unknown function)',
+            isDefined,
+            scope: isDefined ? 'dynamic' : null,
+            scopeLabel: 'Generated when the request is sent',
+            start,
+            end
+        };
+    }
+
+    // { value, scope, label } from the highest scope defining the variable, or null
+    resolveVariable(varName) {
+        if (window.EnvironmentManager && window.EnvironmentManager.resolveVariable) {
+            return window.EnvironmentManager.resolveVariable(varName);
         }
-        return '(undefined)';
+        return null;
+    }
+
+    getVariableValue(varName) {
+        const resolved = this.resolveVariable(varName);
+        return resolved && resolved.value !== '' ? resolved.value : '(undefined)';
     }
 
     isVariableDefined(varName) {
-        if (window.EnvironmentManager) {
-            const envVars = window.EnvironmentManager.getEnvironmentVariables();
-            return envVars.hasOwnProperty(varName) && envVars[varName] !== undefined && envVars[varName] !== '';
-        }
-        return false;
+        const resolved = this.resolveVariable(varName);
+        return !!resolved && resolved.value !== '';
     }
 
     handleMouseOver(e) {
@@ -194,7 +242,8 @@ class EnvironmentVariableUI {
     handleRightClick(e) {
         const target = e.target;
         const variables = target._envVariables || [];
-        const undefinedVars = variables.filter(v => !v.isDefined);
+        // Unknown {{$function()}} calls cannot be defined as variables
+        const undefinedVars = variables.filter(v => !v.isDefined && !v.name.includes('('));
         
         if (undefinedVars.length > 0) {
             e.preventDefault();
@@ -206,13 +255,15 @@ class EnvironmentVariableUI {
     showVariablesTooltip(e, variables) {
         const tooltipContent = variables.map(variable => {
             const statusClass = variable.isDefined ? 'defined' : 'undefined';
-            const statusIcon = variable.isDefined ? '✅' : '❌';
+            const statusIcon = variable.error ? '⚠️' : variable.isDefined ? '✅' : '❌';
+            const value = variable.secret && variable.isDefined ? '••••••••' : this.escapeHtml(variable.value);
             
             return `<div class="env-var-tooltip-item ${statusClass}">
                 <span class="var-status">${statusIcon}</span>
                 <span class="var-name">${this.escapeHtml(variable.name)}</span>
                 <span class="var-arrow">→</span>
-                <span class="var-value">${this.escapeHtml(variable.value)}</span>
+                <span class="var-value">${variable.error ? this.escapeHtml(variable.error) : value}</span>
+                ${variable.scope ? `<span class="var-scope scope-${variable.scope}" title="${this.escapeHtml(variable.scopeLabel)}">${variable.scope}</span>` : ''}
             </div>`;
         }).join('');
 
@@ -222,7 +273,7 @@ class EnvironmentVariableUI {
             : 'All variables are defined';
 
         this.tooltipElement.innerHTML = `
-            <div class="env-var-tooltip-header">Environment Variables</div>
+            <div class="env-var-tooltip-header">Variables</div>
             ${tooltipContent}
             <div class="env-var-tooltip-footer">${footerText}</div>
         `;
@@ -283,7 +334,7 @@ class EnvironmentVariableUI {
         
         const environments = window.EnvironmentManager.environments || {};
         
-        select.innerHTML = '<option value="">Select Environment</option>';
+        select.innerHTML = '<option value="">Select Scope</option>';
         
         Object.keys(environments).forEach(envName => {
             const option = document.createElement('option');
@@ -292,6 +343,10 @@ class EnvironmentVariableUI {
             select.appendChild(option);
         });
 
+        if (window.EnvironmentManager.appendScopeOptions) {
+            window.EnvironmentManager.appendScopeOptions(select);
+        }
+
         // Select current environment if available
         if (window.EnvironmentManager.getCurrentEnvironment) {
             const currentEnv = window.EnvironmentManager.getCurrentEnvironment();
@@ -318,13 +373,18 @@ class EnvironmentVariableUI {
             return;
         }
         
-        // Add variable to environment
-        if (!window.EnvironmentManager.environments[envName]) {
-            window.EnvironmentManager.environments[envName] = {};
+        // Add variable to the environment, globals or a collection
+        const environmentManager = window.EnvironmentManager;
+        if (environmentManager.hasInitialValues && environmentManager.hasInitialValues(envName)) {
+            environmentManager.setInitialValues(envName, {
+                ...environmentManager.getInitialValues(envName),
+                [varName]: varValue
+            });
         }
-        
-        window.EnvironmentManager.environments[envName][varName] = varValue;
-        window.EnvironmentManager.saveEnvironments();
+        environmentManager.setScopeValues(envName, {
+            ...environmentManager.getScopeValues(envName),
+            [varName]: varValue
+        });
         
         // Close modal
         this.addVariableModal.style.display = 'none';
@@ -333,7 +393,7 @@ class EnvironmentVariableUI {
         if (window.UI && window.UI.showNotification) {
             window.UI.showNotification(
                 'Variable Added',
-                `Added "${varName}" to ${envName} environment`,
+                `Added "${varName}" to ${environmentManager.getScopeName(envName)}`,
                 { type: 'success' }
             );
         }
@@ -393,5 +453,11 @@ setTimeout(() => {
                 window.EnvironmentVariableUI.refreshAllVariableDisplays();
             }
         });
+        // Globals and collection variables
+        window.Core.on('variablesUpdated', () => {
+            if (window.EnvironmentVariableUI) {
+                window.EnvironmentVariableUI.refreshAllVariableDisplays();
+            }
+        });
     }
 }, 1000);
\ No newline at end of file
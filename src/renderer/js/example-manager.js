@@ -0,0 +1,337 @@
+// Example Manager - Named sample responses saved on collection requests, kept in request.examples
+// and exchanged with Postman as the item's "response" array
+
+class ExampleManager {
+    constructor() {
+        this.modal = null;
+        this.editingId = null; // Example being renamed
+        this.initialized = false;
+
+        console.log('📄 ExampleManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ ExampleManager initialized');
+    }
+
+    // The collection request the workspace was loaded from, or null for unsaved requests
+    getSourceRequest() {
+        const source = window.RequestManager ? window.RequestManager.currentSource : null;
+        if (!source || !source.requestId || !window.CollectionManager) return null;
+
+        const collection = window.CollectionManager.getCollection(source.collectionId);
+        if (!collection) return null;
+
+        const requests = [
+            ...(collection.requests || []),
+            ...(collection.folders || []).reduce((all, folder) => all.concat(folder.requests || []), [])
+        ];
+        const request = requests.find(item => item.id === source.requestId);
+        return request ? { collection, request } : null;
+    }
+
+    getExamples() {
+        const source = this.getSourceRequest();
+        return source ? (source.request.examples || []) : [];
+    }
+
+    // Example as stored on the request: the status line, headers and text body of the response,
+    // plus the request that produced it
+    createExample(name, response, request) {
+        return {
+            id: this.generateId('ex'),
+            name,
+            status: response.status,
+            statusText: response.statusText || '',
+            headers: { ...(response.headers || {}) },
+            body: response.rawBody !== undefined ? response.rawBody : this.stringify(response.body),
+            originalRequest: request ? {
+                method: request.method,
+                url: request.url,
+                headers: (request.headers || []).map(header => ({ key: header.key, value: header.value })),
+                body: request.body || { type: 'none' }
+            } : null,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    saveExample(name) {
+        const source = this.getSourceRequest();
+        const response = window.RequestManager ? window.RequestManager.currentResponse : null;
+        if (!source) {
+            this.showNotification('Not a Collection Request', 'Save the request to a collection before adding examples', { type: 'warning' });
+            return false;
+        }
+        if (!response) {
+            this.showNotification('No Response', 'Send the request first', { type: 'warning' });
+            return false;
+        }
+
+        const viewers = window.ResponseViewerManager;
+        if (viewers && response.bodyBytes && viewers.isBinaryType(viewers.detectType(response))) {
+            this.showNotification('Binary Response', 'Only text responses can be saved as examples', { type: 'warning' });
+            return false;
+        }
+
+        const example = this.createExample(name, response, window.RequestManager.currentRequest);
+        source.request.examples = [...(source.request.examples || []), example];
+        this.touch(source.collection);
+
+        this.showNotification('Example Saved', `"${name}" saved on ${source.request.name}`);
+        return true;
+    }
+
+    renameExample(exampleId, name) {
+        const source = this.getSourceRequest();
+        const example = source && (source.request.examples || []).find(item => item.id === exampleId);
+        if (!example) return;
+
+        example.name = name;
+        this.touch(source.collection);
+    }
+
+    deleteExample(exampleId) {
+        const source = this.getSourceRequest();
+        if (!source) return;
+
+        source.request.examples = (source.request.examples || []).filter(item => item.id !== exampleId);
+        this.touch(source.collection);
+    }
+
+    touch(collection) {
+        collection.updatedAt = new Date().toISOString();
+        window.CollectionManager.saveCollections();
+    }
+
+    // Response object in the shape RequestManager builds, so the viewers, filter and diff work on it
+    toResponse(example) {
+        const headers = Object.keys(example.headers || {}).reduce((acc, name) => {
+            acc[name.toLowerCase()] = String(example.headers[name]);
+            return acc;
+        }, {});
+        const fields = {
+            status: example.status,
+            statusText: example.statusText || '',
+            headers,
+            rawHeaders: Object.entries(headers),
+            bytes: new TextEncoder().encode(example.body || ''),
+            duration: 0,
+            timings: null,
+            redirects: [],
+            url: example.originalRequest ? example.originalRequest.url : ''
+        };
+
+        const response = window.RequestManager
+            ? window.RequestManager.buildResponse(fields)
+            : { ...fields, body: example.body || '', rawBody: example.body || '', bodyBytes: fields.bytes, size: fields.bytes.byteLength };
+        response.exampleName = example.name;
+        return response;
+    }
+
+    // Shows the example in the response panel, as if it had just been received
+    openExample(exampleId) {
+        const example = this.getExamples().find(item => item.id === exampleId);
+        if (!example || !window.RequestManager) return;
+
+        const response = this.toResponse(example);
+        window.RequestManager.currentResponse = response;
+        window.RequestManager.displayResponse(response);
+        this.hideExamples();
+    }
+
+    // Loads the request the example was recorded with back into the workspace, along with the example
+    restoreExample(exampleId) {
+        const source = this.getSourceRequest();
+        const example = this.getExamples().find(item => item.id === exampleId);
+        if (!source || !example || !window.RequestManager) return;
+
+        if (example.originalRequest) {
+            window.RequestManager.loadRequest({ ...source.request, ...example.originalRequest }, window.RequestManager.currentSource);
+        }
+        this.openExample(exampleId);
+        this.showNotification('Example Restored', `"${example.name}" loaded into the workspace`);
+    }
+
+    // ---- Modal ----
+
+    showExamples(focusName = false) {
+        if (!this.modal) this.createModal();
+        this.editingId = null;
+        this.render();
+        this.modal.style.display = 'block';
+
+        if (focusName) {
+            const input = this.modal.querySelector('#exampleName');
+            if (input) setTimeout(() => input.focus(), 100);
+        }
+    }
+
+    hideExamples() {
+        if (this.modal) this.modal.style.display = 'none';
+        this.editingId = null;
+    }
+
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'examplesModal';
+        this.modal.style.display = 'none';
+        this.modal.innerHTML = `
+            <div class="modal-content large">
+                <div class="modal-header">
+                    <h3>📄 Examples</h3>
+                    <button class="close" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+
+        this.modal.addEventListener('click', (event) => this.handleClick(event));
+        this.modal.addEventListener('submit', (event) => {
+            event.preventDefault();
+            if (event.target.id === 'exampleSaveForm') {
+                const name = event.target.querySelector('#exampleName').value.trim();
+                if (name && this.saveExample(name)) this.render();
+            } else if (event.target.classList.contains('example-rename-form')) {
+                const name = event.target.querySelector('input').value.trim();
+                if (name) this.renameExample(this.editingId, name);
+                this.editingId = null;
+                this.render();
+            }
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    render() {
+        const body = this.modal.querySelector('.modal-body');
+        const source = this.getSourceRequest();
+        if (!source) {
+            body.innerHTML = '<p class="examples-empty">Examples are stored on collection requests - open or save this request in a collection first.</p>';
+            return;
+        }
+
+        const response = window.RequestManager ? window.RequestManager.currentResponse : null;
+        const examples = source.request.examples || [];
+
+        body.innerHTML = `
+            ${response && !response.exampleName ? `
+                <form id="exampleSaveForm" class="examples-save">
+                    <label for="exampleName">Save the current response (${this.escapeHtml(`${response.status} ${response.statusText || ''}`.trim())}) as</label>
+                    <input type="text" id="exampleName" placeholder="Example name" required maxlength="100"
+                           value="${this.escapeHtml(`${response.status} ${response.statusText || ''}`.trim())}">
+                    <button type="submit" class="btn btn-primary btn-sm">Save Example</button>
+                </form>
+            ` : ''}
+            ${examples.length === 0
+                ? `<p class="examples-empty">No examples saved on "${this.escapeHtml(source.request.name)}" yet.</p>`
+                : `<div class="examples-list">${examples.map(example => this.renderExample(example)).join('')}</div>`}
+        `;
+    }
+
+    renderExample(example) {
+        const statusClass = window.RequestManager ? window.RequestManager.getStatusClass(example.status) : '';
+        const name = this.editingId === example.id
+            ? `<form class="example-rename-form"><input type="text" value="${this.escapeHtml(example.name)}" required maxlength="100"></form>`
+            : `<span class="example-name">${this.escapeHtml(example.name)}</span>`;
+
+        return `
+            <div class="example-item" data-id="${this.escapeHtml(example.id)}">
+                <span class="status-badge ${statusClass}">${this.escapeHtml(String(example.status))}</span>
+                ${name}
+                <span class="example-date">${new Date(example.createdAt).toLocaleString()}</span>
+                <div class="example-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="open" title="Show the response">Open</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="restore" ${example.originalRequest ? '' : 'disabled'} title="Load the request and response">Restore</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="rename">Rename</button>
+                    <button type="button" class="btn btn-danger btn-sm" data-action="delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    handleClick(event) {
+        if (event.target === this.modal) {
+            this.hideExamples();
+            return;
+        }
+
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const item = button.closest('.example-item');
+        const exampleId = item ? item.dataset.id : null;
+
+        switch (button.dataset.action) {
+            case 'close':
+                this.hideExamples();
+                break;
+            case 'open':
+                this.openExample(exampleId);
+                break;
+            case 'restore':
+                this.restoreExample(exampleId);
+                break;
+            case 'rename':
+                this.editingId = exampleId;
+                this.render();
+                this.modal.querySelector('.example-rename-form input').focus();
+                break;
+            case 'delete': {
+                const example = this.getExamples().find(entry => entry.id === exampleId);
+                if (example && confirm(`Delete the example "${example.name}"?`)) {
+                    this.deleteExample(exampleId);
+                    this.render();
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    stringify(value) {
+        if (value === undefined || value === null) return '';
+        return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    }
+
+    generateId(prefix = 'id') {
+        if (window.Core && typeof window.Core.generateId === 'function') {
+            return window.Core.generateId(prefix);
+        }
+        return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            examples: this.getExamples().length
+        };
+    }
+}
+
+// Global instance
+window.ExampleManager = new ExampleManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExampleManager;
+}
@@ -0,0 +1,460 @@
+// GraphQL Manager - Schema introspection, query autocomplete and the operation picker for GraphQL bodies
+
+class GraphQLManager {
+    constructor() {
+        this.schemas = new Map(); // Introspected schemas by endpoint URL
+        this.suggestions = [];
+        this.activeSuggestion = 0;
+        this.initialized = false;
+
+        console.log('🔷 GraphQLManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.bindEditor());
+        } else {
+            this.bindEditor();
+        }
+
+        this.initialized = true;
+        console.log('✅ GraphQLManager initialized');
+    }
+
+    bindEditor() {
+        const queryInput = document.getElementById('graphqlQuery');
+        if (!queryInput) return;
+
+        queryInput.addEventListener('input', () => {
+            this.updateOperationNames();
+            this.updateSuggestions();
+        });
+        queryInput.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        queryInput.addEventListener('click', () => this.hideSuggestions());
+        queryInput.addEventListener('blur', () => {
+            // Let a click on a suggestion land first
+            setTimeout(() => this.hideSuggestions(), 150);
+        });
+    }
+
+    // ================== SCHEMA ==================
+
+    getIntrospectionQuery() {
+        const typeRef = 'kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } } }';
+        return `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types {
+      kind
+      name
+      description
+      fields(includeDeprecated: true) {
+        name
+        description
+        isDeprecated
+        args { name description type { ${typeRef} } defaultValue }
+        type { ${typeRef} }
+      }
+      inputFields { name description type { ${typeRef} } defaultValue }
+      enumValues(includeDeprecated: true) { name }
+      possibleTypes { name }
+    }
+  }
+}`;
+    }
+
+    // Introspect the endpoint with the request's own URL, headers and auth
+    async fetchSchema() {
+        const requestManager = window.RequestManager;
+        if (!requestManager) return;
+
+        const envName = window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null;
+        let requestData;
+        try {
+            requestData = requestManager.processRequestData(requestManager.getCurrentRequestData(), envName);
+        } catch (error) {
+            // Variable cycles in the URL, headers or auth
+            this.setSchemaStatus(`Introspection failed: ${error.message}`, 'error');
+            return;
+        }
+        if (!requestData.url) {
+            this.showNotification('No URL', 'Enter the GraphQL endpoint URL first', { type: 'warning' });
+            return;
+        }
+
+        this.setSchemaStatus('Fetching schema...');
+
+        try {
+            const response = await requestManager.executeRequest({
+                ...requestData,
+                method: 'POST',
+                body: { type: 'graphql', query: this.getIntrospectionQuery(), variables: '', operationName: 'IntrospectionQuery' }
+            }, envName);
+
+            const data = typeof response.body === 'string' ? JSON.parse(response.body) : response.body;
+            if (!data || !data.data || !data.data.__schema) {
+                const message = data && data.errors && data.errors.length > 0
+                    ? data.errors[0].message
+                    : `HTTP ${response.status} ${response.statusText}`;
+                throw new Error(message);
+            }
+
+            const schema = this.indexSchema(data.data.__schema);
+            this.schemas.set(requestData.url, schema);
+            this.setSchemaStatus(`Schema loaded: ${schema.typeCount} types`, 'loaded');
+        } catch (error) {
+            this.setSchemaStatus(`Introspection failed: ${error.message}`, 'error');
+        }
+    }
+
+    indexSchema(schema) {
+        const types = {};
+        (schema.types || []).forEach(type => {
+            types[type.name] = type;
+        });
+
+        return {
+            types,
+            typeCount: Object.keys(types).filter(name => !name.startsWith('__')).length,
+            queryType: schema.queryType ? schema.queryType.name : null,
+            mutationType: schema.mutationType ? schema.mutationType.name : null,
+            subscriptionType: schema.subscriptionType ? schema.subscriptionType.name : null
+        };
+    }
+
+    getCurrentSchema() {
+        const requestManager = window.RequestManager;
+        if (!requestManager) return null;
+
+        // Runs on every autocomplete keystroke - a variable cycle just means no schema
+        try {
+            const url = requestManager.processRequestData({ url: requestManager.getUrl() }).url;
+            return this.schemas.get(url) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setSchemaStatus(message, state = '') {
+        const status = document.getElementById('graphqlSchemaStatus');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `graphql-schema-status ${state}`.trim();
+    }
+
+    // ================== OPERATIONS ==================
+
+    getOperationNames(query) {
+        const names = [];
+        const pattern = /\b(query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/g;
+        let match;
+        while ((match = pattern.exec(this.stripIgnored(query || ''))) !== null) {
+            names.push(match[2]);
+        }
+        return names;
+    }
+
+    updateOperationNames(selected = null) {
+        const select = document.getElementById('graphqlOperationName');
+        const queryInput = document.getElementById('graphqlQuery');
+        if (!select || !queryInput) return;
+
+        const current = selected !== null ? selected : select.value;
+        const names = this.getOperationNames(queryInput.value);
+
+        select.innerHTML = '<option value="">(auto)</option>' + names
+            .map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`)
+            .join('');
+
+        // Keep a saved name even if the query does not define it (yet)
+        if (current && !names.includes(current)) {
+            select.insertAdjacentHTML('beforeend', `<option value="${this.escapeHtml(current)}">${this.escapeHtml(current)}</option>`);
+        }
+        select.value = current || '';
+    }
+
+    // ================== AUTOCOMPLETE ==================
+
+    // Blank out strings and comments so braces inside them are ignored
+    stripIgnored(text) {
+        return text
+            .replace(/"""[\s\S]*?(?:"""|$)/g, match => ' '.repeat(match.length))
+            .replace(/"(?:[^"\\\n]|\\.)*"?/g, match => ' '.repeat(match.length))
+            .replace(/#[^\n]*/g, match => ' '.repeat(match.length));
+    }
+
+    // Work out which type's fields (or which field's arguments) apply at the cursor
+    getCompletionContext(text, schema) {
+        const tokens = this.stripIgnored(text).match(/\.\.\.|[_A-Za-z][_0-9A-Za-z]*|[{}()[\]:$@!=,]/g) || [];
+        const stack = [];
+        let rootType = schema.queryType;
+        let typeCondition = null;
+        let expectTypeCondition = false;
+        let lastField = null;
+        let lastToken = null;
+
+        tokens.forEach(token => {
+            const top = stack[stack.length - 1];
+
+            if (token === '{') {
+                if (!top) {
+                    stack.push({ kind: 'selection', type: typeCondition || rootType });
+                } else if (top.kind === 'selection') {
+                    const type = typeCondition || this.getFieldTypeName(schema, top.type, lastField);
+                    stack.push({ kind: 'selection', type });
+                } else {
+                    stack.push({ kind: 'value' });
+                }
+                typeCondition = null;
+                lastField = null;
+            } else if (token === '(') {
+                stack.push(top && top.kind === 'selection' && lastField
+                    ? { kind: 'args', type: top.type, field: lastField }
+                    : { kind: 'value' });
+            } else if (token === '[') {
+                stack.push({ kind: 'value' });
+            } else if (token === '}' || token === ')' || token === ']') {
+                stack.pop();
+            } else if (expectTypeCondition && /^[_A-Za-z]/.test(token)) {
+                typeCondition = token;
+                expectTypeCondition = false;
+            } else if (token === 'on') {
+                expectTypeCondition = true;
+            } else if (!top && ['query', 'mutation', 'subscription'].includes(token)) {
+                rootType = schema[`${token}Type`];
+            } else if (top && top.kind === 'selection' && /^[_A-Za-z]/.test(token) && lastToken !== '...') {
+                // For "alias: field" the real field name comes last and wins
+                lastField = token;
+            }
+
+            lastToken = token;
+        });
+
+        const top = stack[stack.length - 1];
+        if (!top) return null;
+        if (top.kind === 'args') {
+            // After "name:" the user is typing a value, not an argument name
+            return lastToken === ':' ? null : top;
+        }
+        return top.kind === 'selection' ? top : null;
+    }
+
+    getFieldTypeName(schema, typeName, fieldName) {
+        const type = typeName ? schema.types[typeName] : null;
+        const field = type && (type.fields || []).find(f => f.name === fieldName);
+        return field ? this.unwrapType(field.type).name : null;
+    }
+
+    unwrapType(typeRef) {
+        let current = typeRef;
+        while (current && current.ofType) {
+            current = current.ofType;
+        }
+        return current || {};
+    }
+
+    // Render NON_NULL/LIST wrappers the way they are written in SDL
+    formatType(typeRef) {
+        if (!typeRef) return '';
+        if (typeRef.kind === 'NON_NULL') return `${this.formatType(typeRef.ofType)}!`;
+        if (typeRef.kind === 'LIST') return `[${this.formatType(typeRef.ofType)}]`;
+        return typeRef.name;
+    }
+
+    updateSuggestions(force = false) {
+        const queryInput = document.getElementById('graphqlQuery');
+        const schema = this.getCurrentSchema();
+        if (!queryInput || !schema) {
+            this.hideSuggestions();
+            return;
+        }
+
+        const before = queryInput.value.slice(0, queryInput.selectionStart);
+        const prefix = (before.match(/[_A-Za-z][_0-9A-Za-z]*$/) || [''])[0];
+        if (!prefix && !force) {
+            this.hideSuggestions();
+            return;
+        }
+
+        const context = this.getCompletionContext(before.slice(0, before.length - prefix.length), schema);
+        const type = context && context.type ? schema.types[context.type] : null;
+        if (!type) {
+            this.hideSuggestions();
+            return;
+        }
+
+        let candidates;
+        if (context.kind === 'args') {
+            const field = (type.fields || []).find(f => f.name === context.field);
+            candidates = ((field && field.args) || []).map(arg => ({
+                name: arg.name,
+                detail: this.formatType(arg.type),
+                insert: `${arg.name}: `
+            }));
+        } else {
+            candidates = (type.fields || []).map(field => ({
+                name: field.name,
+                detail: this.formatType(field.type),
+                deprecated: field.isDeprecated,
+                insert: field.name
+            }));
+            candidates.push({ name: '__typename', detail: 'String!', insert: '__typename' });
+        }
+
+        const lowerPrefix = prefix.toLowerCase();
+        this.suggestions = candidates
+            .filter(candidate => candidate.name.toLowerCase().startsWith(lowerPrefix) && candidate.name !== prefix)
+            .slice(0, 50);
+        this.suggestionPrefix = prefix;
+        this.activeSuggestion = 0;
+
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        const list = document.getElementById('graphqlSuggestions');
+        if (!list) return;
+
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        list.innerHTML = this.suggestions.map((suggestion, index) => `
+            <li class="graphql-suggestion ${index === this.activeSuggestion ? 'active' : ''} ${suggestion.deprecated ? 'deprecated' : ''}"
+                onmousedown="event.preventDefault(); window.GraphQLManager.acceptSuggestion(${index})">
+                <span class="graphql-suggestion-name">${this.escapeHtml(suggestion.name)}</span>
+                <span class="graphql-suggestion-type">${this.escapeHtml(suggestion.detail)}</span>
+            </li>
+        `).join('');
+        list.style.display = 'block';
+
+        const active = list.querySelector('.graphql-suggestion.active');
+        if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    hideSuggestions() {
+        this.suggestions = [];
+        const list = document.getElementById('graphqlSuggestions');
+        if (list) {
+            list.style.display = 'none';
+            list.innerHTML = '';
+        }
+    }
+
+    acceptSuggestion(index = this.activeSuggestion) {
+        const suggestion = this.suggestions[index];
+        const queryInput = document.getElementById('graphqlQuery');
+        if (!suggestion || !queryInput) return;
+
+        const cursor = queryInput.selectionStart;
+        const start = cursor - (this.suggestionPrefix || '').length;
+        queryInput.value = queryInput.value.slice(0, start) + suggestion.insert + queryInput.value.slice(cursor);
+        queryInput.selectionStart = queryInput.selectionEnd = start + suggestion.insert.length;
+        queryInput.focus();
+
+        this.hideSuggestions();
+        this.updateOperationNames();
+        if (window.RequestManager) window.RequestManager.updateCurlCommand();
+    }
+
+    handleKeyDown(event) {
+        // Ctrl+Space opens suggestions without typing a prefix
+        if (event.key === ' ' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            this.updateSuggestions(true);
+            return;
+        }
+
+        if (this.suggestions.length === 0) return;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.activeSuggestion = (this.activeSuggestion + 1) % this.suggestions.length;
+                this.renderSuggestions();
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.activeSuggestion = (this.activeSuggestion - 1 + this.suggestions.length) % this.suggestions.length;
+                this.renderSuggestions();
+                break;
+            case 'Enter':
+            case 'Tab':
+                event.preventDefault();
+                this.acceptSuggestion();
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.hideSuggestions();
+                break;
+        }
+    }
+
+    // ================== EDITOR ==================
+
+    loadBody(body) {
+        const queryInput = document.getElementById('graphqlQuery');
+        const variablesInput = document.getElementById('graphqlVariables');
+        if (queryInput) queryInput.value = (body && body.query) || '';
+        if (variablesInput) variablesInput.value = (body && body.variables) || '';
+        this.updateOperationNames((body && body.operationName) || '');
+        this.hideSuggestions();
+    }
+
+    getBody() {
+        return {
+            type: 'graphql',
+            query: document.getElementById('graphqlQuery')?.value || '',
+            variables: document.getElementById('graphqlVariables')?.value?.trim() || '',
+            operationName: document.getElementById('graphqlOperationName')?.value || ''
+        };
+    }
+
+    prettifyVariables() {
+        const variablesInput = document.getElementById('graphqlVariables');
+        if (!variablesInput || !variablesInput.value.trim()) return;
+
+        try {
+            variablesInput.value = JSON.stringify(JSON.parse(variablesInput.value), null, 2);
+        } catch (error) {
+            this.showNotification('Invalid JSON', 'GraphQL variables must be a JSON object', { type: 'error' });
+        }
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            cachedSchemas: this.schemas.size
+        };
+    }
+}
+
+// Global instance
+window.GraphQLManager = new GraphQLManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphQLManager;
+}
@@ -0,0 +1,494 @@
+// gRPC Manager - Schemas, service/method pickers and message editing for requests whose method is "GRPC"
+
+class GrpcManager {
+    constructor() {
+        this.schemas = new Map(); // Loaded schemas by source key
+        this.schema = null; // Schema shown in the pickers
+        this.source = null; // { type: 'proto', protoFiles } | { type: 'reflection' }
+        this.handlers = new Map(); // Streamed message listeners by call id
+        this.initialized = false;
+
+        console.log('🧬 GrpcManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        if (this.isAvailable()) {
+            window.electronAPI.onGrpcMessage((update) => {
+                const handler = this.handlers.get(update.id);
+                if (handler) handler(update.message);
+            });
+        }
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.bindEditor());
+        } else {
+            this.bindEditor();
+        }
+
+        this.initialized = true;
+        console.log('✅ GrpcManager initialized');
+    }
+
+    isAvailable() {
+        return !!(window.electronAPI && typeof window.electronAPI.invokeGrpc === 'function');
+    }
+
+    bindEditor() {
+        const methodSelect = document.getElementById('method');
+        if (methodSelect) {
+            methodSelect.addEventListener('change', () => this.updateMode());
+        }
+        this.updateMode();
+        this.renderPickers();
+    }
+
+    isGrpcRequest() {
+        return document.getElementById('method')?.value === 'GRPC';
+    }
+
+    updateMode() {
+        const panel = document.getElementById('grpcSection');
+        if (panel) panel.style.display = this.isGrpcRequest() ? 'block' : 'none';
+    }
+
+    // ================== SCHEMAS ==================
+
+    async chooseProtoFiles() {
+        if (!this.isAvailable()) {
+            this.showNotification('Not Available', 'gRPC requests require the desktop app', { type: 'warning' });
+            return;
+        }
+
+        const result = await window.electronAPI.showOpenDialog({
+            properties: ['openFile', 'multiSelections'],
+            filters: [{ name: 'Protocol Buffers', extensions: ['proto'] }]
+        });
+        if (!result || result.canceled || !result.filePaths || result.filePaths.length === 0) return;
+
+        try {
+            await this.loadSchema({ type: 'proto', protoFiles: result.filePaths }, { force: true });
+            this.showNotification('Schema Loaded', this.describeSchema(), { type: 'success' });
+        } catch (error) {
+            this.showNotification('Failed to Load .proto', error.message, { type: 'error' });
+        }
+    }
+
+    async useReflection() {
+        if (!this.isAvailable()) {
+            this.showNotification('Not Available', 'gRPC requests require the desktop app', { type: 'warning' });
+            return;
+        }
+
+        const requestManager = window.RequestManager;
+        let requestData;
+        try {
+            requestData = requestManager.processRequestData(requestManager.getCurrentRequestData());
+        } catch (error) {
+            this.showNotification('Reflection Failed', error.message, { type: 'error' });
+            return;
+        }
+        if (!requestData.url) {
+            this.showNotification('Missing Address', 'Enter the server address first, e.g. grpc://localhost:50051', { type: 'warning' });
+            return;
+        }
+
+        try {
+            this.setSchemaStatus('Querying server reflection...');
+            const prepared = requestManager.prepareRequest(await requestManager.resolveAuth(requestData));
+            const target = { ...prepared, settings: requestManager.getEffectiveSettings(requestData.settings) };
+            await this.loadSchema({ type: 'reflection' }, { force: true, target });
+            this.showNotification('Schema Loaded', this.describeSchema(), { type: 'success' });
+        } catch (error) {
+            this.renderPickers();
+            this.showNotification('Reflection Failed', error.message, { type: 'error' });
+        }
+    }
+
+    // Loads (or reuses) the schema for a source and shows it in the pickers
+    async loadSchema(source, { force = false, target = null } = {}) {
+        const schema = await this.fetchSchema(source, { force, target });
+        this.schema = schema;
+        this.source = source;
+        this.renderPickers();
+        return schema;
+    }
+
+    // target is the prepared request ({ url, headers, settings }) reflection is queried through
+    async fetchSchema(source, { force = false, target = null } = {}) {
+        const key = this.getSourceKey(source, target);
+        let schema = force ? null : this.schemas.get(key);
+
+        if (!schema) {
+            schema = source.type === 'reflection'
+                ? await this.reflect(target)
+                : await this.readProtoFiles(source.protoFiles || []);
+            this.schemas.set(key, schema);
+        }
+        return schema;
+    }
+
+    async readProtoFiles(protoFiles) {
+        if (protoFiles.length === 0) {
+            throw new Error('Load a .proto file or use server reflection first');
+        }
+
+        const sources = [];
+        for (const filePath of protoFiles) {
+            const file = await window.electronAPI.readFile(filePath);
+            if (!file || !file.success) {
+                throw new Error(`Cannot read ${filePath}: ${file ? file.error : 'unknown error'}`);
+            }
+            sources.push({ path: filePath, content: file.content });
+        }
+
+        const result = await window.electronAPI.loadProtoFiles(sources);
+        if (!result || !result.success) {
+            throw new Error(result ? result.error : 'Failed to parse .proto files');
+        }
+        (result.warnings || []).forEach(warning => console.warn(warning));
+        return result.schema;
+    }
+
+    async reflect(target) {
+        const result = await window.electronAPI.reflectGrpc({
+            url: target.url,
+            metadata: target.headers,
+            timeout: target.settings.timeout,
+            rejectUnauthorized: target.settings.verifyTls,
+            certificates: window.SettingsManager ? window.SettingsManager.getCertificates() : null,
+            proxy: window.SettingsManager ? window.SettingsManager.getProxyFor(target.settings) : null
+        });
+        if (!result || !result.success) {
+            throw new Error(result ? result.error : 'Reflection failed');
+        }
+        return result.schema;
+    }
+
+    // Reflection schemas belong to a server, .proto schemas to a set of files
+    getSourceKey(source, target) {
+        if (source.type === 'reflection') {
+            return `reflection:${target ? target.url : ''}`;
+        }
+        return `proto:${(source.protoFiles || []).join('|')}`;
+    }
+
+    // Schema for a request about to be sent (saved requests only remember where it came from)
+    async getSchema(config, target) {
+        const source = config.source === 'reflection'
+            ? { type: 'reflection' }
+            : { type: 'proto', protoFiles: config.protoFiles || [] };
+        const schema = await this.fetchSchema(source, { target });
+
+        // Replace the placeholder pickers of a request loaded from a collection
+        if (this.schema && this.schema.placeholder && this.source &&
+            this.getSourceKey(this.source, target) === this.getSourceKey(source, target)) {
+            this.schema = schema;
+            this.renderPickers();
+        }
+        return schema;
+    }
+
+    describeSchema() {
+        if (!this.schema) return '';
+        const methods = this.schema.services.reduce((total, service) => total + service.methods.length, 0);
+        return `${this.schema.services.length} service${this.schema.services.length !== 1 ? 's' : ''}, ${methods} method${methods !== 1 ? 's' : ''}`;
+    }
+
+    setSchemaStatus(text) {
+        const status = document.getElementById('grpcSchemaStatus');
+        if (status) status.textContent = text;
+    }
+
+    // ================== PICKERS ==================
+
+    renderPickers(selected = {}) {
+        const serviceSelect = document.getElementById('grpcService');
+        if (!serviceSelect) return;
+
+        const services = this.schema ? this.schema.services : [];
+        const current = selected.service || serviceSelect.value;
+
+        serviceSelect.innerHTML = services.length > 0
+            ? services.map(service => `<option value="${this.escapeHtml(service.name)}">${this.escapeHtml(service.name)}</option>`).join('')
+            : '<option value="">No services</option>';
+        if (services.some(service => service.name === current)) {
+            serviceSelect.value = current;
+        }
+
+        this.populateMethods(selected.method);
+
+        if (!this.schema) {
+            this.setSchemaStatus('No schema loaded');
+        } else if (this.source && this.source.type === 'reflection') {
+            this.setSchemaStatus(`Server reflection • ${this.describeSchema()}`);
+        } else {
+            const files = (this.source && this.source.protoFiles) || [];
+            const names = files.map(file => file.split(/[\\/]/).pop()).join(', ');
+            this.setSchemaStatus(`${names} • ${this.describeSchema()}`);
+        }
+    }
+
+    populateMethods(selectedMethod) {
+        const serviceSelect = document.getElementById('grpcService');
+        const methodSelect = document.getElementById('grpcMethod');
+        if (!serviceSelect || !methodSelect) return;
+
+        const service = this.findService(serviceSelect.value);
+        const current = selectedMethod || methodSelect.value;
+        const methods = service ? service.methods : [];
+
+        methodSelect.innerHTML = methods.length > 0
+            ? methods.map(method => `
+                <option value="${this.escapeHtml(method.name)}">${this.escapeHtml(method.name)}${this.getMethodKind(method)}</option>
+            `).join('')
+            : '<option value="">No methods</option>';
+        if (methods.some(method => method.name === current)) {
+            methodSelect.value = current;
+        }
+
+        this.onMethodChange();
+    }
+
+    onMethodChange() {
+        const method = this.getSelectedMethod();
+        const info = document.getElementById('grpcMethodInfo');
+        if (info) {
+            info.textContent = method ? `${method.inputType} → ${method.serverStreaming ? 'stream ' : ''}${method.outputType}` : '';
+        }
+        if (window.RequestManager) window.RequestManager.updateCurlCommand();
+    }
+
+    getMethodKind(method) {
+        if (method.clientStreaming && method.serverStreaming) return ' (bidi streaming)';
+        if (method.clientStreaming) return ' (client streaming)';
+        if (method.serverStreaming) return ' (server streaming)';
+        return '';
+    }
+
+    findService(name) {
+        return this.schema ? this.schema.services.find(service => service.name === name) : null;
+    }
+
+    getSelectedMethod() {
+        const service = this.findService(document.getElementById('grpcService')?.value);
+        const methodName = document.getElementById('grpcMethod')?.value;
+        return service ? service.methods.find(method => method.name === methodName) || null : null;
+    }
+
+    // Fill the message editor with every field of the request type
+    generateExample() {
+        const method = this.getSelectedMethod();
+        if (!method) {
+            this.showNotification('No Method Selected', 'Load a schema and pick a method first', { type: 'warning' });
+            return;
+        }
+
+        const textarea = document.getElementById('grpcMessage');
+        if (textarea) {
+            textarea.value = JSON.stringify(this.buildExample(method.inputType), null, 2);
+        }
+    }
+
+    buildExample(typeName, seen = []) {
+        const type = this.schema.messages[typeName];
+        if (!type || seen.includes(typeName)) return {};
+
+        const example = {};
+        const oneofs = new Set();
+        type.fields.forEach(field => {
+            // Only the first member of a oneof can be set
+            if (field.oneof) {
+                if (oneofs.has(field.oneof)) return;
+                oneofs.add(field.oneof);
+            }
+
+            if (field.kind === 'map') {
+                const value = this.exampleValue(field.map.valueType, field.map.valueKind, seen.concat(typeName));
+                example[field.name] = { [field.map.keyType === 'string' ? 'key' : '0']: value };
+                return;
+            }
+
+            const value = this.exampleValue(field.type, field.kind, seen.concat(typeName));
+            example[field.name] = field.repeated ? [value] : value;
+        });
+        return example;
+    }
+
+    exampleValue(type, kind, seen) {
+        if (kind === 'message') return this.buildExample(type, seen);
+        if (kind === 'enum') {
+            const values = Object.keys(this.schema.enums[type].values);
+            return values[0] || 0;
+        }
+        switch (type) {
+            case 'string':
+            case 'bytes':
+                return '';
+            case 'bool':
+                return false;
+            case 'int64':
+            case 'uint64':
+            case 'sint64':
+            case 'fixed64':
+            case 'sfixed64':
+                return '0';
+            default:
+                return 0;
+        }
+    }
+
+    // ================== CALLS ==================
+
+    subscribe(callId, handler) {
+        this.handlers.set(callId, handler);
+    }
+
+    unsubscribe(callId) {
+        this.handlers.delete(callId);
+    }
+
+    isServerStreaming(schema, config) {
+        const service = schema.services.find(item => item.name === config.service);
+        const method = service && service.methods.find(item => item.name === config.method);
+        return !!(method && method.serverStreaming);
+    }
+
+    // Same shape as HTTP responses so scripts, history and the response panel work unchanged
+    buildResponse(result, url) {
+        let body;
+        if (result.status !== 0 && result.messages.length === 0) {
+            body = { code: result.status, status: result.statusName, message: result.statusMessage };
+        } else {
+            body = result.serverStreaming ? result.messages : (result.messages[0] || {});
+        }
+        const rawBody = JSON.stringify(body, null, 2);
+
+        const headers = { ...result.headers, ...result.trailers };
+        return {
+            protocol: 'grpc',
+            status: result.status,
+            statusText: result.statusMessage ? `${result.statusName}: ${result.statusMessage}` : result.statusName,
+            headers,
+            rawHeaders: Object.entries(headers),
+            body,
+            rawBody,
+            bodyBytes: new TextEncoder().encode(rawBody),
+            size: result.size,
+            duration: Math.round(result.timings.total),
+            timings: null,
+            redirects: [],
+            url,
+            proxy: result.proxy || null,
+            streamed: result.serverStreaming,
+            cancelled: result.status === 1 && result.statusMessage === 'Cancelled by user',
+            events: null
+        };
+    }
+
+    // ================== EDITOR ==================
+
+    getConfig() {
+        const source = this.source || {};
+        return {
+            source: source.type || 'proto',
+            protoFiles: source.type === 'proto' ? (source.protoFiles || []) : [],
+            service: document.getElementById('grpcService')?.value || '',
+            method: document.getElementById('grpcMethod')?.value || '',
+            message: document.getElementById('grpcMessage')?.value || ''
+        };
+    }
+
+    loadConfig(config) {
+        const values = config || {};
+        const message = document.getElementById('grpcMessage');
+        if (message) message.value = values.message || '';
+
+        this.source = config
+            ? (values.source === 'reflection' ? { type: 'reflection' } : { type: 'proto', protoFiles: values.protoFiles || [] })
+            : null;
+        this.schema = this.source && this.source.type === 'proto' && this.source.protoFiles.length > 0
+            ? this.schemas.get(this.getSourceKey(this.source)) || null
+            : null;
+
+        // Keep the saved service and method visible until the schema is loaded again
+        if (!this.schema && values.service) {
+            this.schema = {
+                messages: {},
+                enums: {},
+                services: [{ name: values.service, methods: [{ name: values.method, inputType: '', outputType: '' }] }],
+                placeholder: true
+            };
+        }
+
+        this.renderPickers({ service: values.service, method: values.method });
+        if (this.schema && this.schema.placeholder) {
+            this.setSchemaStatus(values.source === 'reflection'
+                ? 'Server reflection (loaded on send)'
+                : `${(values.protoFiles || []).map(file => file.split(/[\\/]/).pop()).join(', ')} (loaded on send)`);
+        }
+
+        this.updateMode();
+    }
+
+    // grpcurl equivalent shown in the cURL panel
+    getCommandLine(processedData, headers) {
+        const config = processedData.grpc || {};
+        const address = String(processedData.url || '');
+        let command = 'grpcurl';
+
+        if (!/^(grpcs|https):\/\//i.test(address)) {
+            command += ' -plaintext';
+        }
+        headers.forEach(header => {
+            command += ` \\\n  -H "${header.key}: ${header.value}"`;
+        });
+        if (config.message && config.message.trim()) {
+            command += ` \\\n  -d '${config.message.replace(/'/g, "'\\''")}'`;
+        }
+        if (config.source !== 'reflection') {
+            (config.protoFiles || []).forEach(file => {
+                const separator = Math.max(file.lastIndexOf('/'), file.lastIndexOf('\\'));
+                command += ` \\\n  -import-path "${file.slice(0, separator) || '.'}" -proto "${file.slice(separator + 1)}"`;
+            });
+        }
+
+        const host = address.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/\/.*$/, '');
+        return `${command} \\\n  ${host} ${config.service || '<service>'}/${config.method || '<method>'}`;
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            available: this.isAvailable(),
+            schemaLoaded: !!(this.schema && !this.schema.placeholder),
+            cachedSchemas: this.schemas.size
+        };
+    }
+}
+
+// Global instance
+window.GrpcManager = new GrpcManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrpcManager;
+}
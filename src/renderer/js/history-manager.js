@@ -54,25 +54,33 @@ class HistoryManager {
     }
 
     addToHistory(requestData, responseData) {
+        // Secret variable values are put back as {{name}} references before anything is stored
+        const redact = (value) => (window.EnvironmentManager && typeof window.EnvironmentManager.redactSecrets === 'function'
+            ? window.EnvironmentManager.redactSecrets(value)
+            : value);
+
         const historyItem = {
             id: this.generateId('hist'),
             timestamp: new Date().toISOString(),
-            request: {
+            request: redact({
                 method: requestData.method,
                 url: requestData.url,
                 headers: requestData.headers,
                 params: requestData.params,
                 body: requestData.body,
                 auth: requestData.auth
-            },
-            response: {
+            }),
+            response: redact({
                 status: responseData.status,
                 statusText: responseData.statusText,
                 headers: responseData.headers,
                 body: responseData.body,
                 size: responseData.size,
-                duration: responseData.duration
-            }
+                duration: responseData.duration,
+                timings: responseData.timings || null,
+                headerSizes: responseData.headerSizes || null,
+                proxy: responseData.proxy || null
+            })
         };
         
         // Add to beginning of array (most recent first)
@@ -89,6 +97,8 @@ class HistoryManager {
         if (window.UI && window.UI.currentActiveSection === 'history') {
             this.updateDisplay();
         }
+
+        return historyItem;
     }
 
     updateDisplay() {
@@ -227,8 +237,17 @@ renderRequestDetails(item) {
                         <strong>Size:</strong> 
                         ${this.formatFileSize(item.response.size || 0)}
                     </div>
+                    <div class="detail-item">
+                        <strong>Proxy:</strong> 
+                        ${item.response.proxy ? this.escapeHtml(item.response.proxy) : 'None'}
+                    </div>
                 </div>
                 
+                ${item.response.timings && window.ResponseDisplayManager ? `
+                    <h5>Timing</h5>
+                    ${window.ResponseDisplayManager.formatTimings(item.response)}
+                ` : ''}
+                
                 ${item.response.headers && Object.keys(item.response.headers).length > 0 ? `
                     <h5>Response Headers</h5>
                     <div class="headers-list">
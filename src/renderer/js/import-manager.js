@@ -233,20 +233,12 @@ async importPostmanCollectionToManager(postmanData) {
             description: postmanData.info?.description || 'Imported from Postman',
             requests: [],
             folders: [],
-            variables: {},
+            variables: this.extractPostmanVariables(postmanData),
+            scripts: this.convertPostmanEvents(postmanData.event),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
         
-        // Process variables
-        if (postmanData.variable) {
-            postmanData.variable.forEach(variable => {
-                if (variable.key && variable.value !== undefined) {
-                    newCollection.variables[variable.key] = variable.value;
-                }
-            });
-        }
-        
         // Process items (folders and requests)
         if (postmanData.item) {
             this.processPostmanItemsSync(postmanData.item, newCollection);
@@ -368,6 +360,9 @@ refreshDisplays() {
                 case 'postman_environment':
                     return await this.importPostmanEnvironment(data);
                 
+                case 'postman_globals':
+                    return await this.importPostmanGlobals(data);
+                
                 case 'insomnia_export':
                     return await this.importInsomniaExport(data);
                 
@@ -405,6 +400,11 @@ refreshDisplays() {
             return 'postman_collection';
         }
         
+        // Postman Globals
+        if (data._postman_variable_scope === 'globals' && Array.isArray(data.values)) {
+            return 'postman_globals';
+        }
+        
         // Postman Environment
         if (data.name && data.values && Array.isArray(data.values)) {
             return 'postman_environment';
@@ -475,6 +475,7 @@ processPostmanItemsSync(items, collection, parentFolderId = null) {
                 description: item.description || '',
                 parentId: parentFolderId,
                 requests: [],
+                scripts: this.convertPostmanEvents(item.event),
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
             };
@@ -525,6 +526,9 @@ convertPostmanRequestSync(postmanItem) {
         cookies: [], // Postman doesn't export cookies separately
         auth: this.convertPostmanAuth(postmanRequest.auth),
         body: this.convertPostmanBody(postmanRequest.body),
+        scripts: this.convertPostmanEvents(postmanItem.event),
+        settings: this.convertPostmanProtocolBehavior(postmanItem.protocolProfileBehavior),
+        examples: this.convertPostmanResponses(postmanItem.response),
         folderId: null, // Will be set by caller
         createdAt: new Date().toISOString()
     };
@@ -667,6 +671,14 @@ convertPostmanRequestSync(postmanItem) {
                     location: this.getPostmanAuthValue(postmanAuth.apikey, 'in') === 'query' ? 'query' : 'header'
                 };
 
+            case 'oauth2':
+                return this.convertPostmanOAuth2(postmanAuth.oauth2);
+
+            case 'digest':
+            case 'awsv4':
+            case 'hawk':
+                return this.convertPostmanSignedAuth(postmanAuth);
+
             default:
                 console.warn('Unsupported Postman auth type:', postmanAuth.type);
                 return { type: 'none' };
@@ -686,6 +698,71 @@ convertPostmanRequestSync(postmanItem) {
         return null;
     }
 
+    // Postman stores OAuth 2.0 settings as a key/value list
+    convertPostmanOAuth2(oauth2) {
+        const value = (key) => this.getPostmanAuthValue(oauth2, key);
+        const grantType = value('grant_type') || 'authorization_code';
+        const grantTypes = {
+            authorization_code: 'authorization_code',
+            authorization_code_with_pkce: 'authorization_code',
+            client_credentials: 'client_credentials',
+            password_credentials: 'password',
+            password: 'password',
+            refresh_token: 'refresh_token'
+        };
+
+        return {
+            type: 'oauth2',
+            grantType: grantTypes[grantType] || 'authorization_code',
+            authUrl: value('authUrl') || '',
+            tokenUrl: value('accessTokenUrl') || '',
+            clientId: value('clientId') || '',
+            clientSecret: value('clientSecret') || '',
+            scope: value('scope') || '',
+            audience: value('audience') || '',
+            redirectUri: value('redirect_uri') || '',
+            usePkce: grantType === 'authorization_code_with_pkce',
+            username: value('username') || '',
+            password: value('password') || '',
+            refreshToken: value('refreshToken') || '',
+            clientAuthentication: value('client_authentication') === 'body' ? 'body' : 'header',
+            headerPrefix: value('headerPrefix') || 'Bearer'
+        };
+    }
+
+    // Digest, AWS Signature and Hawk keep their settings under the auth type key
+    convertPostmanSignedAuth(postmanAuth) {
+        const value = (key) => this.getPostmanAuthValue(postmanAuth[postmanAuth.type], key) || '';
+
+        switch (postmanAuth.type) {
+            case 'digest':
+                return {
+                    type: 'digest',
+                    username: value('username'),
+                    password: value('password')
+                };
+            case 'awsv4':
+                return {
+                    type: 'awsv4',
+                    accessKey: value('accessKey'),
+                    secretKey: value('secretKey'),
+                    sessionToken: value('sessionToken'),
+                    region: value('region') || 'us-east-1',
+                    service: value('service') || 'execute-api'
+                };
+            case 'hawk':
+                return {
+                    type: 'hawk',
+                    authId: value('authId'),
+                    authKey: value('authKey'),
+                    algorithm: value('algorithm').toLowerCase() === 'sha1' ? 'sha1' : 'sha256',
+                    ext: value('extraData') || value('ext')
+                };
+            default:
+                return { type: 'none' };
+        }
+    }
+
     convertPostmanBody(postmanBody) {
         if (!postmanBody || !postmanBody.mode) {
             return { type: 'none' };
@@ -715,19 +792,21 @@ convertPostmanRequestSync(postmanItem) {
                 };
 
             case 'formdata':
-                const formData = {};
-                if (postmanBody.formdata && Array.isArray(postmanBody.formdata)) {
-                    postmanBody.formdata.forEach(item => {
-                        if (item.key && !item.disabled) {
-                            formData[item.key] = item.value || '';
-                        }
-                    });
-                }
                 return {
-                    type: 'form',
-                    data: formData
+                    type: 'multipart',
+                    data: this.convertPostmanFormData(postmanBody.formdata)
+                };
+
+            case 'file':
+                return {
+                    type: 'binary',
+                    filePath: (postmanBody.file && postmanBody.file.src) || '',
+                    contentType: ''
                 };
 
+            case 'graphql':
+                return this.convertPostmanGraphQL(postmanBody.graphql);
+
             case 'urlencoded':
                 const urlencodedData = {};
                 if (postmanBody.urlencoded && Array.isArray(postmanBody.urlencoded)) {
@@ -747,14 +826,56 @@ convertPostmanRequestSync(postmanItem) {
         }
     }
 
+    // Postman file parts keep the local path in src (a list when several files were picked)
+    convertPostmanFormData(formdata) {
+        if (!Array.isArray(formdata)) return [];
+
+        return formdata
+            .filter(item => item.key && !item.disabled)
+            .map(item => item.type === 'file'
+                ? {
+                    key: item.key,
+                    type: 'file',
+                    filePath: (Array.isArray(item.src) ? item.src[0] : item.src) || '',
+                    contentType: item.contentType || ''
+                }
+                : {
+                    key: item.key,
+                    type: 'text',
+                    value: item.value || '',
+                    contentType: item.contentType || ''
+                });
+    }
+
+    // Postman keeps GraphQL variables as a JSON string; older exports may use an object
+    convertPostmanGraphQL(graphql) {
+        const source = graphql || {};
+        const variables = source.variables && typeof source.variables === 'object'
+            ? JSON.stringify(source.variables, null, 2)
+            : (source.variables || '');
+
+        return {
+            type: 'graphql',
+            query: source.query || '',
+            variables,
+            operationName: source.operationName || ''
+        };
+    }
+
+    // Collection variables stay on the collection (collection.variables) - they resolve below the
+    // active environment and above globals, see EnvironmentManager.getVariableScopes
     extractPostmanVariables(postmanCollection) {
+        return this.convertPostmanValues(postmanCollection.variable);
+    }
+
+    // Postman variable lists ([{ key, value, disabled }]) as a { key: value } map
+    convertPostmanValues(values) {
         const variables = {};
 
-        // Extract collection variables
-        if (postmanCollection.variable && Array.isArray(postmanCollection.variable)) {
-            postmanCollection.variable.forEach(variable => {
-                if (variable.key) {
-                    variables[variable.key] = variable.value || '';
+        if (Array.isArray(values)) {
+            values.forEach(variable => {
+                if (variable.key && variable.disabled !== true && variable.enabled !== false) {
+                    variables[variable.key] = variable.value === undefined || variable.value === null ? '' : String(variable.value);
                 }
             });
         }
@@ -762,6 +883,19 @@ convertPostmanRequestSync(postmanItem) {
         return variables;
     }
 
+    // EnvironmentManager.importPostmanValues maps Postman's initial and current values and keeps
+    // "secret" variables secret
+    async importPostmanGlobals(postmanGlobals) {
+        const count = window.EnvironmentManager
+            ? window.EnvironmentManager.importPostmanValues('@globals', postmanGlobals.values)
+            : Object.keys(this.convertPostmanValues(postmanGlobals.values)).length;
+
+        return {
+            success: true,
+            message: `Postman globals imported with ${count} variables`
+        };
+    }
+
     async importPostmanEnvironment(postmanEnvironment) {
         try {
             if (!postmanEnvironment.name || !postmanEnvironment.values) {
@@ -772,27 +906,15 @@ convertPostmanRequestSync(postmanItem) {
             }
 
             const environmentName = postmanEnvironment.name.toLowerCase().replace(/[^a-z0-9]/g, '');
-            const variables = {};
-
-            postmanEnvironment.values.forEach(variable => {
-                if (variable.key && variable.enabled !== false) {
-                    variables[variable.key] = variable.value || '';
-                }
-            });
 
             // Add to environments
-            if (window.EnvironmentManager) {
-                if (!window.EnvironmentManager.environments[environmentName]) {
-                    window.EnvironmentManager.environments[environmentName] = {};
-                }
-
-                Object.assign(window.EnvironmentManager.environments[environmentName], variables);
-                window.EnvironmentManager.saveEnvironments();
-            }
+            const count = window.EnvironmentManager
+                ? window.EnvironmentManager.importPostmanValues(environmentName, postmanEnvironment.values)
+                : Object.keys(this.convertPostmanValues(postmanEnvironment.values)).length;
 
             return {
                 success: true,
-                message: `Postman environment "${postmanEnvironment.name}" imported with ${Object.keys(variables).length} variables`
+                message: `Postman environment "${postmanEnvironment.name}" imported with ${count} variables`
             };
 
         } catch (error) {
@@ -872,6 +994,9 @@ convertPostmanRequestSync(postmanItem) {
             // Save environments
             if (window.EnvironmentManager) {
                 Object.assign(window.EnvironmentManager.environments, environments);
+                Object.entries(environments).forEach(([envName, values]) => {
+                    window.EnvironmentManager.setInitialValues(envName, values);
+                });
                 window.EnvironmentManager.saveEnvironments();
             }
 
@@ -945,6 +1070,36 @@ convertPostmanRequestSync(postmanItem) {
                     username: auth.username || '',
                     password: auth.password || ''
                 };
+            case 'apikey':
+                return {
+                    type: 'apikey',
+                    key: auth.key || '',
+                    value: auth.value || '',
+                    location: auth.addTo === 'queryParams' ? 'query' : 'header'
+                };
+            case 'digest':
+                return {
+                    type: 'digest',
+                    username: auth.username || '',
+                    password: auth.password || ''
+                };
+            case 'iam':
+                return {
+                    type: 'awsv4',
+                    accessKey: auth.accessKeyId || '',
+                    secretKey: auth.secretAccessKey || '',
+                    sessionToken: auth.sessionToken || '',
+                    region: auth.region || 'us-east-1',
+                    service: auth.service || 'execute-api'
+                };
+            case 'hawk':
+                return {
+                    type: 'hawk',
+                    authId: auth.id || '',
+                    authKey: auth.key || '',
+                    algorithm: auth.algorithm === 'sha1' ? 'sha1' : 'sha256',
+                    ext: auth.ext || ''
+                };
             default:
                 return { type: 'none' };
         }
@@ -972,7 +1127,42 @@ convertPostmanRequestSync(postmanItem) {
                     type: 'form',
                     data: formData
                 };
+            case 'application/graphql':
+                // Insomnia stores the GraphQL document as JSON text
+                try {
+                    const graphql = JSON.parse(body.text || '{}');
+                    return {
+                        type: 'graphql',
+                        query: graphql.query || '',
+                        variables: graphql.variables ? JSON.stringify(graphql.variables, null, 2) : '',
+                        operationName: graphql.operationName || ''
+                    };
+                } catch (e) {
+                    return {
+                        type: 'graphql',
+                        query: body.text || '',
+                        variables: '',
+                        operationName: ''
+                    };
+                }
+            case 'multipart/form-data':
+                return {
+                    type: 'multipart',
+                    data: (Array.isArray(body.params) ? body.params : [])
+                        .filter(param => param.name && !param.disabled)
+                        .map(param => param.type === 'file'
+                            ? { key: param.name, type: 'file', filePath: param.fileName || '', contentType: '' }
+                            : { key: param.name, type: 'text', value: param.value || '', contentType: '' })
+                };
             default:
+                // Insomnia's binary file body keeps the path in fileName
+                if (body.fileName) {
+                    return {
+                        type: 'binary',
+                        filePath: body.fileName,
+                        contentType: body.mimeType || ''
+                    };
+                }
                 return {
                     type: 'raw',
                     data: body.text || ''
@@ -1145,7 +1335,13 @@ convertPostmanRequestSync(postmanItem) {
 
             // Import environments
             if (posterboyData.environments && window.EnvironmentManager) {
-                Object.assign(window.EnvironmentManager.environments, posterboyData.environments);
+                Object.entries(posterboyData.environments).forEach(([envName, values]) => {
+                    window.EnvironmentManager.mergeImportedValues(envName, values);
+                });
+                const initialValues = posterboyData.initialValues || posterboyData.environments;
+                Object.entries(initialValues).forEach(([scopeKey, values]) => {
+                    window.EnvironmentManager.setInitialValues(scopeKey, values);
+                });
                 window.EnvironmentManager.saveEnvironments();
             }
 
@@ -1587,20 +1783,12 @@ async importPostmanCollection(postmanData) {
         description: postmanData.info.description || 'Imported from Postman',
         requests: [],
         folders: [],
-        variables: {},
+        variables: this.extractPostmanVariables(postmanData),
+        scripts: this.convertPostmanEvents(postmanData.event),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
     };
     
-    // Process variables
-    if (postmanData.variable) {
-        postmanData.variable.forEach(variable => {
-            if (variable.key && variable.value !== undefined) {
-                newCollection.variables[variable.key] = variable.value;
-            }
-        });
-    }
-    
     // Process items (folders and requests)
     if (postmanData.item) {
         await this.processPostmanItems(postmanData.item, newCollection);
@@ -1628,6 +1816,7 @@ async processPostmanItems(items, collection, parentFolderId = null) {
                 description: item.description || '',
                 parentId: parentFolderId,
                 requests: [],
+                scripts: this.convertPostmanEvents(item.event),
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
             };
@@ -1673,6 +1862,9 @@ async convertPostmanRequest(postmanItem) {
         cookies: [], // Postman doesn't export cookies separately
         auth: this.convertPostmanAuth(postmanRequest.auth),
         body: this.convertPostmanBody(postmanRequest.body),
+        scripts: this.convertPostmanEvents(postmanItem.event),
+        settings: this.convertPostmanProtocolBehavior(postmanItem.protocolProfileBehavior),
+        examples: this.convertPostmanResponses(postmanItem.response),
         folderId: null, // Will be set by caller
         createdAt: new Date().toISOString()
     };
@@ -1680,6 +1872,66 @@ async convertPostmanRequest(postmanItem) {
     return request;
 }
 
+// Convert Postman event scripts (prerequest/test) to pre-request/test scripts
+convertPostmanEvents(events) {
+    const scripts = { preRequest: '', test: '' };
+    if (!Array.isArray(events)) return scripts;
+    
+    events.forEach(event => {
+        if (!event || !event.script || event.disabled) return;
+        
+        const exec = event.script.exec;
+        const source = Array.isArray(exec) ? exec.join('\n') : (exec || '');
+        
+        if (event.listen === 'prerequest') {
+            scripts.preRequest = scripts.preRequest ? `${scripts.preRequest}\n${source}` : source;
+        } else if (event.listen === 'test') {
+            scripts.test = scripts.test ? `${scripts.test}\n${source}` : source;
+        }
+    });
+    
+    return scripts;
+}
+
+// Convert the saved responses of a Postman item to request examples
+convertPostmanResponses(responses) {
+    if (!Array.isArray(responses)) return [];
+    
+    return responses.map(response => {
+        const original = response.originalRequest;
+        return {
+            id: this.generateId('ex'),
+            name: response.name || 'Example',
+            status: response.code || 0,
+            statusText: response.status || '',
+            headers: (Array.isArray(response.header) ? response.header : []).reduce((headers, header) => {
+                if (header && header.key) headers[header.key.toLowerCase()] = header.value || '';
+                return headers;
+            }, {}),
+            body: response.body || '',
+            originalRequest: original ? {
+                method: (original.method || 'GET').toUpperCase(),
+                url: this.extractPostmanUrl(original.url),
+                headers: this.convertPostmanHeaders(original.header),
+                body: this.convertPostmanBody(original.body)
+            } : null,
+            createdAt: new Date().toISOString()
+        };
+    });
+}
+
+// Convert Postman protocolProfileBehavior to per-request settings
+convertPostmanProtocolBehavior(behavior) {
+    const settings = {};
+    if (!behavior) return settings;
+    
+    if (typeof behavior.followRedirects === 'boolean') settings.followRedirects = behavior.followRedirects;
+    if (typeof behavior.maxRedirects === 'number') settings.maxRedirects = behavior.maxRedirects;
+    if (typeof behavior.strictSSL === 'boolean') settings.verifyTls = behavior.strictSSL;
+    
+    return settings;
+}
+
 // Extract URL from Postman format
 extractPostmanUrl(urlData) {
     if (typeof urlData === 'string') {
@@ -1753,6 +2005,12 @@ convertPostmanAuth(auth) {
                 value: value?.value || '',
                 location: location?.value || 'header'
             };
+        case 'oauth2':
+            return this.convertPostmanOAuth2(auth.oauth2);
+        case 'digest':
+        case 'awsv4':
+        case 'hawk':
+            return this.convertPostmanSignedAuth(auth);
         default:
             return { type: 'none' };
     }
@@ -1796,18 +2054,18 @@ convertPostmanBody(body) {
                 data: formData
             };
         case 'formdata':
-            const formDataFields = {};
-            if (Array.isArray(body.formdata)) {
-                body.formdata.forEach(field => {
-                    if (field.key && !field.disabled && field.type !== 'file') {
-                        formDataFields[field.key] = field.value || '';
-                    }
-                });
-            }
             return {
-                type: 'form',
-                data: formDataFields
+                type: 'multipart',
+                data: this.convertPostmanFormData(body.formdata)
+            };
+        case 'file':
+            return {
+                type: 'binary',
+                filePath: body.file?.src || '',
+                contentType: ''
             };
+        case 'graphql':
+            return this.convertPostmanGraphQL(body.graphql);
         default:
             return { type: 'none' };
     }
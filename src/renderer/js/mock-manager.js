@@ -0,0 +1,487 @@
+// Mock Manager - Serves the saved examples of a collection from a local mock server in the main
+// process, with per-example query/header rules and delays, and a live log of incoming calls
+
+class MockManager {
+    constructor() {
+        this.storageKey = 'posterboy_mock_server';
+        this.settings = this.loadSettings();
+        this.running = null; // { port, host, collectionId } while the server is up
+        this.log = []; // Incoming calls, newest first
+        this.maxLogEntries = 200;
+        this.modal = null;
+        this.initialized = false;
+
+        console.log('🧪 MockManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        if (this.isAvailable()) {
+            window.electronAPI.onMockRequest((entry) => this.handleRequest(entry));
+
+            // The server outlives a renderer reload
+            window.electronAPI.getMockServerStatus().then(result => {
+                if (result && result.running) {
+                    this.running = { port: result.port, host: result.host, collectionId: this.settings.collectionId };
+                }
+            }).catch(() => {});
+        }
+
+        this.initialized = true;
+        console.log('✅ MockManager initialized');
+    }
+
+    isAvailable() {
+        return !!(window.electronAPI && typeof window.electronAPI.startMockServer === 'function');
+    }
+
+    loadSettings() {
+        const defaults = { collectionId: null, port: 3001, latencyMin: 0, latencyMax: 0 };
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+        } catch (error) {
+            console.error('Error loading mock server settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Error saving mock server settings:', error);
+        }
+    }
+
+    // ---- Routes ----
+
+    getCollection(collectionId = this.settings.collectionId) {
+        return window.CollectionManager ? window.CollectionManager.getCollection(collectionId) : null;
+    }
+
+    // One route per example of every request in the collection
+    buildRoutes(collection) {
+        if (!collection) return [];
+
+        const requests = [
+            ...(collection.requests || []),
+            ...(collection.folders || []).reduce((all, folder) => all.concat(folder.requests || []), [])
+        ];
+
+        const routes = [];
+        requests.forEach(request => {
+            (request.examples || []).forEach(example => {
+                const rules = this.getRules(example);
+                routes.push({
+                    id: example.id,
+                    name: `${request.name} / ${example.name}`,
+                    exampleName: example.name,
+                    method: (example.originalRequest && example.originalRequest.method) || request.method || 'GET',
+                    path: this.getPath(request.url),
+                    query: rules.query,
+                    headers: rules.headers,
+                    delay: rules.delay,
+                    response: {
+                        status: example.status,
+                        statusText: example.statusText,
+                        headers: example.headers || {},
+                        body: example.body || ''
+                    }
+                });
+            });
+        });
+        return routes;
+    }
+
+    // "{{baseUrl}}/users/:id?x=1" and "https://api.example.com/users/:id" both serve "/users/:id"
+    getPath(url) {
+        let path = String(url || '').trim()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, '')
+            .replace(/^{{[^{}]+}}/, '');
+
+        if (path && !/^[/?#]/.test(path)) {
+            // Host without a scheme
+            const slash = path.indexOf('/');
+            path = slash === -1 ? '' : path.slice(slash);
+        }
+
+        path = path.split(/[?#]/)[0];
+        return path.startsWith('/') ? path : `/${path}`;
+    }
+
+    // Rules saved on the example; by default the query of the request the example was recorded with
+    getRules(example) {
+        if (example.mock) {
+            return {
+                query: example.mock.query || [],
+                headers: example.mock.headers || [],
+                delay: typeof example.mock.delay === 'number' ? example.mock.delay : null
+            };
+        }
+
+        const url = example.originalRequest ? String(example.originalRequest.url || '') : '';
+        const query = url.includes('?') ? this.parseQueryRules(url.split('?')[1].split('#')[0]) : [];
+        return { query, headers: [], delay: null };
+    }
+
+    updateRules(exampleId, field, text) {
+        const collection = this.getCollection();
+        if (!collection) return;
+
+        const example = this.findExample(collection, exampleId);
+        if (!example) return;
+
+        const rules = this.getRules(example);
+        if (field === 'query') rules.query = this.parseQueryRules(text);
+        if (field === 'headers') rules.headers = this.parseHeaderRules(text);
+        if (field === 'delay') rules.delay = text === '' ? null : Math.max(0, parseInt(text, 10) || 0);
+
+        example.mock = rules;
+        collection.updatedAt = new Date().toISOString();
+        window.CollectionManager.saveCollections();
+        this.pushRoutes();
+    }
+
+    findExample(collection, exampleId) {
+        const requests = [
+            ...(collection.requests || []),
+            ...(collection.folders || []).reduce((all, folder) => all.concat(folder.requests || []), [])
+        ];
+        for (const request of requests) {
+            const example = (request.examples || []).find(item => item.id === exampleId);
+            if (example) return example;
+        }
+        return null;
+    }
+
+    // "page=2&sort" - a key without a value only has to be present
+    parseQueryRules(text) {
+        return String(text || '').split('&').map(part => part.trim()).filter(Boolean).map(part => {
+            const [key, ...value] = part.split('=');
+            return { key: this.safeDecode(key.trim()), value: this.safeDecode(value.join('=').trim()) };
+        });
+    }
+
+    // "X-Tenant: acme; Accept"
+    parseHeaderRules(text) {
+        return String(text || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+            const [key, ...value] = part.split(':');
+            return { key: key.trim(), value: value.join(':').trim() };
+        });
+    }
+
+    formatQueryRules(rules) {
+        return rules.map(rule => (rule.value ? `${rule.key}=${rule.value}` : rule.key)).join('&');
+    }
+
+    formatHeaderRules(rules) {
+        return rules.map(rule => (rule.value ? `${rule.key}: ${rule.value}` : rule.key)).join('; ');
+    }
+
+    // ---- Server ----
+
+    async startServer() {
+        if (!this.isAvailable()) {
+            this.showNotification('Desktop Only', 'The mock server runs in the desktop app', { type: 'warning' });
+            return;
+        }
+
+        const collection = this.getCollection();
+        if (!collection) {
+            this.showNotification('No Collection', 'Pick a collection to mock', { type: 'warning' });
+            return;
+        }
+
+        const routes = this.buildRoutes(collection);
+        const result = await window.electronAPI.startMockServer({
+            port: this.settings.port,
+            latency: { min: this.settings.latencyMin, max: this.settings.latencyMax },
+            routes
+        });
+
+        if (!result.success) {
+            this.showNotification('Mock Server Failed', result.error, { type: 'error' });
+            return;
+        }
+
+        this.running = { port: result.port, host: result.host, collectionId: collection.id };
+        this.showNotification('Mock Server Started', `Serving ${routes.length} example${routes.length === 1 ? '' : 's'} of "${collection.name}" on port ${result.port}`);
+        this.render();
+    }
+
+    async stopServer() {
+        if (!this.isAvailable()) return;
+
+        await window.electronAPI.stopMockServer();
+        this.running = null;
+        this.showNotification('Mock Server Stopped', 'The mock server is no longer listening');
+        this.render();
+    }
+
+    // Keeps a running server in step with edited rules, latency or a different collection
+    async pushRoutes() {
+        if (!this.running || !this.isAvailable()) return;
+
+        const collection = this.getCollection();
+        const result = await window.electronAPI.updateMockServer(
+            this.buildRoutes(collection),
+            { min: this.settings.latencyMin, max: this.settings.latencyMax }
+        );
+        if (!result.success) {
+            this.showNotification('Mock Server', result.error, { type: 'error' });
+            return;
+        }
+        this.running.collectionId = collection ? collection.id : null;
+    }
+
+    handleRequest(entry) {
+        this.log.unshift(entry);
+        if (this.log.length > this.maxLogEntries) this.log.length = this.maxLogEntries;
+
+        if (this.isOpen()) this.renderLog();
+    }
+
+    getBaseUrl() {
+        if (!this.running) return '';
+        const host = this.running.host === '0.0.0.0' ? 'localhost' : this.running.host;
+        return `http://${host}:${this.running.port}`;
+    }
+
+    // ---- Modal ----
+
+    showMockServer(collectionId = null) {
+        if (collectionId && collectionId !== this.settings.collectionId) {
+            this.settings.collectionId = collectionId;
+            this.saveSettings();
+            this.pushRoutes();
+        }
+        if (!this.settings.collectionId && window.CollectionManager && window.CollectionManager.collections.length > 0) {
+            this.settings.collectionId = window.CollectionManager.collections[0].id;
+        }
+
+        if (!this.modal) this.createModal();
+        this.render();
+        this.modal.style.display = 'block';
+    }
+
+    hideMockServer() {
+        if (this.modal) this.modal.style.display = 'none';
+    }
+
+    isOpen() {
+        return !!(this.modal && this.modal.style.display === 'block');
+    }
+
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'mockServerModal';
+        this.modal.style.display = 'none';
+        this.modal.innerHTML = `
+            <div class="modal-content large">
+                <div class="modal-header">
+                    <h3>🧪 Mock Server</h3>
+                    <button class="close" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="mock-toolbar">
+                        <label for="mockCollection">Collection</label>
+                        <select id="mockCollection"></select>
+                        <label for="mockPort">Port</label>
+                        <input type="number" id="mockPort" min="1" max="65535">
+                        <label for="mockLatencyMin">Latency</label>
+                        <input type="number" id="mockLatencyMin" min="0" step="50" title="Minimum delay in ms">
+                        <span>-</span>
+                        <input type="number" id="mockLatencyMax" min="0" step="50" title="Maximum delay in ms">
+                        <span>ms</span>
+                        <button type="button" class="btn btn-primary btn-sm" data-action="toggle"></button>
+                    </div>
+                    <div class="mock-status"></div>
+                    <div class="mock-routes"></div>
+                    <div class="mock-log-header">
+                        <h4>Log</h4>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="clear-log">Clear</button>
+                    </div>
+                    <div class="mock-log"></div>
+                </div>
+            </div>
+        `;
+
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hideMockServer();
+                return;
+            }
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'close':
+                    this.hideMockServer();
+                    break;
+                case 'toggle':
+                    if (this.running) this.stopServer();
+                    else this.startServer();
+                    break;
+                case 'clear-log':
+                    this.log = [];
+                    this.renderLog();
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        this.modal.addEventListener('change', (event) => {
+            const target = event.target;
+            if (target.id === 'mockCollection') {
+                this.settings.collectionId = target.value;
+                this.saveSettings();
+                this.pushRoutes();
+                this.render();
+            } else if (target.id === 'mockPort') {
+                this.settings.port = parseInt(target.value, 10) || 3001;
+                this.saveSettings();
+            } else if (target.id === 'mockLatencyMin' || target.id === 'mockLatencyMax') {
+                this.settings.latencyMin = Math.max(0, parseInt(this.modal.querySelector('#mockLatencyMin').value, 10) || 0);
+                this.settings.latencyMax = Math.max(this.settings.latencyMin, parseInt(this.modal.querySelector('#mockLatencyMax').value, 10) || 0);
+                this.saveSettings();
+                this.pushRoutes();
+                this.render();
+            } else if (target.dataset.rule) {
+                this.updateRules(target.closest('[data-example]').dataset.example, target.dataset.rule, target.value.trim());
+            }
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    render() {
+        if (!this.modal) return;
+
+        const collections = window.CollectionManager ? window.CollectionManager.collections : [];
+        this.modal.querySelector('#mockCollection').innerHTML = collections.map(collection => `
+            <option value="${this.escapeHtml(collection.id)}" ${collection.id === this.settings.collectionId ? 'selected' : ''}>${this.escapeHtml(collection.name)}</option>
+        `).join('');
+
+        const port = this.modal.querySelector('#mockPort');
+        port.value = this.running ? this.running.port : this.settings.port;
+        port.disabled = !!this.running;
+        this.modal.querySelector('#mockLatencyMin').value = this.settings.latencyMin;
+        this.modal.querySelector('#mockLatencyMax').value = this.settings.latencyMax;
+
+        const toggle = this.modal.querySelector('[data-action="toggle"]');
+        toggle.textContent = this.running ? 'Stop' : 'Start';
+        toggle.classList.toggle('btn-danger', !!this.running);
+        toggle.classList.toggle('btn-primary', !this.running);
+
+        this.modal.querySelector('.mock-status').innerHTML = this.running
+            ? `<span class="mock-running">●</span> Listening on <code>${this.escapeHtml(this.getBaseUrl())}</code>`
+            : (this.isAvailable() ? 'Stopped' : 'The mock server is only available in the desktop app');
+
+        this.renderRoutes();
+        this.renderLog();
+    }
+
+    renderRoutes() {
+        const routes = this.buildRoutes(this.getCollection());
+        const container = this.modal.querySelector('.mock-routes');
+
+        if (routes.length === 0) {
+            container.innerHTML = '<p class="mock-empty">This collection has no saved examples yet - send a request and use "Save as Example".</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="mock-routes-table">
+                <tr>
+                    <th>Route</th>
+                    <th>Example</th>
+                    <th title="page=2&amp;sort - a key alone only has to be present">Query rules</th>
+                    <th title="X-Tenant: acme; Accept">Header rules</th>
+                    <th title="Overrides the latency range">Delay (ms)</th>
+                </tr>
+                ${routes.map(route => `
+                    <tr data-example="${this.escapeHtml(route.id)}">
+                        <td><span class="mock-method">${this.escapeHtml(route.method)}</span> <code>${this.escapeHtml(route.path)}</code></td>
+                        <td>${this.escapeHtml(route.name)} <span class="mock-status-code">${this.escapeHtml(String(route.response.status))}</span></td>
+                        <td><input type="text" data-rule="query" value="${this.escapeHtml(this.formatQueryRules(route.query))}" spellcheck="false"></td>
+                        <td><input type="text" data-rule="headers" value="${this.escapeHtml(this.formatHeaderRules(route.headers))}" spellcheck="false"></td>
+                        <td><input type="number" data-rule="delay" min="0" step="50" value="${route.delay === null ? '' : route.delay}"></td>
+                    </tr>
+                `).join('')}
+            </table>
+            <p class="mock-hint">
+                Path parameters come from <code>:id</code> or <code>{{id}}</code> segments. Example bodies and headers can use
+                <code>{{request.params.id}}</code>, <code>{{request.query.name}}</code>, <code>{{request.headers.name}}</code>,
+                <code>{{request.body.field}}</code>, <code>{{$guid}}</code>, <code>{{$timestamp}}</code>, <code>{{$isoTimestamp}}</code>
+                and <code>{{$randomInt}}</code>. Send <code>x-mock-response-name</code> or <code>x-mock-response-code</code> to pick an example.
+            </p>
+        `;
+    }
+
+    renderLog() {
+        const container = this.modal.querySelector('.mock-log');
+        if (this.log.length === 0) {
+            container.innerHTML = '<p class="mock-empty">No calls yet.</p>';
+            return;
+        }
+
+        container.innerHTML = this.log.map(entry => {
+            const statusClass = window.RequestManager ? window.RequestManager.getStatusClass(entry.status) : '';
+            return `
+                <div class="mock-log-entry ${entry.route ? '' : 'unmatched'}">
+                    <span class="mock-log-time">${new Date(entry.time).toLocaleTimeString()}</span>
+                    <span class="mock-method">${this.escapeHtml(entry.method)}</span>
+                    <code class="mock-log-path">${this.escapeHtml(entry.path)}</code>
+                    <span class="status-badge ${statusClass}">${this.escapeHtml(String(entry.status))}</span>
+                    <span class="mock-log-route">${entry.route ? this.escapeHtml(entry.route) : 'no matching example'}</span>
+                    <span class="mock-log-duration">${entry.duration} ms</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    safeDecode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            available: this.isAvailable(),
+            running: !!this.running,
+            port: this.running ? this.running.port : null,
+            logEntries: this.log.length
+        };
+    }
+}
+
+// Global instance
+window.MockManager = new MockManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockManager;
+}
@@ -0,0 +1,347 @@
+// OAuth2 Manager - Obtains, caches (per environment) and refreshes OAuth 2.0 access tokens
+
+class OAuth2Manager {
+    constructor() {
+        this.storageKey = 'posterboy_oauth2_tokens';
+        this.tokens = this.loadTokens();
+        this.pending = new Map(); // In-flight token requests, so parallel sends share one
+        this.refreshMargin = 60 * 1000; // Refresh a minute before expiry
+        this.secureStorage = false; // Tokens go to the OS keychain once it answers
+        this.initialized = false;
+
+        console.log('🔑 OAuth2Manager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ OAuth2Manager initialized');
+        this.loadSecrets();
+    }
+
+    // Access and refresh tokens live in the OS keychain and localStorage keeps only their expiry and scope.
+    // Without the keychain (browser, or no keychain on Linux) the tokens stay in localStorage.
+    async loadSecrets() {
+        if (!window.electronAPI || typeof window.electronAPI.loadSecrets !== 'function') return;
+
+        try {
+            const result = await window.electronAPI.loadSecrets('oauth2');
+            if (!result.success) throw new Error(result.error);
+
+            this.applySecrets(result.secrets || {});
+            this.secureStorage = true;
+            // Moves tokens stored in plain text by earlier versions into the keychain
+            this.saveTokens();
+            this.updateTokenStatus();
+        } catch (error) {
+            console.warn('OAuth2 tokens are stored unencrypted:', error.message);
+            this.secureStorage = false;
+        }
+    }
+
+    // { "<environment>::<cache key>": { accessToken, refreshToken } }
+    collectSecrets() {
+        const secrets = {};
+        Object.entries(this.tokens).forEach(([env, entries]) => {
+            Object.entries(entries || {}).forEach(([key, entry]) => {
+                const values = {};
+                if (entry.accessToken) values.accessToken = entry.accessToken;
+                if (entry.refreshToken) values.refreshToken = entry.refreshToken;
+                secrets[`${env}::${key}`] = values;
+            });
+        });
+        return secrets;
+    }
+
+    // Tokens already in memory (obtained since start-up, or not yet migrated) win
+    applySecrets(secrets) {
+        Object.entries(this.tokens).forEach(([env, entries]) => {
+            Object.entries(entries || {}).forEach(([key, entry]) => {
+                const values = secrets[`${env}::${key}`] || {};
+                if (values.accessToken && !entry.accessToken) entry.accessToken = values.accessToken;
+                if (values.refreshToken && !entry.refreshToken) entry.refreshToken = values.refreshToken;
+            });
+        });
+    }
+
+    // Copy of the token cache with the tokens blanked, for localStorage
+    withoutSecrets(tokens) {
+        const stored = {};
+        Object.entries(tokens).forEach(([env, entries]) => {
+            stored[env] = {};
+            Object.entries(entries || {}).forEach(([key, entry]) => {
+                stored[env][key] = { ...entry, accessToken: '', refreshToken: null };
+            });
+        });
+        return stored;
+    }
+
+    isAvailable() {
+        return !!(window.electronAPI && typeof window.electronAPI.requestOAuth2Token === 'function');
+    }
+
+    loadTokens() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading OAuth2 tokens:', error);
+            return {};
+        }
+    }
+
+    saveTokens() {
+        try {
+            const stored = this.secureStorage ? this.withoutSecrets(this.tokens) : this.tokens;
+            localStorage.setItem(this.storageKey, JSON.stringify(stored));
+            if (this.secureStorage) {
+                window.electronAPI.saveSecrets(this.collectSecrets(), 'oauth2').then(result => {
+                    if (!result.success) console.error('Error saving OAuth2 tokens to the keychain:', result.error);
+                }).catch(error => {
+                    console.error('Error saving OAuth2 tokens to the keychain:', error);
+                });
+            }
+        } catch (error) {
+            console.error('Error saving OAuth2 tokens:', error);
+        }
+    }
+
+    // Tokens are cached per environment and per client configuration
+    getCacheKey(auth) {
+        return [auth.grantType, auth.tokenUrl, auth.clientId, auth.scope || '', auth.username || ''].join('|');
+    }
+
+    // Entries whose tokens could not be read back from the keychain count as missing
+    getCachedToken(auth, envName) {
+        const envTokens = this.tokens[envName || 'default'] || {};
+        const entry = envTokens[this.getCacheKey(auth)];
+        return entry && (entry.accessToken || entry.refreshToken) ? entry : null;
+    }
+
+    storeToken(auth, envName, token, previous = null) {
+        const env = envName || 'default';
+        if (!this.tokens[env]) this.tokens[env] = {};
+
+        const entry = {
+            accessToken: token.accessToken,
+            // Providers often omit the refresh token on refresh - keep the old one
+            refreshToken: token.refreshToken || (previous && previous.refreshToken) || null,
+            tokenType: token.tokenType || 'Bearer',
+            scope: token.scope || '',
+            expiresAt: token.expiresIn ? Date.now() + token.expiresIn * 1000 : null,
+            obtainedAt: Date.now()
+        };
+
+        this.tokens[env][this.getCacheKey(auth)] = entry;
+        this.saveTokens();
+        return entry;
+    }
+
+    clearToken(auth, envName) {
+        const envTokens = this.tokens[envName || 'default'];
+        if (envTokens) {
+            delete envTokens[this.getCacheKey(auth)];
+            this.saveTokens();
+        }
+    }
+
+    isExpiring(entry) {
+        return !!entry.expiresAt && entry.expiresAt - this.refreshMargin <= Date.now();
+    }
+
+    // Return a valid access token, refreshing or requesting a new one when needed. settings are the
+    // request's effective settings (TLS verification, proxy opt-out); the global defaults when omitted.
+    async getAccessToken(auth, envName, { forceNew = false, settings = null } = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('OAuth 2.0 requires the desktop app');
+        }
+
+        const key = `${envName || 'default'}::${this.getCacheKey(auth)}`;
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const promise = this.resolveToken(auth, envName, forceNew, settings).finally(() => {
+            this.pending.delete(key);
+        });
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    async resolveToken(auth, envName, forceNew, settings) {
+        const cached = forceNew ? null : this.getCachedToken(auth, envName);
+
+        if (cached && cached.accessToken && !this.isExpiring(cached)) {
+            return cached;
+        }
+
+        if (cached && cached.refreshToken) {
+            try {
+                const refreshed = await this.invoke(
+                    window.electronAPI.refreshOAuth2Token(this.toConfig(auth, settings), cached.refreshToken)
+                );
+                return this.storeToken(auth, envName, refreshed, cached);
+            } catch (error) {
+                // Fall through to a full grant when the refresh token is rejected
+                console.warn('OAuth2 token refresh failed:', error.message);
+            }
+        }
+
+        const token = await this.invoke(window.electronAPI.requestOAuth2Token(this.toConfig(auth, settings)));
+        return this.storeToken(auth, envName, token);
+    }
+
+    async invoke(call) {
+        const result = await call;
+        if (!result || !result.success) {
+            throw new Error(result ? result.error : 'OAuth2 request failed');
+        }
+        return result.token;
+    }
+
+    // Only the fields the main process needs
+    toConfig(auth, settings = null) {
+        const effective = settings || (window.SettingsManager ? window.SettingsManager.getRequestDefaults() : {});
+        const verifyTls = effective.verifyTls !== false;
+
+        return {
+            grantType: auth.grantType,
+            authUrl: auth.authUrl,
+            tokenUrl: auth.tokenUrl,
+            clientId: auth.clientId,
+            clientSecret: auth.clientSecret,
+            scope: auth.scope,
+            audience: auth.audience,
+            redirectUri: auth.redirectUri,
+            usePkce: auth.usePkce !== false,
+            username: auth.username,
+            password: auth.password,
+            refreshToken: auth.refreshToken,
+            clientAuthentication: auth.clientAuthentication || 'header',
+            rejectUnauthorized: verifyTls,
+            certificates: window.SettingsManager ? window.SettingsManager.getCertificates() : null,
+            proxy: window.SettingsManager ? window.SettingsManager.getProxyFor(effective) : null
+        };
+    }
+
+    // "Get New Access Token" button in the Auth tab
+    async requestNewToken() {
+        const requestManager = window.RequestManager;
+        if (!requestManager) return;
+
+        const envName = window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null;
+        const processed = this.processAuth(envName, 'Token Request Failed');
+        if (!processed) return;
+        const button = document.getElementById('oauth2GetToken');
+
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Requesting...';
+        }
+
+        try {
+            const settings = requestManager.getEffectiveSettings(requestManager.getSettings());
+            await this.getAccessToken(processed.auth, envName, { forceNew: true, settings });
+            this.updateTokenStatus();
+            this.showNotification('Token Received', 'OAuth 2.0 access token stored for this environment', { type: 'success' });
+        } catch (error) {
+            this.showNotification('Token Request Failed', error.message, { type: 'error' });
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = 'Get New Access Token';
+            }
+        }
+    }
+
+    clearCurrentToken() {
+        const requestManager = window.RequestManager;
+        if (!requestManager) return;
+
+        const envName = window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null;
+        const processed = this.processAuth(envName, 'Clear Token Failed');
+        if (!processed) return;
+        this.clearToken(processed.auth, envName);
+        this.updateTokenStatus();
+    }
+
+    // The Auth tab's settings with variables resolved, or null after notifying under title when
+    // they cannot be (a variable cycle)
+    processAuth(envName, title) {
+        try {
+            return window.RequestManager.processRequestData({ auth: window.RequestManager.getAuth() }, envName);
+        } catch (error) {
+            if (title) this.showNotification(title, error.message, { type: 'error' });
+            return null;
+        }
+    }
+
+    // Show which grant fields apply and the cached token state
+    updateGrantFields() {
+        const grantType = document.getElementById('oauth2GrantType')?.value || 'authorization_code';
+
+        document.querySelectorAll('[data-oauth2-grant]').forEach(field => {
+            const grants = field.dataset.oauth2Grant.split(' ');
+            field.style.display = grants.includes(grantType) ? '' : 'none';
+        });
+
+        this.updateTokenStatus();
+    }
+
+    updateTokenStatus() {
+        const status = document.getElementById('oauth2TokenStatus');
+        const requestManager = window.RequestManager;
+        if (!status || !requestManager) return;
+
+        const envName = window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null;
+        const processed = this.processAuth(envName);
+        if (!processed) {
+            status.textContent = 'Token status unavailable - the auth settings reference a variable cycle.';
+            status.className = 'oauth2-token-status';
+            return;
+        }
+        const cached = processed.auth.type === 'oauth2' ? this.getCachedToken(processed.auth, envName) : null;
+
+        if (!cached) {
+            status.textContent = 'No token for this environment yet - one is requested on send.';
+            status.className = 'oauth2-token-status';
+            return;
+        }
+
+        const expiry = cached.expiresAt
+            ? (this.isExpiring(cached)
+                ? `expires ${new Date(cached.expiresAt).toLocaleTimeString()} (will refresh on send)`
+                : `valid until ${new Date(cached.expiresAt).toLocaleTimeString()}`)
+            : 'no expiry reported';
+
+        status.textContent = `Token cached for "${envName || 'default'}" - ${expiry}${cached.refreshToken ? ', refresh token available' : ''}`;
+        status.className = 'oauth2-token-status has-token';
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            available: this.isAvailable(),
+            cachedEnvironments: Object.keys(this.tokens).length
+        };
+    }
+}
+
+// Global instance
+window.OAuth2Manager = new OAuth2Manager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OAuth2Manager;
+}
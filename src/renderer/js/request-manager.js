@@ -6,6 +6,7 @@ class RequestManager {
         this.currentResponse = null;
         this.isLoading = false;
         this.controller = null; // For aborting requests
+        this.currentSource = null; // Collection/folder the workspace request was loaded from
         this.initialized = false;
         
         console.log('🚀 RequestManager initializing...');
@@ -176,8 +177,7 @@ class RequestManager {
         }
     }
 
-    getAuthHeaders() {
-        const auth = this.getAuthData();
+    getAuthHeaders(auth = this.getAuthData()) {
         const headers = [];
         
         switch (auth.type) {
@@ -199,11 +199,32 @@ class RequestManager {
                     headers.push({ key: auth.key, value: auth.value });
                 }
                 break;
+            
+            case 'oauth2':
+                // accessToken is filled in by resolveAuth just before sending
+                if (auth.accessToken) {
+                    const prefix = auth.headerPrefix !== undefined ? auth.headerPrefix : 'Bearer';
+                    headers.push({ key: 'Authorization', value: prefix ? `${prefix} ${auth.accessToken}` : auth.accessToken });
+                }
+                break;
         }
         
         return headers;
     }
 
+    // API keys configured for the query string
+    getAuthQueryParams(auth = this.getAuthData()) {
+        if (auth && auth.type === 'apikey' && auth.location === 'query' && auth.key && auth.value) {
+            return [{ key: auth.key, value: auth.value }];
+        }
+        return [];
+    }
+
+    // Auth that can only be computed against the final request
+    isSignedAuth(auth) {
+        return !!auth && ['digest', 'awsv4', 'hawk'].includes(auth.type);
+    }
+
     getBodyData() {
         const bodyType = document.getElementById('bodyType')?.value;
         
@@ -239,6 +260,11 @@ class RequestManager {
                     data: rawInput || ''
                 };
             
+            case 'graphql':
+                return window.GraphQLManager
+                    ? window.GraphQLManager.getBody()
+                    : { type: 'graphql', query: '', variables: '', operationName: '' };
+            
             default:
                 return { type: 'none' };
         }
@@ -318,15 +344,39 @@ getCurrentRequestData() {
         params: this.getParams(),
         cookies: this.getCookies(),
         auth: this.getAuth(),
-        body: this.getBody()
+        body: this.getBody(),
+        scripts: this.getScripts(),
+        settings: this.getSettings(),
+        websocket: this.getWebSocketConfig(),
+        grpc: this.getGrpcConfig()
     };
 }
 
+// WebSocket options are only kept for WS requests
+getWebSocketConfig() {
+    const methodSelect = document.getElementById('method');
+    if (!methodSelect || methodSelect.value !== 'WS' || !window.WebSocketManager) {
+        return undefined;
+    }
+    return window.WebSocketManager.getConfig();
+}
+
+// Schema source, service, method and message are only kept for gRPC requests
+getGrpcConfig() {
+    const methodSelect = document.getElementById('method');
+    if (!methodSelect || methodSelect.value !== 'GRPC' || !window.GrpcManager) {
+        return undefined;
+    }
+    return window.GrpcManager.getConfig();
+}
+
 // Enhanced loadRequest method with workspace clearing
-loadRequest(requestData) {
+// source is { collectionId, folderId, requestId } when loaded from a collection, so its scripts and examples apply
+loadRequest(requestData, source = null) {
     try {
         // Clear saved state when loading a new request
         this.clearSavedState();
+        this.currentSource = source;
         
         // Load request name
         const requestNameInput = document.getElementById('requestName');
@@ -403,6 +453,18 @@ loadRequest(requestData) {
             this.loadBody(requestData.body);
         }
         
+        // Load scripts and per-request settings
+        this.loadScripts(requestData.scripts);
+        this.loadSettings(requestData.settings);
+        
+        // Load WebSocket options (also switches the workspace between HTTP and WS)
+        if (window.WebSocketManager) {
+            window.WebSocketManager.loadConfig(requestData.websocket);
+        }
+        if (window.GrpcManager) {
+            window.GrpcManager.loadConfig(requestData.grpc);
+        }
+        
         // Update cURL command after a small delay to ensure all fields are loaded
         setTimeout(() => {
             if (this.updateCurlCommand) {
@@ -426,7 +488,8 @@ clearAllContainers() {
         'paramsContainer',
         'headersContainer',
         'cookiesContainer',
-        'formDataContainer'
+        'formDataContainer',
+        'multipartContainer'
     ];
     
     containers.forEach(containerId => {
@@ -471,9 +534,46 @@ loadAuth(authData) {
             if (apikeyValue) apikeyValue.value = authData.value || '';
             if (apikeyLocation) apikeyLocation.value = authData.location || 'header';
             break;
+            
+        case 'oauth2':
+            const defaults = {
+                grantType: 'authorization_code',
+                usePkce: true,
+                clientAuthentication: 'header',
+                headerPrefix: 'Bearer'
+            };
+            this.loadAuthFields(this.getOAuth2Fields(), authData, defaults);
+            if (window.OAuth2Manager) {
+                window.OAuth2Manager.updateGrantFields();
+            }
+            break;
+            
+        case 'digest':
+        case 'awsv4':
+        case 'hawk':
+            this.loadAuthFields(this.getSignatureAuthFields(authData.type), authData, {
+                region: 'us-east-1',
+                service: 'execute-api',
+                algorithm: 'sha256'
+            });
+            break;
     }
 }
 
+// Fill the Auth tab inputs described by a field map (config key -> input id)
+loadAuthFields(fields, authData, defaults = {}) {
+    Object.entries(fields).forEach(([key, id]) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        const value = authData[key] !== undefined ? authData[key] : defaults[key];
+        if (element.type === 'checkbox') {
+            element.checked = value !== false;
+        } else {
+            element.value = value || '';
+        }
+    });
+}
+
 // Helper method to load body data
 loadBody(bodyData) {
     const bodyTypeSelect = document.getElementById('bodyType');
@@ -512,9 +612,45 @@ loadBody(bodyData) {
                 });
             }
             break;
+            
+        case 'multipart':
+            (Array.isArray(bodyData.data) ? bodyData.data : []).forEach(part => this.addMultipartRow(part));
+            break;
+            
+        case 'binary':
+            const binaryFilePath = document.getElementById('binaryFilePath');
+            const binaryContentType = document.getElementById('binaryContentType');
+            if (binaryFilePath) binaryFilePath.value = bodyData.filePath || '';
+            if (binaryContentType) binaryContentType.value = bodyData.contentType || '';
+            break;
+            
+        case 'graphql':
+            if (window.GraphQLManager) {
+                window.GraphQLManager.loadBody(bodyData);
+            }
+            break;
     }
 }
 
+// Helper method to load pre-request and test scripts
+loadScripts(scripts) {
+    const preRequestInput = document.getElementById('preRequestScript');
+    const testInput = document.getElementById('testScript');
+    if (preRequestInput) preRequestInput.value = (scripts && scripts.preRequest) || '';
+    if (testInput) testInput.value = (scripts && scripts.test) || '';
+}
+
+// Helper method to load per-request setting overrides (empty means "use the default")
+loadSettings(settings) {
+    const values = settings || {};
+    Object.entries(this.getSettingsFields()).forEach(([key, id]) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.value = values[key] !== undefined && values[key] !== null ? String(values[key]) : '';
+        }
+    });
+}
+
 // Helper methods to get current data
 
 getParams() {
@@ -575,6 +711,39 @@ getCookies() {
     return cookies;
 }
 
+getSettingsFields() {
+    return {
+        timeout: 'requestTimeout',
+        followRedirects: 'requestFollowRedirects',
+        maxRedirects: 'requestMaxRedirects',
+        retryAttempts: 'requestRetryAttempts',
+        retryDelay: 'requestRetryDelay',
+        retryNonIdempotent: 'requestRetryNonIdempotent',
+        verifyTls: 'requestVerifyTls',
+        noProxy: 'requestNoProxy'
+    };
+}
+
+getSettings() {
+    const values = {};
+    Object.entries(this.getSettingsFields()).forEach(([key, id]) => {
+        const element = document.getElementById(id);
+        if (element && element.value !== '') {
+            values[key] = element.value;
+        }
+    });
+    return window.SettingsManager ? window.SettingsManager.normalize(values) : values;
+}
+
+getScripts() {
+    const preRequestInput = document.getElementById('preRequestScript');
+    const testInput = document.getElementById('testScript');
+    return {
+        preRequest: preRequestInput ? preRequestInput.value : '',
+        test: testInput ? testInput.value : ''
+    };
+}
+
 
 
 getAuth() {
@@ -605,11 +774,78 @@ getAuth() {
             if (apikeyValue) auth.value = apikeyValue.value.trim();
             if (apikeyLocation) auth.location = apikeyLocation.value;
             break;
+            
+        case 'oauth2':
+            this.readAuthFields(this.getOAuth2Fields(), auth);
+            break;
+            
+        case 'digest':
+        case 'awsv4':
+        case 'hawk':
+            this.readAuthFields(this.getSignatureAuthFields(authType), auth);
+            break;
     }
     
     return auth;
 }
 
+readAuthFields(fields, auth) {
+    Object.entries(fields).forEach(([key, id]) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        auth[key] = element.type === 'checkbox' ? element.checked : element.value.trim();
+    });
+    return auth;
+}
+
+// OAuth 2.0 config keys and the Auth tab inputs that hold them
+getOAuth2Fields() {
+    return {
+        grantType: 'oauth2GrantType',
+        authUrl: 'oauth2AuthUrl',
+        tokenUrl: 'oauth2TokenUrl',
+        clientId: 'oauth2ClientId',
+        clientSecret: 'oauth2ClientSecret',
+        scope: 'oauth2Scope',
+        audience: 'oauth2Audience',
+        redirectUri: 'oauth2RedirectUri',
+        usePkce: 'oauth2UsePkce',
+        username: 'oauth2Username',
+        password: 'oauth2Password',
+        refreshToken: 'oauth2RefreshToken',
+        clientAuthentication: 'oauth2ClientAuth',
+        headerPrefix: 'oauth2HeaderPrefix'
+    };
+}
+
+// Digest, AWS Signature and Hawk are signed by the main process from these fields
+getSignatureAuthFields(type) {
+    switch (type) {
+        case 'digest':
+            return {
+                username: 'digestUsername',
+                password: 'digestPassword'
+            };
+        case 'awsv4':
+            return {
+                accessKey: 'awsAccessKey',
+                secretKey: 'awsSecretKey',
+                sessionToken: 'awsSessionToken',
+                region: 'awsRegion',
+                service: 'awsService'
+            };
+        case 'hawk':
+            return {
+                authId: 'hawkAuthId',
+                authKey: 'hawkAuthKey',
+                algorithm: 'hawkAlgorithm',
+                ext: 'hawkExt'
+            };
+        default:
+            return {};
+    }
+}
+
 getBody() {
     const bodyTypeSelect = document.getElementById('bodyType');
     if (!bodyTypeSelect) return { type: 'none' };
@@ -648,11 +884,49 @@ getBody() {
             }
             body.data = formData;
             break;
+            
+        case 'multipart':
+            body.data = this.getMultipartParts();
+            break;
+            
+        case 'binary':
+            const binaryFilePath = document.getElementById('binaryFilePath');
+            const binaryContentType = document.getElementById('binaryContentType');
+            body.filePath = binaryFilePath ? binaryFilePath.value.trim() : '';
+            body.contentType = binaryContentType ? binaryContentType.value.trim() : '';
+            break;
+            
+        case 'graphql':
+            return this.getBodyData();
     }
     
     return body;
 }
 
+// Multipart parts are stored with file paths; the files are read when the request is sent
+getMultipartParts() {
+    const parts = [];
+    const container = document.getElementById('multipartContainer');
+    if (!container) return parts;
+    
+    container.querySelectorAll('.multipart-row').forEach(row => {
+        const key = row.querySelector('.multipart-key')?.value?.trim();
+        if (!key) return;
+        
+        const contentType = row.querySelector('.multipart-content-type')?.value?.trim() || '';
+        if (row.dataset.partType === 'file') {
+            const filePath = row.querySelector('.multipart-file')?.value?.trim() || '';
+            if (filePath) {
+                parts.push({ key, type: 'file', filePath, contentType });
+            }
+        } else {
+            parts.push({ key, type: 'text', value: row.querySelector('.multipart-value')?.value || '', contentType });
+        }
+    });
+    
+    return parts;
+}
+
 // Enhanced addParamRow, addHeaderRow, etc. to support loading with values
 addParamRow(key = '', value = '') {
     const container = document.getElementById('paramsContainer');
@@ -871,6 +1145,80 @@ addFormDataRow(key = '', value = '') {
     tbody.appendChild(row);
 }
 
+addMultipartRow(part = {}) {
+    const container = document.getElementById('multipartContainer');
+    if (!container) return;
+    
+    let table = container.querySelector('.key-value-table');
+    if (!table) {
+        container.innerHTML = `
+            <table class="key-value-table multipart-table">
+                <thead>
+                    <tr>
+                        <th>Field Name</th>
+                        <th>Value</th>
+                        <th>Content Type</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `;
+        table = container.querySelector('.key-value-table');
+    }
+    
+    const isFile = part.type === 'file';
+    const row = document.createElement('tr');
+    row.className = 'multipart-row';
+    row.dataset.partType = isFile ? 'file' : 'text';
+    
+    const valueCell = isFile
+        ? `<div class="file-picker">
+                <input type="text" class="multipart-file" placeholder="No file selected" value="${this.escapeHtml(part.filePath || '')}" readonly>
+                <button class="btn-secondary btn-sm" onclick="window.RequestManager.chooseMultipartFile(this)">Choose...</button>
+           </div>`
+        : `<input type="text" class="multipart-value" placeholder="Enter field value" value="${this.escapeHtml(part.value || '')}" oninput="updateCurlCommand()">`;
+    
+    row.innerHTML = `
+        <td><input type="text" class="multipart-key" placeholder="Enter field name" value="${this.escapeHtml(part.key || '')}" oninput="updateCurlCommand()"></td>
+        <td>${valueCell}</td>
+        <td><input type="text" class="multipart-content-type" placeholder="${isFile ? 'Auto' : 'text/plain'}" value="${this.escapeHtml(part.contentType || '')}" oninput="updateCurlCommand()"></td>
+        <td><button class="remove-btn" onclick="this.closest('tr').remove(); updateCurlCommand();" title="Remove">×</button></td>
+    `;
+    table.querySelector('tbody').appendChild(row);
+}
+
+async chooseMultipartFile(button) {
+    const filePath = await this.selectFile();
+    if (!filePath) return;
+    
+    const input = button.closest('.file-picker')?.querySelector('.multipart-file');
+    if (input) input.value = filePath;
+    this.updateCurlCommand();
+}
+
+async chooseBinaryFile() {
+    const filePath = await this.selectFile();
+    if (!filePath) return;
+    
+    const input = document.getElementById('binaryFilePath');
+    if (input) input.value = filePath;
+    this.updateCurlCommand();
+}
+
+async selectFile() {
+    if (!window.electronAPI || !window.electronAPI.showOpenDialog) {
+        this.showNotification('Not Available', 'File bodies require the desktop app', { type: 'warning' });
+        return null;
+    }
+    
+    const result = await window.electronAPI.showOpenDialog({ properties: ['openFile'] });
+    if (!result || result.canceled || !result.filePaths || result.filePaths.length === 0) {
+        return null;
+    }
+    return result.filePaths[0];
+}
+
 // Utility method
 escapeHtml(text) {
     if (!text) return '';
@@ -915,11 +1263,30 @@ clearSavedState() {
 updateCurlCommand() {
         const curlCode = document.getElementById('curlCode');
         if (!curlCode) return;
+
+        // The preview stays on screen and in screenshots, so secret variables show as {{name}}
+        const showCommand = (command) => {
+            curlCode.textContent = window.EnvironmentManager && typeof window.EnvironmentManager.redactSecrets === 'function'
+                ? window.EnvironmentManager.redactSecrets(command)
+                : command;
+        };
         
         try {
             const requestData = this.getCurrentRequestData();
             const processedData = this.processRequestData(requestData);
             
+            if (processedData.method === 'WS' && window.WebSocketManager) {
+                const prepared = this.prepareRequest(processedData);
+                showCommand(window.WebSocketManager.getCommandLine({ ...processedData, url: prepared.url }, prepared.headers));
+                return;
+            }
+            
+            if (processedData.method === 'GRPC' && window.GrpcManager) {
+                const prepared = this.prepareRequest(processedData);
+                showCommand(window.GrpcManager.getCommandLine(processedData, prepared.headers));
+                return;
+            }
+            
             let curlCommand = `curl -X ${processedData.method}`;
             
             // Add headers
@@ -929,6 +1296,20 @@ updateCurlCommand() {
                 }
             });
             
+            // Add auth headers (OAuth 2.0 shows the cached token when there is one)
+            const curlAuth = { ...(processedData.auth || { type: 'none' }) };
+            if (curlAuth.type === 'oauth2') {
+                const envName = window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null;
+                const cached = window.OAuth2Manager ? window.OAuth2Manager.getCachedToken(curlAuth, envName) : null;
+                curlAuth.accessToken = cached && cached.accessToken ? cached.accessToken : '<access-token>';
+            }
+            this.getAuthHeaders(curlAuth).forEach(header => {
+                const explicit = processedData.headers.some(h => h.key && h.key.toLowerCase() === header.key.toLowerCase());
+                if (!explicit) {
+                    curlCommand += ` \\\n  -H "${header.key}: ${header.value}"`;
+                }
+            });
+            
             // Add cookies
             if (processedData.cookies.length > 0) {
                 const cookieString = processedData.cookies
@@ -940,18 +1321,40 @@ updateCurlCommand() {
                 }
             }
             
-            // Add body
-            if (processedData.body && processedData.body.type !== 'none') {
+            // Add body (file bodies reference the files instead of inlining them)
+            if (processedData.body && processedData.body.type === 'multipart') {
+                (processedData.body.data || []).forEach(part => {
+                    const value = part.type === 'file' ? `@${part.filePath}` : (part.value || '');
+                    const type = part.contentType ? `;type=${part.contentType}` : '';
+                    curlCommand += ` \\\n  -F "${part.key}=${value}${type}"`;
+                });
+            } else if (processedData.body && processedData.body.type === 'binary') {
+                if (processedData.body.filePath) {
+                    curlCommand += ` \\\n  --data-binary "@${processedData.body.filePath}"`;
+                }
+            } else if (processedData.body && processedData.body.type !== 'none') {
                 const bodyContent = this.getBodyContent(processedData.body);
                 if (bodyContent) {
                     curlCommand += ` \\\n  -d '${bodyContent}'`;
                 }
             }
+
+            // Signed auth maps onto curl's own options where it has them
+            if (curlAuth.type === 'digest') {
+                curlCommand += ` \\\n  --digest -u "${curlAuth.username || ''}:${curlAuth.password || ''}"`;
+            } else if (curlAuth.type === 'awsv4') {
+                curlCommand += ` \\\n  --aws-sigv4 "aws:amz:${curlAuth.region || 'us-east-1'}:${curlAuth.service || 'execute-api'}"`;
+                curlCommand += ` \\\n  -u "${curlAuth.accessKey || ''}:${curlAuth.secretKey || ''}"`;
+                if (curlAuth.sessionToken) {
+                    curlCommand += ` \\\n  -H "X-Amz-Security-Token: ${curlAuth.sessionToken}"`;
+                }
+            }
             
             // Add URL with params
             let finalUrl = processedData.url;
-            if (processedData.params.length > 0) {
-                const paramString = processedData.params
+            const curlParams = processedData.params.concat(this.getAuthQueryParams(curlAuth));
+            if (curlParams.length > 0) {
+                const paramString = curlParams
                     .filter(param => param.key && param.value)
                     .map(param => `${encodeURIComponent(param.key)}=${encodeURIComponent(param.value)}`)
                     .join('&');
@@ -962,28 +1365,29 @@ updateCurlCommand() {
             
             curlCommand += ` \\\n  "${finalUrl}"`;
             
-            curlCode.textContent = curlCommand;
+            showCommand(curlCommand);
         } catch (error) {
             console.error('Error updating cURL command:', error);
         }
     }
 
     // Fixed processRequestData method in request-manager.js
-processRequestData(requestData) {
-    // Replace environment variables in all fields
+processRequestData(requestData, envName = null, context = {}) {
+    // Replace variables in all fields (current environment unless envName is given); context carries
+    // the collection and request-local values for EnvironmentManager.getVariableScopes
     const processed = this.deepClone(requestData);
     
     if (window.EnvironmentManager && window.EnvironmentManager.replaceVariables) {
         // URL
         if (processed.url && typeof processed.url === 'string') {
-            processed.url = window.EnvironmentManager.replaceVariables(processed.url);
+            processed.url = window.EnvironmentManager.replaceVariables(processed.url, envName, context);
         }
         
         // Headers
         if (Array.isArray(processed.headers)) {
             processed.headers = processed.headers.map(header => ({
                 key: header.key || '',
-                value: window.EnvironmentManager.replaceVariables(header.value || '')
+                value: window.EnvironmentManager.replaceVariables(header.value || '', envName, context)
             }));
         }
         
@@ -991,7 +1395,7 @@ processRequestData(requestData) {
         if (Array.isArray(processed.params)) {
             processed.params = processed.params.map(param => ({
                 key: param.key || '',
-                value: window.EnvironmentManager.replaceVariables(param.value || '')
+                value: window.EnvironmentManager.replaceVariables(param.value || '', envName, context)
             }));
         }
         
@@ -999,25 +1403,31 @@ processRequestData(requestData) {
         if (Array.isArray(processed.cookies)) {
             processed.cookies = processed.cookies.map(cookie => ({
                 key: cookie.key || '',
-                value: window.EnvironmentManager.replaceVariables(cookie.value || '')
+                value: window.EnvironmentManager.replaceVariables(cookie.value || '', envName, context)
             }));
         }
         
         // Process auth
         if (processed.auth && typeof processed.auth === 'object') {
             if (processed.auth.type === 'bearer' && processed.auth.token) {
-                processed.auth.token = window.EnvironmentManager.replaceVariables(processed.auth.token);
+                processed.auth.token = window.EnvironmentManager.replaceVariables(processed.auth.token, envName, context);
             } else if (processed.auth.type === 'basic') {
                 if (processed.auth.username) {
-                    processed.auth.username = window.EnvironmentManager.replaceVariables(processed.auth.username);
+                    processed.auth.username = window.EnvironmentManager.replaceVariables(processed.auth.username, envName, context);
                 }
                 if (processed.auth.password) {
-                    processed.auth.password = window.EnvironmentManager.replaceVariables(processed.auth.password);
+                    processed.auth.password = window.EnvironmentManager.replaceVariables(processed.auth.password, envName, context);
                 }
             } else if (processed.auth.type === 'apikey') {
                 if (processed.auth.value) {
-                    processed.auth.value = window.EnvironmentManager.replaceVariables(processed.auth.value);
+                    processed.auth.value = window.EnvironmentManager.replaceVariables(processed.auth.value, envName, context);
                 }
+            } else if (['oauth2', 'digest', 'awsv4', 'hawk'].includes(processed.auth.type)) {
+                Object.keys(processed.auth).forEach(key => {
+                    if (typeof processed.auth[key] === 'string') {
+                        processed.auth[key] = window.EnvironmentManager.replaceVariables(processed.auth[key], envName, context);
+                    }
+                });
             }
         }
         
@@ -1025,25 +1435,45 @@ processRequestData(requestData) {
         if (processed.body && typeof processed.body === 'object') {
             if (processed.body.type === 'json' && processed.body.data) {
                 if (typeof processed.body.data === 'string') {
-                    processed.body.data = window.EnvironmentManager.replaceVariables(processed.body.data);
+                    processed.body.data = window.EnvironmentManager.replaceVariables(processed.body.data, envName, context);
                 }
             } else if (processed.body.type === 'form' && processed.body.data) {
                 if (Array.isArray(processed.body.data)) {
                     processed.body.data = processed.body.data.map(field => ({
                         key: field.key || '',
-                        value: window.EnvironmentManager.replaceVariables(field.value || '')
+                        value: window.EnvironmentManager.replaceVariables(field.value || '', envName, context)
                     }));
                 } else if (typeof processed.body.data === 'object') {
                     Object.keys(processed.body.data).forEach(key => {
                         if (typeof processed.body.data[key] === 'string') {
-                            processed.body.data[key] = window.EnvironmentManager.replaceVariables(processed.body.data[key]);
+                            processed.body.data[key] = window.EnvironmentManager.replaceVariables(processed.body.data[key], envName, context);
                         }
                     });
                 }
             } else if (processed.body.type === 'raw' && processed.body.data && typeof processed.body.data === 'string') {
-                processed.body.data = window.EnvironmentManager.replaceVariables(processed.body.data);
+                processed.body.data = window.EnvironmentManager.replaceVariables(processed.body.data, envName, context);
+            } else if (processed.body.type === 'multipart' && Array.isArray(processed.body.data)) {
+                processed.body.data = processed.body.data.map(part => ({
+                    ...part,
+                    key: window.EnvironmentManager.replaceVariables(part.key || '', envName, context),
+                    value: part.type === 'file' ? part.value : window.EnvironmentManager.replaceVariables(part.value || '', envName, context),
+                    filePath: part.filePath ? window.EnvironmentManager.replaceVariables(part.filePath, envName, context) : part.filePath
+                }));
+            } else if (processed.body.type === 'binary' && processed.body.filePath) {
+                processed.body.filePath = window.EnvironmentManager.replaceVariables(processed.body.filePath, envName, context);
+            } else if (processed.body.type === 'graphql') {
+                ['query', 'variables'].forEach(field => {
+                    if (typeof processed.body[field] === 'string') {
+                        processed.body[field] = window.EnvironmentManager.replaceVariables(processed.body[field], envName, context);
+                    }
+                });
             }
         }
+        
+        // gRPC request message
+        if (processed.grpc && typeof processed.grpc.message === 'string') {
+            processed.grpc.message = window.EnvironmentManager.replaceVariables(processed.grpc.message, envName, context);
+        }
     }
     
     return processed;
@@ -1060,16 +1490,147 @@ processRequestData(requestData) {
             case 'raw':
                 return body.data;
             
+            // File bodies only have content once resolveBodyFiles has read them
+            case 'multipart':
+                return body.resolved ? this.encodeMultipart(body) : null;
+            
+            case 'binary':
+                return body.resolved ? this.base64ToBytes(body.content) : null;
+            
+            case 'graphql':
+                return this.encodeGraphQL(body);
+            
             default:
                 return null;
         }
     }
 
+    // GraphQL over HTTP: a JSON document with query, variables and operationName
+    encodeGraphQL(body) {
+        const payload = { query: body.query || '' };
+
+        if (body.variables && body.variables.trim()) {
+            try {
+                payload.variables = JSON.parse(body.variables);
+            } catch (error) {
+                throw new Error(`GraphQL variables are not valid JSON: ${error.message}`);
+            }
+        }
+        if (body.operationName) {
+            payload.operationName = body.operationName;
+        }
+
+        return JSON.stringify(payload);
+    }
+
+    // Read the files behind multipart file parts and binary bodies (through the read-file IPC)
+    async resolveBodyFiles(requestData) {
+        const body = requestData.body;
+        if (!body || !['multipart', 'binary'].includes(body.type) || !['POST', 'PUT', 'PATCH'].includes(requestData.method)) {
+            return requestData;
+        }
+
+        const readFile = async (filePath) => {
+            if (!window.electronAPI || !window.electronAPI.readFile) {
+                throw new Error('File bodies require the desktop app');
+            }
+            const result = await window.electronAPI.readFile(filePath, 'base64');
+            if (!result || !result.success) {
+                throw new Error(`Could not read ${filePath}: ${result ? result.error : 'unknown error'}`);
+            }
+            return result.content;
+        };
+
+        if (body.type === 'binary') {
+            if (!body.filePath) return requestData;
+            return {
+                ...requestData,
+                body: { ...body, content: await readFile(body.filePath), resolved: true }
+            };
+        }
+
+        const parts = [];
+        for (const part of body.data || []) {
+            parts.push(part.type === 'file'
+                ? { ...part, content: await readFile(part.filePath) }
+                : part);
+        }
+
+        return {
+            ...requestData,
+            body: {
+                ...body,
+                data: parts,
+                boundary: `----PosterBoyBoundary${Math.random().toString(16).slice(2)}${Date.now().toString(16)}`,
+                resolved: true
+            }
+        };
+    }
+
+    encodeMultipart(body) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        // Quotes and line breaks are percent-encoded in disposition parameters, as browsers do
+        const quote = (value) => String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+
+        (body.data || []).forEach(part => {
+            let head = `--${body.boundary}\r\nContent-Disposition: form-data; name="${quote(part.key)}"`;
+            if (part.type === 'file') {
+                const fileName = String(part.filePath).split(/[\\/]/).pop();
+                head += `; filename="${quote(fileName)}"\r\nContent-Type: ${part.contentType || this.guessContentType(fileName)}`;
+            } else if (part.contentType) {
+                head += `\r\nContent-Type: ${part.contentType}`;
+            }
+            chunks.push(encoder.encode(`${head}\r\n\r\n`));
+            chunks.push(part.type === 'file' ? this.base64ToBytes(part.content) : encoder.encode(part.value || ''));
+            chunks.push(encoder.encode('\r\n'));
+        });
+        chunks.push(encoder.encode(`--${body.boundary}--\r\n`));
+
+        const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes;
+    }
+
+    base64ToBytes(base64) {
+        const binary = atob(base64 || '');
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    guessContentType(fileName) {
+        const types = {
+            json: 'application/json',
+            xml: 'application/xml',
+            txt: 'text/plain',
+            csv: 'text/csv',
+            html: 'text/html',
+            pdf: 'application/pdf',
+            zip: 'application/zip',
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg',
+            gif: 'image/gif',
+            svg: 'image/svg+xml',
+            webp: 'image/webp'
+        };
+        const extension = String(fileName).split('.').pop().toLowerCase();
+        return types[extension] || 'application/octet-stream';
+    }
+
     async sendRequest() {
         const sendBtn = document.getElementById('sendBtn');
         const responseContainer = document.getElementById('responseContainer');
         
-        if (!sendBtn || !responseContainer) return;
+        // The response panel is re-rendered after the first response, so only the button is required
+        if (!sendBtn) return;
         
         const requestData = this.getCurrentRequestData();
         
@@ -1078,12 +1639,26 @@ processRequestData(requestData) {
             return;
         }
         
+        // WS requests open an interactive session instead
+        if (requestData.method === 'WS' && window.WebSocketManager) {
+            window.WebSocketManager.toggleConnection();
+            return;
+        }
+        
         // Validate URL
         try {
-            const processedUrl = window.EnvironmentManager ? 
-                window.EnvironmentManager.replaceVariables(requestData.url) : 
-                requestData.url;
-            new URL(processedUrl);
+            let processedUrl = requestData.url;
+            try {
+                processedUrl = window.EnvironmentManager ? 
+                    window.EnvironmentManager.replaceVariables(requestData.url) : 
+                    requestData.url;
+            } catch (error) {
+                // Variable cycles are reported once pre-request scripts have run
+            }
+            // Unresolved variables may still be set by a pre-request script
+            if (!/{{.+?}}/.test(processedUrl)) {
+                new URL(processedUrl);
+            }
         } catch (e) {
             alert('Please enter a valid URL');
             return;
@@ -1099,8 +1674,32 @@ processRequestData(requestData) {
         }
         
         try {
-            const processedData = this.processRequestData(requestData);
-            const response = await this.executeRequest(processedData);
+            const scriptContext = { source: this.currentSource };
+            let preparedData = requestData;
+            
+            // Pre-request scripts may change the request and environment before variables are resolved
+            if (window.ScriptManager) {
+                const preRequest = await window.ScriptManager.runPreRequestScripts(requestData, scriptContext);
+                preparedData = preRequest.request;
+                scriptContext.variables = preRequest.variables;
+                scriptContext.logs = preRequest.logs;
+            }
+            
+            const variableContext = {
+                collectionId: this.currentSource ? this.currentSource.collectionId : null,
+                variables: scriptContext.variables
+            };
+            this.checkVariables(preparedData, variableContext);
+            
+            const processedData = this.processRequestData(preparedData, null, variableContext);
+            const response = await this.executeRequest(processedData, null, {
+                onStream: window.StreamManager ? window.StreamManager.createLiveView() : null
+            });
+            
+            if (window.ScriptManager) {
+                response.testResults = await window.ScriptManager.runTestScripts(preparedData, response, scriptContext);
+                response.testResults.logs.unshift(...(scriptContext.logs || []));
+            }
             
             this.currentRequest = processedData;
             this.currentResponse = response;
@@ -1110,7 +1709,9 @@ processRequestData(requestData) {
             
             // Add to history
             if (window.HistoryManager && window.HistoryManager.addToHistory) {
-                window.HistoryManager.addToHistory(processedData, response);
+                const historyItem = window.HistoryManager.addToHistory(processedData, response);
+                // Lets the response diff leave this run out of the earlier responses
+                response.historyId = historyItem ? historyItem.id : null;
             }
             
             // Track activity
@@ -1119,6 +1720,10 @@ processRequestData(requestData) {
         } catch (error) {
             this.displayError(error);
         } finally {
+            if (window.StreamManager) {
+                window.StreamManager.endLiveView();
+            }
+            
             // Reset button state
             this.isLoading = false;
             sendBtn.disabled = false;
@@ -1130,115 +1735,566 @@ processRequestData(requestData) {
         }
     }
 
-    async executeRequest(requestData) {
-        // Create abort controller for timeout
-        this.controller = new AbortController();
-        const timeoutId = setTimeout(() => this.controller.abort(), 30000); // 30 second timeout
-        
+    // Throws on variable cycles in what the request references; names nothing defines only warn,
+    // the server may accept the literal {{name}}
+    checkVariables(requestData, context = {}) {
+        if (!window.EnvironmentManager || !window.EnvironmentManager.validateEnvironment) return;
+
+        const validation = window.EnvironmentManager.validateEnvironment(null, { ...context, request: requestData });
+        if (!validation.request) return;
+
+        if (validation.request.errors.length > 0) {
+            throw new Error(validation.request.errors.join('\n'));
+        }
+        if (validation.request.unresolved.length > 0) {
+            const names = validation.request.unresolved.map(name => `{{${name}}}`).join(', ');
+            this.showNotification('Unresolved Variables', `Sent without a value for ${names}`, { type: 'warning' });
+        }
+    }
+
+    // options.onStream(update) receives { type: 'start' | 'chunk' } updates for streaming responses
+    async executeRequest(requestData, envName = null, options = {}) {
+        const withFiles = await this.resolveBodyFiles(requestData);
+        const prepared = this.prepareRequest(await this.resolveAuth(withFiles, envName));
+        const settings = this.getEffectiveSettings(requestData.settings);
+        const retries = this.canRetry(prepared.method, settings) ? settings.retryAttempts : 0;
+
+        // cancelRequest() ends the whole run, not just the attempt in flight
+        const run = { cancelled: false, wake: null };
+        this.activeRun = run;
+
+        let attempt = 0;
         try {
-            const fetchOptions = {
-                method: requestData.method,
-                signal: this.controller.signal
-            };
-            
-            // Build headers object
-            const headers = {};
-            requestData.headers.forEach(header => {
-                if (header.key && header.value) {
-                    headers[header.key] = header.value;
-                }
-            });
-            
-            // Add cookies to headers
-            if (requestData.cookies.length > 0) {
-                const cookieString = requestData.cookies
-                    .filter(cookie => cookie.key && cookie.value)
-                    .map(cookie => `${cookie.key}=${cookie.value}`)
-                    .join('; ');
-                if (cookieString) {
-                    headers['Cookie'] = cookieString;
+            for (;;) {
+                if (run.cancelled) throw new Error('Request cancelled');
+                attempt++;
+                try {
+                    const response = await this.sendPrepared(prepared, settings, { ...options, envName });
+
+                    if (response.status >= 500 && attempt <= retries && !run.cancelled) {
+                        await this.waitForRetry(settings, attempt, run);
+                        continue;
+                    }
+
+                    response.attempts = attempt;
+                    return response;
+                } catch (error) {
+                    // An aborted fetch reports itself as a timeout
+                    if (run.cancelled) throw new Error('Request cancelled');
+                    if (attempt > retries || !this.isRetryableError(error)) {
+                        throw error;
+                    }
+                    await this.waitForRetry(settings, attempt, run);
                 }
             }
-            
-            fetchOptions.headers = headers;
-            
-            // Add body for appropriate methods
-            if (['POST', 'PUT', 'PATCH'].includes(requestData.method) && requestData.body.type !== 'none') {
-                const bodyContent = this.getBodyContent(requestData.body);
-                if (bodyContent) {
-                    fetchOptions.body = bodyContent;
-                    
-                    // Set content type for form data
-                    if (requestData.body.type === 'form' && !headers['Content-Type']) {
-                        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        } finally {
+            if (this.activeRun === run) this.activeRun = null;
+        }
+    }
+
+    // Methods safe to send again are retried; others only when the user opts in
+    canRetry(method, settings) {
+        const idempotent = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+        return idempotent.includes(String(method).toUpperCase()) || !!settings.retryNonIdempotent;
+    }
+
+    // Fetch (or refresh) an OAuth 2.0 token for the environment the request runs in
+    async resolveAuth(requestData, envName = null) {
+        const auth = requestData.auth;
+        if (!auth || auth.type !== 'oauth2' || !window.OAuth2Manager) return requestData;
+
+        const environment = envName || (window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null);
+        const settings = this.getEffectiveSettings(requestData.settings);
+        const token = await window.OAuth2Manager.getAccessToken(auth, environment, { settings });
+
+        return {
+            ...requestData,
+            auth: { ...auth, accessToken: token.accessToken }
+        };
+    }
+
+    sendPrepared(prepared, settings, options = {}) {
+        if (prepared.method === 'GRPC') {
+            return this.executeViaGrpc(prepared, settings, options);
+        }
+        
+        // Electron sends from the main process; plain fetch is only used in a browser build
+        if (this.hasElectronTransport()) {
+            return this.executeViaElectron(prepared, settings, options);
+        }
+
+        return this.executeViaFetch(prepared, settings, options);
+    }
+
+    // Cancel the in-flight request - a stream that is cancelled keeps what it received
+    cancelRequest() {
+        if (this.activeRun) {
+            this.activeRun.cancelled = true;
+            if (this.activeRun.wake) this.activeRun.wake();
+        }
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    getEffectiveSettings(overrides) {
+        if (window.SettingsManager) {
+            return window.SettingsManager.resolveRequestSettings(overrides);
+        }
+
+        return {
+            timeout: 30000,
+            followRedirects: true,
+            maxRedirects: 10,
+            retryAttempts: 0,
+            retryDelay: 1000,
+            retryNonIdempotent: false,
+            verifyTls: true,
+            noProxy: false
+        };
+    }
+
+    // Only transient network failures are retried - not cancellations, bad URLs or TLS errors
+    isRetryableError(error) {
+        const networkCodes = [
+            'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND',
+            'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'
+        ];
+
+        if (error.message === 'Request timeout') return true;
+        if (error.code) return networkCodes.includes(error.code);
+        // fetch reports network failures as a TypeError
+        return error.name === 'TypeError';
+    }
+
+    // Exponential backoff: retryDelay, 2x, 4x... Cancelling the run ends the wait early;
+    // executeRequest checks run.cancelled before the next attempt.
+    waitForRetry(settings, attempt, run = null) {
+        const delay = settings.retryDelay * Math.pow(2, attempt - 1);
+        console.log(`Retrying request in ${delay}ms (attempt ${attempt + 1} of ${settings.retryAttempts + 1})`);
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            if (run) {
+                run.wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            }
+        });
+    }
+
+    hasElectronTransport() {
+        return !!(window.electronAPI && typeof window.electronAPI.sendHttpRequest === 'function');
+    }
+
+    // Build the final URL, header list and body shared by both transports
+    prepareRequest(requestData) {
+        const headers = [];
+        (requestData.headers || []).forEach(header => {
+            if (header.key && header.value) {
+                headers.push({ key: header.key, value: header.value });
+            }
+        });
+
+        const hasHeader = (name) => headers.some(header => header.key.toLowerCase() === name.toLowerCase());
+
+        // Auth tab headers, unless the same header was set explicitly
+        this.getAuthHeaders(requestData.auth || { type: 'none' }).forEach(header => {
+            if (!hasHeader(header.key)) {
+                headers.push(header);
+            }
+        });
+
+        // Add cookies to headers
+        const cookies = requestData.cookies || [];
+        if (cookies.length > 0) {
+            const cookieString = cookies
+                .filter(cookie => cookie.key && cookie.value)
+                .map(cookie => `${cookie.key}=${cookie.value}`)
+                .join('; ');
+            if (cookieString) {
+                headers.push({ key: 'Cookie', value: cookieString });
+            }
+        }
+
+        // Add body for appropriate methods
+        let body = null;
+        const requestBody = requestData.body || { type: 'none' };
+        if (['POST', 'PUT', 'PATCH'].includes(requestData.method) && requestBody.type !== 'none') {
+            const bodyContent = this.getBodyContent(requestBody);
+            if (bodyContent) {
+                body = bodyContent;
+
+                // Set content type for form data
+                if (requestBody.type === 'form' && !hasHeader('Content-Type')) {
+                    headers.push({ key: 'Content-Type', value: 'application/x-www-form-urlencoded' });
+                }
+                if (requestBody.type === 'multipart') {
+                    // A hand-written multipart Content-Type cannot know the generated boundary
+                    const contentType = `multipart/form-data; boundary=${requestBody.boundary}`;
+                    const explicit = headers.find(header => header.key.toLowerCase() === 'content-type');
+                    if (!explicit) {
+                        headers.push({ key: 'Content-Type', value: contentType });
+                    } else if (/^multipart\/form-data/i.test(explicit.value) && !/boundary=/i.test(explicit.value)) {
+                        explicit.value = contentType;
                     }
                 }
-            }
-            
-            // Build final URL with params
-            let finalUrl = requestData.url;
-            if (requestData.params.length > 0) {
-                const paramString = requestData.params
-                    .filter(param => param.key && param.value)
-                    .map(param => `${encodeURIComponent(param.key)}=${encodeURIComponent(param.value)}`)
-                    .join('&');
-                if (paramString) {
-                    finalUrl += (finalUrl.includes('?') ? '&' : '?') + paramString;
+                if (requestBody.type === 'graphql' && !hasHeader('Content-Type')) {
+                    headers.push({ key: 'Content-Type', value: 'application/json' });
                 }
-            }
-            
-            const startTime = Date.now();
-            const response = await fetch(finalUrl, fetchOptions);
-            const endTime = Date.now();
-            
-            clearTimeout(timeoutId);
-            
-            const duration = endTime - startTime;
-            const responseText = await response.text();
-            const size = new Blob([responseText]).size;
-            
-            // Parse response data
-            let responseData;
-            const contentType = response.headers.get('content-type') || '';
-            
-            if (contentType.includes('application/json')) {
-                try {
-                    responseData = JSON.parse(responseText);
-                } catch (e) {
-                    responseData = responseText;
+                if (requestBody.type === 'binary' && !hasHeader('Content-Type')) {
+                    headers.push({ key: 'Content-Type', value: requestBody.contentType || 'application/octet-stream' });
                 }
-            } else {
-                responseData = responseText;
             }
-            
+        }
+
+        // Build final URL with params (and a query-string API key)
+        let finalUrl = requestData.url;
+        const params = (requestData.params || []).concat(this.getAuthQueryParams(requestData.auth));
+        if (params.length > 0) {
+            const paramString = params
+                .filter(param => param.key && param.value)
+                .map(param => `${encodeURIComponent(param.key)}=${encodeURIComponent(param.value)}`)
+                .join('&');
+            if (paramString) {
+                finalUrl += (finalUrl.includes('?') ? '&' : '?') + paramString;
+            }
+        }
+
+        return {
+            method: requestData.method,
+            url: finalUrl,
+            headers,
+            body,
+            auth: this.isSignedAuth(requestData.auth) ? requestData.auth : null,
+            grpc: requestData.method === 'GRPC' ? requestData.grpc : undefined
+        };
+    }
+
+    async executeViaElectron(prepared, settings, options = {}) {
+        const requestId = this.generateRequestId();
+        const streaming = !!(options.onStream && window.StreamManager);
+
+        // Allow the in-flight request to be cancelled through the controller
+        this.controller = new AbortController();
+        this.controller.signal.addEventListener('abort', () => {
+            window.electronAPI.cancelHttpRequest(requestId);
+        });
+
+        if (streaming) {
+            window.StreamManager.subscribe(requestId, options.onStream);
+        }
+
+        const result = await window.electronAPI.sendHttpRequest({
+            id: requestId,
+            method: prepared.method,
+            url: prepared.url,
+            headers: prepared.headers,
+            body: prepared.body,
+            timeout: settings.timeout,
+            followRedirects: settings.followRedirects,
+            maxRedirects: settings.maxRedirects,
+            rejectUnauthorized: settings.verifyTls,
+            certificates: window.SettingsManager ? window.SettingsManager.getCertificates() : null,
+            proxy: window.SettingsManager ? window.SettingsManager.getProxyFor(settings) : null,
+            auth: prepared.auth,
+            // The environment's cookie jar - the updated jar comes back with the response
+            cookies: window.CookieManager ? window.CookieManager.getJar(options.envName) : null,
+            stream: streaming
+        }).finally(() => {
+            if (streaming) window.StreamManager.unsubscribe(requestId);
+        });
+
+        if (!result || !result.success) {
+            const error = new Error(result ? result.error : 'Request failed');
+            error.code = result ? result.code : undefined;
+            throw error;
+        }
+
+        const response = result.response;
+        if (window.CookieManager && response.cookies) {
+            window.CookieManager.saveJar(options.envName, response.cookies);
+        }
+
+        return this.buildResponse({
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            rawHeaders: response.rawHeaders,
+            bytes: response.body,
+            duration: Math.round(response.timings.total),
+            timings: response.timings,
+            headerSizes: response.headerSizes,
+            redirects: response.redirects,
+            url: response.url || prepared.url,
+            proxy: response.proxy,
+            streamed: response.streamed,
+            cancelled: response.cancelled
+        });
+    }
+
+    // Headers (including auth headers) are sent as gRPC metadata
+    async executeViaGrpc(prepared, settings, options = {}) {
+        if (!window.GrpcManager || !window.GrpcManager.isAvailable()) {
+            throw new Error('gRPC requests are only supported in the desktop app');
+        }
+
+        const config = prepared.grpc || {};
+        if (!config.service || !config.method) {
+            throw new Error('Select a gRPC service and method');
+        }
+
+        const schema = await window.GrpcManager.getSchema(config, { ...prepared, settings });
+        const callId = this.generateRequestId();
+        const streaming = !!(options.onStream && window.GrpcManager.isServerStreaming(schema, config));
+
+        this.controller = new AbortController();
+        this.controller.signal.addEventListener('abort', () => {
+            window.electronAPI.cancelGrpc(callId);
+        });
+
+        // Streamed messages are shown in the live view as pretty-printed JSON
+        if (streaming) {
+            const encoder = new TextEncoder();
+            options.onStream({ type: 'start', status: 'gRPC', statusText: 'stream', ok: true, headers: { 'content-type': 'application/grpc' } });
+            window.GrpcManager.subscribe(callId, (message) => {
+                options.onStream({ type: 'chunk', data: encoder.encode(`${JSON.stringify(message, null, 2)}\n`) });
+            });
+        }
+
+        const result = await window.electronAPI.invokeGrpc({
+            id: callId,
+            url: prepared.url,
+            service: config.service,
+            method: config.method,
+            message: config.message || '',
+            metadata: prepared.headers,
+            schema,
+            timeout: settings.timeout,
+            rejectUnauthorized: settings.verifyTls,
+            certificates: window.SettingsManager ? window.SettingsManager.getCertificates() : null,
+            proxy: window.SettingsManager ? window.SettingsManager.getProxyFor(settings) : null
+        }).finally(() => {
+            window.GrpcManager.unsubscribe(callId);
+        });
+
+        if (!result || !result.success) {
+            const error = new Error(result ? result.error : 'Request failed');
+            error.code = result ? result.code : undefined;
+            throw error;
+        }
+
+        return window.GrpcManager.buildResponse(result.response, prepared.url);
+    }
+
+    async executeViaFetch(prepared, settings, options = {}) {
+        if (prepared.auth) {
+            throw new Error(`${prepared.auth.type} auth is only supported in the desktop app`);
+        }
+
+        // Create abort controller for timeout (TLS and redirect limits are not configurable through fetch)
+        this.controller = new AbortController();
+        const timeoutId = setTimeout(() => this.controller.abort(), settings.timeout);
+
+        try {
+            const headers = {};
+            prepared.headers.forEach(header => {
+                headers[header.key] = header.value;
+            });
+
+            const fetchOptions = {
+                method: prepared.method,
+                headers,
+                redirect: settings.followRedirects ? 'follow' : 'manual',
+                signal: this.controller.signal
+            };
+
+            if (prepared.body) {
+                fetchOptions.body = prepared.body;
+            }
+
+            const startTime = Date.now();
+            const response = await fetch(prepared.url, fetchOptions);
+
             // Extract response headers
             const responseHeaders = {};
+            const rawHeaders = [];
             response.headers.forEach((value, key) => {
                 responseHeaders[key] = value;
+                rawHeaders.push([key, value]);
             });
-            
-            return {
+
+            const streaming = !!(options.onStream && window.StreamManager && response.body &&
+                window.StreamManager.isStreamingResponse(responseHeaders));
+            let bytes;
+            let cancelled = false;
+
+            if (streaming) {
+                // Streams may stay open indefinitely, so the timeout only covers the headers
+                clearTimeout(timeoutId);
+                ({ bytes, cancelled } = await this.readStream(response, responseHeaders, options.onStream));
+            } else {
+                bytes = new Uint8Array(await response.arrayBuffer());
+            }
+            const endTime = Date.now();
+
+            clearTimeout(timeoutId);
+            const resourceTiming = this.getResourceTiming(prepared.url);
+
+            return this.buildResponse({
                 status: response.status,
                 statusText: response.statusText,
                 headers: responseHeaders,
-                body: responseData,
-                rawBody: responseText,
-                size: size,
-                duration: duration,
-                url: finalUrl
-            };
-            
+                rawHeaders,
+                bytes,
+                duration: endTime - startTime,
+                timings: resourceTiming.timings,
+                headerSizes: resourceTiming.headerSizes,
+                redirects: [],
+                url: prepared.url,
+                streamed: streaming,
+                cancelled
+            });
+
         } catch (error) {
             clearTimeout(timeoutId);
-            
+
             if (error.name === 'AbortError') {
                 throw new Error('Request timeout');
             }
-            
+
             throw error;
         }
     }
 
+    // Phase timings for the fetch transport, when the server allows it (Timing-Allow-Origin)
+    getResourceTiming(url) {
+        const unavailable = { timings: null, headerSizes: null };
+        if (!window.performance || typeof window.performance.getEntriesByName !== 'function') return unavailable;
+
+        let name;
+        try {
+            name = new URL(url).href;
+        } catch (error) {
+            return unavailable;
+        }
+
+        const entry = window.performance.getEntriesByName(name, 'resource').pop();
+        if (!entry || !entry.requestStart) return unavailable;
+
+        const round = (value) => Math.round(value * 100) / 100;
+        const connectEnd = entry.secureConnectionStart || entry.connectEnd;
+        return {
+            timings: {
+                blocked: round(entry.domainLookupStart - entry.startTime),
+                dns: round(entry.domainLookupEnd - entry.domainLookupStart),
+                tcp: round(connectEnd - entry.connectStart),
+                tls: entry.secureConnectionStart ? round(entry.connectEnd - entry.secureConnectionStart) : 0,
+                firstByte: round(entry.responseStart - entry.requestStart),
+                download: round(entry.responseEnd - entry.responseStart),
+                total: round(entry.responseEnd - entry.startTime)
+            },
+            // Request headers are not exposed to fetch
+            headerSizes: entry.transferSize
+                ? { request: null, response: entry.transferSize - entry.encodedBodySize }
+                : null
+        };
+    }
+
+    // Pass fetch body chunks to onStream; cancelling keeps the bytes read so far
+    async readStream(response, headers, onStream) {
+        const reader = response.body.getReader();
+        const chunks = [];
+        let length = 0;
+
+        onStream({ type: 'start', status: response.status, statusText: response.statusText, headers });
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                length += value.byteLength;
+                onStream({ type: 'chunk', data: value });
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            return { bytes: this.concatBytes(chunks, length), cancelled: true };
+        }
+
+        return { bytes: this.concatBytes(chunks, length), cancelled: false };
+    }
+
+    concatBytes(chunks, length) {
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        return bytes;
+    }
+
+    // Common response shape for both transports
+    buildResponse({ status, statusText, headers, rawHeaders, bytes, duration, timings, headerSizes = null, redirects, url, proxy = null, streamed = false, cancelled = false }) {
+        const bodyBytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes || []);
+        const contentType = headers['content-type'] || '';
+        const responseText = this.decodeBody(bodyBytes, contentType);
+
+        // Parse response data
+        let responseData = responseText;
+        if (contentType.includes('application/json')) {
+            try {
+                responseData = JSON.parse(responseText);
+            } catch (e) {
+                responseData = responseText;
+            }
+        }
+
+        return {
+            status,
+            statusText,
+            headers,
+            rawHeaders,
+            body: responseData,
+            rawBody: responseText,
+            bodyBytes,
+            size: bodyBytes.byteLength,
+            duration,
+            // { blocked, dns, tcp, tls, firstByte, download, total } in ms, null when unavailable
+            timings,
+            headerSizes,
+            redirects,
+            url,
+            // Proxy the final request went through, without credentials
+            proxy,
+            streamed: !!streamed,
+            cancelled: !!cancelled,
+            // Server-Sent Events parsed into { id, event, data, retry }
+            events: window.StreamManager && window.StreamManager.isEventStream(contentType)
+                ? window.StreamManager.parseEventStream(responseText)
+                : null
+        };
+    }
+
+    decodeBody(bytes, contentType) {
+        const charsetMatch = /charset=([^;]+)/i.exec(contentType || '');
+        const charset = charsetMatch ? charsetMatch[1].trim().replace(/["']/g, '') : 'utf-8';
+
+        try {
+            return new TextDecoder(charset).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    generateRequestId() {
+        if (window.Core && typeof window.Core.generateId === 'function') {
+            return window.Core.generateId('req');
+        }
+        return `req_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+    }
+
     // Enhanced displayResponse with tabs layout
 displayResponse(response) {
         // Use new ResponseDisplayManager
@@ -1268,6 +2324,7 @@ displayResponse(response) {
         <div class="response-tabs">
             <button class="response-tab-btn active" data-tab="response-body" onclick="switchResponseTab('response-body')">Body</button>
             <button class="response-tab-btn" data-tab="response-headers" onclick="switchResponseTab('response-headers')">Headers (${Object.keys(response.headers).length})</button>
+            <button class="response-tab-btn" data-tab="response-tests" onclick="switchResponseTab('response-tests')">Tests${this.getTestTabLabel(response)}</button>
         </div>
         
         <!-- Response Tab Content -->
@@ -1288,10 +2345,20 @@ displayResponse(response) {
                     ).join('')}
                 </div>
             </div>
+            
+            <!-- Tests Tab -->
+            <div id="response-tests" class="response-tab-pane">
+                ${window.ScriptManager ? window.ScriptManager.renderTestResults(response.testResults) : ''}
+            </div>
         </div>
     `;
 }
 
+getTestTabLabel(response) {
+    const summary = window.ScriptManager ? window.ScriptManager.getTestSummary(response.testResults) : '';
+    return summary ? ` (${summary})` : '';
+}
+
 
 // Switch between response tabs
 switchResponseTab(tabName) {
@@ -1406,7 +2473,7 @@ Check the browser console for more details.</pre>
 
     formatResponseBody(body) {
         if (typeof body === 'object') {
-            return JSON.stringify(body, null, 2);
+            return this.escapeHtml(JSON.stringify(body, null, 2));
         }
         return this.escapeHtml(String(body));
     }
@@ -1425,19 +2492,79 @@ Check the browser console for more details.</pre>
         }
     }
 
-    saveResponse() {
+    // Writes the body exactly as it was received - images, PDFs and archives included
+    async saveResponse() {
         if (!this.currentResponse) return;
-        
-        const responseText = typeof this.currentResponse.body === 'object' 
-            ? JSON.stringify(this.currentResponse.body, null, 2)
-            : this.currentResponse.body;
-        
-        const filename = `response_${this.currentResponse.status}_${Date.now()}.${
-            typeof this.currentResponse.body === 'object' ? 'json' : 'txt'
-        }`;
-        
-        this.downloadFile(responseText, filename);
-        this.showNotification('Response Saved', 'Response saved to file');
+
+        const response = this.currentResponse;
+        const bytes = response.bodyBytes instanceof Uint8Array
+            ? response.bodyBytes
+            : new TextEncoder().encode(response.rawBody || '');
+        const filename = this.getResponseFileName(response);
+
+        try {
+            if (window.electronAPI && window.electronAPI.saveFile) {
+                const result = await window.electronAPI.showSaveDialog({ defaultPath: filename });
+                if (result.canceled || !result.filePath) return;
+
+                const saved = await window.electronAPI.saveFile(result.filePath, bytes);
+                if (!saved.success) throw new Error(saved.error);
+            } else {
+                const contentType = (response.headers || {})['content-type'] || 'application/octet-stream';
+                const url = URL.createObjectURL(new Blob([bytes], { type: contentType }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = filename;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            }
+            this.showNotification('Response Saved', `Saved ${filename}`);
+        } catch (error) {
+            this.showNotification('Save Failed', error.message, { type: 'error' });
+        }
+    }
+
+    // Content-Disposition filename if the server sent one, otherwise an extension for the content type
+    getResponseFileName(response) {
+        const headers = response.headers || {};
+        const disposition = String(headers['content-disposition'] || '');
+        const match = disposition.match(/filename\*=(?:UTF-8'')?([^;]+)/i) || disposition.match(/filename="?([^";]+)"?/i);
+        if (match) {
+            try {
+                return decodeURIComponent(match[1].trim()).replace(/[\\/]/g, '_');
+            } catch (error) {
+                return match[1].trim().replace(/[\\/]/g, '_');
+            }
+        }
+
+        const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const extensions = {
+            'application/json': 'json',
+            'application/xml': 'xml',
+            'text/xml': 'xml',
+            'text/html': 'html',
+            'text/plain': 'txt',
+            'text/css': 'css',
+            'text/csv': 'csv',
+            'application/javascript': 'js',
+            'application/pdf': 'pdf',
+            'application/zip': 'zip',
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/svg+xml': 'svg'
+        };
+        let extension = extensions[contentType];
+        if (!extension) {
+            if (/[/+]json$/.test(contentType)) extension = 'json';
+            else if (/[/+]xml$/.test(contentType)) extension = 'xml';
+            else if (contentType.startsWith('text/')) extension = 'txt';
+            else extension = typeof response.body === 'object' ? 'json' : 'bin';
+        }
+        return `response_${response.status}_${Date.now()}.${extension}`;
     }
 
     showRawResponse() {
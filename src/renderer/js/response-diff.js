@@ -0,0 +1,526 @@
+// Response Diff - compares the current response with an earlier run: status, headers and body
+// (a structural JSON diff that ignores key order, or a line diff for text bodies)
+
+class ResponseDiffManager {
+    constructor() {
+        this.storageKey = 'posterboy_response_diff';
+        this.settings = this.loadSettings();
+        this.contextLines = 3; // Unchanged lines shown around each text change
+        this.maxLineDiffCells = 4000000; // Larger text diffs fall back to "bodies differ"
+        this.modal = null;
+        this.response = null;
+        this.baselineId = null;
+        this.initialized = false;
+
+        console.log('🔀 ResponseDiffManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ ResponseDiffManager initialized');
+    }
+
+    // ignoredPaths are JSONPath patterns ($.meta.timestamp, $..id, $.items[*].updatedAt),
+    // ignoredHeaders are header names
+    loadSettings() {
+        const defaults = { ignoredPaths: [], ignoredHeaders: ['date'] };
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+        } catch (error) {
+            console.error('Error loading response diff settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Error saving response diff settings:', error);
+        }
+    }
+
+    // Saved examples of the collection request, then earlier responses of the same request
+    // (method and URL without the query string), newest first
+    getBaselines(response = this.response) {
+        const examples = window.ExampleManager
+            ? window.ExampleManager.getExamples()
+                .filter(example => !response || example.name !== response.exampleName)
+                .map(example => ({
+                    id: example.id,
+                    label: `Example - ${example.name} - ${example.status} ${example.statusText || ''}`,
+                    response: window.ExampleManager.toResponse(example)
+                }))
+            : [];
+
+        const request = window.RequestManager ? window.RequestManager.currentRequest : null;
+        if (!request || !window.HistoryManager) return examples;
+
+        const endpoint = (url) => String(url || '').split('?')[0];
+        return examples.concat((window.HistoryManager.history || [])
+            .filter(item => item.id !== (response && response.historyId) &&
+                item.request.method === request.method &&
+                endpoint(item.request.url) === endpoint(request.url))
+            .map(item => ({
+                id: item.id,
+                label: `History - ${new Date(item.timestamp).toLocaleString()} - ${item.response.status} ${item.response.statusText || ''}`,
+                response: item.response
+            })));
+    }
+
+    showDiff(response = null) {
+        const current = response || (window.RequestManager ? window.RequestManager.currentResponse : null);
+        if (!current) {
+            this.showNotification('Nothing to Compare', 'Send a request first', { type: 'warning' });
+            return;
+        }
+
+        if (!this.modal) this.createModal();
+        this.response = current;
+        const baselines = this.getBaselines();
+        this.baselineId = baselines.some(baseline => baseline.id === this.baselineId)
+            ? this.baselineId
+            : (baselines[0] ? baselines[0].id : null);
+
+        this.modal.querySelector('#diffBaseline').innerHTML = baselines.length > 0
+            ? baselines.map(baseline => `
+                <option value="${this.escapeHtml(baseline.id)}" ${baseline.id === this.baselineId ? 'selected' : ''}>${this.escapeHtml(baseline.label)}</option>
+            `).join('')
+            : '<option value="">No examples or earlier responses for this request</option>';
+        this.modal.querySelector('#diffIgnoredPaths').value = this.settings.ignoredPaths.join(', ');
+        this.modal.querySelector('#diffIgnoredHeaders').value = this.settings.ignoredHeaders.join(', ');
+
+        this.render();
+        this.modal.style.display = 'block';
+    }
+
+    hideDiff() {
+        if (this.modal) this.modal.style.display = 'none';
+        this.response = null;
+    }
+
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'responseDiffModal';
+        this.modal.style.display = 'none';
+        this.modal.innerHTML = `
+            <div class="modal-content large">
+                <div class="modal-header">
+                    <h3>🔀 Compare Responses</h3>
+                    <button class="close" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="diff-toolbar">
+                        <label for="diffBaseline">Compare with</label>
+                        <select id="diffBaseline"></select>
+                    </div>
+                    <div class="diff-toolbar">
+                        <label for="diffIgnoredPaths">Ignored paths</label>
+                        <input type="text" id="diffIgnoredPaths" placeholder="$..timestamp, $.data[*].id" spellcheck="false">
+                        <label for="diffIgnoredHeaders">Ignored headers</label>
+                        <input type="text" id="diffIgnoredHeaders" placeholder="Date, X-Request-Id" spellcheck="false">
+                    </div>
+                    <div class="diff-content"></div>
+                </div>
+            </div>
+        `;
+
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal || event.target.closest('[data-action="close"]')) {
+                this.hideDiff();
+            }
+        });
+        this.modal.querySelector('#diffBaseline').addEventListener('change', (event) => {
+            this.baselineId = event.target.value;
+            this.render();
+        });
+        this.modal.querySelector('#diffIgnoredPaths').addEventListener('change', (event) => {
+            this.settings.ignoredPaths = this.splitList(event.target.value);
+            this.saveSettings();
+            this.render();
+        });
+        this.modal.querySelector('#diffIgnoredHeaders').addEventListener('change', (event) => {
+            this.settings.ignoredHeaders = this.splitList(event.target.value).map(name => name.toLowerCase());
+            this.saveSettings();
+            this.render();
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    render() {
+        const content = this.modal.querySelector('.diff-content');
+        const baseline = this.getBaselines().find(item => item.id === this.baselineId);
+        if (!baseline) {
+            content.innerHTML = '<p class="diff-empty">Send this request again or save an example to have a response to compare with.</p>';
+            return;
+        }
+
+        let diff;
+        try {
+            diff = this.diffResponses(baseline.response, this.response, this.settings);
+        } catch (error) {
+            content.innerHTML = `<p class="diff-error">${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        content.innerHTML = `
+            ${this.renderStatus(diff.status)}
+            ${this.renderHeaders(diff.headers)}
+            ${this.renderBody(diff.body)}
+        `;
+    }
+
+    // ---- Diffing ----
+
+    // before is the earlier response, after the current one
+    diffResponses(before, after, settings = this.settings) {
+        const ignoredPaths = settings.ignoredPaths
+            .map(pattern => this.parsePattern(pattern))
+            .filter(Boolean);
+
+        return {
+            status: {
+                before: `${before.status} ${before.statusText || ''}`.trim(),
+                after: `${after.status} ${after.statusText || ''}`.trim(),
+                changed: before.status !== after.status
+            },
+            headers: this.diffHeaders(before.headers, after.headers, settings.ignoredHeaders),
+            body: this.diffBodies(before.body, after.body, ignoredPaths)
+        };
+    }
+
+    diffHeaders(before = {}, after = {}, ignored = []) {
+        const normalize = (headers) => Object.keys(headers || {}).reduce((acc, name) => {
+            acc[name.toLowerCase()] = String(headers[name]);
+            return acc;
+        }, {});
+        const a = normalize(before);
+        const b = normalize(after);
+        const ignoredNames = ignored.map(name => name.toLowerCase());
+
+        return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .filter(name => !ignoredNames.includes(name))
+            .sort()
+            .map(name => {
+                if (!(name in b)) return { name, type: 'removed', before: a[name] };
+                if (!(name in a)) return { name, type: 'added', after: b[name] };
+                return a[name] === b[name]
+                    ? { name, type: 'same', before: a[name] }
+                    : { name, type: 'changed', before: a[name], after: b[name] };
+            });
+    }
+
+    // JSON on both sides gets the structural diff, anything else a line diff
+    diffBodies(before, after, ignoredPaths) {
+        const a = this.toJson(before);
+        const b = this.toJson(after);
+
+        if (a !== undefined && b !== undefined) {
+            const changes = [];
+            this.diffJson(a, b, [], ignoredPaths, changes);
+            return { kind: 'json', changes };
+        }
+
+        return { kind: 'text', ...this.diffLines(this.toText(before), this.toText(after)) };
+    }
+
+    toJson(body) {
+        if (body !== null && typeof body === 'object') return body;
+        if (typeof body !== 'string' || !/^\s*[[{]/.test(body)) return undefined;
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    toText(body) {
+        if (body === null || body === undefined) return '';
+        return typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+    }
+
+    // Objects are compared key by key whatever the order, arrays index by index
+    diffJson(before, after, path, ignoredPaths, changes) {
+        if (ignoredPaths.some(pattern => this.matchesPattern(pattern, path))) return;
+
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (isObject(before) && isObject(after)) {
+            [...new Set([...Object.keys(before), ...Object.keys(after)])].sort().forEach(key => {
+                const childPath = path.concat(key);
+                if (!Object.prototype.hasOwnProperty.call(after, key)) {
+                    if (!ignoredPaths.some(pattern => this.matchesPattern(pattern, childPath))) {
+                        changes.push({ type: 'removed', path: childPath, before: before[key] });
+                    }
+                } else if (!Object.prototype.hasOwnProperty.call(before, key)) {
+                    if (!ignoredPaths.some(pattern => this.matchesPattern(pattern, childPath))) {
+                        changes.push({ type: 'added', path: childPath, after: after[key] });
+                    }
+                } else {
+                    this.diffJson(before[key], after[key], childPath, ignoredPaths, changes);
+                }
+            });
+            return;
+        }
+
+        if (Array.isArray(before) && Array.isArray(after)) {
+            for (let i = 0; i < Math.max(before.length, after.length); i++) {
+                const childPath = path.concat(i);
+                if (i >= after.length) {
+                    if (!ignoredPaths.some(pattern => this.matchesPattern(pattern, childPath))) {
+                        changes.push({ type: 'removed', path: childPath, before: before[i] });
+                    }
+                } else if (i >= before.length) {
+                    if (!ignoredPaths.some(pattern => this.matchesPattern(pattern, childPath))) {
+                        changes.push({ type: 'added', path: childPath, after: after[i] });
+                    }
+                } else {
+                    this.diffJson(before[i], after[i], childPath, ignoredPaths, changes);
+                }
+            }
+            return;
+        }
+
+        if (before !== after) {
+            changes.push({ type: 'changed', path, before, after });
+        }
+    }
+
+    // Ignored paths use the JSONPath syntax of the response filter; an ignored node hides its subtree too
+    parsePattern(pattern) {
+        if (!window.ResponseFilterManager) return null;
+        try {
+            return window.ResponseFilterManager.parseJsonPath(pattern);
+        } catch (error) {
+            console.warn(`Ignored path "${pattern}" is not valid JSONPath:`, error.message);
+            return null;
+        }
+    }
+
+    matchesPattern(segments, path, segmentIndex = 0, pathIndex = 0) {
+        if (segmentIndex === segments.length) return true;
+        if (pathIndex >= path.length) return false;
+
+        const segment = segments[segmentIndex];
+        const matchesKey = (key) => segment.selectors.some(selector => {
+            switch (selector.kind) {
+                case 'wildcard':
+                    return true;
+                case 'name':
+                    return String(key) === selector.name;
+                case 'index':
+                    return key === selector.index;
+                case 'slice':
+                    return typeof key === 'number' && key >= (selector.start || 0) &&
+                        (selector.end === null || key < selector.end) && (key - (selector.start || 0)) % selector.step === 0;
+                default:
+                    return false;
+            }
+        });
+
+        if (matchesKey(path[pathIndex]) && this.matchesPattern(segments, path, segmentIndex + 1, pathIndex + 1)) {
+            return true;
+        }
+        // ".." may skip any number of levels
+        return segment.descendant && this.matchesPattern(segments, path, segmentIndex, pathIndex + 1);
+    }
+
+    // Longest common subsequence on the lines between the common prefix and suffix
+    diffLines(beforeText, afterText) {
+        const a = beforeText.split('\n');
+        const b = afterText.split('\n');
+
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+            a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+        const middleA = a.slice(prefix, a.length - suffix);
+        const middleB = b.slice(prefix, b.length - suffix);
+        if (middleA.length * middleB.length > this.maxLineDiffCells) {
+            return { tooLarge: true, lines: [] };
+        }
+
+        const rows = middleA.length + 1;
+        const cols = middleB.length + 1;
+        const lengths = new Uint32Array(rows * cols);
+        for (let i = middleA.length - 1; i >= 0; i--) {
+            for (let j = middleB.length - 1; j >= 0; j--) {
+                lengths[i * cols + j] = middleA[i] === middleB[j]
+                    ? lengths[(i + 1) * cols + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+            }
+        }
+
+        const lines = a.slice(0, prefix).map(text => ({ type: 'same', text }));
+        let i = 0;
+        let j = 0;
+        while (i < middleA.length || j < middleB.length) {
+            if (i < middleA.length && j < middleB.length && middleA[i] === middleB[j]) {
+                lines.push({ type: 'same', text: middleA[i] });
+                i++;
+                j++;
+            } else if (i < middleA.length && (j === middleB.length || lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])) {
+                lines.push({ type: 'removed', text: middleA[i++] });
+            } else {
+                lines.push({ type: 'added', text: middleB[j++] });
+            }
+        }
+        a.slice(a.length - suffix).forEach(text => lines.push({ type: 'same', text }));
+
+        return { tooLarge: false, lines };
+    }
+
+    // ---- Rendering ----
+
+    renderStatus(status) {
+        return `
+            <div class="diff-section">
+                <h4>Status</h4>
+                ${status.changed
+                    ? `<div class="diff-row diff-changed"><span class="diff-before">${this.escapeHtml(status.before)}</span> → <span class="diff-after">${this.escapeHtml(status.after)}</span></div>`
+                    : `<div class="diff-row diff-same">${this.escapeHtml(status.after)}</div>`}
+            </div>
+        `;
+    }
+
+    renderHeaders(headers) {
+        const changed = headers.filter(header => header.type !== 'same');
+        return `
+            <div class="diff-section">
+                <h4>Headers <span class="diff-count">${this.formatCount(changed.length)}</span></h4>
+                ${changed.length === 0 ? '' : `
+                    <table class="diff-table">
+                        ${changed.map(header => `
+                            <tr class="diff-${header.type}">
+                                <td class="diff-path">${this.escapeHtml(header.name)}</td>
+                                <td class="diff-before">${this.escapeHtml(header.before !== undefined ? header.before : '')}</td>
+                                <td class="diff-after">${this.escapeHtml(header.after !== undefined ? header.after : '')}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                `}
+            </div>
+        `;
+    }
+
+    renderBody(body) {
+        if (body.kind === 'json') {
+            return `
+                <div class="diff-section">
+                    <h4>Body <span class="diff-count">${this.formatCount(body.changes.length)}</span></h4>
+                    ${body.changes.length === 0 ? '' : `
+                        <table class="diff-table">
+                            <tr><th>Path</th><th>Before</th><th>After</th></tr>
+                            ${body.changes.map(change => `
+                                <tr class="diff-${change.type}">
+                                    <td class="diff-path">${this.escapeHtml(this.formatPath(change.path))}</td>
+                                    <td class="diff-before">${change.type === 'added' ? '' : this.escapeHtml(JSON.stringify(change.before))}</td>
+                                    <td class="diff-after">${change.type === 'removed' ? '' : this.escapeHtml(JSON.stringify(change.after))}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    `}
+                </div>
+            `;
+        }
+
+        if (body.tooLarge) {
+            return `
+                <div class="diff-section">
+                    <h4>Body</h4>
+                    <p class="diff-empty">The bodies differ, but are too large to compare line by line.</p>
+                </div>
+            `;
+        }
+
+        const changed = body.lines.filter(line => line.type !== 'same').length;
+        return `
+            <div class="diff-section">
+                <h4>Body <span class="diff-count">${this.formatCount(changed)}</span></h4>
+                ${changed === 0 ? '' : `<pre class="diff-lines">${this.renderLines(body.lines)}</pre>`}
+            </div>
+        `;
+    }
+
+    // Changed lines with a few lines of context; longer unchanged runs are collapsed
+    renderLines(lines) {
+        const visible = lines.map(() => false);
+        lines.forEach((line, index) => {
+            if (line.type === 'same') return;
+            for (let i = Math.max(0, index - this.contextLines); i <= Math.min(lines.length - 1, index + this.contextLines); i++) {
+                visible[i] = true;
+            }
+        });
+
+        const output = [];
+        let hidden = 0;
+        lines.forEach((line, index) => {
+            if (!visible[index]) {
+                hidden++;
+                return;
+            }
+            if (hidden > 0) {
+                output.push(`<span class="diff-line diff-skipped">... ${hidden} unchanged line${hidden === 1 ? '' : 's'}</span>`);
+                hidden = 0;
+            }
+            const marker = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+            output.push(`<span class="diff-line diff-${line.type}">${marker} ${this.escapeHtml(line.text)}</span>`);
+        });
+        if (hidden > 0) {
+            output.push(`<span class="diff-line diff-skipped">... ${hidden} unchanged line${hidden === 1 ? '' : 's'}</span>`);
+        }
+        return output.join('');
+    }
+
+    formatPath(path) {
+        return path.reduce((text, key) => (typeof key === 'number'
+            ? `${text}[${key}]`
+            : /^[A-Za-z_$][\w$]*$/.test(key) ? `${text}.${key}` : `${text}[${JSON.stringify(key)}]`), '$');
+    }
+
+    formatCount(count) {
+        return count === 0 ? 'identical' : `${count} difference${count === 1 ? '' : 's'}`;
+    }
+
+    splitList(value) {
+        return String(value || '').split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            ignoredPaths: this.settings.ignoredPaths.length,
+            ignoredHeaders: this.settings.ignoredHeaders.length
+        };
+    }
+}
+
+// Global instance
+window.ResponseDiffManager = new ResponseDiffManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseDiffManager;
+}
@@ -15,33 +15,70 @@ class ResponseDisplayManager {
 
         this.responseSection.classList.add('has-response');
 
-        const statusClass = response.status >= 200 && response.status < 300 ? 'success' : 'error';
+        // gRPC reports success as status 0 (OK)
+        const ok = response.protocol === 'grpc' ? response.status === 0 : response.status >= 200 && response.status < 300;
+        const statusClass = ok ? 'success' : 'error';
+        const viewers = window.ResponseViewerManager;
+        const binary = viewers && response.bodyBytes ? viewers.isBinaryType(viewers.detectType(response)) : false;
         const responseHTML = `
             <div class="response-header">
                 <h3>Response</h3>
                 <div class="status-badge status-${statusClass}">
-                    ${response.status} ${response.statusText || ''}
+                    ${response.status} ${this.escapeHtml(response.statusText || '')}
                 </div>
+                ${response.exampleName ? `<span class="response-example-badge">Example: ${this.escapeHtml(response.exampleName)}</span>` : ''}
+                ${response.bodyBytes ? `
+                <div class="response-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="window.RequestManager && window.RequestManager.copyResponse()" ${binary ? 'disabled' : ''}>Copy</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="window.RequestManager && window.RequestManager.saveResponse()">Save</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="window.ResponseDiffManager && window.ResponseDiffManager.showDiff()" title="Compare with an earlier response">Compare</button>
+                    ${response.exampleName ? '' : `<button type="button" class="btn btn-secondary btn-sm" onclick="window.ExampleManager && window.ExampleManager.showExamples(true)" title="Save this response as an example of the collection request">Save as Example</button>`}
+                </div>` : ''}
             </div>
+            ${this.formatRedirects(response)}
+            ${this.formatStreamStatus(response)}
             <div class="response-tabs">
-                <button class="response-tab-btn active" data-tab="body">Body</button>
+                ${response.events ? `<button class="response-tab-btn active" data-tab="events">Events (${response.events.length})</button>` : ''}
+                <button class="response-tab-btn ${response.events ? '' : 'active'}" data-tab="body">Body</button>
                 <button class="response-tab-btn" data-tab="headers">Headers</button>
                 <button class="response-tab-btn" data-tab="raw">Raw</button>
+                <button class="response-tab-btn" data-tab="timing">Timing${response.duration !== undefined ? ` (${response.duration} ms)` : ''}</button>
+                <button class="response-tab-btn ${this.hasFailedTests(response) ? 'tests-failing' : ''}" data-tab="tests">Tests${this.formatTestCount(response)}</button>
             </div>
             <div class="response-content">
-                <div class="response-tab-pane active" data-tab="body">
-                    <pre class="response-body">${this.formatJSON(response.data)}</pre>
+                ${response.events ? `
+                <div class="response-tab-pane active" data-tab="events">
+                    ${window.StreamManager ? window.StreamManager.renderEvents(response.events) : ''}
+                </div>` : ''}
+                <div class="response-tab-pane ${response.events ? '' : 'active'}" data-tab="body">
+                    ${viewers ? viewers.render(response) : `<pre class="response-body">${this.escapeHtml(this.formatJSON(response.body))}</pre>`}
+                    ${window.ResponseFilterManager ? window.ResponseFilterManager.render(response) : ''}
                 </div>
                 <div class="response-tab-pane" data-tab="headers">
                     <div class="headers-list">${this.formatHeaders(response.headers)}</div>
                 </div>
                 <div class="response-tab-pane" data-tab="raw">
-                    <pre class="response-body">${response.rawData || 'No raw data'}</pre>
+                    <pre class="response-body">${binary
+                        ? 'Binary content - see the Body tab or save the response'
+                        : this.escapeHtml(response.rawBody) || 'No raw data'}</pre>
+                </div>
+                <div class="response-tab-pane" data-tab="timing">
+                    ${this.formatTimings(response)}
+                </div>
+                <div class="response-tab-pane" data-tab="tests">
+                    ${window.ScriptManager ? window.ScriptManager.renderTestResults(response.testResults) : ''}
                 </div>
             </div>
         `;
 
         this.responseSection.innerHTML = responseHTML;
+        const bodyPane = this.responseSection.querySelector('.response-tab-pane[data-tab="body"]');
+        if (viewers) {
+            viewers.mount(bodyPane, response);
+        }
+        if (window.ResponseFilterManager) {
+            window.ResponseFilterManager.mount(bodyPane, response);
+        }
         this.setupTabSwitching();
     }
 
@@ -53,6 +90,7 @@ class ResponseDisplayManager {
     }
 
     formatJSON(data) {
+        if (typeof data === 'string') return data;
         try {
             return JSON.stringify(data, null, 2);
         } catch (e) {
@@ -60,12 +98,136 @@ class ResponseDisplayManager {
         }
     }
 
+    // Redirect hops followed to reach the final URL, plus any retries
+    formatRedirects(response) {
+        const redirects = response.redirects || [];
+        const retries = response.attempts > 1
+            ? `<div class="response-retries">Completed after ${response.attempts} attempts</div>`
+            : '';
+
+        if (redirects.length === 0) return retries;
+
+        return `
+            <details class="redirect-chain">
+                <summary>↪ ${redirects.length} redirect${redirects.length !== 1 ? 's' : ''}</summary>
+                <ol>
+                    ${redirects.map(hop => `
+                        <li>
+                            <span class="status-badge">${hop.status} ${this.escapeHtml(hop.statusText || '')}</span>
+                            <span class="redirect-url">${this.escapeHtml(hop.url)}</span>
+                        </li>
+                    `).join('')}
+                    <li class="redirect-final">
+                        <span class="status-badge">${response.status}</span>
+                        <span class="redirect-url">${this.escapeHtml(response.url || '')}</span>
+                    </li>
+                </ol>
+            </details>
+            ${retries}
+        `;
+    }
+
+    // Waterfall of the connection phases, plus header and body sizes
+    formatTimings(response) {
+        const timings = response.timings;
+        if (!timings) {
+            return '<p class="timing-unavailable">A phase breakdown is not available for this request.</p>';
+        }
+
+        const phases = [
+            ['blocked', 'Setup'],
+            ['dns', 'DNS lookup'],
+            ['tcp', 'TCP connect'],
+            ['tls', 'TLS handshake'],
+            ['firstByte', 'Waiting (TTFB)'],
+            ['download', 'Content download']
+        ].map(([key, label]) => ({ key, label, value: Math.max(0, timings[key] || 0) }));
+
+        // Whatever is left of the total went to earlier redirect hops (or Digest challenges)
+        const measured = phases.reduce((sum, phase) => sum + phase.value, 0);
+        const earlier = timings.total - measured;
+        if (earlier >= 1) {
+            phases.unshift({ key: 'redirects', label: 'Earlier hops', value: earlier });
+        }
+
+        const total = Math.max(timings.total, measured, 0.01);
+        let offset = 0;
+        const rows = phases.map(phase => {
+            const left = (offset / total) * 100;
+            const width = Math.max((phase.value / total) * 100, phase.value > 0 ? 0.5 : 0);
+            offset += phase.value;
+            return `
+                <div class="timing-row">
+                    <span class="timing-label">${phase.label}</span>
+                    <span class="timing-track">
+                        <span class="timing-bar timing-${phase.key}" style="left: ${left}%; width: ${width}%;"></span>
+                    </span>
+                    <span class="timing-value">${this.formatMs(phase.value)}</span>
+                </div>
+            `;
+        }).join('');
+
+        const sizes = response.headerSizes || {};
+        const sizeRows = [
+            ['Request headers', sizes.request],
+            ['Response headers', sizes.response],
+            ['Response body', response.size]
+        ].filter(([, value]) => typeof value === 'number')
+            .map(([label, value]) => `<div class="timing-size"><span>${label}</span><span>${this.formatBytes(value)}</span></div>`)
+            .join('');
+
+        return `
+            <div class="timing-waterfall">
+                ${rows}
+                <div class="timing-row timing-total">
+                    <span class="timing-label">Total</span>
+                    <span class="timing-track"></span>
+                    <span class="timing-value">${this.formatMs(timings.total)}</span>
+                </div>
+            </div>
+            ${sizeRows ? `<div class="timing-sizes">${sizeRows}</div>` : ''}
+        `;
+    }
+
+    formatMs(value) {
+        return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${value.toFixed(value < 10 ? 2 : 1)} ms`;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    }
+
+    // A cancelled stream shows only what arrived before it was stopped
+    formatStreamStatus(response) {
+        if (!response.cancelled) return '';
+        return `<div class="response-stream-cancelled">Stream cancelled - partial response (${response.size} bytes received)</div>`;
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    formatTestCount(response) {
+        const summary = window.ScriptManager ? window.ScriptManager.getTestSummary(response.testResults) : '';
+        return summary ? ` (${summary})` : '';
+    }
+
+    hasFailedTests(response) {
+        const results = response.testResults;
+        return !!results && (results.errors.length > 0 || results.tests.some(test => test.passed === false));
+    }
+
     formatHeaders(headers) {
         if (!headers) return '<p>No headers</p>';
         return Object.entries(headers).map(([k, v]) => `
             <div class="header-item">
-                <span class="header-key">${k}:</span>
-                <span class="header-value">${v}</span>
+                <span class="header-key">${this.escapeHtml(k)}:</span>
+                <span class="header-value">${this.escapeHtml(v)}</span>
             </div>
         `).join('');
     }
@@ -79,7 +241,7 @@ class ResponseDisplayManager {
                 tabButtons.forEach(btn => btn.classList.remove('active'));
                 tabPanes.forEach(pane => pane.classList.remove('active'));
                 button.classList.add('active');
-                const targetPane = this.responseSection.querySelector(`[data-tab="${targetTab}"]`);
+                const targetPane = this.responseSection.querySelector(`.response-tab-pane[data-tab="${targetTab}"]`);
                 if (targetPane) targetPane.classList.add('active');
             });
         });
@@ -0,0 +1,700 @@
+// Response Filter - JSONPath (JSON) and XPath (XML/HTML) filtering of the response body,
+// with a per-request expression history and "copy as test assertion"
+
+class ResponseFilterManager {
+    constructor() {
+        this.storageKey = 'posterboy_response_filters';
+        this.maxHistory = 20; // Expressions kept per request
+        this.maxAssertions = 25; // Matches turned into expect() lines
+        this.history = this.loadHistory();
+        this.current = null; // { response, language, expression, result } for the displayed response
+        this.debounceTimer = null;
+        this.initialized = false;
+
+        console.log('🔎 ResponseFilterManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ ResponseFilterManager initialized');
+    }
+
+    loadHistory() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading response filters:', error);
+            return {};
+        }
+    }
+
+    saveHistory() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            console.error('Error saving response filters:', error);
+        }
+    }
+
+    // Requests are told apart by method and URL without the query string
+    getRequestKey() {
+        const request = window.RequestManager ? window.RequestManager.currentRequest : null;
+        if (!request || !request.url) return null;
+        return `${request.method || 'GET'} ${String(request.url).split('?')[0]}`;
+    }
+
+    getExpressions(key = this.getRequestKey()) {
+        return key ? (this.history[key] || []) : [];
+    }
+
+    rememberExpression(expression) {
+        const key = this.getRequestKey();
+        if (!key || !expression) return;
+
+        const expressions = this.getExpressions(key).filter(item => item !== expression);
+        expressions.unshift(expression);
+        this.history[key] = expressions.slice(0, this.maxHistory);
+        this.saveHistory();
+    }
+
+    // jsonpath | xpath | null when the body cannot be filtered
+    getLanguage(response) {
+        const type = window.ResponseViewerManager ? window.ResponseViewerManager.detectType(response) : 'json';
+        if (type === 'json') return 'jsonpath';
+        if (type === 'xml' || type === 'html') return 'xpath';
+        return null;
+    }
+
+    // Filter bar for the Body tab, placed under the body viewer
+    render(response) {
+        const language = this.getLanguage(response);
+        if (!language) return '';
+
+        const placeholder = language === 'jsonpath' ? '$.data[*].id' : '//item/@id';
+        return `
+            <div class="response-filter-results" hidden></div>
+            <div class="response-filter" data-language="${language}">
+                <span class="response-filter-label">${language === 'jsonpath' ? 'JSONPath' : 'XPath'}</span>
+                <input type="text" class="response-filter-input" list="responseFilterHistory"
+                       placeholder="Filter the body, e.g. ${placeholder}" spellcheck="false" autocomplete="off">
+                <datalist id="responseFilterHistory">
+                    ${this.getExpressions().map(expression => `<option value="${this.escapeHtml(expression)}"></option>`).join('')}
+                </datalist>
+                <button type="button" class="btn btn-secondary btn-sm response-filter-copy" disabled title="Copy the matches as a test assertion">Copy as test</button>
+                <button type="button" class="btn btn-secondary btn-sm response-filter-clear" title="Show the whole body">Clear</button>
+            </div>
+        `;
+    }
+
+    mount(container, response) {
+        const bar = container && container.querySelector('.response-filter');
+        if (!bar) {
+            this.current = null;
+            return;
+        }
+
+        this.current = { response, language: bar.dataset.language, expression: '', result: null };
+        const input = bar.querySelector('.response-filter-input');
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.applyFilter(container, input.value, false), 300);
+        });
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                clearTimeout(this.debounceTimer);
+                this.applyFilter(container, input.value, true);
+            } else if (event.key === 'Escape') {
+                input.value = '';
+                this.applyFilter(container, '', false);
+            }
+        });
+        bar.querySelector('.response-filter-clear').addEventListener('click', () => {
+            input.value = '';
+            this.applyFilter(container, '', false);
+        });
+        bar.querySelector('.response-filter-copy').addEventListener('click', () => this.copyAsTest());
+    }
+
+    // Shows the matches in place of the body viewer; an empty expression brings the body back
+    applyFilter(container, expression, remember) {
+        if (!this.current) return;
+
+        const trimmed = String(expression || '').trim();
+        const viewer = container.querySelector('.body-viewer, .response-body');
+        const results = container.querySelector('.response-filter-results');
+        const copyButton = container.querySelector('.response-filter-copy');
+
+        this.current.expression = trimmed;
+        this.current.result = null;
+        copyButton.disabled = true;
+
+        if (!trimmed) {
+            results.hidden = true;
+            results.innerHTML = '';
+            if (viewer) viewer.hidden = false;
+            return;
+        }
+
+        if (viewer) viewer.hidden = true;
+        results.hidden = false;
+
+        try {
+            const result = this.current.language === 'jsonpath'
+                ? this.filterJson(this.current.response, trimmed)
+                : this.filterXml(this.current.response, trimmed);
+
+            this.current.result = result;
+            results.innerHTML = this.renderResult(result);
+            copyButton.disabled = result.matches.length === 0 || result.scalar;
+
+            if (remember) {
+                this.rememberExpression(trimmed);
+                this.refreshHistory(container);
+            }
+        } catch (error) {
+            results.innerHTML = `<div class="response-filter-error">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    refreshHistory(container) {
+        const datalist = container.querySelector('#responseFilterHistory');
+        if (datalist) {
+            datalist.innerHTML = this.getExpressions()
+                .map(expression => `<option value="${this.escapeHtml(expression)}"></option>`)
+                .join('');
+        }
+    }
+
+    renderResult(result) {
+        const count = result.scalar
+            ? 'Expression result'
+            : `${result.matches.length} match${result.matches.length === 1 ? '' : 'es'}`;
+
+        if (!result.scalar && result.matches.length === 0) {
+            return `<div class="response-filter-summary">${count}</div>`;
+        }
+
+        let text;
+        if (result.language === 'jsonpath') {
+            const values = result.matches.map(match => match.value);
+            text = JSON.stringify(values.length === 1 ? values[0] : values, null, 2);
+        } else {
+            text = result.matches.map(match => match.text).join('\n');
+        }
+        return `
+            <div class="response-filter-summary">${count}</div>
+            <pre class="response-body">${this.escapeHtml(text)}</pre>
+        `;
+    }
+
+    // ---- JSONPath ----
+
+    filterJson(response, expression) {
+        const viewers = window.ResponseViewerManager;
+        const value = viewers ? viewers.getJsonValue(response) : response.body;
+        if (value === undefined) throw new Error('The response body is not valid JSON');
+
+        const segments = this.parseJsonPath(expression);
+        const matches = this.evaluateSegments(segments, [{ path: [], value }], value);
+        return { language: 'jsonpath', expression, scalar: false, matches };
+    }
+
+    // Goessner JSONPath: $.a.b, $['a'], [0], [-1], [0,2], [1:5:2], *, .. and [?(@.price < 10)]
+    parseJsonPath(expression) {
+        const parser = { text: expression, pos: 0 };
+        this.skipSpaces(parser);
+
+        // "$" may be left out: "data.items" and "[0]" are read from the root
+        if (parser.text[parser.pos] === '$') {
+            parser.pos++;
+        } else if (parser.text[parser.pos] !== '.' && parser.text[parser.pos] !== '[') {
+            parser.text = `.${parser.text.slice(parser.pos)}`;
+            parser.pos = 0;
+        }
+
+        const segments = this.parseSegments(parser);
+        this.skipSpaces(parser);
+        if (parser.pos < parser.text.length) {
+            throw this.syntaxError(parser, `Unexpected "${parser.text[parser.pos]}"`);
+        }
+        return segments;
+    }
+
+    parseSegments(parser) {
+        const segments = [];
+
+        while (parser.pos < parser.text.length) {
+            const rest = parser.text.slice(parser.pos);
+            let descendant = false;
+
+            if (rest.startsWith('..')) {
+                descendant = true;
+                parser.pos += 2;
+            } else if (rest[0] === '.') {
+                parser.pos++;
+            } else if (rest[0] !== '[') {
+                break;
+            }
+
+            if (parser.text[parser.pos] === '[') {
+                segments.push({ descendant, selectors: this.parseBracket(parser) });
+            } else if (parser.text[parser.pos] === '*') {
+                parser.pos++;
+                segments.push({ descendant, selectors: [{ kind: 'wildcard' }] });
+            } else {
+                const name = this.readName(parser);
+                if (!name) throw this.syntaxError(parser, 'Expected a property name');
+                segments.push({ descendant, selectors: [{ kind: 'name', name }] });
+            }
+        }
+
+        return segments;
+    }
+
+    parseBracket(parser) {
+        parser.pos++; // [
+        const selectors = [];
+
+        for (;;) {
+            this.skipSpaces(parser);
+            const char = parser.text[parser.pos];
+
+            if (char === '\'' || char === '"') {
+                selectors.push({ kind: 'name', name: this.readString(parser) });
+            } else if (char === '*') {
+                parser.pos++;
+                selectors.push({ kind: 'wildcard' });
+            } else if (char === '?') {
+                parser.pos++;
+                this.skipSpaces(parser);
+                selectors.push({ kind: 'filter', expression: this.parseFilterOr(parser) });
+            } else {
+                const match = parser.text.slice(parser.pos).match(/^(-?\d+)?\s*(?::\s*(-?\d+)?\s*(?::\s*(-?\d+)?)?)?/);
+                if (!match[0]) throw this.syntaxError(parser, 'Expected a name, index, slice, * or filter');
+                parser.pos += match[0].length;
+
+                if (match[0].includes(':')) {
+                    selectors.push({
+                        kind: 'slice',
+                        start: match[1] !== undefined ? parseInt(match[1], 10) : null,
+                        end: match[2] !== undefined ? parseInt(match[2], 10) : null,
+                        step: match[3] !== undefined ? parseInt(match[3], 10) : 1
+                    });
+                } else {
+                    selectors.push({ kind: 'index', index: parseInt(match[1], 10) });
+                }
+            }
+
+            this.skipSpaces(parser);
+            if (parser.text[parser.pos] === ',') {
+                parser.pos++;
+            } else if (parser.text[parser.pos] === ']') {
+                parser.pos++;
+                return selectors;
+            } else {
+                throw this.syntaxError(parser, 'Expected "," or "]"');
+            }
+        }
+    }
+
+    // Filter expressions: ||, &&, !, comparisons (== != < <= > >= and =~ /regex/) on @ and $ paths
+    parseFilterOr(parser) {
+        let left = this.parseFilterAnd(parser);
+        while (this.consume(parser, '||')) {
+            left = { op: '||', left, right: this.parseFilterAnd(parser) };
+        }
+        return left;
+    }
+
+    parseFilterAnd(parser) {
+        let left = this.parseFilterNot(parser);
+        while (this.consume(parser, '&&')) {
+            left = { op: '&&', left, right: this.parseFilterNot(parser) };
+        }
+        return left;
+    }
+
+    parseFilterNot(parser) {
+        this.skipSpaces(parser);
+        if (parser.text[parser.pos] === '!' && parser.text[parser.pos + 1] !== '=') {
+            parser.pos++;
+            return { op: '!', operand: this.parseFilterNot(parser) };
+        }
+        return this.parseFilterComparison(parser);
+    }
+
+    parseFilterComparison(parser) {
+        const left = this.parseFilterPrimary(parser);
+        this.skipSpaces(parser);
+
+        const operator = ['==', '!=', '<=', '>=', '=~', '<', '>'].find(op => parser.text.startsWith(op, parser.pos));
+        if (!operator) return left;
+        parser.pos += operator.length;
+        this.skipSpaces(parser);
+
+        if (operator === '=~') {
+            const match = parser.text.slice(parser.pos).match(/^\/((?:\\.|[^/\\])*)\/([gimsuy]*)/);
+            if (!match) throw this.syntaxError(parser, 'Expected a /regular expression/ after =~');
+            parser.pos += match[0].length;
+            try {
+                return { op: '=~', left, regex: new RegExp(match[1], match[2].replace('g', '')) };
+            } catch (error) {
+                throw this.syntaxError(parser, error.message);
+            }
+        }
+
+        return { op: operator, left, right: this.parseFilterPrimary(parser) };
+    }
+
+    parseFilterPrimary(parser) {
+        this.skipSpaces(parser);
+        const char = parser.text[parser.pos];
+        const rest = parser.text.slice(parser.pos);
+
+        if (char === '(') {
+            parser.pos++;
+            const inner = this.parseFilterOr(parser);
+            this.skipSpaces(parser);
+            if (parser.text[parser.pos] !== ')') throw this.syntaxError(parser, 'Expected ")"');
+            parser.pos++;
+            return inner;
+        }
+        if (char === '@' || char === '$') {
+            parser.pos++;
+            return { op: 'path', relative: char === '@', segments: this.parseSegments(parser) };
+        }
+        if (char === '\'' || char === '"') {
+            return { op: 'literal', value: this.readString(parser) };
+        }
+
+        const number = rest.match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+        if (number) {
+            parser.pos += number[0].length;
+            return { op: 'literal', value: parseFloat(number[0]) };
+        }
+        const keyword = rest.match(/^(true|false|null)\b/);
+        if (keyword) {
+            parser.pos += keyword[0].length;
+            return { op: 'literal', value: JSON.parse(keyword[0]) };
+        }
+
+        throw this.syntaxError(parser, 'Expected a value, @ or $ path in the filter');
+    }
+
+    readName(parser) {
+        const match = parser.text.slice(parser.pos).match(/^[^\s.[\]()'",=<>!&|]+/);
+        if (!match) return '';
+        parser.pos += match[0].length;
+        return match[0];
+    }
+
+    readString(parser) {
+        const quote = parser.text[parser.pos];
+        let value = '';
+        parser.pos++;
+
+        while (parser.pos < parser.text.length) {
+            const char = parser.text[parser.pos++];
+            if (char === quote) return value;
+            if (char === '\\' && parser.pos < parser.text.length) {
+                const escaped = parser.text[parser.pos++];
+                value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+            } else {
+                value += char;
+            }
+        }
+        throw this.syntaxError(parser, 'Unterminated string');
+    }
+
+    consume(parser, token) {
+        this.skipSpaces(parser);
+        if (!parser.text.startsWith(token, parser.pos)) return false;
+        parser.pos += token.length;
+        return true;
+    }
+
+    skipSpaces(parser) {
+        while (/\s/.test(parser.text[parser.pos] || '')) parser.pos++;
+    }
+
+    syntaxError(parser, message) {
+        return new Error(`Invalid JSONPath at position ${parser.pos + 1}: ${message}`);
+    }
+
+    // nodes are { path: [keys], value }; returns the matches in document order
+    evaluateSegments(segments, nodes, root) {
+        return segments.reduce((current, segment) => {
+            const next = [];
+            current.forEach(node => {
+                const targets = segment.descendant ? this.descendants(node) : [node];
+                targets.forEach(target => {
+                    segment.selectors.forEach(selector => {
+                        next.push(...this.applySelector(selector, target, root));
+                    });
+                });
+            });
+            return next;
+        }, nodes);
+    }
+
+    applySelector(selector, node, root) {
+        const value = node.value;
+        const isArray = Array.isArray(value);
+        const isObject = value !== null && typeof value === 'object' && !isArray;
+        const child = (key) => ({ path: node.path.concat(key), value: value[key] });
+
+        switch (selector.kind) {
+            case 'name':
+                return isObject && Object.prototype.hasOwnProperty.call(value, selector.name) ? [child(selector.name)] : [];
+            case 'wildcard':
+                return this.children(node);
+            case 'index': {
+                if (!isArray) return [];
+                const index = selector.index < 0 ? value.length + selector.index : selector.index;
+                return index >= 0 && index < value.length ? [child(index)] : [];
+            }
+            case 'slice':
+                return isArray ? this.sliceIndexes(value.length, selector).map(child) : [];
+            case 'filter':
+                return this.children(node).filter(item => this.testFilter(selector.expression, item.value, root));
+            default:
+                return [];
+        }
+    }
+
+    children(node) {
+        const value = node.value;
+        if (Array.isArray(value)) {
+            return value.map((item, index) => ({ path: node.path.concat(index), value: item }));
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.keys(value).map(key => ({ path: node.path.concat(key), value: value[key] }));
+        }
+        return [];
+    }
+
+    descendants(node) {
+        const result = [node];
+        this.children(node).forEach(child => result.push(...this.descendants(child)));
+        return result;
+    }
+
+    sliceIndexes(length, { start, end, step }) {
+        if (step === 0) return [];
+        const normalize = (index, fallback) => {
+            if (index === null) return fallback;
+            return index < 0 ? Math.max(length + index, step > 0 ? 0 : -1) : Math.min(index, step > 0 ? length : length - 1);
+        };
+
+        const indexes = [];
+        if (step > 0) {
+            for (let i = normalize(start, 0); i < normalize(end, length); i += step) indexes.push(i);
+        } else {
+            for (let i = normalize(start, length - 1); i > normalize(end, -1); i += step) indexes.push(i);
+        }
+        return indexes;
+    }
+
+    // Paths inside filters yield their single value, a list when several nodes match
+    // and undefined when none do; .length also reads the length of arrays and strings
+    evaluateFilter(expression, current, root) {
+        switch (expression.op) {
+            case 'literal':
+                return expression.value;
+            case 'path': {
+                const start = expression.relative ? current : root;
+                const last = expression.segments[expression.segments.length - 1];
+                const readsLength = last && !last.descendant && last.selectors.length === 1 &&
+                    last.selectors[0].kind === 'name' && last.selectors[0].name === 'length';
+
+                if (readsLength) {
+                    const owner = this.evaluateFilter({ ...expression, segments: expression.segments.slice(0, -1) }, current, root);
+                    if (Array.isArray(owner) || typeof owner === 'string') return owner.length;
+                }
+
+                const matches = this.evaluateSegments(expression.segments, [{ path: [], value: start }], root);
+                if (matches.length === 0) return undefined;
+                return matches.length === 1 ? matches[0].value : matches.map(match => match.value);
+            }
+            case '!':
+                return !this.testFilter(expression.operand, current, root);
+            case '&&':
+                return this.testFilter(expression.left, current, root) && this.testFilter(expression.right, current, root);
+            case '||':
+                return this.testFilter(expression.left, current, root) || this.testFilter(expression.right, current, root);
+            case '=~': {
+                const value = this.evaluateFilter(expression.left, current, root);
+                return typeof value === 'string' && expression.regex.test(value);
+            }
+            default: {
+                const left = this.evaluateFilter(expression.left, current, root);
+                const right = this.evaluateFilter(expression.right, current, root);
+                return this.compare(expression.op, left, right);
+            }
+        }
+    }
+
+    compare(operator, left, right) {
+        if (operator === '==') return this.deepEqual(left, right);
+        if (operator === '!=') return !this.deepEqual(left, right);
+
+        // Ordering only applies to two numbers or two strings
+        const comparable = (typeof left === 'number' && typeof right === 'number') ||
+            (typeof left === 'string' && typeof right === 'string');
+        if (!comparable) return false;
+
+        switch (operator) {
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            default: return false;
+        }
+    }
+
+    // Used as a condition, a path tests that a node exists - even one whose value is false, 0 or ""
+    testFilter(expression, current, root) {
+        const value = this.evaluateFilter(expression, current, root);
+        return expression.op === 'path' ? value !== undefined : !!value;
+    }
+
+    deepEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this.deepEqual(a[key], b[key]));
+    }
+
+    // ---- XPath ----
+
+    filterXml(response, expression) {
+        const html = window.ResponseViewerManager && window.ResponseViewerManager.detectType(response) === 'html';
+        const doc = new DOMParser().parseFromString(response.rawBody || '', html ? 'text/html' : 'application/xml');
+        if (!html && doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The response body is not well-formed XML');
+        }
+
+        // Prefixes declared on the root element can be used in the expression
+        const resolver = doc.documentElement ? doc.createNSResolver(doc.documentElement) : null;
+        let result;
+        try {
+            result = doc.evaluate(expression, doc, resolver, XPathResult.ANY_TYPE, null);
+        } catch (error) {
+            throw new Error(`Invalid XPath: ${error.message}`);
+        }
+
+        const serializer = new XMLSerializer();
+        const scalar = (value) => ({ language: 'xpath', expression, scalar: true, matches: [{ text: String(value) }] });
+
+        switch (result.resultType) {
+            case XPathResult.NUMBER_TYPE:
+                return scalar(result.numberValue);
+            case XPathResult.STRING_TYPE:
+                return scalar(result.stringValue);
+            case XPathResult.BOOLEAN_TYPE:
+                return scalar(result.booleanValue);
+            default: {
+                const matches = [];
+                let node = result.iterateNext();
+                while (node) {
+                    matches.push({ text: this.serializeNode(node, serializer), value: node.textContent });
+                    node = result.iterateNext();
+                }
+                return { language: 'xpath', expression, scalar: false, matches };
+            }
+        }
+    }
+
+    serializeNode(node, serializer) {
+        if (node.nodeType === Node.ATTRIBUTE_NODE) return `${node.name}="${node.value}"`;
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) return node.nodeValue;
+
+        const markup = serializer.serializeToString(node);
+        return window.ResponseViewerManager && node.nodeType === Node.ELEMENT_NODE
+            ? window.ResponseViewerManager.prettyXml(markup)
+            : markup;
+    }
+
+    // ---- Test assertions ----
+
+    copyAsTest() {
+        if (!this.current || !this.current.result) return;
+
+        const script = this.buildAssertion(this.current.result);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(script).then(() => {
+                this.showNotification('Copied', 'Test assertion copied - paste it into the Tests script');
+            });
+        }
+    }
+
+    // The test script sandbox has no JSONPath or DOM, so matches are asserted by their concrete paths
+    // (JSON) or by the serialized text they must contain (XML)
+    buildAssertion(result) {
+        const matches = result.matches.slice(0, this.maxAssertions);
+        const skipped = result.matches.length - matches.length;
+        const lines = [`pm.test(${JSON.stringify(`${result.expression} matches`)}, function () {`];
+
+        if (result.language === 'jsonpath') {
+            lines.push('    const json = pm.response.json();');
+            matches.forEach(match => {
+                lines.push(`    pm.expect(${this.toAccessor('json', match.path)}).to.eql(${JSON.stringify(match.value)});`);
+            });
+        } else {
+            lines.push('    const body = pm.response.text();');
+            matches.forEach(match => {
+                lines.push(`    pm.expect(body).to.include(${JSON.stringify(match.text)});`);
+            });
+        }
+
+        if (skipped > 0) {
+            lines.push(`    // ${skipped} more match${skipped === 1 ? '' : 'es'} not asserted`);
+        }
+        lines.push('});');
+        return lines.join('\n');
+    }
+
+    toAccessor(base, path) {
+        return path.reduce((accessor, key) => {
+            if (typeof key === 'number') return `${accessor}[${key}]`;
+            return /^[A-Za-z_$][\w$]*$/.test(key) ? `${accessor}.${key}` : `${accessor}[${JSON.stringify(key)}]`;
+        }, base);
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            requests: Object.keys(this.history).length,
+            active: !!(this.current && this.current.expression)
+        };
+    }
+}
+
+// Global instance
+window.ResponseFilterManager = new ResponseFilterManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseFilterManager;
+}
@@ -0,0 +1,483 @@
+// Response Viewers - Content-type aware body views: JSON and XML trees, sandboxed HTML preview,
+// images, PDF (in its own window in the desktop app) and a hex dump for everything binary
+
+class ResponseViewerManager {
+    constructor() {
+        this.modes = {
+            json: [['tree', 'Tree'], ['pretty', 'Pretty']],
+            xml: [['tree', 'Tree'], ['pretty', 'Pretty']],
+            html: [['preview', 'Preview'], ['source', 'Source']],
+            image: [['preview', 'Preview'], ['hex', 'Hex']],
+            pdf: [['preview', 'Preview'], ['hex', 'Hex']],
+            binary: [['hex', 'Hex']],
+            text: [['text', 'Text']]
+        };
+        this.preferredModes = {}; // Last mode picked per content type
+        this.largeBodySize = 100 * 1024; // Large JSON opens as a tree
+        this.maxHexBytes = 64 * 1024;
+        this.treeChunkSize = 500; // Children rendered per expand / "show more"
+        this.treeValues = []; // Values behind lazily rendered JSON tree nodes
+        this.objectUrls = [];
+        this.initialized = false;
+
+        console.log('🖼️ ResponseViewerManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ ResponseViewerManager initialized');
+    }
+
+    // json | xml | html | image | pdf | binary | text
+    detectType(response) {
+        if (response.protocol === 'grpc') return 'json';
+
+        const headers = response.headers || {};
+        const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const bytes = this.getBytes(response);
+
+        if (contentType.startsWith('image/')) return 'image';
+        if (contentType === 'application/pdf') return 'pdf';
+        if (contentType === 'text/html' || contentType === 'application/xhtml+xml') return 'html';
+        if (contentType === 'text/xml' || /[/+]xml$/.test(contentType)) return 'xml';
+        if (/[/+]json$/.test(contentType) || /ndjson|jsonl/.test(contentType)) {
+            return typeof response.body === 'object' && response.body !== null ? 'json' : 'text';
+        }
+        if (contentType.startsWith('text/') || contentType === 'application/javascript') return 'text';
+
+        // No (or a generic) content type - look at the bytes
+        const magic = this.sniffMagic(bytes);
+        if (magic) return magic;
+        if (this.looksBinary(bytes)) return 'binary';
+
+        const start = (response.rawBody || '').trimStart().slice(0, 100).toLowerCase();
+        if (start.startsWith('<?xml')) return 'xml';
+        if (start.startsWith('<!doctype html') || start.startsWith('<html')) return 'html';
+        if (/^[[{]/.test(start) && this.getJsonValue(response) !== undefined) return 'json';
+        return 'text';
+    }
+
+    // Parsed body for the JSON views - bodies without a JSON content type are parsed here
+    getJsonValue(response) {
+        if (typeof response.body === 'object' && response.body !== null) return response.body;
+        try {
+            return JSON.parse(response.rawBody);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    sniffMagic(bytes) {
+        const startsWith = (...values) => values.every((value, index) => bytes[index] === value);
+        if (bytes.length < 4) return null;
+        if (startsWith(0x25, 0x50, 0x44, 0x46)) return 'pdf'; // %PDF
+        if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image'; // PNG
+        if (startsWith(0xff, 0xd8, 0xff)) return 'image'; // JPEG
+        if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image'; // GIF8
+        if (startsWith(0x52, 0x49, 0x46, 0x46) && bytes[8] === 0x57 && bytes[9] === 0x45) return 'image'; // RIFF....WEBP
+        return null;
+    }
+
+    // Control characters (other than whitespace) or invalid UTF-8 in the first few KB
+    looksBinary(bytes) {
+        const sample = bytes.subarray(0, 4096);
+        for (let i = 0; i < sample.length; i++) {
+            const byte = sample[i];
+            if (byte === 0 || (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d && byte !== 0x0c)) {
+                return true;
+            }
+        }
+        try {
+            // stream: a multi-byte character cut at the end of the sample is not an error
+            new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+            return false;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    isBinaryType(type) {
+        return type === 'image' || type === 'pdf' || type === 'binary';
+    }
+
+    getBytes(response) {
+        if (response.bodyBytes instanceof Uint8Array) return response.bodyBytes;
+        return new TextEncoder().encode(response.rawBody || this.stringify(response.body));
+    }
+
+    // Shell for the Body tab; mount() fills it in once it is in the document
+    render(response) {
+        const type = this.detectType(response);
+        const modes = this.modes[type];
+        const active = this.getDefaultMode(type, response);
+
+        return `
+            <div class="body-viewer" data-type="${type}">
+                ${modes.length > 1 ? `
+                    <div class="body-viewer-modes">
+                        ${modes.map(([mode, label]) => `
+                            <button type="button" class="body-viewer-mode ${mode === active ? 'active' : ''}" data-mode="${mode}">${label}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div class="body-viewer-content"></div>
+            </div>
+        `;
+    }
+
+    getDefaultMode(type, response) {
+        const modes = this.modes[type].map(([mode]) => mode);
+        if (this.preferredModes[type] && modes.includes(this.preferredModes[type])) {
+            return this.preferredModes[type];
+        }
+        if (type === 'json') {
+            return this.getBytes(response).byteLength > this.largeBodySize ? 'tree' : 'pretty';
+        }
+        return modes[0];
+    }
+
+    mount(container, response) {
+        const viewer = container && container.querySelector('.body-viewer');
+        if (!viewer) return;
+
+        this.releaseObjectUrls();
+        this.treeValues = [];
+
+        const type = viewer.dataset.type;
+        const content = viewer.querySelector('.body-viewer-content');
+
+        viewer.querySelectorAll('.body-viewer-mode').forEach(button => {
+            button.addEventListener('click', () => {
+                viewer.querySelectorAll('.body-viewer-mode').forEach(other => other.classList.toggle('active', other === button));
+                this.preferredModes[type] = button.dataset.mode;
+                this.renderMode(content, response, type, button.dataset.mode);
+            });
+        });
+
+        // JSON tree nodes render their children when first opened
+        content.addEventListener('toggle', (event) => {
+            const node = event.target;
+            if (node.classList && node.classList.contains('tree-node') && node.open && !node.dataset.rendered) {
+                this.expandJsonNode(node);
+            }
+        }, true);
+        content.addEventListener('click', (event) => {
+            const more = event.target.closest('.tree-more');
+            if (more) this.showMoreChildren(more);
+        });
+
+        this.renderMode(content, response, type, this.getDefaultMode(type, response));
+    }
+
+    renderMode(content, response, type, mode) {
+        content.innerHTML = '';
+        content.dataset.mode = mode;
+
+        switch (mode) {
+            case 'tree':
+                if (type === 'json') {
+                    this.treeValues = [];
+                    content.innerHTML = `<div class="json-tree">${this.renderJsonValue(null, this.getJsonValue(response), 0)}</div>`;
+                } else {
+                    content.innerHTML = this.renderXmlTree(response.rawBody || '');
+                }
+                break;
+            case 'pretty':
+                content.innerHTML = `<pre class="response-body">${this.escapeHtml(
+                    type === 'xml' ? this.prettyXml(response.rawBody || '') : this.stringify(this.getJsonValue(response))
+                )}</pre>`;
+                break;
+            case 'preview':
+                this.renderPreview(content, response, type);
+                break;
+            case 'hex':
+                content.innerHTML = `<pre class="response-body hex-dump">${this.escapeHtml(this.hexDump(this.getBytes(response)))}</pre>`;
+                break;
+            default:
+                content.innerHTML = `<pre class="response-body">${this.escapeHtml(
+                    response.rawBody !== undefined ? response.rawBody : this.stringify(response.body)
+                )}</pre>`;
+        }
+    }
+
+    renderPreview(content, response, type) {
+        const contentType = String((response.headers || {})['content-type'] || '').split(';')[0].trim();
+
+        if (type === 'html') {
+            // No scripts, forms or same-origin access; relative links resolve against the response URL
+            const frame = document.createElement('iframe');
+            frame.className = 'body-preview-frame';
+            frame.setAttribute('sandbox', '');
+            frame.srcdoc = `${response.url ? `<base href="${this.escapeHtml(response.url)}">` : ''}${response.rawBody || ''}`;
+            content.appendChild(frame);
+            return;
+        }
+
+        // The desktop app keeps plugins out of this window - PDFs open in a sandboxed one instead
+        if (type === 'pdf' && window.electronAPI && typeof window.electronAPI.openPdfPreview === 'function') {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary btn-sm';
+            button.textContent = `Open PDF preview (${this.formatBytes(this.getBytes(response).byteLength)})`;
+            button.addEventListener('click', () => this.openPdfPreview(response));
+            content.appendChild(button);
+            return;
+        }
+
+        const url = this.createObjectUrl(response, type === 'pdf' ? 'application/pdf' : contentType || 'application/octet-stream');
+
+        if (type === 'pdf') {
+            const frame = document.createElement('iframe');
+            frame.className = 'body-preview-frame body-preview-pdf';
+            frame.src = url;
+            content.appendChild(frame);
+            return;
+        }
+
+        const figure = document.createElement('div');
+        figure.className = 'body-preview-image';
+        const image = document.createElement('img');
+        const caption = document.createElement('div');
+        caption.className = 'body-preview-caption';
+        image.alt = 'Response image';
+        image.addEventListener('load', () => {
+            caption.textContent = `${image.naturalWidth} × ${image.naturalHeight} • ${this.formatBytes(this.getBytes(response).byteLength)}`;
+        });
+        image.addEventListener('error', () => {
+            caption.textContent = 'The image could not be decoded - see the Hex view';
+        });
+        image.src = url;
+        figure.appendChild(image);
+        figure.appendChild(caption);
+        content.appendChild(figure);
+    }
+
+    async openPdfPreview(response) {
+        const bytes = this.getBytes(response);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+
+        const result = await window.electronAPI.openPdfPreview(btoa(binary), response.url || 'PDF Preview');
+        if (!result.success && window.UI && window.UI.showNotification) {
+            window.UI.showNotification('PDF Preview Failed', result.error, { type: 'error' });
+        }
+    }
+
+    createObjectUrl(response, type) {
+        const url = URL.createObjectURL(new Blob([this.getBytes(response)], { type }));
+        this.objectUrls.push(url);
+        return url;
+    }
+
+    releaseObjectUrls() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+
+    // ---- JSON tree ----
+
+    renderJsonValue(key, value, depth) {
+        const label = key === null ? '' : `<span class="tree-key">${this.escapeHtml(String(key))}</span>: `;
+
+        if (value !== null && typeof value === 'object') {
+            const isArray = Array.isArray(value);
+            const size = isArray ? value.length : Object.keys(value).length;
+            const id = this.treeValues.push(value) - 1;
+            const summary = isArray ? `Array [${size}]` : `{${size} key${size !== 1 ? 's' : ''}}`;
+            const open = depth < 2 && size > 0;
+
+            return `
+                <details class="tree-node" data-node="${id}" ${open ? 'open data-rendered="true"' : ''}>
+                    <summary>${label}<span class="tree-meta">${summary}</span></summary>
+                    <div class="tree-children">${open ? this.renderJsonChildren(value, depth + 1, 0) : ''}</div>
+                </details>
+            `;
+        }
+
+        return `<div class="tree-leaf">${label}${this.formatJsonLeaf(value)}</div>`;
+    }
+
+    renderJsonChildren(value, depth, offset) {
+        const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+        const chunk = entries.slice(offset, offset + this.treeChunkSize);
+        let html = chunk.map(([key, child]) => this.renderJsonValue(key, child, depth)).join('');
+
+        const remaining = entries.length - offset - chunk.length;
+        if (remaining > 0) {
+            const id = this.treeValues.indexOf(value);
+            html += `<button type="button" class="tree-more" data-node="${id}" data-offset="${offset + chunk.length}" data-depth="${depth}">Show ${Math.min(remaining, this.treeChunkSize)} more of ${remaining}</button>`;
+        }
+        return html;
+    }
+
+    expandJsonNode(node) {
+        const value = this.treeValues[parseInt(node.dataset.node, 10)];
+        if (value === undefined) return;
+        node.dataset.rendered = 'true';
+        node.querySelector('.tree-children').innerHTML = this.renderJsonChildren(value, 2, 0);
+    }
+
+    showMoreChildren(button) {
+        const value = this.treeValues[parseInt(button.dataset.node, 10)];
+        if (value === undefined) return;
+        button.insertAdjacentHTML('afterend', this.renderJsonChildren(value, parseInt(button.dataset.depth, 10), parseInt(button.dataset.offset, 10)));
+        button.remove();
+    }
+
+    formatJsonLeaf(value) {
+        if (value === null) return '<span class="tree-value tree-null">null</span>';
+        if (typeof value === 'string') return `<span class="tree-value tree-string">"${this.escapeHtml(value)}"</span>`;
+        return `<span class="tree-value tree-${typeof value}">${this.escapeHtml(String(value))}</span>`;
+    }
+
+    // ---- XML ----
+
+    parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        return doc.getElementsByTagName('parsererror').length > 0 ? null : doc;
+    }
+
+    renderXmlTree(text) {
+        const doc = this.parseXml(text);
+        if (!doc) {
+            return `<p class="body-viewer-note">The body is not well-formed XML.</p><pre class="response-body">${this.escapeHtml(text)}</pre>`;
+        }
+        return `<div class="xml-tree">${this.renderXmlNode(doc.documentElement, 0)}</div>`;
+    }
+
+    renderXmlNode(node, depth) {
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+            const text = node.nodeValue.trim();
+            return text ? `<div class="xml-text">${this.escapeHtml(text)}</div>` : '';
+        }
+        if (node.nodeType === Node.COMMENT_NODE) {
+            return `<div class="xml-comment">&lt;!--${this.escapeHtml(node.nodeValue)}--&gt;</div>`;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const attributes = Array.from(node.attributes).map(attribute =>
+            ` <span class="xml-attr">${this.escapeHtml(attribute.name)}</span>=<span class="xml-attr-value">"${this.escapeHtml(attribute.value)}"</span>`
+        ).join('');
+        const open = `<span class="xml-tag">&lt;${this.escapeHtml(node.nodeName)}</span>${attributes}<span class="xml-tag">&gt;</span>`;
+        const close = `<span class="xml-tag">&lt;/${this.escapeHtml(node.nodeName)}&gt;</span>`;
+
+        const children = Array.from(node.childNodes).filter(child =>
+            child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim() !== ''
+        );
+        if (children.length === 0) {
+            return `<div class="tree-leaf">${open}${close}</div>`;
+        }
+        if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+            return `<div class="tree-leaf">${open}<span class="xml-text">${this.escapeHtml(children[0].nodeValue.trim())}</span>${close}</div>`;
+        }
+
+        return `
+            <details class="tree-node" ${depth < 3 ? 'open' : ''}>
+                <summary>${open}</summary>
+                <div class="tree-children">${children.map(child => this.renderXmlNode(child, depth + 1)).join('')}</div>
+                ${close}
+            </details>
+        `;
+    }
+
+    prettyXml(text) {
+        const doc = this.parseXml(text);
+        if (!doc) return text;
+
+        const declaration = (text.trimStart().match(/^<\?xml[^>]*\?>/) || [''])[0];
+        const lines = [];
+        const walk = (node, indent) => {
+            const pad = '  '.repeat(indent);
+            if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+                const value = node.nodeValue.trim();
+                if (value) lines.push(pad + new XMLSerializer().serializeToString(node).trim());
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                lines.push(pad + new XMLSerializer().serializeToString(node));
+                return;
+            }
+
+            const attributes = Array.from(node.attributes).map(attribute => ` ${attribute.name}="${attribute.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')}"`).join('');
+            const children = Array.from(node.childNodes).filter(child =>
+                child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim() !== ''
+            );
+
+            if (children.length === 0) {
+                lines.push(`${pad}<${node.nodeName}${attributes}/>`);
+            } else if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+                lines.push(`${pad}<${node.nodeName}${attributes}>${new XMLSerializer().serializeToString(children[0]).trim()}</${node.nodeName}>`);
+            } else {
+                lines.push(`${pad}<${node.nodeName}${attributes}>`);
+                children.forEach(child => walk(child, indent + 1));
+                lines.push(`${pad}</${node.nodeName}>`);
+            }
+        };
+        walk(doc.documentElement, 0);
+
+        return (declaration ? declaration + '\n' : '') + lines.join('\n');
+    }
+
+    // ---- Hex dump ----
+
+    // offset  16 bytes in hex  |ASCII|
+    hexDump(bytes) {
+        const length = Math.min(bytes.byteLength, this.maxHexBytes);
+        const lines = [];
+        for (let offset = 0; offset < length; offset += 16) {
+            const row = bytes.subarray(offset, Math.min(offset + 16, length));
+            const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0'));
+            const left = hex.slice(0, 8).join(' ').padEnd(23);
+            const right = hex.slice(8).join(' ').padEnd(23);
+            const ascii = Array.from(row, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+            lines.push(`${offset.toString(16).padStart(8, '0')}  ${left}  ${right}  |${ascii}|`);
+        }
+        if (bytes.byteLength > length) {
+            lines.push(`... showing the first ${this.formatBytes(length)} of ${this.formatBytes(bytes.byteLength)} - save the response to see the rest`);
+        }
+        return lines.join('\n') || '(empty body)';
+    }
+
+    stringify(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'string') return value;
+        try {
+            return JSON.stringify(value, null, 2);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            preferredModes: { ...this.preferredModes },
+            objectUrls: this.objectUrls.length
+        };
+    }
+}
+
+// Global instance
+window.ResponseViewerManager = new ResponseViewerManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseViewerManager;
+}
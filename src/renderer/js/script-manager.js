@@ -0,0 +1,428 @@
+// Script Manager - Runs collection, folder and request pre-request/test scripts
+
+class ScriptManager {
+    constructor() {
+        this.initialized = false;
+
+        console.log('📜 ScriptManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ ScriptManager initialized');
+    }
+
+    // Scripts execute in the main process sandbox
+    isAvailable() {
+        return !!(window.electronAPI && typeof window.electronAPI.runScript === 'function');
+    }
+
+    // Scripts that apply to a request, outermost first: collection, folders, request
+    getScriptChain(request, source = null) {
+        const chain = [];
+        const collectionManager = window.CollectionManager;
+        const collection = source && source.collectionId && collectionManager
+            ? collectionManager.getCollection(source.collectionId)
+            : null;
+
+        if (collection) {
+            chain.push({ level: 'collection', name: collection.name, scripts: collection.scripts });
+
+            // Walk up nested folders, then run them from the top down
+            const folders = [];
+            let folderId = source.folderId || (request && request.folderId) || null;
+            while (folderId) {
+                const folder = (collection.folders || []).find(f => f.id === folderId);
+                if (!folder) break;
+                folders.unshift(folder);
+                folderId = folder.parentId;
+            }
+            folders.forEach(folder => {
+                chain.push({ level: 'folder', name: folder.name, scripts: folder.scripts });
+            });
+        }
+
+        chain.push({ level: 'request', name: (request && request.name) || 'Request', scripts: request && request.scripts });
+
+        return chain;
+    }
+
+    hasScripts(chain, type) {
+        return chain.some(entry => entry.scripts && entry.scripts[type] && entry.scripts[type].trim());
+    }
+
+    // Run every pre-request script and return the request with their changes applied
+    async runPreRequestScripts(requestData, context = {}) {
+        const chain = this.getScriptChain(requestData, context.source);
+        const outcome = { request: requestData, variables: {}, logs: [] };
+
+        if (!this.hasScripts(chain, 'preRequest')) return outcome;
+        if (!this.isAvailable()) {
+            console.warn('Script sandbox not available - skipping pre-request scripts');
+            return outcome;
+        }
+
+        let request = this.deepClone(requestData);
+
+        for (const entry of chain) {
+            const script = entry.scripts && entry.scripts.preRequest;
+            if (!script || !script.trim()) continue;
+
+            const result = await this.execute(script, 'prerequest', {
+                context,
+                request,
+                variables: outcome.variables
+            });
+
+            outcome.logs.push(...result.logs);
+            outcome.variables = result.variables;
+            request = this.applyRequestChanges(request, result.request);
+
+            if (result.error) {
+                throw new Error(`Pre-request script error in ${entry.level} "${entry.name}": ${result.error}`);
+            }
+        }
+
+        // pm.variables values are resolved with the other scopes in RequestManager.processRequestData
+        outcome.request = request;
+        return outcome;
+    }
+
+    // Run every test script against a response and collect the results
+    async runTestScripts(requestData, response, context = {}) {
+        const chain = this.getScriptChain(requestData, context.source);
+        const outcome = { tests: [], logs: [], errors: [] };
+
+        if (!this.hasScripts(chain, 'test')) return outcome;
+        if (!this.isAvailable()) {
+            console.warn('Script sandbox not available - skipping test scripts');
+            return outcome;
+        }
+
+        let variables = context.variables || {};
+
+        for (const entry of chain) {
+            const script = entry.scripts && entry.scripts.test;
+            if (!script || !script.trim()) continue;
+
+            try {
+                const result = await this.execute(script, 'test', {
+                    context,
+                    request: requestData,
+                    response,
+                    variables
+                });
+
+                outcome.tests.push(...result.tests);
+                outcome.logs.push(...result.logs);
+                variables = result.variables;
+
+                if (result.error) {
+                    outcome.errors.push(`${entry.level} "${entry.name}": ${result.error}`);
+                }
+            } catch (error) {
+                outcome.errors.push(`${entry.level} "${entry.name}": ${error.message}`);
+            }
+        }
+
+        return outcome;
+    }
+
+    async execute(script, eventName, { context, request, response = null, variables = {} }) {
+        const envName = context.envName || this.getCurrentEnvironmentName();
+        const collection = this.getCollection(context.source);
+
+        const result = await window.electronAPI.runScript({
+            script,
+            eventName,
+            environmentName: envName,
+            environment: this.getEnvironmentVariables(envName),
+            collectionVariables: collection ? { ...(collection.variables || {}) } : {},
+            globals: this.getGlobalVariables(),
+            variables,
+            request: this.toScriptRequest(request),
+            response: response ? this.toScriptResponse(response) : null,
+            info: {
+                requestName: request.name || '',
+                iteration: context.iteration || 0
+            }
+        });
+
+        if (!result || !result.success) {
+            throw new Error(result ? result.error : 'Script execution failed');
+        }
+
+        this.applyEnvironmentChanges(envName, result.result.environment);
+        if (collection) {
+            this.applyCollectionVariableChanges(collection, result.result.collectionVariables);
+        }
+        this.applyGlobalChanges(result.result.globals);
+
+        return result.result;
+    }
+
+    toScriptRequest(request) {
+        const requestManager = window.RequestManager;
+        const body = request.body && request.body.type !== 'none' && requestManager
+            ? requestManager.getBodyContent(request.body)
+            : null;
+
+        return {
+            method: request.method || 'GET',
+            url: request.url || '',
+            headers: (request.headers || [])
+                .filter(header => header.key)
+                .map(header => ({ key: header.key, value: header.value || '' })),
+            body: typeof body === 'string' ? body : (body ? JSON.stringify(body) : null)
+        };
+    }
+
+    toScriptResponse(response) {
+        const rawHeaders = Array.isArray(response.rawHeaders) && response.rawHeaders.length > 0
+            ? response.rawHeaders
+            : Object.entries(response.headers || {});
+
+        return {
+            code: response.status,
+            status: response.statusText || '',
+            headers: rawHeaders,
+            body: response.rawBody || '',
+            responseTime: response.duration,
+            size: response.size
+        };
+    }
+
+    // Copy method, URL, headers and body changes made through pm.request back onto the request
+    applyRequestChanges(request, scriptRequest) {
+        if (!scriptRequest) return request;
+
+        const original = this.toScriptRequest(request);
+        const updated = { ...request };
+
+        updated.method = scriptRequest.method || request.method;
+        updated.url = scriptRequest.url;
+
+        if (JSON.stringify(original.headers) !== JSON.stringify(scriptRequest.headers)) {
+            updated.headers = scriptRequest.headers;
+        }
+
+        if (scriptRequest.body !== original.body) {
+            const type = request.body && request.body.type !== 'none' ? request.body.type : 'raw';
+            const replacementType = type === 'graphql' ? 'json' : (['form', 'multipart', 'binary'].includes(type) ? 'raw' : type);
+            updated.body = { type: replacementType, data: scriptRequest.body || '' };
+        }
+
+        return updated;
+    }
+
+    applyEnvironmentChanges(envName, values) {
+        const environmentManager = window.EnvironmentManager;
+        if (!environmentManager || !envName || !values) return;
+
+        const current = environmentManager.environments[envName] || {};
+        if (JSON.stringify(current) === JSON.stringify(values)) return;
+
+        environmentManager.environments[envName] = values;
+        environmentManager.saveEnvironments();
+
+        if (typeof environmentManager.updateDisplay === 'function') {
+            environmentManager.updateDisplay();
+        }
+    }
+
+    applyGlobalChanges(values) {
+        const environmentManager = window.EnvironmentManager;
+        if (!environmentManager || !values) return;
+        if (JSON.stringify(environmentManager.globals || {}) === JSON.stringify(values)) return;
+
+        environmentManager.globals = values;
+        environmentManager.saveGlobals();
+    }
+
+    applyCollectionVariableChanges(collection, values) {
+        if (!values || JSON.stringify(collection.variables || {}) === JSON.stringify(values)) return;
+
+        collection.variables = values;
+        collection.updatedAt = new Date().toISOString();
+
+        if (window.CollectionManager && typeof window.CollectionManager.saveCollections === 'function') {
+            window.CollectionManager.saveCollections();
+        }
+    }
+
+    getCollection(source) {
+        if (!source || !source.collectionId || !window.CollectionManager) return null;
+        return window.CollectionManager.getCollection(source.collectionId);
+    }
+
+    getCurrentEnvironmentName() {
+        return window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null;
+    }
+
+    getEnvironmentVariables(envName) {
+        if (!window.EnvironmentManager) return {};
+        return { ...window.EnvironmentManager.getEnvironmentVariables(envName) };
+    }
+
+    getGlobalVariables() {
+        return window.EnvironmentManager ? { ...(window.EnvironmentManager.globals || {}) } : {};
+    }
+
+    // Results for the response "Tests" tab
+    renderTestResults(results) {
+        if (!results || (results.tests.length === 0 && results.errors.length === 0 && results.logs.length === 0)) {
+            return '<p class="tests-empty">No tests for this request. Add them in the Scripts tab.</p>';
+        }
+
+        const passed = results.tests.filter(test => test.passed === true).length;
+        const failed = results.tests.filter(test => test.passed === false).length;
+
+        return `
+            <div class="tests-summary">
+                <span class="tests-passed">${passed} passed</span>
+                <span class="tests-failed">${failed} failed</span>
+            </div>
+            ${results.errors.map(error => `
+                <div class="test-script-error">⚠️ ${this.escapeHtml(error)}</div>
+            `).join('')}
+            <ul class="test-results">
+                ${results.tests.map(test => `
+                    <li class="test-result ${test.skipped ? 'test-skipped' : (test.passed ? 'test-pass' : 'test-fail')}">
+                        <span class="test-status">${test.skipped ? 'SKIP' : (test.passed ? 'PASS' : 'FAIL')}</span>
+                        <span class="test-name">${this.escapeHtml(test.name)}</span>
+                        ${test.error ? `<div class="test-error">${this.escapeHtml(test.error)}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ${results.logs.length > 0 ? `
+                <div class="test-console">
+                    <h4>Console</h4>
+                    <pre>${results.logs.map(entry => `[${entry.level}] ${this.escapeHtml(entry.message)}`).join('\n')}</pre>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    getTestSummary(results) {
+        if (!results || results.tests.length === 0) return '';
+        const passed = results.tests.filter(test => test.passed === true).length;
+        return `${passed}/${results.tests.filter(test => !test.skipped).length}`;
+    }
+
+    // Collection and folder scripts are edited in a modal
+    openScriptsEditor(collectionId, folderId = null) {
+        const collection = window.CollectionManager ? window.CollectionManager.getCollection(collectionId) : null;
+        if (!collection) return;
+
+        const target = folderId ? (collection.folders || []).find(folder => folder.id === folderId) : collection;
+        if (!target) return;
+
+        this.closeScriptsEditor();
+
+        const scripts = target.scripts || {};
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'scriptsEditorModal';
+        modal.style.display = 'block';
+
+        modal.innerHTML = `
+            <div class="modal-content large">
+                <div class="modal-header">
+                    <h3>📜 Scripts for ${folderId ? 'folder' : 'collection'} "${this.escapeHtml(target.name)}"</h3>
+                    <button class="close" onclick="window.ScriptManager.closeScriptsEditor()">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="scripts-hint">These scripts run for every request in this ${folderId ? 'folder' : 'collection'}, before the request's own scripts.</p>
+                    <div class="form-group">
+                        <label for="scopePreRequestScript">Pre-request Script</label>
+                        <textarea id="scopePreRequestScript" class="script-editor" rows="8" spellcheck="false">${this.escapeHtml(scripts.preRequest || '')}</textarea>
+                    </div>
+                    <div class="form-group">
+                        <label for="scopeTestScript">Tests</label>
+                        <textarea id="scopeTestScript" class="script-editor" rows="8" spellcheck="false">${this.escapeHtml(scripts.test || '')}</textarea>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-primary" onclick="window.ScriptManager.saveScopeScripts('${collectionId}', ${folderId ? `'${folderId}'` : 'null'})">Save Scripts</button>
+                    <button class="btn btn-secondary" onclick="window.ScriptManager.closeScriptsEditor()">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    }
+
+    saveScopeScripts(collectionId, folderId = null) {
+        const collectionManager = window.CollectionManager;
+        const collection = collectionManager ? collectionManager.getCollection(collectionId) : null;
+        if (!collection) return;
+
+        const target = folderId ? (collection.folders || []).find(folder => folder.id === folderId) : collection;
+        if (!target) return;
+
+        const preRequest = document.getElementById('scopePreRequestScript');
+        const test = document.getElementById('scopeTestScript');
+
+        target.scripts = {
+            preRequest: preRequest ? preRequest.value : '',
+            test: test ? test.value : ''
+        };
+        target.updatedAt = new Date().toISOString();
+        collection.updatedAt = new Date().toISOString();
+
+        collectionManager.saveCollections();
+        this.closeScriptsEditor();
+        this.showNotification('Scripts Saved', `Scripts updated for "${target.name}"`);
+    }
+
+    closeScriptsEditor() {
+        const modal = document.getElementById('scriptsEditorModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // Utility methods
+    deepClone(obj) {
+        try {
+            return JSON.parse(JSON.stringify(obj));
+        } catch (error) {
+            console.error('Error cloning object:', error);
+            return obj;
+        }
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            sandboxAvailable: this.isAvailable()
+        };
+    }
+}
+
+// Global instance
+window.ScriptManager = new ScriptManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptManager;
+}
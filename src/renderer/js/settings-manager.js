@@ -0,0 +1,551 @@
+// Settings Manager - Global request defaults (timeout, redirects, retries, TLS), per-request overrides,
+// the proxy and the client certificates / extra CAs applied to matching hosts
+
+class SettingsManager {
+    constructor() {
+        this.storageKey = (window.CONFIG && window.CONFIG.storage && window.CONFIG.storage.settingsKey) || 'posterboy_settings';
+        this.settings = this.loadSettings();
+        this.draftCertificates = null; // Certificates being edited in the settings modal
+        this.secureStorage = false; // Passphrases go to the OS keychain once it answers
+        this.initialized = false;
+
+        console.log('⚙️ SettingsManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        this.initialized = true;
+        console.log('✅ SettingsManager initialized');
+        this.loadSecrets();
+    }
+
+    // The proxy password and certificate passphrases live in the OS keychain like secret variables. Without it (browser,
+    // or no keychain on Linux) they stay in localStorage.
+    async loadSecrets() {
+        if (!window.electronAPI || typeof window.electronAPI.loadSecrets !== 'function') return;
+
+        try {
+            const result = await window.electronAPI.loadSecrets('settings');
+            if (!result.success) throw new Error(result.error);
+
+            this.applySecrets((result.secrets || {})['@settings'] || {});
+            this.secureStorage = true;
+            // Moves values stored in plain text by earlier versions into the keychain
+            this.saveSettings();
+        } catch (error) {
+            console.warn('Settings passwords are stored unencrypted:', error.message);
+            this.secureStorage = false;
+        }
+    }
+
+    // { name: value } for the passwords in the settings - "proxy.password", "client.<index>.passphrase"
+    collectSecrets() {
+        const secrets = {};
+        const proxy = this.getProxySettings();
+        if (proxy.password) secrets['proxy.password'] = proxy.password;
+        this.getCertificates().clients.forEach((client, index) => {
+            if (client.passphrase) secrets[`client.${index}.passphrase`] = client.passphrase;
+        });
+        return secrets;
+    }
+
+    // Values already in the settings (typed since start-up, or not yet migrated) win
+    applySecrets(secrets) {
+        if (secrets['proxy.password'] && this.settings.proxy && !this.settings.proxy.password) {
+            this.settings.proxy.password = secrets['proxy.password'];
+        }
+        this.getCertificates().clients.forEach((client, index) => {
+            const passphrase = secrets[`client.${index}.passphrase`];
+            if (passphrase && !client.passphrase) client.passphrase = passphrase;
+        });
+    }
+
+    // Copy of the settings with the passwords blanked, for localStorage
+    withoutSecrets(settings) {
+        const certificates = settings.certificates || {};
+        return {
+            ...settings,
+            proxy: settings.proxy ? { ...settings.proxy, password: '' } : settings.proxy,
+            certificates: {
+                ...certificates,
+                clients: (certificates.clients || []).map(client => ({ ...client, passphrase: '' }))
+            }
+        };
+    }
+
+    // Defaults come from CONFIG.api so existing configuration keeps working
+    getDefaults() {
+        const api = (window.CONFIG && window.CONFIG.api) || {};
+        return {
+            timeout: api.timeout || 30000,
+            followRedirects: true,
+            maxRedirects: 10,
+            retryAttempts: api.retryAttempts !== undefined ? api.retryAttempts : 0,
+            retryDelay: api.retryDelay !== undefined ? api.retryDelay : 1000,
+            retryNonIdempotent: false, // POST, PATCH and other methods that may not be safe to send twice
+            verifyTls: true,
+            noProxy: false
+        };
+    }
+
+    loadSettings() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const parsed = stored ? JSON.parse(stored) : {};
+            return {
+                ...parsed,
+                request: { ...this.getDefaults(), ...this.normalize(parsed.request || {}) }
+            };
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            return { request: this.getDefaults() };
+        }
+    }
+
+    saveSettings() {
+        try {
+            const stored = this.secureStorage ? this.withoutSecrets(this.settings) : this.settings;
+            localStorage.setItem(this.storageKey, JSON.stringify(stored));
+            if (this.secureStorage) {
+                window.electronAPI.saveSecrets({ '@settings': this.collectSecrets() }, 'settings').then(result => {
+                    if (!result.success) console.error('Error saving settings passwords:', result.error);
+                }).catch(error => {
+                    console.error('Error saving settings passwords:', error);
+                });
+            }
+            if (window.Core && typeof window.Core.emit === 'function') {
+                window.Core.emit('settingsUpdated', this.settings);
+            }
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    getRequestDefaults() {
+        return { ...this.settings.request };
+    }
+
+    updateRequestDefaults(values) {
+        this.settings.request = { ...this.settings.request, ...this.normalize(values) };
+        this.saveSettings();
+    }
+
+    // Per-request overrides win over the global defaults
+    resolveRequestSettings(overrides = null) {
+        return { ...this.getRequestDefaults(), ...this.normalize(overrides || {}) };
+    }
+
+    // HTTP, HTTPS or SOCKS5 proxy; the main process applies the bypass list per host
+    getProxySettings() {
+        return {
+            enabled: false,
+            protocol: 'http',
+            host: '',
+            port: '',
+            username: '',
+            password: '',
+            bypass: 'localhost, 127.0.0.1, ::1',
+            ...(this.settings.proxy || {})
+        };
+    }
+
+    updateProxySettings(values) {
+        this.settings.proxy = {
+            enabled: !!values.enabled,
+            protocol: ['http', 'https', 'socks5'].includes(values.protocol) ? values.protocol : 'http',
+            host: String(values.host || '').trim(),
+            port: String(values.port || '').trim(),
+            username: values.username || '',
+            password: values.password || '',
+            bypass: values.bypass || ''
+        };
+        this.saveSettings();
+    }
+
+    // Proxy for a request with the given effective settings, or null
+    getProxyFor(settings = null) {
+        const proxy = this.getProxySettings();
+        if ((settings && settings.noProxy) || !proxy.enabled || !proxy.host) return null;
+        return proxy;
+    }
+
+    // Client certificates by host pattern and extra trusted CA files, read by the main process
+    getCertificates() {
+        const certificates = this.settings.certificates || {};
+        return {
+            clients: Array.isArray(certificates.clients) ? certificates.clients : [],
+            ca: Array.isArray(certificates.ca) ? certificates.ca : []
+        };
+    }
+
+    updateCertificates(certificates) {
+        this.settings.certificates = {
+            clients: (certificates.clients || []).map(client => ({
+                host: String(client.host || '').trim(),
+                type: client.type === 'pfx' ? 'pfx' : 'pem',
+                cert: client.type === 'pfx' ? '' : client.cert || '',
+                key: client.type === 'pfx' ? '' : client.key || '',
+                pfx: client.type === 'pfx' ? client.pfx || '' : '',
+                passphrase: client.passphrase || '',
+                enabled: client.enabled !== false
+            })),
+            ca: (certificates.ca || []).filter(Boolean)
+        };
+        this.saveSettings();
+    }
+
+    // Drop unset values and coerce the rest to the expected types
+    normalize(values) {
+        const result = {};
+        const numberFields = ['timeout', 'maxRedirects', 'retryAttempts', 'retryDelay'];
+        // A zero timeout would abort every request before it starts
+        const minimums = { timeout: 1 };
+        const booleanFields = ['followRedirects', 'retryNonIdempotent', 'verifyTls', 'noProxy'];
+
+        numberFields.forEach(field => {
+            const value = values[field];
+            if (value === undefined || value === null || value === '') return;
+            const number = parseInt(value, 10);
+            if (!isNaN(number) && number >= (minimums[field] || 0)) {
+                result[field] = number;
+            }
+        });
+
+        booleanFields.forEach(field => {
+            const value = values[field];
+            if (value === undefined || value === null || value === '') return;
+            result[field] = value === true || value === 'true';
+        });
+
+        return result;
+    }
+
+    // Global settings modal
+    open() {
+        this.close();
+
+        const settings = this.getRequestDefaults();
+        const proxy = this.getProxySettings();
+        this.draftCertificates = JSON.parse(JSON.stringify(this.getCertificates()));
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'settingsModal';
+        modal.style.display = 'block';
+
+        modal.innerHTML = `
+            <div class="modal-content large">
+                <div class="modal-header">
+                    <h3>⚙️ Request Settings</h3>
+                    <button class="close" onclick="window.SettingsManager.close()">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="settings-hint">Defaults for every request. Individual requests can override them in their Settings tab.</p>
+                    <div class="settings-grid">
+                        <div class="form-group">
+                            <label for="settingsTimeout">Timeout (ms)</label>
+                            <input type="number" id="settingsTimeout" min="1" value="${settings.timeout}">
+                        </div>
+                        <div class="form-group">
+                            <label for="settingsMaxRedirects">Max redirects</label>
+                            <input type="number" id="settingsMaxRedirects" min="0" value="${settings.maxRedirects}">
+                        </div>
+                        <div class="form-group">
+                            <label for="settingsRetryAttempts">Retries on network error / 5xx</label>
+                            <input type="number" id="settingsRetryAttempts" min="0" max="10" value="${settings.retryAttempts}">
+                        </div>
+                        <div class="form-group">
+                            <label for="settingsRetryDelay">Initial retry delay (ms)</label>
+                            <input type="number" id="settingsRetryDelay" min="0" value="${settings.retryDelay}">
+                        </div>
+                    </div>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="settingsFollowRedirects" ${settings.followRedirects ? 'checked' : ''}>
+                        <span class="checkbox-text">Follow redirects</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="settingsRetryNonIdempotent" ${settings.retryNonIdempotent ? 'checked' : ''}>
+                        <span class="checkbox-text">Also retry POST and PATCH requests (the server may apply them twice)</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="settingsVerifyTls" ${settings.verifyTls ? 'checked' : ''}>
+                        <span class="checkbox-text">Verify TLS certificates (turn off for self-signed dev servers)</span>
+                    </label>
+                    <div class="settings-proxy">
+                        <h4>Proxy</h4>
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="settingsProxyEnabled" ${proxy.enabled ? 'checked' : ''}>
+                            <span class="checkbox-text">Send requests through a proxy</span>
+                        </label>
+                        <div class="settings-grid">
+                            <div class="form-group">
+                                <label for="settingsProxyProtocol">Type</label>
+                                <select id="settingsProxyProtocol">
+                                    <option value="http" ${proxy.protocol === 'http' ? 'selected' : ''}>HTTP</option>
+                                    <option value="https" ${proxy.protocol === 'https' ? 'selected' : ''}>HTTPS</option>
+                                    <option value="socks5" ${proxy.protocol === 'socks5' ? 'selected' : ''}>SOCKS5</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="settingsProxyHost">Host</label>
+                                <input type="text" id="settingsProxyHost" placeholder="proxy.example.com" value="${this.escapeHtml(proxy.host)}">
+                            </div>
+                            <div class="form-group">
+                                <label for="settingsProxyPort">Port</label>
+                                <input type="number" id="settingsProxyPort" min="1" max="65535" placeholder="8080" value="${this.escapeHtml(proxy.port)}">
+                            </div>
+                            <div class="form-group">
+                                <label for="settingsProxyUsername">Username (optional)</label>
+                                <input type="text" id="settingsProxyUsername" value="${this.escapeHtml(proxy.username)}">
+                            </div>
+                            <div class="form-group">
+                                <label for="settingsProxyPassword">Password</label>
+                                <input type="password" id="settingsProxyPassword" value="${this.escapeHtml(proxy.password)}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="settingsProxyBypass">Bypass proxy for</label>
+                            <textarea id="settingsProxyBypass" rows="2" placeholder="localhost, *.corp.example.com, .internal, 10.0.0.0/8, <local>">${this.escapeHtml(proxy.bypass)}</textarea>
+                        </div>
+                        <p class="settings-hint">Separate entries with commas. Requests can skip the proxy in their Settings tab.</p>
+                    </div>
+                    <div id="settingsCertificates" class="settings-certificates">
+                        ${this.renderCertificates()}
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-primary" onclick="window.SettingsManager.save()">Save Settings</button>
+                    <button class="btn btn-secondary" onclick="window.SettingsManager.resetDefaults()">Reset to Defaults</button>
+                    <button class="btn btn-secondary" onclick="window.SettingsManager.close()">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    }
+
+    renderCertificates() {
+        if (!window.electronAPI || typeof window.electronAPI.showOpenDialog !== 'function') {
+            return '<p class="settings-hint">Client certificates and custom CAs require the desktop app.</p>';
+        }
+
+        const certificates = this.draftCertificates;
+        const fileButton = (index, field, label) => {
+            const path = certificates.clients[index][field];
+            return `
+                <button type="button" class="btn btn-secondary btn-sm" title="${this.escapeHtml(path || '')}"
+                    onclick="window.SettingsManager.chooseCertificateFile(${index}, '${field}')">
+                    ${path ? this.escapeHtml(this.fileName(path)) : label}
+                </button>
+            `;
+        };
+
+        const clients = certificates.clients.map((client, index) => `
+            <div class="certificate-row">
+                <input type="checkbox" title="Enabled" ${client.enabled !== false ? 'checked' : ''}
+                    onchange="window.SettingsManager.updateClientCertificate(${index}, 'enabled', this.checked)">
+                <input type="text" class="certificate-host" placeholder="*.internal.example.com:8443" value="${this.escapeHtml(client.host)}"
+                    oninput="window.SettingsManager.updateClientCertificate(${index}, 'host', this.value)">
+                <select onchange="window.SettingsManager.updateClientCertificate(${index}, 'type', this.value, true)">
+                    <option value="pem" ${client.type !== 'pfx' ? 'selected' : ''}>PEM</option>
+                    <option value="pfx" ${client.type === 'pfx' ? 'selected' : ''}>PFX / P12</option>
+                </select>
+                ${client.type === 'pfx'
+                    ? fileButton(index, 'pfx', 'Choose PFX...')
+                    : fileButton(index, 'cert', 'Choose certificate...') + fileButton(index, 'key', 'Choose key...')}
+                <input type="password" class="certificate-passphrase" placeholder="Passphrase" value="${this.escapeHtml(client.passphrase || '')}"
+                    oninput="window.SettingsManager.updateClientCertificate(${index}, 'passphrase', this.value)">
+                <button type="button" class="btn btn-secondary btn-sm" title="Remove"
+                    onclick="window.SettingsManager.removeClientCertificate(${index})">&times;</button>
+            </div>
+        `).join('');
+
+        const authorities = certificates.ca.map((path, index) => `
+            <div class="certificate-row">
+                <span class="certificate-file" title="${this.escapeHtml(path)}">${this.escapeHtml(path)}</span>
+                <button type="button" class="btn btn-secondary btn-sm" title="Remove"
+                    onclick="window.SettingsManager.removeCaCertificate(${index})">&times;</button>
+            </div>
+        `).join('');
+
+        return `
+            <h4>Client Certificates</h4>
+            <p class="settings-hint">Sent to servers that ask for one (mutual TLS). The first enabled entry matching the host is used; <code>*</code> matches any part of a host name and a missing port matches every port.</p>
+            ${clients || '<p class="settings-empty">No client certificates</p>'}
+            <button type="button" class="btn btn-secondary btn-sm" onclick="window.SettingsManager.addClientCertificate()">+ Add Certificate</button>
+
+            <h4>CA Certificates</h4>
+            <p class="settings-hint">PEM files trusted in addition to the built-in certificate authorities.</p>
+            ${authorities || '<p class="settings-empty">No custom CA certificates</p>'}
+            <button type="button" class="btn btn-secondary btn-sm" onclick="window.SettingsManager.addCaCertificate()">+ Add CA Certificate</button>
+        `;
+    }
+
+    refreshCertificates() {
+        const container = document.getElementById('settingsCertificates');
+        if (container) container.innerHTML = this.renderCertificates();
+    }
+
+    addClientCertificate() {
+        this.draftCertificates.clients.push({ host: '', type: 'pem', cert: '', key: '', pfx: '', passphrase: '', enabled: true });
+        this.refreshCertificates();
+    }
+
+    // Text fields update in place; rerender only when the layout changes
+    updateClientCertificate(index, field, value, rerender = false) {
+        const client = this.draftCertificates.clients[index];
+        if (!client) return;
+        client[field] = value;
+        if (rerender) this.refreshCertificates();
+    }
+
+    removeClientCertificate(index) {
+        this.draftCertificates.clients.splice(index, 1);
+        this.refreshCertificates();
+    }
+
+    async chooseCertificateFile(index, field) {
+        const filters = field === 'pfx'
+            ? [{ name: 'PKCS#12', extensions: ['pfx', 'p12'] }]
+            : [{ name: field === 'key' ? 'Private keys' : 'Certificates', extensions: ['pem', 'crt', 'cer', 'key'] }];
+        const result = await window.electronAPI.showOpenDialog({
+            properties: ['openFile'],
+            filters: filters.concat({ name: 'All files', extensions: ['*'] })
+        });
+        if (!result || result.canceled || !result.filePaths || result.filePaths.length === 0) return;
+
+        this.updateClientCertificate(index, field, result.filePaths[0], true);
+    }
+
+    async addCaCertificate() {
+        const result = await window.electronAPI.showOpenDialog({
+            properties: ['openFile', 'multiSelections'],
+            filters: [
+                { name: 'Certificates', extensions: ['pem', 'crt', 'cer'] },
+                { name: 'All files', extensions: ['*'] }
+            ]
+        });
+        if (!result || result.canceled || !result.filePaths) return;
+
+        result.filePaths.forEach(path => {
+            if (!this.draftCertificates.ca.includes(path)) this.draftCertificates.ca.push(path);
+        });
+        this.refreshCertificates();
+    }
+
+    removeCaCertificate(index) {
+        this.draftCertificates.ca.splice(index, 1);
+        this.refreshCertificates();
+    }
+
+    // Problems that would make a certificate entry unusable
+    validateCertificates(certificates) {
+        for (const client of certificates.clients) {
+            if (!String(client.host || '').trim()) return 'Every client certificate needs a host pattern';
+            if (client.type === 'pfx' ? !client.pfx : !client.cert || !client.key) {
+                return `Choose the ${client.type === 'pfx' ? 'PFX file' : 'certificate and key files'} for ${client.host}`;
+            }
+        }
+        return null;
+    }
+
+    fileName(path) {
+        return String(path).split(/[\\/]/).pop();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    save() {
+        const proxyEnabled = document.getElementById('settingsProxyEnabled');
+        const proxyHost = document.getElementById('settingsProxyHost');
+        const problem = proxyEnabled && proxyEnabled.checked && !proxyHost.value.trim()
+            ? 'Enter a proxy host or turn the proxy off'
+            : this.draftCertificates && this.validateCertificates(this.draftCertificates);
+        if (problem) {
+            this.showNotification('Certificates', problem, { type: 'error' });
+            return;
+        }
+
+        const value = (id) => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+        const checked = (id) => {
+            const element = document.getElementById(id);
+            return element ? element.checked : true;
+        };
+
+        this.updateRequestDefaults({
+            timeout: value('settingsTimeout'),
+            maxRedirects: value('settingsMaxRedirects'),
+            retryAttempts: value('settingsRetryAttempts'),
+            retryDelay: value('settingsRetryDelay'),
+            followRedirects: checked('settingsFollowRedirects'),
+            retryNonIdempotent: checked('settingsRetryNonIdempotent'),
+            verifyTls: checked('settingsVerifyTls')
+        });
+
+        if (document.getElementById('settingsProxyHost')) {
+            this.updateProxySettings({
+                enabled: document.getElementById('settingsProxyEnabled').checked,
+                protocol: value('settingsProxyProtocol'),
+                host: value('settingsProxyHost'),
+                port: value('settingsProxyPort'),
+                username: value('settingsProxyUsername'),
+                password: value('settingsProxyPassword'),
+                bypass: value('settingsProxyBypass')
+            });
+        }
+
+        if (this.draftCertificates) {
+            this.updateCertificates(this.draftCertificates);
+        }
+
+        this.close();
+        this.showNotification('Settings Saved', 'Request defaults updated');
+    }
+
+    resetDefaults() {
+        this.settings.request = this.getDefaults();
+        this.saveSettings();
+        this.open();
+    }
+
+    close() {
+        const modal = document.getElementById('settingsModal');
+        if (modal) {
+            modal.remove();
+        }
+        this.draftCertificates = null;
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            requestDefaults: this.getRequestDefaults(),
+            clientCertificates: this.getCertificates().clients.length
+        };
+    }
+}
+
+// Global instance
+window.SettingsManager = new SettingsManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
@@ -0,0 +1,307 @@
+// Stream Manager - Live view for Server-Sent Events and chunked responses while they arrive
+
+// Incremental text/event-stream parser (https://html.spec.whatwg.org/multipage/server-sent-events.html)
+class EventStreamParser {
+    constructor() {
+        this.buffer = '';
+        this.lastEventId = '';
+        this.reset();
+    }
+
+    reset() {
+        this.eventType = '';
+        this.data = [];
+        this.retry = null;
+        this.hasFields = false;
+    }
+
+    // Returns the events completed by this piece of text
+    feed(text) {
+        const events = [];
+        this.buffer += text;
+
+        let match;
+        const lineBreak = /\r\n|\r|\n/g;
+        let start = 0;
+        while ((match = lineBreak.exec(this.buffer)) !== null) {
+            // A trailing \r may be the first half of \r\n - wait for more input
+            if (match[0] === '\r' && match.index === this.buffer.length - 1) break;
+
+            const event = this.processLine(this.buffer.slice(start, match.index));
+            if (event) events.push(event);
+            start = lineBreak.lastIndex;
+        }
+        this.buffer = this.buffer.slice(start);
+
+        return events;
+    }
+
+    processLine(line) {
+        // A blank line dispatches the event collected so far
+        if (line === '') {
+            const event = this.hasFields && (this.data.length > 0 || this.retry !== null)
+                ? {
+                    id: this.lastEventId,
+                    event: this.eventType || 'message',
+                    data: this.data.join('\n'),
+                    retry: this.retry
+                }
+                : null;
+            this.reset();
+            return event;
+        }
+
+        // Comments are used as keep-alives
+        if (line.startsWith(':')) return null;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        switch (field) {
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'data':
+                this.data.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) this.lastEventId = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) this.retry = parseInt(value, 10);
+                break;
+            default:
+                return null;
+        }
+        this.hasFields = true;
+        return null;
+    }
+}
+
+class StreamManager {
+    constructor() {
+        this.handlers = new Map(); // Stream listeners by request id
+        this.view = null; // Live view of the request sent from the editor
+        this.initialized = false;
+
+        console.log('📡 StreamManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        if (window.electronAPI && typeof window.electronAPI.onHttpStream === 'function') {
+            window.electronAPI.onHttpStream((update) => {
+                const handler = this.handlers.get(update.id);
+                if (handler) handler(update);
+            });
+        }
+
+        this.initialized = true;
+        console.log('✅ StreamManager initialized');
+    }
+
+    subscribe(requestId, handler) {
+        this.handlers.set(requestId, handler);
+    }
+
+    unsubscribe(requestId) {
+        this.handlers.delete(requestId);
+    }
+
+    isEventStream(contentType) {
+        return /text\/event-stream/i.test(contentType || '');
+    }
+
+    // Used by the browser transport; the main process makes the same decision for Electron
+    isStreamingResponse(headers) {
+        const contentType = headers['content-type'] || '';
+        if (/text\/event-stream|application\/(x-)?ndjson|application\/jsonl|application\/stream\+json/i.test(contentType)) {
+            return true;
+        }
+        return headers['content-length'] === undefined && /chunked/i.test(headers['transfer-encoding'] || '');
+    }
+
+    parseEventStream(text) {
+        return new EventStreamParser().feed(text || '');
+    }
+
+    // Handler for executeRequest's onStream option that renders into the response panel
+    createLiveView() {
+        const view = {
+            decoder: null,
+            parser: null,
+            bytes: 0,
+            events: 0,
+            pending: '',
+            frame: null
+        };
+        this.view = view;
+
+        return (update) => {
+            if (this.view !== view) return;
+
+            if (update.type === 'start') {
+                this.startLiveView(view, update);
+            } else if (update.type === 'chunk' && view.decoder) {
+                const data = update.data instanceof Uint8Array ? update.data : new Uint8Array(update.data || []);
+                view.bytes += data.byteLength;
+                view.pending += view.decoder.decode(data, { stream: true });
+
+                // Batch DOM updates for fast streams
+                if (!view.frame) {
+                    view.frame = requestAnimationFrame(() => this.flushLiveView(view));
+                }
+            }
+        };
+    }
+
+    // Called once the final response replaces the live view
+    endLiveView() {
+        if (this.view && this.view.frame) {
+            cancelAnimationFrame(this.view.frame);
+        }
+        this.view = null;
+    }
+
+    startLiveView(view, update) {
+        const responseSection = document.querySelector('.response-section');
+        if (!responseSection) return;
+
+        // A retried request starts over
+        const contentType = (update.headers || {})['content-type'] || '';
+        view.decoder = new TextDecoder('utf-8');
+        view.parser = this.isEventStream(contentType) ? new EventStreamParser() : null;
+        view.bytes = 0;
+        view.events = 0;
+        view.pending = '';
+
+        // Non-HTTP streams (gRPC) say whether they are healthy themselves
+        const ok = update.ok !== undefined ? update.ok : update.status >= 200 && update.status < 300;
+        const statusClass = ok ? 'success' : 'error';
+        responseSection.classList.add('has-response');
+        responseSection.innerHTML = `
+            <div class="response-header">
+                <h3>Response</h3>
+                <div class="status-badge status-${statusClass}">
+                    ${update.status} ${this.escapeHtml(update.statusText || '')}
+                </div>
+                <div class="stream-status">
+                    <span class="stream-indicator"></span>
+                    <span>Streaming</span>
+                    <span class="stream-counter">0 B</span>
+                    <button type="button" class="btn btn-secondary btn-sm stream-cancel">Cancel</button>
+                </div>
+            </div>
+            <div class="response-content stream-content">
+                ${view.parser
+                    ? '<div class="stream-events"><p class="stream-empty">Waiting for events...</p></div>'
+                    : '<pre class="response-body stream-output"></pre>'}
+            </div>
+        `;
+
+        responseSection.querySelector('.stream-cancel').addEventListener('click', (event) => {
+            event.target.disabled = true;
+            event.target.textContent = 'Cancelling...';
+            if (window.RequestManager) window.RequestManager.cancelRequest();
+        });
+    }
+
+    flushLiveView(view) {
+        view.frame = null;
+        if (this.view !== view) return;
+
+        const responseSection = document.querySelector('.response-section');
+        const content = responseSection && responseSection.querySelector('.stream-content');
+        if (!content) return;
+
+        const text = view.pending;
+        view.pending = '';
+
+        // Keep following the stream unless the user scrolled up
+        const atBottom = content.scrollHeight - content.scrollTop - content.clientHeight < 20;
+
+        if (view.parser) {
+            const events = view.parser.feed(text);
+            if (events.length > 0) {
+                const list = content.querySelector('.stream-events');
+                if (view.events === 0) list.innerHTML = '';
+                list.insertAdjacentHTML('beforeend', events.map(event => this.renderEvent(event)).join(''));
+                view.events += events.length;
+            }
+        } else {
+            content.querySelector('.stream-output').appendChild(document.createTextNode(text));
+        }
+
+        const counter = responseSection.querySelector('.stream-counter');
+        if (counter) {
+            counter.textContent = view.parser
+                ? `${this.formatBytes(view.bytes)} • ${view.events} event${view.events !== 1 ? 's' : ''}`
+                : this.formatBytes(view.bytes);
+        }
+
+        if (atBottom) content.scrollTop = content.scrollHeight;
+    }
+
+    // Events tab of a finished response
+    renderEvents(events) {
+        if (!events || events.length === 0) {
+            return '<p class="stream-empty">No events received</p>';
+        }
+        return `<div class="stream-events">${events.map(event => this.renderEvent(event)).join('')}</div>`;
+    }
+
+    renderEvent(event) {
+        return `
+            <div class="stream-event">
+                <div class="stream-event-meta">
+                    <span class="stream-event-type">${this.escapeHtml(event.event)}</span>
+                    ${event.id ? `<span class="stream-event-id">id: ${this.escapeHtml(event.id)}</span>` : ''}
+                    ${event.retry !== null ? `<span class="stream-event-retry">retry: ${event.retry}ms</span>` : ''}
+                </div>
+                <pre class="stream-event-data">${this.escapeHtml(event.data)}</pre>
+            </div>
+        `;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            activeStreams: this.handlers.size,
+            liveView: !!this.view
+        };
+    }
+}
+
+// Global instance
+window.StreamManager = new StreamManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StreamManager;
+}
@@ -580,6 +580,11 @@ createJoinTeamModal() {
                                 <div class="environment-item">
                                     <div class="environment-name">${this.escapeHtml(env.name)}</div>
                                     <div class="environment-description">${this.escapeHtml(env.description || '')}</div>
+                                    ${Array.isArray(env.variables) ? `
+                                        <button class="btn-sm btn-edit" onclick="TeamsManager.useSharedEnvironment('${team.id}', '${env.id}')">
+                                            Use
+                                        </button>
+                                    ` : ''}
                                 </div>
                             `).join('')}
                         </div>
@@ -628,7 +633,96 @@ createJoinTeamModal() {
     }
 
     shareEnvironment(teamId) {
-        this.showNotification('Coming Soon', 'Environment sharing feature is in development');
+        const team = this.teams.find(t => t.id === teamId);
+        const environmentManager = window.EnvironmentManager;
+        if (!team || !environmentManager) return;
+
+        const envNames = Object.keys(environmentManager.environments);
+        if (envNames.length === 0) {
+            this.showNotification('No Environments', 'Create an environment to share first');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.display = 'block';
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>🌍 Share Environment with ${this.escapeHtml(team.name)}</h3>
+                    <button class="close" onclick="this.closest('.modal').remove()">&times;</button>
+                </div>
+                
+                <form onsubmit="window.TeamsManager.handleShareEnvironment(event, '${teamId}')">
+                    <div class="modal-body">
+                        <div class="form-group">
+                            <label for="shareEnvName">Environment *</label>
+                            <select id="shareEnvName" required>
+                                ${envNames.map(envName => `<option value="${this.escapeHtml(envName)}">${this.escapeHtml(envName)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="shareEnvDescription">Description</label>
+                            <input type="text" id="shareEnvDescription" maxlength="200" placeholder="What the environment is for">
+                        </div>
+                        <p class="text-muted">Initial values are shared - current values stay on this machine. Secret variables are shared by name only - each member enters their own value.</p>
+                    </div>
+                    
+                    <div class="modal-footer">
+                        <button type="submit" class="btn btn-primary">Share Environment</button>
+                        <button type="button" class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    }
+
+    handleShareEnvironment(event, teamId) {
+        event.preventDefault();
+
+        const team = this.teams.find(t => t.id === teamId);
+        const envName = document.getElementById('shareEnvName').value;
+        const description = document.getElementById('shareEnvDescription').value.trim();
+        if (!team || !envName || !window.EnvironmentManager) return;
+
+        const variables = window.EnvironmentManager.getShareableVariables(envName);
+        const shared = {
+            id: this.generateId('env'),
+            name: envName,
+            description,
+            variables,
+            sharedBy: 'You',
+            sharedAt: new Date().toISOString()
+        };
+
+        // Sharing again replaces the team's copy
+        team.environments = (team.environments || []).filter(env => env.name !== envName);
+        team.environments.push(shared);
+        team.updatedAt = new Date().toISOString();
+        this.saveTeams();
+        this.updateDisplay();
+
+        event.target.closest('.modal').remove();
+
+        const secretCount = variables.filter(variable => variable.secret).length;
+        this.showNotification('Environment Shared', secretCount > 0
+            ? `"${envName}" shared with ${team.name} - ${secretCount} secret value${secretCount === 1 ? ' was' : 's were'} left out`
+            : `"${envName}" shared with ${team.name}`);
+    }
+
+    // Brings a shared environment in as initial values - the current values already here are kept
+    useSharedEnvironment(teamId, envId) {
+        const team = this.teams.find(t => t.id === teamId);
+        const shared = team ? (team.environments || []).find(env => env.id === envId) : null;
+        if (!shared || !window.EnvironmentManager) return;
+
+        const envName = shared.name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        window.EnvironmentManager.applySharedVariables(envName, shared.variables || []);
+
+        this.showNotification('Environment Updated', `Initial values of "${envName}" updated from ${team.name}`);
     }
 
     leaveTeam(teamId) {
@@ -606,6 +606,17 @@ onSectionChange(sectionName) {
                 const apikeyAuth = document.getElementById('apikeyAuth');
                 if (apikeyAuth) apikeyAuth.style.display = 'block';
                 break;
+            case 'digest':
+            case 'awsv4':
+            case 'hawk':
+                const signedAuth = document.getElementById(`${authType}Auth`);
+                if (signedAuth) signedAuth.style.display = 'block';
+                break;
+            case 'oauth2':
+                const oauth2Auth = document.getElementById('oauth2Auth');
+                if (oauth2Auth) oauth2Auth.style.display = 'block';
+                if (window.OAuth2Manager) window.OAuth2Manager.updateGrantFields();
+                break;
         }
 
         // Update cURL command
@@ -660,6 +671,18 @@ onSectionChange(sectionName) {
                 const rawBody = document.getElementById('rawBody');
                 if (rawBody) rawBody.style.display = 'block';
                 break;
+            case 'multipart':
+                const multipartBody = document.getElementById('multipartBody');
+                if (multipartBody) multipartBody.style.display = 'block';
+                break;
+            case 'binary':
+                const binaryBody = document.getElementById('binaryBody');
+                if (binaryBody) binaryBody.style.display = 'block';
+                break;
+            case 'graphql':
+                const graphqlBody = document.getElementById('graphqlBody');
+                if (graphqlBody) graphqlBody.style.display = 'block';
+                break;
         }
 
         // Update cURL command
@@ -708,7 +731,8 @@ async clearForm() {
         'paramsContainer',
         'headersContainer', 
         'cookiesContainer',
-        'formDataContainer'
+        'formDataContainer',
+        'multipartContainer'
     ];
 
     containers.forEach(containerId => {
@@ -741,6 +765,26 @@ async clearForm() {
     const rawInput = document.getElementById('rawInput');
     if (jsonInput) jsonInput.value = '';
     if (rawInput) rawInput.value = '';
+    ['binaryFilePath', 'binaryContentType'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    if (window.GraphQLManager) {
+        window.GraphQLManager.loadBody(null);
+    }
+    if (window.WebSocketManager) {
+        window.WebSocketManager.loadConfig(null);
+    }
+    if (window.GrpcManager) {
+        window.GrpcManager.loadConfig(null);
+    }
+
+    // Clear scripts and settings, and forget which collection the request came from
+    if (window.RequestManager && window.RequestManager.loadScripts) {
+        window.RequestManager.loadScripts(null);
+        window.RequestManager.loadSettings(null);
+        window.RequestManager.currentSource = null;
+    }
 
     // Clear response
     const responseContainer = document.getElementById('responseContainer');
@@ -1036,7 +1080,9 @@ function showNotifications() {
 }
 
 function showSettings() {
-    window.UI.showNotification('Settings', 'Settings panel coming soon!', { type: 'info' });
+    if (window.SettingsManager) {
+        window.SettingsManager.open();
+    }
 }
 
 // Export for module systems
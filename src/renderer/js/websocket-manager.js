@@ -0,0 +1,410 @@
+// WebSocket Manager - Interactive WebSocket sessions for requests whose method is "WS"
+
+class WebSocketManager {
+    constructor() {
+        this.connectionId = null;
+        this.state = 'closed'; // closed | connecting | open | closing
+        this.log = [];
+        this.maxLogEntries = 1000;
+        this.userClosed = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.snapshot = null; // Request the session was opened from, re-prepared on reconnect
+        this.initialized = false;
+
+        console.log('🔌 WebSocketManager initializing...');
+        this.initialize();
+    }
+
+    initialize() {
+        if (this.isAvailable()) {
+            window.electronAPI.onWebSocketEvent((event) => this.handleEvent(event));
+        }
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.bindEditor());
+        } else {
+            this.bindEditor();
+        }
+
+        this.initialized = true;
+        console.log('✅ WebSocketManager initialized');
+    }
+
+    isAvailable() {
+        return !!(window.electronAPI && typeof window.electronAPI.connectWebSocket === 'function');
+    }
+
+    bindEditor() {
+        const methodSelect = document.getElementById('method');
+        if (methodSelect) {
+            methodSelect.addEventListener('change', () => this.updateMode());
+        }
+        this.updateMode();
+        this.renderLog();
+    }
+
+    isWebSocketRequest() {
+        return document.getElementById('method')?.value === 'WS';
+    }
+
+    // Swap the response panel for the message log while a WS request is open
+    updateMode() {
+        const isWebSocket = this.isWebSocketRequest();
+        const panel = document.getElementById('websocketSection');
+        const responseSection = document.querySelector('.response-section');
+
+        if (panel) panel.style.display = isWebSocket ? 'block' : 'none';
+        if (responseSection) responseSection.style.display = isWebSocket ? 'none' : '';
+
+        this.updateControls();
+    }
+
+    updateControls() {
+        const sendBtn = document.getElementById('sendBtn');
+        const status = document.getElementById('wsStatus');
+        const messageButton = document.getElementById('wsSendMessage');
+
+        if (sendBtn && !sendBtn.disabled) {
+            if (!this.isWebSocketRequest()) {
+                sendBtn.textContent = 'Send Request';
+            } else if (this.state === 'open') {
+                sendBtn.textContent = 'Disconnect';
+            } else if (this.state === 'connecting' || this.reconnectTimer) {
+                sendBtn.textContent = 'Cancel';
+            } else {
+                sendBtn.textContent = 'Connect';
+            }
+        }
+
+        if (status) {
+            const labels = {
+                closed: this.reconnectTimer ? 'Reconnecting...' : 'Disconnected',
+                connecting: 'Connecting...',
+                open: 'Connected',
+                closing: 'Closing...'
+            };
+            status.textContent = labels[this.state];
+            status.className = `ws-status ws-status-${this.reconnectTimer ? 'connecting' : this.state}`;
+        }
+
+        if (messageButton) {
+            messageButton.disabled = this.state !== 'open';
+        }
+    }
+
+    // ================== CONNECTION ==================
+
+    // Send button handler while the method is WS
+    toggleConnection() {
+        if (this.state === 'open' || this.state === 'connecting' || this.reconnectTimer) {
+            this.disconnect();
+        } else {
+            this.connect();
+        }
+    }
+
+    async connect() {
+        if (!this.isAvailable()) {
+            this.showNotification('Not Available', 'WebSocket requests require the desktop app', { type: 'warning' });
+            return;
+        }
+
+        const requestManager = window.RequestManager;
+        if (!requestManager) return;
+
+        this.userClosed = false;
+        this.reconnectAttempts = 0;
+        this.snapshot = {
+            requestData: requestManager.getCurrentRequestData(),
+            envName: window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null
+        };
+
+        await this.open();
+    }
+
+    async open() {
+        const requestManager = window.RequestManager;
+        const { requestData, envName } = this.snapshot;
+
+        this.state = 'connecting';
+        this.updateControls();
+
+        try {
+            // Variables, query params, cookies and auth headers apply as for HTTP requests
+            const processed = requestManager.processRequestData(requestData, envName);
+            if (!processed.url) {
+                throw new Error('Please enter a ws:// or wss:// URL');
+            }
+            const prepared = requestManager.prepareRequest(await requestManager.resolveAuth(processed, envName));
+            const settings = requestManager.getEffectiveSettings(requestData.settings);
+            const config = requestData.websocket || {};
+
+            this.connectionId = `ws_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+            this.addLogEntry('system', `Connecting to ${prepared.url}`);
+
+            const result = await window.electronAPI.connectWebSocket({
+                id: this.connectionId,
+                url: prepared.url,
+                headers: prepared.headers,
+                protocols: this.parseProtocols(config.protocols),
+                timeout: settings.timeout,
+                rejectUnauthorized: settings.verifyTls,
+                certificates: window.SettingsManager ? window.SettingsManager.getCertificates() : null,
+                proxy: window.SettingsManager ? window.SettingsManager.getProxyFor(settings) : null
+            });
+
+            if (!result || !result.success) {
+                throw new Error(result ? result.error : 'Connection failed');
+            }
+        } catch (error) {
+            this.connectionId = null;
+            this.state = 'closed';
+            this.addLogEntry('system', `Connection failed: ${error.message}`, { error: true });
+            this.scheduleReconnect();
+            this.updateControls();
+        }
+    }
+
+    disconnect() {
+        this.userClosed = true;
+        this.cancelReconnect();
+
+        if (this.connectionId && (this.state === 'open' || this.state === 'connecting')) {
+            this.state = 'closing';
+            window.electronAPI.closeWebSocket(this.connectionId, 1000, 'Closed by client');
+        }
+        this.updateControls();
+    }
+
+    handleEvent(event) {
+        // Ignore late events from a connection that has been replaced
+        if (!event || event.id !== this.connectionId) return;
+
+        switch (event.type) {
+            case 'open':
+                this.state = 'open';
+                this.reconnectAttempts = 0;
+                this.addLogEntry('system', event.protocol ? `Connected (subprotocol: ${event.protocol})` : 'Connected');
+                break;
+
+            case 'message':
+                this.addLogEntry('in', event.data, { format: event.format, size: event.size });
+                break;
+
+            case 'error':
+                this.addLogEntry('system', `Error: ${event.message}`, { error: true });
+                break;
+
+            case 'close':
+                this.state = 'closed';
+                this.connectionId = null;
+                this.addLogEntry('system', `Disconnected (code ${event.code}${event.reason ? `: ${event.reason}` : ''})`);
+                if (!this.userClosed) {
+                    this.scheduleReconnect();
+                }
+                break;
+        }
+
+        this.updateControls();
+    }
+
+    // Exponential backoff, capped at 30 seconds
+    scheduleReconnect() {
+        const config = this.snapshot && this.snapshot.requestData.websocket;
+        if (this.userClosed || !config || !config.autoReconnect) return;
+
+        this.reconnectAttempts++;
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts - 1), 30000);
+        this.addLogEntry('system', `Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.open();
+        }, delay);
+    }
+
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    parseProtocols(protocols) {
+        return String(protocols || '')
+            .split(',')
+            .map(protocol => protocol.trim())
+            .filter(Boolean);
+    }
+
+    // ================== MESSAGES ==================
+
+    async sendMessage() {
+        if (this.state !== 'open') return;
+
+        const input = document.getElementById('wsMessage');
+        const format = document.getElementById('wsMessageType')?.value || 'text';
+        if (!input) return;
+
+        const envName = window.EnvironmentManager ? window.EnvironmentManager.getCurrentEnvironment() : null;
+        let data;
+        try {
+            data = window.EnvironmentManager
+                ? window.EnvironmentManager.replaceVariables(input.value, envName)
+                : input.value;
+        } catch (error) {
+            this.showNotification('Variable Error', error.message, { type: 'error' });
+            return;
+        }
+
+        if (format === 'json') {
+            try {
+                JSON.parse(data);
+            } catch (error) {
+                this.showNotification('Invalid JSON', error.message, { type: 'error' });
+                return;
+            }
+        }
+
+        if (format === 'binary') {
+            data = data.replace(/\s+/g, '');
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(data)) {
+                this.showNotification('Invalid Base64', 'Binary messages are entered as Base64', { type: 'error' });
+                return;
+            }
+        }
+
+        const result = await window.electronAPI.sendWebSocketMessage(this.connectionId, {
+            type: format === 'binary' ? 'binary' : 'text',
+            data
+        });
+
+        if (!result || !result.success) {
+            this.addLogEntry('system', `Send failed: ${result ? result.error : 'unknown error'}`, { error: true });
+            return;
+        }
+
+        this.addLogEntry('out', data, { format: format === 'binary' ? 'binary' : 'text', size: result.size });
+    }
+
+    addLogEntry(direction, data, { format = 'text', size = null, error = false } = {}) {
+        this.log.push({ direction, data, format, size, error, time: new Date() });
+        if (this.log.length > this.maxLogEntries) {
+            this.log.splice(0, this.log.length - this.maxLogEntries);
+        }
+        this.renderLog();
+    }
+
+    clearLog() {
+        this.log = [];
+        this.renderLog();
+    }
+
+    renderLog() {
+        const container = document.getElementById('wsLog');
+        if (!container) return;
+
+        if (this.log.length === 0) {
+            container.innerHTML = '<div class="ws-log-empty">Connect to start exchanging messages</div>';
+            return;
+        }
+
+        const markers = { in: '↓', out: '↑', system: '•' };
+        container.innerHTML = this.log.map(entry => {
+            const content = entry.format === 'binary'
+                ? `<span class="ws-binary">Binary, ${entry.size} bytes</span> ${this.escapeHtml(entry.data.length > 200 ? `${entry.data.slice(0, 200)}...` : entry.data)}`
+                : this.escapeHtml(entry.data);
+
+            return `
+                <div class="ws-message ws-${entry.direction} ${entry.error ? 'ws-error' : ''}">
+                    <span class="ws-time">${this.formatTime(entry.time)}</span>
+                    <span class="ws-direction" title="${entry.direction === 'in' ? 'Received' : (entry.direction === 'out' ? 'Sent' : 'Connection')}">${markers[entry.direction]}</span>
+                    <pre class="ws-data">${content}</pre>
+                </div>
+            `;
+        }).join('');
+
+        container.scrollTop = container.scrollHeight;
+    }
+
+    formatTime(date) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    }
+
+    // ================== EDITOR ==================
+
+    getConfig() {
+        return {
+            protocols: document.getElementById('wsProtocols')?.value?.trim() || '',
+            autoReconnect: !!document.getElementById('wsAutoReconnect')?.checked,
+            messageType: document.getElementById('wsMessageType')?.value || 'text',
+            message: document.getElementById('wsMessage')?.value || ''
+        };
+    }
+
+    loadConfig(config) {
+        const values = config || {};
+        const protocols = document.getElementById('wsProtocols');
+        const autoReconnect = document.getElementById('wsAutoReconnect');
+        const messageType = document.getElementById('wsMessageType');
+        const message = document.getElementById('wsMessage');
+
+        if (protocols) protocols.value = values.protocols || '';
+        if (autoReconnect) autoReconnect.checked = !!values.autoReconnect;
+        if (messageType) messageType.value = values.messageType || 'text';
+        if (message) message.value = values.message || '';
+
+        this.updateMode();
+    }
+
+    // websocat equivalent shown in the cURL panel
+    getCommandLine(processedData, headers) {
+        const config = processedData.websocket || {};
+        let command = 'websocat';
+        headers.forEach(header => {
+            command += ` \\\n  -H "${header.key}: ${header.value}"`;
+        });
+        const protocols = this.parseProtocols(config.protocols);
+        if (protocols.length > 0) {
+            command += ` \\\n  --protocol "${protocols.join(', ')}"`;
+        }
+        return `${command} \\\n  "${processedData.url}"`;
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(title, message, options = {}) {
+        if (window.UI && window.UI.showNotification) {
+            window.UI.showNotification(title, message, options);
+        } else if (window.Core && window.Core.showNotification) {
+            window.Core.showNotification(title, message, options);
+        } else {
+            console.log(`${title}: ${message}`);
+        }
+    }
+
+    // Health check
+    healthCheck() {
+        return {
+            initialized: this.initialized,
+            available: this.isAvailable(),
+            state: this.state,
+            logEntries: this.log.length
+        };
+    }
+}
+
+// Global instance
+window.WebSocketManager = new WebSocketManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebSocketManager;
+}